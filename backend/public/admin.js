@@ -4,6 +4,7 @@
 const DEFAULT_ADMIN_USER_EMAIL = 'dev@autonome.us';
 const ADMIN_USER_EMAIL_STORAGE_KEY = 'autonome_admin_user_email';
 const AVAILABILITY_REFRESH_STORAGE_KEY = 'autonome_availability_refresh';
+const BOOKING_ADMIN_SECRET_STORAGE_KEY = 'autonome_booking_admin_secret';
 const USER_EMAIL = resolveAdminUserEmail();
 let connectedCalendars = [];
 const MAX_CALENDARS = 7;
@@ -50,6 +51,33 @@ async function readJsonResponse(response) {
     );
   }
 }
+
+function getBookingAdminHeaders() {
+  const secret = window.sessionStorage.getItem(BOOKING_ADMIN_SECRET_STORAGE_KEY);
+  return secret ? { 'x-booking-admin-secret': secret } : {};
+}
+
+// Fetch from a route behind BOOKING_ADMIN_SECRET. When the server rejects the request the
+// secret is asked for once and kept for the rest of the browser session.
+async function fetchWithAdminSecret(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), ...getBookingAdminHeaders() },
+  });
+  const response = await send();
+
+  if (response.status !== 401) {
+    return response;
+  }
+
+  const secret = prompt('Admin secret (BOOKING_ADMIN_SECRET)')?.trim();
+  if (!secret) {
+    return response;
+  }
+
+  window.sessionStorage.setItem(BOOKING_ADMIN_SECRET_STORAGE_KEY, secret);
+  return send();
+}
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -66,6 +94,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   };
 
   await safeLoad(loadSystemStatus, 'System Status');
+  await safeLoad(loadOutbox, 'Delivery Queue');
   await safeLoad(loadCalendars, 'Calendars');
   
   setupConnectButton();
@@ -74,12 +103,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupDisplaySettingsForm();
   setupPersonalViewSettingsForm();
   setupNotificationSettingsForm();
+  setupApprovalHistoryForm();
   
   // Settings initialization
   await safeLoad(loadDisplaySettings, 'Display Settings');
   await safeLoad(loadNotificationSettings, 'Notification Settings');
   await safeLoad(loadBlackouts, 'Blackout Periods');
   await safeLoad(loadWorkingHours, 'Working Hours');
+  await safeLoad(loadDailyLimits, 'Daily Limits');
+  await safeLoad(loadMeetingTypes, 'Meeting Types');
+  await safeLoad(loadFaqEntries, 'FAQ Knowledge Base');
   
   // Restore form submission handlers
   const blackoutForm = document.getElementById('blackout-form');
@@ -89,6 +122,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.warn('[Admin] Blackout form not found during init');
   }
 
+  const meetingTypeForm = document.getElementById('meeting-type-form');
+  if (meetingTypeForm) {
+    meetingTypeForm.addEventListener('submit', saveMeetingType);
+    document.getElementById('cancel-meeting-type-edit-btn')?.addEventListener('click', resetMeetingTypeForm);
+  } else {
+    console.warn('[Admin] Meeting type form not found during init');
+  }
+
+  const faqForm = document.getElementById('faq-form');
+  if (faqForm) {
+    faqForm.addEventListener('submit', saveFaqEntry);
+    document.getElementById('cancel-faq-edit-btn')?.addEventListener('click', resetFaqForm);
+  } else {
+    console.warn('[Admin] FAQ form not found during init');
+  }
+
   const workingHoursForm = document.getElementById('working-hours-form');
   if (workingHoursForm) {
     workingHoursForm.addEventListener('submit', saveWorkingHours);
@@ -96,6 +145,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.warn('[Admin] Working hours form not found during init');
   }
 
+  const dailyLimitsForm = document.getElementById('daily-limits-form');
+  if (dailyLimitsForm) {
+    dailyLimitsForm.addEventListener('submit', saveDailyLimits);
+  } else {
+    console.warn('[Admin] Daily limits form not found during init');
+  }
+
   switchTab('blackouts');
   checkOAuthCallback();
 });
@@ -167,6 +223,238 @@ async function loadSystemStatus() {
   }
 }
 
+// ============================================
+// DELIVERY QUEUE (OUTBOX)
+// ============================================
+const OUTBOX_KIND_LABELS = {
+  email: 'Email',
+  slack_message: 'Slack post',
+  calendar_write: 'Calendar update',
+};
+
+async function loadOutbox() {
+  const container = document.getElementById('outbox-container');
+
+  try {
+    const response = await fetchWithAdminSecret('/api/outbox', { cache: 'no-store' });
+    const data = await readJsonResponse(response);
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const { pending, processing, dead_letter: deadLetterCount, dead_letters: deadLetters } = data.outbox;
+    const summary = `
+      <p class="text-small text-muted" style="margin-bottom: 1rem;">
+        ${pending} waiting to retry · ${processing} in progress · ${deadLetterCount} failed permanently
+      </p>
+    `;
+
+    if (deadLetters.length === 0) {
+      container.innerHTML = `${summary}
+        <div class="text-center text-muted" style="padding: 1rem;">
+          <p>Nothing needs attention.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = summary + deadLetters.map((item) => `
+      <div class="blackout-card">
+        <div class="blackout-info">
+          <h4>${escapeHtml(OUTBOX_KIND_LABELS[item.kind] || item.kind)} <span class="text-small text-muted">(${escapeHtml(item.context)})</span></h4>
+          <p>${escapeHtml(item.last_error || 'Unknown error')}</p>
+          <p class="text-small text-muted" style="margin-top: 0.25rem;">
+            ${item.attempts} attempt(s) · last tried ${new Date(item.updated_at).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })}
+          </p>
+        </div>
+        <button type="button" onclick="retryOutboxItem('${escapeHtml(item.id)}', this)" class="btn btn-secondary btn-sm">
+          Retry now
+        </button>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load delivery queue:', error);
+    container.innerHTML = `
+      <div class="alert alert-error">
+        <svg class="alert-icon icon-lg" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+        </svg>
+        <div>Failed to load delivery queue</div>
+      </div>
+    `;
+  }
+}
+
+async function retryOutboxItem(id, triggerButton) {
+  setButtonLoading(triggerButton, true, 'Retrying...');
+
+  try {
+    const response = await fetchWithAdminSecret(`/api/outbox/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+    const result = await readJsonResponse(response);
+
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.error || 'Failed to retry delivery');
+    }
+
+    if (result.item.status === 'delivered') {
+      showNotification('success', 'Delivered successfully');
+    } else {
+      showNotification('error', `Still failing: ${result.item.last_error || 'unknown error'}. It will keep retrying.`);
+    }
+
+    await loadOutbox();
+  } catch (error) {
+    console.error('Failed to retry outbox item:', error);
+    showNotification('error', error.message || 'Failed to retry delivery');
+    setButtonLoading(triggerButton, false);
+  }
+}
+
+// ============================================
+// APPROVAL HISTORY
+// ============================================
+const APPROVAL_ACTION_LABELS = {
+  approval_requested: 'Sent for approval',
+  auto_approved: 'Auto-approved',
+  approved: 'Approved',
+  revision_requested: 'Revision requested',
+  revised: 'Revised',
+  escalated: 'Escalated',
+  human_takeover: 'Human takeover',
+  cancelled: 'Cancelled',
+};
+
+function setupApprovalHistoryForm() {
+  const approvalHistoryForm = document.getElementById('approval-history-form');
+  if (!approvalHistoryForm) {
+    console.warn('[Admin] Approval history form not found during init');
+    return;
+  }
+
+  const secretInput = document.getElementById('approval-history-secret');
+  const storedSecret = window.sessionStorage.getItem(BOOKING_ADMIN_SECRET_STORAGE_KEY);
+  if (secretInput && storedSecret) {
+    secretInput.value = storedSecret;
+  }
+
+  approvalHistoryForm.addEventListener('submit', loadApprovalHistory);
+}
+
+function formatApprovalWait(processingTimeMs) {
+  if (processingTimeMs === null || processingTimeMs === undefined) {
+    return null;
+  }
+
+  const minutes = Math.round(processingTimeMs / 60000);
+  if (minutes < 1) {
+    return `${Math.max(1, Math.round(processingTimeMs / 1000))}s`;
+  }
+
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function renderApprovalHistoryEntry(entry) {
+  const metadata = entry.metadata || {};
+  const actor = entry.actor_name || entry.actor_slack_id;
+  const wait = formatApprovalWait(entry.processing_time_ms);
+  const details = [
+    new Date(entry.timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    }),
+    actor ? `by ${escapeHtml(actor)}` : null,
+    wait ? `decided in ${wait}` : null,
+    metadata.revision_round ? `round ${metadata.revision_round}` : null,
+    metadata.lines_added !== undefined ? `+${metadata.lines_added} / -${metadata.lines_removed ?? 0} lines` : null,
+  ].filter(Boolean);
+
+  return `
+    <div class="blackout-card">
+      <div class="blackout-info">
+        <h4>${escapeHtml(APPROVAL_ACTION_LABELS[entry.action] || entry.action)}</h4>
+        ${entry.feedback ? `<p style="font-style: italic;">${escapeHtml(entry.feedback)}</p>` : ''}
+        <p class="text-small text-muted" style="margin-top: 0.25rem;">${details.join(' · ')}</p>
+        ${metadata.diff ? `<pre class="text-small" style="white-space: pre-wrap; margin-top: 0.5rem;">${escapeHtml(metadata.diff)}</pre>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+async function loadApprovalHistory(event) {
+  event.preventDefault();
+
+  const container = document.getElementById('approval-history-container');
+  const submitButton = document.getElementById('load-approval-history-btn');
+  const reference = document.getElementById('approval-history-reference').value.trim();
+  const secret = document.getElementById('approval-history-secret').value.trim();
+
+  if (!reference) {
+    showNotification('error', 'Please enter a booking reference');
+    return;
+  }
+
+  if (secret) {
+    window.sessionStorage.setItem(BOOKING_ADMIN_SECRET_STORAGE_KEY, secret);
+  } else {
+    window.sessionStorage.removeItem(BOOKING_ADMIN_SECRET_STORAGE_KEY);
+  }
+
+  setButtonLoading(submitButton, true, 'Loading...');
+
+  try {
+    const response = await fetch(`/api/approval-audit/${encodeURIComponent(reference)}`, {
+      cache: 'no-store',
+      headers: secret ? { 'x-booking-admin-secret': secret } : {},
+    });
+    const data = await readJsonResponse(response);
+
+    if (response.status === 401) {
+      throw new Error('The admin secret was not accepted');
+    }
+
+    if (!response.ok || !data?.success) {
+      throw new Error(data?.error || `HTTP ${response.status}`);
+    }
+
+    const summary = `
+      <p class="text-small text-muted" style="margin-bottom: 1rem;">
+        ${escapeHtml(data.status || 'Unknown status')} · ${data.revision_rounds} of ${data.max_revision_rounds} revision round(s) used
+      </p>
+    `;
+
+    if (data.entries.length === 0) {
+      container.innerHTML = `${summary}
+        <div class="text-center text-muted" style="padding: 1rem;">
+          <p>No approval activity recorded for this booking yet.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = summary + data.entries.map(renderApprovalHistoryEntry).join('');
+  } catch (error) {
+    console.error('Failed to load approval history:', error);
+    container.innerHTML = `
+      <div class="alert alert-error">
+        <svg class="alert-icon icon-lg" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+        </svg>
+        <div>Failed to load approval history: ${escapeHtml(error.message || 'Unknown error')}</div>
+      </div>
+    `;
+  } finally {
+    setButtonLoading(submitButton, false);
+  }
+}
+
 // ============================================
 // LOAD CALENDARS
 // ============================================
@@ -384,6 +672,7 @@ function createCalendarCard(calendar) {
       <div class="calendar-account-meta">
         Connected: ${connectedDate} | Status: ${calendar.is_active ? '<span style="color: var(--success);">✓ Active</span>' : '<span style="color: var(--warning);">⚠ Inactive</span>'}
         ${webhookStatus ? ` | Webhook: ${webhookStatus}` : ''}
+        | Buffers: ${formatCalendarBuffers(calendar)}
       </div>
     </div>
 
@@ -398,6 +687,14 @@ function createCalendarCard(calendar) {
           <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
         </svg>
         <span>Refresh</span>
+      </button>
+        <button
+          type="button"
+          class="btn btn-secondary btn-sm"
+          onclick="editCalendarBuffers('${calendar.id}', this)"
+          title="Minutes kept free before and after meetings on this calendar"
+      >
+        <span>Buffers</span>
       </button>
         <button
           type="button"
@@ -416,6 +713,83 @@ function createCalendarCard(calendar) {
   return card;
 }
 
+function formatCalendarBuffers(calendar) {
+  if (calendar.buffer_before_minutes == null && calendar.buffer_after_minutes == null) {
+    return 'meeting type defaults';
+  }
+
+  return `${calendar.buffer_before_minutes ?? 0} min before / ${calendar.buffer_after_minutes ?? 0} min after`;
+}
+
+function promptCalendarBufferMinutes(label, currentValue) {
+  const value = prompt(`${label} (minutes, blank to use meeting type defaults)`, currentValue ?? '');
+
+  if (value === null) {
+    return undefined;
+  }
+
+  if (value.trim() === '') {
+    return null;
+  }
+
+  const minutes = Number(value.trim());
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 240) {
+    showNotification('error', 'Buffers must be whole minutes between 0 and 240');
+    return undefined;
+  }
+
+  return minutes;
+}
+
+async function editCalendarBuffers(calendarId, triggerButton = null) {
+  const calendar = connectedCalendars.find((item) => item.id === calendarId);
+
+  if (!calendar) {
+    return;
+  }
+
+  const bufferBefore = promptCalendarBufferMinutes(`Buffer before meetings on ${calendar.calendar_email}`, calendar.buffer_before_minutes);
+  if (bufferBefore === undefined) {
+    return;
+  }
+
+  const bufferAfter = promptCalendarBufferMinutes(`Buffer after meetings on ${calendar.calendar_email}`, calendar.buffer_after_minutes);
+  if (bufferAfter === undefined) {
+    return;
+  }
+
+  try {
+    setButtonLoading(triggerButton, true, 'Saving...');
+
+    const response = await fetch(`/api/calendar/oauth/accounts/${calendarId}/buffers`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      body: JSON.stringify({
+        buffer_before_minutes: bufferBefore,
+        buffer_after_minutes: bufferAfter,
+      }),
+    });
+
+    const result = await readJsonResponse(response);
+
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.error || 'Failed to update calendar buffers');
+    }
+
+    broadcastAvailabilityRefresh('calendar_buffers_updated');
+    showNotification('success', `Buffers updated for ${calendar.calendar_email}`);
+    await loadCalendars();
+  } catch (error) {
+    console.error('Failed to update calendar buffers:', error);
+    showNotification('error', error.message || 'Failed to update calendar buffers');
+  } finally {
+    setButtonLoading(triggerButton, false);
+  }
+}
+
 function getWebhookStatus(calendar) {
   if (!calendar.webhook_expires_at) {
     return '<span style="color: var(--warning);">⚠ Not subscribed</span>';
@@ -1462,17 +1836,19 @@ function checkOAuthCallback() {
 // AVAILABILITY SETTINGS - TAB SWITCHING
 // ============================================
 function switchTab(tabName) {
-  const allowedTabs = new Set(['blackouts', 'working-hours']);
+  const allowedTabs = new Set(['blackouts', 'working-hours', 'meeting-types', 'faq']);
   const normalizedTabName = allowedTabs.has(tabName) ? tabName : 'blackouts';
 
   // Update tab buttons
-  document.getElementById('blackouts-tab').classList.remove('active');
-  document.getElementById('working-hours-tab').classList.remove('active');
+  allowedTabs.forEach((name) => {
+    document.getElementById(`${name}-tab`).classList.remove('active');
+  });
   document.getElementById(`${normalizedTabName}-tab`).classList.add('active');
 
   // Update tab content
-  document.getElementById('blackouts-content').classList.add('hidden');
-  document.getElementById('working-hours-content').classList.add('hidden');
+  allowedTabs.forEach((name) => {
+    document.getElementById(`${name}-content`).classList.add('hidden');
+  });
   document.getElementById(`${normalizedTabName}-content`).classList.remove('hidden');
 }
 
@@ -1784,15 +2160,460 @@ async function saveWorkingHours(event) {
   }
 }
 
+// ============================================
+// DAILY MEETING LIMITS
+// ============================================
+function renderDailyLimits(limits) {
+  document.getElementById('daily-limits-max-meetings').value = limits.max_meetings_per_day ?? '';
+  document.getElementById('daily-limits-max-minutes').value = limits.max_meeting_minutes_per_day ?? '';
+
+  const parts = [
+    limits.max_meetings_per_day ? `${limits.max_meetings_per_day} meetings` : null,
+    limits.max_meeting_minutes_per_day ? `${limits.max_meeting_minutes_per_day} meeting minutes` : null,
+  ].filter(Boolean);
+
+  document.getElementById('daily-limits-summary').textContent = parts.length
+    ? `Each day (${limits.timezone}) closes after ${parts.join(' or ')}.`
+    : 'No daily limits are applied.';
+}
+
+async function loadDailyLimits() {
+  const response = await fetch(`/api/calendar/daily-limits?user_email=${encodeURIComponent(USER_EMAIL)}`);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  renderDailyLimits(data.daily_limits);
+}
+
+async function saveDailyLimits(event) {
+  event.preventDefault();
+  const saveButton = document.getElementById('save-daily-limits-btn');
+  const maxMeetings = document.getElementById('daily-limits-max-meetings').value;
+  const maxMinutes = document.getElementById('daily-limits-max-minutes').value;
+
+  setButtonLoading(saveButton, true, 'Saving...');
+
+  try {
+    const response = await fetch('/api/calendar/daily-limits', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user_email: USER_EMAIL,
+        max_meetings_per_day: maxMeetings === '' ? null : parseIntegerInput(maxMeetings, null),
+        max_meeting_minutes_per_day: maxMinutes === '' ? null : parseIntegerInput(maxMinutes, null),
+      }),
+    });
+
+    const result = await readJsonResponse(response);
+
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.error || 'Failed to save daily limits');
+    }
+
+    renderDailyLimits(result.daily_limits);
+    broadcastAvailabilityRefresh('daily_limits_saved');
+    showNotification('success', 'Daily meeting limits saved and live availability refreshed');
+  } catch (error) {
+    console.error('Failed to save daily limits:', error);
+    showNotification('error', error.message || 'Failed to save daily limits');
+  } finally {
+    setButtonLoading(saveButton, false);
+  }
+}
+
+// ============================================
+// MEETING TYPES MANAGEMENT
+// ============================================
+let meetingTypesBySlug = new Map();
+
+const MEETING_LOCATION_LABELS = {
+  google_meet: 'Google Meet',
+  phone: 'Phone call',
+  in_person: 'In person',
+  custom: 'Custom',
+};
+
+async function loadMeetingTypes() {
+  const container = document.getElementById('meeting-types-container');
+
+  try {
+    const response = await fetch('/api/meeting-types?include_inactive=true', { cache: 'no-store' });
+    const data = await readJsonResponse(response);
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    meetingTypesBySlug = new Map(data.meeting_types.map((meetingType) => [meetingType.slug, meetingType]));
+
+    if (data.meeting_types.length === 0) {
+      container.innerHTML = `
+        <div class="text-center text-muted" style="padding: 2rem;">
+          <p>No meeting types yet. Add one above to start taking bookings.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = data.meeting_types.map((meetingType) => {
+      const details = [
+        `${meetingType.duration_minutes} min`,
+        `buffers ${meetingType.buffer_before_minutes}/${meetingType.buffer_after_minutes} min`,
+        MEETING_LOCATION_LABELS[meetingType.location_kind] || meetingType.location_kind,
+        meetingType.calendar_email ? `on ${meetingType.calendar_email}` : 'booking calendar',
+        meetingType.intake_questions.length ? `${meetingType.intake_questions.length} intake question(s)` : null,
+        meetingType.requires_tavus ? 'requires Tavus' : null,
+      ].filter(Boolean).join(' · ');
+      const bookingLink = `${window.location.origin}/?meeting_type=${encodeURIComponent(meetingType.slug)}`;
+
+      return `
+        <div class="blackout-card"${meetingType.is_active ? '' : ' style="opacity: 0.6;"'}>
+          <div class="blackout-info">
+            <h4>${escapeHtml(meetingType.name)} <span class="text-small text-muted">(${escapeHtml(meetingType.slug)}${meetingType.is_active ? '' : ', inactive'})</span></h4>
+            <p>${escapeHtml(details)}</p>
+            <p class="text-small" style="margin-top: 0.25rem;"><a href="${bookingLink}" target="_blank" rel="noopener">${escapeHtml(bookingLink)}</a></p>
+          </div>
+          <div style="display: flex; gap: 0.5rem;">
+            <button type="button" onclick="editMeetingType('${escapeHtml(meetingType.slug)}')" class="btn btn-secondary btn-sm">Edit</button>
+            ${meetingType.is_active ? `
+              <button type="button" onclick="deactivateMeetingType('${escapeHtml(meetingType.slug)}', this)" class="btn btn-secondary btn-sm" style="background: var(--error); color: white;">
+                Deactivate
+              </button>
+            ` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load meeting types:', error);
+    container.innerHTML = `
+      <div class="alert alert-error">
+        <svg class="alert-icon icon-lg" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+        </svg>
+        <div>Failed to load meeting types</div>
+      </div>
+    `;
+  }
+}
+
+function resetMeetingTypeForm() {
+  document.getElementById('meeting-type-form').reset();
+  document.getElementById('meeting-type-editing-slug').value = '';
+  document.getElementById('meeting-type-slug').disabled = false;
+  document.getElementById('meeting-type-form-title').textContent = 'Add Meeting Type';
+  document.getElementById('cancel-meeting-type-edit-btn').classList.add('hidden');
+}
+
+function editMeetingType(slug) {
+  const meetingType = meetingTypesBySlug.get(slug);
+
+  if (!meetingType) {
+    return;
+  }
+
+  document.getElementById('meeting-type-editing-slug').value = meetingType.slug;
+  document.getElementById('meeting-type-slug').value = meetingType.slug;
+  document.getElementById('meeting-type-slug').disabled = true;
+  document.getElementById('meeting-type-name').value = meetingType.name;
+  document.getElementById('meeting-type-duration').value = meetingType.duration_minutes;
+  document.getElementById('meeting-type-description').value = meetingType.description || '';
+  document.getElementById('meeting-type-buffer-before').value = meetingType.buffer_before_minutes;
+  document.getElementById('meeting-type-buffer-after').value = meetingType.buffer_after_minutes;
+  document.getElementById('meeting-type-notice').value = meetingType.minimum_notice_minutes ?? '';
+  document.getElementById('meeting-type-window').value = meetingType.booking_window_hours ?? '';
+  document.getElementById('meeting-type-calendar').value = meetingType.calendar_email || '';
+  document.getElementById('meeting-type-location-kind').value = meetingType.location_kind;
+  document.getElementById('meeting-type-location-details').value = meetingType.location_details || '';
+  document.getElementById('meeting-type-intake').value = meetingType.intake_questions.length
+    ? JSON.stringify(meetingType.intake_questions, null, 2)
+    : '';
+  document.getElementById('meeting-type-requires-tavus').checked = meetingType.requires_tavus;
+  document.getElementById('meeting-type-active').checked = meetingType.is_active;
+  document.getElementById('meeting-type-form-title').textContent = `Edit ${meetingType.name}`;
+  document.getElementById('cancel-meeting-type-edit-btn').classList.remove('hidden');
+  document.getElementById('meeting-type-form').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function parseOptionalIntegerInput(value) {
+  return value === '' ? null : parseIntegerInput(value, null);
+}
+
+async function saveMeetingType(event) {
+  event.preventDefault();
+  const editingSlug = document.getElementById('meeting-type-editing-slug').value;
+  const saveButton = document.getElementById('save-meeting-type-btn');
+  const intakeRaw = document.getElementById('meeting-type-intake').value.trim();
+  let intakeQuestions = [];
+
+  if (intakeRaw) {
+    try {
+      intakeQuestions = JSON.parse(intakeRaw);
+    } catch {
+      showNotification('error', 'Intake questions must be valid JSON');
+      return;
+    }
+  }
+
+  const payload = {
+    name: document.getElementById('meeting-type-name').value,
+    duration_minutes: parseIntegerInput(document.getElementById('meeting-type-duration').value, 30),
+    description: document.getElementById('meeting-type-description').value,
+    buffer_before_minutes: parseIntegerInput(document.getElementById('meeting-type-buffer-before').value, 0),
+    buffer_after_minutes: parseIntegerInput(document.getElementById('meeting-type-buffer-after').value, 0),
+    minimum_notice_minutes: parseOptionalIntegerInput(document.getElementById('meeting-type-notice').value),
+    booking_window_hours: parseOptionalIntegerInput(document.getElementById('meeting-type-window').value),
+    calendar_email: document.getElementById('meeting-type-calendar').value,
+    location_kind: document.getElementById('meeting-type-location-kind').value,
+    location_details: document.getElementById('meeting-type-location-details').value,
+    intake_questions: intakeQuestions,
+    requires_tavus: document.getElementById('meeting-type-requires-tavus').checked,
+    is_active: document.getElementById('meeting-type-active').checked,
+  };
+
+  if (!editingSlug) {
+    payload.slug = document.getElementById('meeting-type-slug').value.trim().toLowerCase();
+  }
+
+  setButtonLoading(saveButton, true, 'Saving...');
+
+  try {
+    const response = await fetch(
+      editingSlug ? `/api/meeting-types/${encodeURIComponent(editingSlug)}` : '/api/meeting-types',
+      {
+        method: editingSlug ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      }
+    );
+    const data = await readJsonResponse(response);
+
+    if (!response.ok || !data.success) {
+      throw new Error((data.errors || []).join('; ') || data.error || 'Failed to save meeting type');
+    }
+
+    broadcastAvailabilityRefresh('meeting_type_saved');
+    showNotification('success', `${data.meeting_type.name} saved`);
+    resetMeetingTypeForm();
+    await loadMeetingTypes();
+  } catch (error) {
+    console.error('Failed to save meeting type:', error);
+    showNotification('error', error.message || 'Failed to save meeting type');
+  } finally {
+    setButtonLoading(saveButton, false);
+  }
+}
+
+async function deactivateMeetingType(slug, button = null) {
+  if (!confirm('Deactivate this meeting type? Existing bookings are not affected.')) {
+    return;
+  }
+
+  setButtonLoading(button, true, 'Deactivating...');
+
+  try {
+    const response = await fetch(`/api/meeting-types/${encodeURIComponent(slug)}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || 'Failed to deactivate meeting type');
+    }
+
+    broadcastAvailabilityRefresh('meeting_type_deactivated');
+    showNotification('success', 'Meeting type deactivated');
+    await loadMeetingTypes();
+  } catch (error) {
+    console.error('Failed to deactivate meeting type:', error);
+    showNotification('error', error.message || 'Failed to deactivate meeting type');
+    setButtonLoading(button, false);
+  }
+}
+
+let faqEntriesById = new Map();
+
+async function loadFaqEntries() {
+  const container = document.getElementById('faq-container');
+
+  try {
+    const response = await fetch('/api/faq?include_inactive=true', { cache: 'no-store' });
+    const data = await readJsonResponse(response);
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    faqEntriesById = new Map(data.entries.map((entry) => [entry.id, entry]));
+
+    if (data.entries.length === 0) {
+      container.innerHTML = `
+        <div class="text-center text-muted" style="padding: 2rem;">
+          <p>No FAQ entries yet. Replies are drafted without a knowledge base until you add one.</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = data.entries.map((entry) => {
+      const details = [
+        entry.category,
+        entry.tags.length ? entry.tags.join(', ') : null,
+        entry.priority ? `priority ${entry.priority}` : null,
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <div class="blackout-card"${entry.is_active ? '' : ' style="opacity: 0.6;"'}>
+          <div class="blackout-info">
+            <h4>${escapeHtml(entry.question)}${entry.is_active ? '' : ' <span class="text-small text-muted">(inactive)</span>'}</h4>
+            <p>${escapeHtml(entry.answer)}</p>
+            ${details ? `<p class="text-small text-muted" style="margin-top: 0.25rem;">${escapeHtml(details)}</p>` : ''}
+          </div>
+          <div style="display: flex; gap: 0.5rem;">
+            <button type="button" onclick="editFaqEntry('${escapeHtml(entry.id)}')" class="btn btn-secondary btn-sm">Edit</button>
+            <button type="button" onclick="deleteFaqEntry('${escapeHtml(entry.id)}', this)" class="btn btn-secondary btn-sm" style="background: var(--error); color: white;">
+              Delete
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Failed to load FAQ entries:', error);
+    container.innerHTML = `
+      <div class="alert alert-error">
+        <svg class="alert-icon icon-lg" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+        </svg>
+        <div>Failed to load FAQ entries</div>
+      </div>
+    `;
+  }
+}
+
+function resetFaqForm() {
+  document.getElementById('faq-form').reset();
+  document.getElementById('faq-editing-id').value = '';
+  document.getElementById('faq-form-title').textContent = 'Add FAQ Entry';
+  document.getElementById('cancel-faq-edit-btn').classList.add('hidden');
+}
+
+function editFaqEntry(id) {
+  const entry = faqEntriesById.get(id);
+
+  if (!entry) {
+    return;
+  }
+
+  document.getElementById('faq-editing-id').value = entry.id;
+  document.getElementById('faq-question').value = entry.question;
+  document.getElementById('faq-answer').value = entry.answer;
+  document.getElementById('faq-category').value = entry.category || '';
+  document.getElementById('faq-tags').value = entry.tags.join(', ');
+  document.getElementById('faq-priority').value = entry.priority;
+  document.getElementById('faq-active').checked = entry.is_active;
+  document.getElementById('faq-form-title').textContent = 'Edit FAQ Entry';
+  document.getElementById('cancel-faq-edit-btn').classList.remove('hidden');
+  document.getElementById('faq-form').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+async function saveFaqEntry(event) {
+  event.preventDefault();
+  const editingId = document.getElementById('faq-editing-id').value;
+  const saveButton = document.getElementById('save-faq-btn');
+  const payload = {
+    question: document.getElementById('faq-question').value,
+    answer: document.getElementById('faq-answer').value,
+    category: document.getElementById('faq-category').value,
+    tags: document.getElementById('faq-tags').value.split(',').map((tag) => tag.trim()).filter(Boolean),
+    priority: parseIntegerInput(document.getElementById('faq-priority').value, 0),
+    is_active: document.getElementById('faq-active').checked,
+  };
+
+  setButtonLoading(saveButton, true, 'Saving...');
+
+  try {
+    const response = await fetchWithAdminSecret(
+      editingId ? `/api/faq/${encodeURIComponent(editingId)}` : '/api/faq',
+      {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      }
+    );
+    const data = await readJsonResponse(response);
+
+    if (!response.ok || !data.success) {
+      throw new Error((data.errors || []).join('; ') || data.error || 'Failed to save FAQ entry');
+    }
+
+    if (data.embedded) {
+      showNotification('success', 'FAQ entry saved');
+    } else if (editingId) {
+      showNotification('error', 'FAQ entry saved, but its embedding was not regenerated and still matches the previous text. Save it again once the LLM is available.');
+    } else {
+      showNotification('error', 'FAQ entry saved, but no embedding was generated. Save it again once the LLM is available.');
+    }
+
+    resetFaqForm();
+    await loadFaqEntries();
+  } catch (error) {
+    console.error('Failed to save FAQ entry:', error);
+    showNotification('error', error.message || 'Failed to save FAQ entry');
+  } finally {
+    setButtonLoading(saveButton, false);
+  }
+}
+
+async function deleteFaqEntry(id, button = null) {
+  if (!confirm('Delete this FAQ entry? AI replies will stop using it immediately.')) {
+    return;
+  }
+
+  setButtonLoading(button, true, 'Deleting...');
+
+  try {
+    const response = await fetchWithAdminSecret(`/api/faq/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(error?.error || 'Failed to delete FAQ entry');
+    }
+
+    showNotification('success', 'FAQ entry deleted');
+
+    if (document.getElementById('faq-editing-id').value === id) {
+      resetFaqForm();
+    }
+
+    await loadFaqEntries();
+  } catch (error) {
+    console.error('Failed to delete FAQ entry:', error);
+    showNotification('error', error.message || 'Failed to delete FAQ entry');
+    setButtonLoading(button, false);
+  }
+}
+
 // Event listeners are handled in the main DOMContentLoaded block
 
 // Make functions globally available for onclick handlers
 window.disconnectCalendar = disconnectCalendar;
 window.refreshCalendar = refreshCalendar;
 window.setPrimaryCalendar = setPrimaryCalendar;
+window.editCalendarBuffers = editCalendarBuffers;
 window.switchTab = switchTab;
 window.deleteBlackout = deleteBlackout;
 window.toggleDayInputs = toggleDayInputs;
+window.editMeetingType = editMeetingType;
+window.deactivateMeetingType = deactivateMeetingType;
+window.editFaqEntry = editFaqEntry;
+window.deleteFaqEntry = deleteFaqEntry;
+window.retryOutboxItem = retryOutboxItem;
 
 // ============================================
 // ACCESS CODE PROTECTION
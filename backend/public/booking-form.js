@@ -16,6 +16,7 @@ let activeDayFilter = 'all';
 const ADMIN_USER_EMAIL_STORAGE_KEY = 'autonome_admin_user_email';
 const AVAILABILITY_REFRESH_STORAGE_KEY = 'autonome_availability_refresh';
 let bookingUserEmail = resolveBookingUserEmail();
+const bookingMeetingType = new URLSearchParams(window.location.search).get('meeting_type')?.trim().toLowerCase() || null;
 
 // ============================================
 // INITIALIZATION
@@ -53,6 +54,15 @@ function appendBookingUserEmail(path) {
   return `${path}${separator}user_email=${encodeURIComponent(bookingUserEmail)}`;
 }
 
+function appendMeetingTypeParam(path) {
+  if (!bookingMeetingType) {
+    return path;
+  }
+
+  const separator = path.includes('?') ? '&' : '?';
+  return `${path}${separator}meeting_type=${encodeURIComponent(bookingMeetingType)}`;
+}
+
 function applyDisplayMode() {
   const isEmbedded = window.location.pathname === '/embed'
     || new URLSearchParams(window.location.search).get('embed') === '1';
@@ -281,7 +291,7 @@ async function fetchAvailability(weekOffset) {
 
     const response = await fetch(
       appendBookingUserEmail(
-        `/api/calendar/availability?duration=30&days=7&start=${startDate.toISOString()}${window.activeCalendarEmailOverride ? '&calendar_email_override=' + encodeURIComponent(window.activeCalendarEmailOverride) : ''}`
+        appendMeetingTypeParam(`/api/calendar/availability?days=7&start=${startDate.toISOString()}${window.activeCalendarEmailOverride ? '&calendar_email_override=' + encodeURIComponent(window.activeCalendarEmailOverride) : ''}`)
       ),
       {
         cache: 'no-store',
@@ -510,6 +520,7 @@ async function reserveSelectedSlot(slot) {
       slot_start: slot.start,
       slot_end: slot.end,
       expiration_minutes: 15,
+      ...(bookingMeetingType ? { meeting_type: bookingMeetingType } : {}),
       ...(bookingUserEmail ? { user_email: bookingUserEmail } : {}),
       ...(window.activeCalendarEmailOverride ? { calendar_email_override: window.activeCalendarEmailOverride } : {}),
     }),
@@ -518,12 +529,36 @@ async function reserveSelectedSlot(slot) {
   const result = await response.json();
 
   if (!response.ok || !result.success) {
-    throw new Error(result.error || 'Failed to reserve the selected slot');
+    const error = new Error(result.error || 'Failed to reserve the selected slot');
+    error.code = result.code;
+    error.alternatives = Array.isArray(result.alternatives) ? result.alternatives : [];
+    throw error;
   }
 
   return result;
 }
 
+function formatSlotReservationError(error) {
+  const message = error?.message || 'We could not reserve that slot. Please try another time.';
+  const nextSlot = error?.alternatives?.[0];
+
+  if (!nextSlot) {
+    return message;
+  }
+
+  const nextStart = new Date(nextSlot.start);
+  const nextLabel = nextStart.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/New_York',
+  });
+
+  return `${message} The closest open time is ${nextLabel} EST.`;
+}
+
 async function releaseSelectedSlotHold() {
   if (!selectedHoldId) {
     return;
@@ -563,12 +598,13 @@ async function selectSlot(slot) {
     selectedHoldId = null;
     syncSelectedSlotUI();
     if (
-      typeof error?.message === 'string' &&
-      (error.message.includes('no longer available') || error.message.includes('at least'))
+      error?.code === 'slot_unavailable' ||
+      (typeof error?.message === 'string' &&
+        (error.message.includes('no longer available') || error.message.includes('at least')))
     ) {
       fetchAvailability(currentWeekOffset);
     }
-    showErrorMessage(error.message || 'We could not reserve that slot. Please try another time.');
+    showErrorMessage(formatSlotReservationError(error));
   } finally {
     isSlotSelectionPending = false;
     setSubmitButtonPending(false);
@@ -601,7 +637,7 @@ function createSlotCard(slot) {
       <div style="flex: 1;">
         <div class="slot-date">${dateStr}</div>
         <div class="slot-time">${timeStr} EST</div>
-        <div class="slot-duration">${slot.duration_minutes} min consultation</div>
+        <div class="slot-duration">${slot.duration_minutes} min meeting</div>
       </div>
       <div class="check-icon" style="opacity: 0; transition: var(--transition-smooth); color: var(--electric-blue);">
         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>
@@ -806,7 +842,7 @@ async function sendBookingChatMessage() {
         history: bookingChatHistory,
         ...(bookingUserEmail ? { user_email: bookingUserEmail } : {}),
         personal_view_active: window.isPersonalViewActive === true,
-        duration_minutes: 30,
+        ...(bookingMeetingType ? { meeting_type: bookingMeetingType } : {}),
       }),
     });
 
@@ -984,6 +1020,7 @@ function setupFormSubmission() {
       ai_concierge_engaged: hasUserChatContext(),
       calendar_email_override: window.activeCalendarEmailOverride || undefined,
       is_personal: window.isPersonalViewActive === true,
+      meeting_type: bookingMeetingType || undefined,
     };
 
     if (!formData.message && hasUserChatContext()) {
@@ -1027,6 +1064,16 @@ function setupFormSubmission() {
         document.getElementById('booking-session-id').value = bookingSessionId;
         syncSelectedSlotUI();
         setupBookingChat();
+      } else if (result.code === 'slot_unavailable') {
+        // The host's calendar changed after the slot was held; the hold is already released
+        selectedSlot = null;
+        selectedHoldId = null;
+        syncSelectedSlotUI();
+        fetchAvailability(currentWeekOffset);
+        showErrorMessage(formatSlotReservationError({
+          message: result.error,
+          alternatives: result.alternatives,
+        }));
       } else {
         showErrorMessage(result.error || 'Failed to submit booking request');
       }
@@ -0,0 +1,205 @@
+const searchParams = new URLSearchParams(window.location.search);
+const BOOKING_ID = searchParams.get('booking')?.trim() || '';
+const ACTION = searchParams.get('action') === 'cancel' ? 'cancel' : 'reschedule';
+const TOKEN = searchParams.get('token')?.trim() || '';
+
+const titleEl = document.getElementById('manage-title');
+const currentTimeEl = document.getElementById('manage-current-time');
+const loadingState = document.getElementById('loading-state');
+const successMessage = document.getElementById('success-message');
+const successTitle = document.getElementById('success-title');
+const successBody = document.getElementById('success-body');
+const errorMessage = document.getElementById('error-message');
+const errorDetails = document.getElementById('error-details');
+const reschedulePanel = document.getElementById('reschedule-panel');
+const slotsContainer = document.getElementById('slots-container');
+const rescheduleBtn = document.getElementById('reschedule-btn');
+const cancelPanel = document.getElementById('cancel-panel');
+const cancelReason = document.getElementById('cancel-reason');
+const cancelBtn = document.getElementById('cancel-btn');
+
+let selectedSlot = null;
+
+function bookingApiPath() {
+  return `/api/booking/${encodeURIComponent(BOOKING_ID)}/${ACTION}`;
+}
+
+function formatMeetingTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return 'an unconfirmed time';
+  }
+
+  return `${date.toLocaleString('en-US', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: 'America/New_York',
+  })} EST`;
+}
+
+function showError(message) {
+  errorDetails.textContent = message;
+  errorMessage.classList.remove('hidden');
+}
+
+function showSuccess(title, body) {
+  errorMessage.classList.add('hidden');
+  successTitle.textContent = title;
+  successBody.textContent = body;
+  successMessage.classList.remove('hidden');
+  reschedulePanel.classList.add('hidden');
+  cancelPanel.classList.add('hidden');
+}
+
+function createSlotCard(slot) {
+  const card = document.createElement('div');
+  card.className = 'slot-card';
+  card.dataset.slotStart = slot.start;
+
+  const start = new Date(slot.start);
+  const dateStr = start.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'America/New_York',
+  });
+  const timeStr = start.toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/New_York',
+  });
+
+  card.innerHTML = `
+    <div class="slot-date">${dateStr}</div>
+    <div class="slot-time">${timeStr} EST</div>
+    <div class="slot-duration">${slot.duration_minutes} min consultation</div>
+  `;
+
+  card.addEventListener('click', () => {
+    selectedSlot = slot;
+    slotsContainer.querySelectorAll('.slot-card').forEach((element) => {
+      element.classList.toggle('selected', element.dataset.slotStart === slot.start);
+    });
+    rescheduleBtn.disabled = false;
+  });
+
+  return card;
+}
+
+async function loadSlots(booking) {
+  const params = new URLSearchParams({
+    duration: String(booking.duration_minutes),
+    days: '14',
+  });
+
+  if (booking.calendar_email) {
+    params.set('calendar_email_override', booking.calendar_email);
+  }
+
+  const response = await fetch(`/api/calendar/availability?${params.toString()}`, {
+    cache: 'no-store',
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Available times could not be loaded.');
+  }
+
+  const currentStartMs = new Date(booking.start).getTime();
+  const slots = (data.slots || []).filter((slot) => new Date(slot.start).getTime() !== currentStartMs);
+  slotsContainer.innerHTML = '';
+
+  if (slots.length === 0) {
+    slotsContainer.textContent = 'No open times are available right now. Please check back soon.';
+    return;
+  }
+
+  slots.forEach((slot) => slotsContainer.appendChild(createSlotCard(slot)));
+}
+
+async function submitChange(body) {
+  const response = await fetch(bookingApiPath(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token: TOKEN, ...body }),
+  });
+  const data = await response.json();
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || 'Your booking could not be updated.');
+  }
+
+  return data;
+}
+
+rescheduleBtn.addEventListener('click', async () => {
+  if (!selectedSlot) {
+    return;
+  }
+
+  rescheduleBtn.disabled = true;
+
+  try {
+    const result = await submitChange({ slot_start: selectedSlot.start });
+    showSuccess(
+      'Consultation rescheduled',
+      `Your consultation is now scheduled for ${formatMeetingTime(result.start)}. A confirmation email is on its way.`
+    );
+  } catch (error) {
+    showError(error.message);
+    rescheduleBtn.disabled = false;
+  }
+});
+
+cancelBtn.addEventListener('click', async () => {
+  cancelBtn.disabled = true;
+
+  try {
+    await submitChange({ reason: cancelReason.value });
+    showSuccess(
+      'Consultation cancelled',
+      'Your consultation has been cancelled. You can book a new time whenever you are ready.'
+    );
+  } catch (error) {
+    showError(error.message);
+    cancelBtn.disabled = false;
+  }
+});
+
+async function init() {
+  if (!BOOKING_ID || !TOKEN) {
+    loadingState.classList.add('hidden');
+    currentTimeEl.textContent = '';
+    showError('This link is incomplete. Please use the link from your confirmation email.');
+    return;
+  }
+
+  titleEl.textContent = ACTION === 'cancel' ? 'Cancel Your Consultation' : 'Reschedule Your Consultation';
+
+  try {
+    const response = await fetch(`${bookingApiPath()}?token=${encodeURIComponent(TOKEN)}`, {
+      cache: 'no-store',
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'This booking could not be loaded.');
+    }
+
+    currentTimeEl.textContent = `Currently scheduled for ${formatMeetingTime(data.booking.start)} (Reference: ${data.booking.processing_id})`;
+
+    if (ACTION === 'cancel') {
+      cancelPanel.classList.remove('hidden');
+    } else {
+      reschedulePanel.classList.remove('hidden');
+      await loadSlots(data.booking);
+    }
+  } catch (error) {
+    currentTimeEl.textContent = '';
+    showError(error.message);
+  } finally {
+    loadingState.classList.add('hidden');
+  }
+}
+
+init();
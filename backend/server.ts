@@ -1,5 +1,6 @@
 import express, { type Request, type Response, type NextFunction, type Application } from 'express';
 import type { Server } from 'http';
+import type { SupabaseClient } from '@supabase/supabase-js';
 import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -16,6 +17,11 @@ import calendarAvailabilityRouter from './src/api/calendar-availability.js';
 import calendarAvailabilityControlsRouter from './src/api/calendar-availability-controls.js';
 import tavusWebhookRouter from './src/api/tavus-webhook.js';
 import waitlistRouter from './src/api/waitlist-router.js';
+import meetingTypesRouter from './src/api/meeting-types-router.js';
+import outboxRouter from './src/api/outbox-router.js';
+import faqRouter from './src/api/faq-router.js';
+import approvalAuditRouter from './src/api/approval-audit-router.js';
+import { getOutboxSummary, type OutboxSummary } from './src/services/outbox/outbox.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -107,6 +113,16 @@ app.get('/diagnostics', async (_req: Request, res: Response): Promise<void> => {
   try {
     const health = await serviceManager.healthCheck();
     const stats = serviceManager.getServiceStats();
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    let outbox: OutboxSummary | { error: string } | null = null;
+
+    if (supabase) {
+      try {
+        outbox = await getOutboxSummary(supabase, 10);
+      } catch (outboxError) {
+        outbox = { error: outboxError instanceof Error ? outboxError.message : 'Unknown error' };
+      }
+    }
 
     const systemInfo: SystemInfo = {
       status: 'operational',
@@ -120,6 +136,7 @@ app.get('/diagnostics', async (_req: Request, res: Response): Promise<void> => {
       system: systemInfo,
       services: health,
       statistics: stats,
+      outbox,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -138,7 +155,7 @@ app.get('/diagnostics', async (_req: Request, res: Response): Promise<void> => {
  * Register service factories with graceful error handling
  */
 async function initializeServices(): Promise<ServiceInitResults> {
-  const services = ['supabase', 'slack', 'openai', 'email', 'calendar'];
+  const services = ['supabase', 'slack', 'llm', 'email', 'calendar'];
   const results: ServiceInitResults = { success: [], failed: [] };
 
   // Supabase service
@@ -171,19 +188,18 @@ async function initializeServices(): Promise<ServiceInitResults> {
     logger.error('❌ Slack service registration failed:', errorMessage);
   }
 
-  // OpenAI service
+  // LLM service (OpenAI, OpenAI-compatible server or fixtures, per LLM_PROVIDER)
   try {
-    serviceManager.registerService('openai', async () => {
-      const { default: OpenAI } = await import('openai');
-      const config = getServiceConfig('openai');
-      return new OpenAI({ apiKey: config.apiKey });
+    serviceManager.registerService('llm', async () => {
+      const { createLLMService } = await import('./src/services/llm/LLMService.js');
+      return createLLMService();
     });
-    results.success.push('openai');
-    logger.info('✅ OpenAI service registered');
+    results.success.push('llm');
+    logger.info(`✅ LLM service registered (${getServiceConfig('llm').provider})`);
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
-    results.failed.push({ service: 'openai', error: errorMessage });
-    logger.error('❌ OpenAI service registration failed:', errorMessage);
+    results.failed.push({ service: 'llm', error: errorMessage });
+    logger.error('❌ LLM service registration failed:', errorMessage);
   }
 
   // Email service
@@ -284,6 +300,18 @@ app.use('/api/calendar', calendarAvailabilityControlsRouter);
 // Waitlist API
 app.use('/api/waitlist', waitlistRouter);
 
+// Meeting types API
+app.use('/api/meeting-types', meetingTypesRouter);
+
+// Side-effect outbox (dead letters and manual retries)
+app.use('/api/outbox', outboxRouter);
+
+// FAQ knowledge base used by the concierge chat and email drafts
+app.use('/api/faq', faqRouter);
+
+// Approval audit history for the admin booking view
+app.use('/api/approval-audit', approvalAuditRouter);
+
 // Early middleware: Serve personal view for page requests on the personal domain
 app.use((req: Request, res: Response, next: NextFunction): void => {
   const personalDomain = process.env['PERSONAL_BOOKING_DOMAIN'];
@@ -372,6 +400,11 @@ app.get('/waitlist', (_req: Request, res: Response): void => {
   res.sendFile(path.join(publicDir, 'waitlist.html'));
 });
 
+// Self-service reschedule/cancel page linked from confirmation emails
+app.get('/manage-booking', (_req: Request, res: Response): void => {
+  res.sendFile(path.join(publicDir, 'manage-booking.html'));
+});
+
 // Embed route serves the same booking UI in a compact mode suitable for modals/iframes
 app.get('/embed', (_req: Request, res: Response): void => {
   res.sendFile(path.join(publicDir, 'index.html'));
@@ -458,3 +491,7 @@ startServer().catch((error: Error) => {
 // Initialize calendar cron jobs (cleanup holds, renew webhooks)
 import './src/services/calendar/calendar-cron.js';
 import './src/services/notifications/meeting-notification-cron.js';
+import './src/services/outbox/outbox-cron.js';
+import './src/services/recovery/recovery-cron.js';
+import './src/services/conversation/conversation-cron.js';
+import './src/services/notifications/daily-summary-cron.js';
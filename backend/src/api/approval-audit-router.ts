@@ -0,0 +1,54 @@
+import { Router, Request, Response } from 'express';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../utils/logger.js';
+import { serviceManager } from '../services/serviceManager.js';
+import { requireBookingAdminSecret } from './booking-admin-auth.js';
+import { listApprovalAudit } from '../services/approval/approvalAudit.js';
+import { getMaxRevisionRounds, loadBookingReviewState } from '../services/approval/draftRevision.js';
+
+const router = Router();
+
+/**
+ * Approval history for a booking: every approve, revise, takeover and escalation with the
+ * Slack user, timing and draft versions, plus the revision rounds used. Drafts and reviewer
+ * identities are internal, so the booking admin secret is required.
+ * GET /api/approval-audit/:processing_id
+ */
+router.get('/:processing_id', requireBookingAdminSecret, async (req: Request, res: Response): Promise<void> => {
+  const processingId = req.params['processing_id'] || '';
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database not available' });
+      return;
+    }
+
+    const [booking, entries] = await Promise.all([
+      loadBookingReviewState(supabase, processingId),
+      listApprovalAudit(supabase, processingId),
+    ]);
+
+    if (!booking && entries.length === 0) {
+      res.status(404).json({ success: false, error: 'Booking not found' });
+      return;
+    }
+
+    res.json({
+      success: true,
+      processing_id: processingId,
+      status: booking?.status ?? null,
+      revision_rounds: booking?.revision_rounds ?? 0,
+      max_revision_rounds: getMaxRevisionRounds(),
+      entries,
+      total: entries.length,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Failed to load approval audit for ${processingId}:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+export default router;
@@ -0,0 +1,20 @@
+import { Request, Response, NextFunction } from 'express';
+
+/**
+ * Admin-only routes: in production the request must carry BOOKING_ADMIN_SECRET in the
+ * x-booking-admin-secret header.
+ */
+export function requireBookingAdminSecret(req: Request, res: Response, next: NextFunction): void {
+  const adminSecret = process.env['BOOKING_ADMIN_SECRET'];
+  const requestSecret = req.headers['x-booking-admin-secret'];
+
+  if (
+    process.env['NODE_ENV'] === 'production' &&
+    (!adminSecret || typeof requestSecret !== 'string' || requestSecret !== adminSecret)
+  ) {
+    res.status(401).json({ success: false, error: 'Unauthorized' });
+    return;
+  }
+
+  next();
+}
@@ -3,6 +3,18 @@ import { serviceManager } from '../services/serviceManager.js';
 import { logger } from '../utils/logger.js';
 import type { SupabaseClient } from '@supabase/supabase-js';
 import type { CalendarService } from '../services/calendar/CalendarService.js';
+import {
+  MAX_MAX_MEETINGS_PER_DAY,
+  MAX_MAX_MEETING_MINUTES_PER_DAY,
+  MIN_MAX_MEETINGS_PER_DAY,
+  MIN_MAX_MEETING_MINUTES_PER_DAY,
+  validateDailyMeetingLimitsInput,
+} from '../services/calendar/dailyMeetingLimits.js';
+import {
+  getDailyMeetingLimits,
+  saveDailyMeetingLimits,
+  type ResolvedDailyMeetingLimits,
+} from '../services/calendar/dailyMeetingLimitsStore.js';
 
 const router = Router();
 
@@ -351,4 +363,98 @@ router.put('/working-hours/batch', async (req: Request, res: Response): Promise<
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════
+// DAILY MEETING LIMITS ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════════
+
+function serializeDailyMeetingLimits(limits: ResolvedDailyMeetingLimits): Record<string, unknown> {
+  return {
+    max_meetings_per_day: limits.maxMeetingsPerDay,
+    max_meeting_minutes_per_day: limits.maxMeetingMinutesPerDay,
+    source: limits.source,
+    timezone: limits.timezone,
+    defaults: {
+      max_meetings_per_day: limits.defaults.maxMeetingsPerDay,
+      max_meeting_minutes_per_day: limits.defaults.maxMeetingMinutesPerDay,
+    },
+    bounds: {
+      min_meetings_per_day: MIN_MAX_MEETINGS_PER_DAY,
+      max_meetings_per_day: MAX_MAX_MEETINGS_PER_DAY,
+      min_meeting_minutes_per_day: MIN_MAX_MEETING_MINUTES_PER_DAY,
+      max_meeting_minutes_per_day: MAX_MAX_MEETING_MINUTES_PER_DAY,
+    },
+  };
+}
+
+/**
+ * Get daily meeting limits for a user
+ * GET /api/calendar/daily-limits?user_email=dev@autonome.us
+ */
+router.get('/daily-limits', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { user_email } = req.query;
+
+    if (!user_email || typeof user_email !== 'string') {
+      res.status(400).json({ error: 'user_email query parameter required' });
+      return;
+    }
+
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    const limits = await getDailyMeetingLimits(supabase, user_email);
+
+    res.json({
+      daily_limits: serializeDailyMeetingLimits(limits),
+    });
+  } catch (error) {
+    logger.error('Daily limits fetch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Update daily meeting limits. Null resets a limit to the configured default.
+ * PUT /api/calendar/daily-limits
+ * Body: { user_email, max_meetings_per_day, max_meeting_minutes_per_day }
+ */
+router.put('/daily-limits', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const { user_email } = req.body ?? {};
+
+    if (!user_email || typeof user_email !== 'string') {
+      res.status(400).json({
+        error: 'Missing required fields',
+        required: ['user_email'],
+      });
+      return;
+    }
+
+    const validation = validateDailyMeetingLimitsInput(req.body);
+
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.errors.join('; ') });
+      return;
+    }
+
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ error: 'Database service not available' });
+      return;
+    }
+
+    const limits = await saveDailyMeetingLimits(supabase, user_email, validation.value);
+
+    logger.info('Daily meeting limits updated:', { user_email, ...validation.value });
+    await invalidateCalendarAvailabilityCache();
+
+    res.json({
+      success: true,
+      daily_limits: serializeDailyMeetingLimits(limits),
+    });
+  } catch (error) {
+    logger.error('Daily limits update error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
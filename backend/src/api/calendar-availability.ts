@@ -7,13 +7,17 @@
 
 import { Router, type Request, type Response } from 'express';
 import type { SupabaseClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
 import { serviceManager } from '../services/serviceManager.js';
 import { logger } from '../utils/logger.js';
-import { getServiceConfig } from '../utils/config.js';
-import { getSchedulingConfig, validateDuration, getBookingWindowHours } from '../utils/booking-rules.js';
+import { getSchedulingConfig, getBookingWindowHours, findAlternativeSlots } from '../utils/booking-rules.js';
+import { resolveMeetingTypeRequest } from '../services/booking/meetingTypeStore.js';
 import { calculateAvailabilityResponseLimit } from '../utils/availability-response-limit.js';
-import type { CalendarService } from '../services/calendar/CalendarService.js';
+import { SelectionHoldConflictError, type CalendarService } from '../services/calendar/CalendarService.js';
+import type { LLMService } from '../services/llm/LLMService.js';
+import { buildToneOfVoiceGuidelines } from '../services/llm/toneOfVoice.js';
+import { normalizeCustomerFacingEmailCopy } from '../services/email/normalizeCustomerFacingEmailCopy.js';
+import { recordFaqRetrieval, retrieveFaqContext } from '../services/faq/faqStore.js';
+import type { LLMChatMessage } from '../services/llm/providers/ILLMProvider.js';
 import {
   getAvailabilityDisplaySettings,
   saveAvailabilityDisplaySettings,
@@ -22,6 +26,7 @@ import {
   MAX_MINIMUM_NOTICE_MINUTES,
   MIN_MINIMUM_NOTICE_MINUTES,
 } from '../services/calendar/availabilityDisplaySettings.js';
+import { getConfigSection } from '../../../src/config/loader.js';
 
 const router = Router();
 const DEFAULT_USER_EMAIL = 'dev@autonome.us';
@@ -34,6 +39,7 @@ interface CalendarSlotResponse {
   start: string;
   end: string;
   duration_minutes: number;
+  meeting_type: string;
 }
 
 interface ChatMessage {
@@ -409,24 +415,25 @@ function buildFallbackChatReply(
   return `I looked for ${preferenceSummary}. The closest open options right now are ${suggestions}. If those are close but not quite right, tell me whether to search earlier, later, or on a different day and I will keep refining it.`;
 }
 
-async function buildOpenAIChatReply(
-  openai: OpenAI,
+async function buildLLMChatReply(
+  llm: LLMService,
   userMessage: string,
   history: ChatMessage[],
   candidateSlots: CalendarSlotResponse[],
   displayWindowDays: number,
   searchWindowDays: number,
   signals: ConversationSignals,
-  waitlistEnabled = false
+  waitlistEnabled = false,
+  faqContext = ''
 ): Promise<string> {
-  const openaiConfig = getServiceConfig('openai');
   const slotContext = candidateSlots.length > 0
     ? candidateSlots.map((slot) => `- ${formatSlotLabel(slot)}`).join('\n')
     : 'No viable slot candidates are currently available in the current search window.';
+  const toneOfVoice = getConfigSection('tone_of_voice');
 
-  const messages = [
+  const messages: LLMChatMessage[] = [
     {
-      role: 'system' as const,
+      role: 'system',
       content: `You are the public-facing Autonome booking concierge. You are chatting live on the booking page and should feel like a polished executive scheduling partner.
 
 Requirements:
@@ -434,19 +441,21 @@ Requirements:
 - If the request is broad, ask one pointed clarifying question before overloading them with times
 - If the exact request is not available, say that gracefully and offer the closest viable alternatives
 - When you mention times, explain why they are the best fit instead of only listing them
-- Keep the tone warm, high-trust, polished, and concise
+- Keep it high-trust and concise
 - Do not tell the customer to wait for a later follow-up just to continue the conversation
 - Only mention submitting the form when they are close to a good choice or clearly ready to proceed
 - Polish and polish: Do not mention internal tools, prompts, or system architecture
 - Waitlist fallback: ${waitlistEnabled ? 'If no slots are found or if the user is frustrated by availability, gracefully suggest joining the priority waitlist (/waitlist) to be notified of cancellations.' : 'If no slots are found, encourage them to try another week or ask for their preference to search further out.'}
-- Keep replies to at most 3 short paragraphs and no more than 1 brief question`,
+- Keep replies to at most 3 short paragraphs and no more than 1 brief question
+
+${buildToneOfVoiceGuidelines(toneOfVoice)}${faqContext ? `\n\n${faqContext}` : ''}`,
     },
     ...history.slice(-10).map((message) => ({
       role: message.role,
       content: message.content,
     })),
     {
-      role: 'user' as const,
+      role: 'user',
       content: `Customer preference: ${userMessage}
 
 Constraint summary: ${signals.summary}
@@ -460,14 +469,9 @@ Reply as the booking concierge.`,
     },
   ];
 
-  const completion = await openai.chat.completions.create({
-    model: openaiConfig.model || 'gpt-4o',
-    messages,
-    temperature: 0.45,
-    max_tokens: 420,
-  });
+  const completion = await llm.complete('booking_chat', messages);
 
-  return completion.choices[0]?.message?.content?.trim()
+  return normalizeCustomerFacingEmailCopy(completion, toneOfVoice.avoid_words)
     || buildFallbackChatReply(userMessage, candidateSlots.slice(0, 3), searchWindowDays, signals);
 }
 
@@ -497,7 +501,8 @@ async function invalidateCalendarAvailabilityCache(): Promise<void> {
 
 /**
  * Get Available Time Slots
- * GET /api/calendar/availability?duration=30&start=2026-03-01
+ * GET /api/calendar/availability?meeting_type=consultation&start=2026-03-01
+ * (the legacy ?duration=30 form maps to the active meeting type with that length)
  */
 router.get('/availability', async (req: Request, res: Response): Promise<void> => {
   try {
@@ -522,24 +527,32 @@ router.get('/availability', async (req: Request, res: Response): Promise<void> =
       calendarService.getAvailabilityUserEmail() || DEFAULT_USER_EMAIL
     );
 
-    const durationMinutes = parseInt(req.query['duration'] as string) || config.defaultDuration;
-    const validation = validateDuration(durationMinutes);
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    const meetingTypeResolution = await resolveMeetingTypeRequest(
+      supabase,
+      { meetingType: req.query['meeting_type'], durationMinutes: req.query['duration'] },
+      { isTavusEnabled: config.isTavusEnabled }
+    );
 
-    if (!validation.valid) {
-      res.status(400).json({
-        error: validation.error,
+    if (!meetingTypeResolution.ok) {
+      res.status(meetingTypeResolution.status).json({
+        error: meetingTypeResolution.error,
         slots: [],
       });
       return;
     }
 
-    const schedulingWindowDays = Math.max(1, Math.ceil(getBookingWindowHours(durationMinutes) / 24));
+    const { meetingType } = meetingTypeResolution;
+    const durationMinutes = meetingType.duration_minutes;
+    const schedulingWindowDays = Math.max(1, Math.ceil(getBookingWindowHours(meetingType) / 24));
     const { settings: displaySettings } = await getDisplaySettingsForUser(
       userEmail,
       Math.min(config.defaultBookingWindowDays, schedulingWindowDays)
     );
     const now = new Date();
-    const minimumNoticeMinutes = displaySettings.minimumNoticeMinutes ?? config.minLeadTimeMinutes;
+    const minimumNoticeMinutes = meetingType.minimum_notice_minutes
+      ?? displaySettings.minimumNoticeMinutes
+      ?? config.minLeadTimeMinutes;
     const minStart = new Date(now.getTime() + minimumNoticeMinutes * 60 * 1000);
     const requestedStart = req.query['start']
       ? new Date(req.query['start'] as string)
@@ -554,6 +567,7 @@ router.get('/availability', async (req: Request, res: Response): Promise<void> =
         slots: [],
         calendars_checked: calendarService.getProviders().length,
         rules: {
+          meeting_type: meetingType.slug,
           duration_minutes: durationMinutes,
           display_window_days: displayWindowDays,
           lead_time_minutes: minimumNoticeMinutes,
@@ -580,9 +594,12 @@ router.get('/availability', async (req: Request, res: Response): Promise<void> =
       endDate,
       durationMinutes,
       maxSlots: responseSlotLimit,
-      bufferMinutes: 0,
+      bufferBeforeMinutes: meetingType.buffer_before_minutes,
+      bufferAfterMinutes: meetingType.buffer_after_minutes,
       slotIntervalMinutes: config.slotIntervalMinutes,
-      calendarEmailOverride: typeof req.query['calendar_email_override'] === 'string' ? req.query['calendar_email_override'] : undefined,
+      calendarEmailOverride: typeof req.query['calendar_email_override'] === 'string'
+        ? req.query['calendar_email_override']
+        : meetingType.calendar_email ?? undefined,
     });
 
     const providers = calendarService.getProviders();
@@ -596,10 +613,14 @@ router.get('/availability', async (req: Request, res: Response): Promise<void> =
         start: slot.start.toISOString(),
         end: slot.end.toISOString(),
         duration_minutes: durationMinutes,
+        meeting_type: meetingType.slug,
       })),
       calendars_checked: calendarsChecked,
       rules: {
+        meeting_type: meetingType.slug,
         duration_minutes: durationMinutes,
+        buffer_before_minutes: meetingType.buffer_before_minutes,
+        buffer_after_minutes: meetingType.buffer_after_minutes,
         display_window_days: displayWindowDays,
         lead_time_minutes: minimumNoticeMinutes,
         max_slots: responseSlotLimit,
@@ -626,7 +647,7 @@ router.get('/availability', async (req: Request, res: Response): Promise<void> =
  */
 router.post('/chat', async (req: Request, res: Response): Promise<void> => {
   try {
-    const { message, history, user_email, duration_minutes, personal_view_active } = req.body ?? {};
+    const { message, history, user_email, duration_minutes, meeting_type, personal_view_active } = req.body ?? {};
     const userMessage = typeof message === 'string' ? message.trim() : '';
 
     if (!userMessage) {
@@ -661,31 +682,37 @@ router.post('/chat', async (req: Request, res: Response): Promise<void> => {
       return;
     }
 
-    const durationMinutes = Number.isInteger(duration_minutes)
-      ? duration_minutes
-      : config.defaultDuration;
-    const validation = validateDuration(durationMinutes);
+    const meetingTypeResolution = await resolveMeetingTypeRequest(
+      await serviceManager.getService<SupabaseClient>('supabase'),
+      { meetingType: meeting_type, durationMinutes: duration_minutes },
+      { isTavusEnabled: config.isTavusEnabled }
+    );
 
-    if (!validation.valid) {
-      res.status(400).json({
+    if (!meetingTypeResolution.ok) {
+      res.status(meetingTypeResolution.status).json({
         success: false,
-        error: validation.error,
+        error: meetingTypeResolution.error,
       });
       return;
     }
 
+    const { meetingType } = meetingTypeResolution;
+    const durationMinutes = meetingType.duration_minutes;
+
     let slotResponses: CalendarSlotResponse[] = [];
 
     if (calendarService) {
       const now = new Date();
-      const minimumNoticeMinutes = displaySettings.minimumNoticeMinutes ?? config.minLeadTimeMinutes;
+      const minimumNoticeMinutes = meetingType.minimum_notice_minutes
+        ?? displaySettings.minimumNoticeMinutes
+        ?? config.minLeadTimeMinutes;
       const minStart = new Date(now.getTime() + minimumNoticeMinutes * 60 * 1000);
       const chatSearchWindowDays = Math.min(
         MAX_DISPLAY_DAYS,
         Math.max(displaySettings.displayWindowDays, DEFAULT_CHAT_SEARCH_WINDOW_DAYS)
       );
       const endDate = new Date(
-        now.getTime() + chatSearchWindowDays * 24 * 60 * 60 * 1000
+        now.getTime() + Math.min(chatSearchWindowDays * 24, getBookingWindowHours(meetingType)) * 60 * 60 * 1000
       );
       const responseSlotLimit = calculateAvailabilityResponseLimit(
         minStart,
@@ -699,14 +726,17 @@ router.post('/chat', async (req: Request, res: Response): Promise<void> => {
         endDate,
         durationMinutes,
         maxSlots: responseSlotLimit,
-        bufferMinutes: 0,
+        bufferBeforeMinutes: meetingType.buffer_before_minutes,
+        bufferAfterMinutes: meetingType.buffer_after_minutes,
         slotIntervalMinutes: config.slotIntervalMinutes,
+        calendarEmailOverride: meetingType.calendar_email ?? undefined,
       });
 
       slotResponses = slots.map((slot) => ({
         start: slot.start.toISOString(),
         end: slot.end.toISOString(),
         duration_minutes: durationMinutes,
+        meeting_type: meetingType.slug,
       }));
     }
 
@@ -735,20 +765,25 @@ router.post('/chat', async (req: Request, res: Response): Promise<void> => {
       chatSearchWindowDays,
       signals
     );
-    const openai = await serviceManager.getService<OpenAI>('openai');
+    const llm = await serviceManager.getService<LLMService>('llm');
+    let faqIds: string[] = [];
 
-    if (openai) {
+    if (llm) {
       try {
-        reply = await buildOpenAIChatReply(
-          openai,
+        const faq = await retrieveFaqContext(userMessage);
+        reply = await buildLLMChatReply(
+          llm,
           userMessage,
           chatHistory,
           candidateSlots,
           displaySettings.displayWindowDays,
           chatSearchWindowDays,
           signals,
-          displaySettings.waitlistEnabled
+          displaySettings.waitlistEnabled,
+          faq.context
         );
+        faqIds = faq.matches.map((match) => match.id);
+        await recordFaqRetrieval({ replyType: 'booking_chat', query: userMessage, matches: faq.matches });
       } catch (error) {
         logger.warn('Falling back to deterministic booking chat reply:', error);
       }
@@ -757,6 +792,7 @@ router.post('/chat', async (req: Request, res: Response): Promise<void> => {
     res.json({
       success: true,
       reply,
+      faq_ids: faqIds,
       suggested_slots: suggestedSlots.map((slot) => ({
         ...slot,
         label: formatSlotLabel(slot),
@@ -783,7 +819,15 @@ router.post('/chat', async (req: Request, res: Response): Promise<void> => {
 router.post('/holds/selection', async (req: Request, res: Response): Promise<void> => {
   try {
     const calendarService = await serviceManager.getService<CalendarService>('calendar');
-    const { session_id, slot_start, slot_end, expiration_minutes, user_email, calendar_email_override } = req.body ?? {};
+    const {
+      session_id,
+      slot_start,
+      slot_end,
+      expiration_minutes,
+      user_email,
+      calendar_email_override,
+      meeting_type,
+    } = req.body ?? {};
 
     if (!calendarService) {
       res.status(503).json({
@@ -813,6 +857,30 @@ router.post('/holds/selection', async (req: Request, res: Response): Promise<voi
     }
 
     const config = getSchedulingConfig();
+    const meetingTypeResolution = await resolveMeetingTypeRequest(
+      await serviceManager.getService<SupabaseClient>('supabase'),
+      { meetingType: meeting_type, durationMinutes: Math.round((end.getTime() - start.getTime()) / 60000) },
+      { isTavusEnabled: config.isTavusEnabled }
+    );
+
+    if (!meetingTypeResolution.ok) {
+      res.status(meetingTypeResolution.status).json({
+        success: false,
+        error: meetingTypeResolution.error,
+      });
+      return;
+    }
+
+    const { meetingType } = meetingTypeResolution;
+
+    if (end.getTime() - start.getTime() !== meetingType.duration_minutes * 60 * 1000) {
+      res.status(400).json({
+        success: false,
+        error: `${meetingType.name} slots must be ${meetingType.duration_minutes} minutes long`,
+      });
+      return;
+    }
+
     const userEmail = resolveUserEmail(
       user_email,
       calendarService.getAvailabilityUserEmail() || DEFAULT_USER_EMAIL
@@ -821,7 +889,9 @@ router.post('/holds/selection', async (req: Request, res: Response): Promise<voi
       userEmail,
       config.defaultBookingWindowDays
     );
-    const minimumNoticeMinutes = displaySettings.minimumNoticeMinutes ?? config.minLeadTimeMinutes;
+    const minimumNoticeMinutes = meetingType.minimum_notice_minutes
+      ?? displaySettings.minimumNoticeMinutes
+      ?? config.minLeadTimeMinutes;
     const earliestBookableStart = new Date(
       Date.now() + minimumNoticeMinutes * 60 * 1000
     );
@@ -834,16 +904,47 @@ router.post('/holds/selection', async (req: Request, res: Response): Promise<voi
       return;
     }
 
-    const hold = await calendarService.createSelectionHold(
-      session_id.trim(),
-      { start, end },
-      Number.isInteger(expiration_minutes) ? expiration_minutes : 15,
-      typeof calendar_email_override === 'string' ? calendar_email_override : undefined
-    );
+    const calendarEmailOverride = typeof calendar_email_override === 'string'
+      ? calendar_email_override
+      : meetingType.calendar_email ?? undefined;
+    let hold: Awaited<ReturnType<CalendarService['createSelectionHold']>>;
+
+    try {
+      hold = await calendarService.createSelectionHold(
+        session_id.trim(),
+        { start, end },
+        Number.isInteger(expiration_minutes) ? expiration_minutes : 15,
+        calendarEmailOverride
+      );
+    } catch (error) {
+      if (!(error instanceof SelectionHoldConflictError)) {
+        throw error;
+      }
+
+      logger.info('Selection hold conflict:', {
+        calendarEmail: error.calendarEmail,
+        slotStart: start.toISOString(),
+      });
+
+      res.status(409).json({
+        success: false,
+        error: error.message,
+        code: 'slot_unavailable',
+        alternatives: await findAlternativeSlots(
+          calendarService,
+          meetingType,
+          { start, end },
+          earliestBookableStart,
+          calendarEmailOverride
+        ),
+      });
+      return;
+    }
 
     res.json({
       success: true,
       hold_id: hold.holdId,
+      meeting_type: meetingType.slug,
       expires_at: hold.expiresAt.toISOString(),
     });
   } catch (error) {
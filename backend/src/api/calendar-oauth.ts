@@ -318,6 +318,8 @@ router.get('/accounts', async (req: Request, res: Response): Promise<void> => {
       webhook_channel_id: calendar.webhook_channel_id ?? null,
       webhook_resource_id: calendar.webhook_resource_id ?? null,
       webhook_expires_at: calendar.webhook_expires_at ?? null,
+      buffer_before_minutes: calendar.buffer_before_minutes ?? null,
+      buffer_after_minutes: calendar.buffer_after_minutes ?? null,
     }));
 
     res.json({
@@ -384,6 +386,87 @@ async function setPrimaryCalendarHandler(req: Request, res: Response): Promise<v
 router.post('/accounts/:id/primary', setPrimaryCalendarHandler);
 router.put('/accounts/:id/primary', setPrimaryCalendarHandler);
 
+const MAX_CALENDAR_BUFFER_MINUTES = 240;
+
+function parseCalendarBufferMinutes(value: unknown): number | null | undefined {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || (value as number) < 0 || (value as number) > MAX_CALENDAR_BUFFER_MINUTES) {
+    return undefined;
+  }
+
+  return value as number;
+}
+
+/**
+ * Set the buffers kept free before and after every meeting on a calendar.
+ * PUT /api/calendar/accounts/:id/buffers
+ * Body: { buffer_before_minutes: number | null, buffer_after_minutes: number | null }
+ */
+router.put('/accounts/:id/buffers', async (req: Request, res: Response): Promise<void> => {
+  const { id } = req.params;
+
+  if (!id) {
+    res.status(400).json({ error: 'Calendar ID is required' });
+    return;
+  }
+
+  const bufferBefore = parseCalendarBufferMinutes(req.body?.buffer_before_minutes ?? null);
+  const bufferAfter = parseCalendarBufferMinutes(req.body?.buffer_after_minutes ?? null);
+
+  if (bufferBefore === undefined || bufferAfter === undefined) {
+    res.status(400).json({
+      error: `Buffers must be whole minutes between 0 and ${MAX_CALENDAR_BUFFER_MINUTES}, or null`,
+    });
+    return;
+  }
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ error: 'Database service not available' });
+      return;
+    }
+
+    const { data: calendar, error } = await supabase
+      .from('calendar_accounts')
+      .update({
+        buffer_before_minutes: bufferBefore,
+        buffer_after_minutes: bufferAfter,
+      })
+      .eq('id', id)
+      .select('id, calendar_email')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!calendar) {
+      res.status(404).json({ error: 'Calendar not found' });
+      return;
+    }
+
+    logger.info(`Calendar account ${id} buffers updated`, { bufferBefore, bufferAfter });
+    await refreshCalendarRuntimeState();
+
+    res.json({
+      success: true,
+      calendar_id: id,
+      calendar_email: calendar.calendar_email,
+      buffer_before_minutes: bufferBefore,
+      buffer_after_minutes: bufferAfter,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Failed to update calendar buffers:', errorMessage);
+    res.status(500).json({ error: 'Failed to update calendar buffers' });
+  }
+});
+
 /**
  * Disconnect Calendar
  * DELETE /api/calendar/accounts/:id
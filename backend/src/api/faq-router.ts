@@ -0,0 +1,141 @@
+import { Router, Request, Response } from 'express';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../utils/logger.js';
+import { serviceManager } from '../services/serviceManager.js';
+import { requireBookingAdminSecret } from './booking-admin-auth.js';
+import type { LLMService } from '../services/llm/LLMService.js';
+import { validateFaqEntryInput } from '../services/faq/faqEntries.js';
+import { deleteFaqEntry, getFaqEntry, listFaqEntries, saveFaqEntry } from '../services/faq/faqStore.js';
+
+const router = Router();
+
+/**
+ * List FAQ entries. Pass include_inactive=true to see disabled entries.
+ * GET /api/faq
+ */
+router.get('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const entries = await listFaqEntries(supabase, { includeInactive: req.query['include_inactive'] === 'true' });
+
+    res.json({ success: true, entries, total: entries.length });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('FAQ entries fetch failed:', errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+/**
+ * Create an FAQ entry and embed it. Entries are injected into customer-facing drafts, so
+ * changes need the booking admin secret.
+ * POST /api/faq
+ * Body: { question, answer, category?, tags?, priority?, is_active? }
+ */
+router.post('/', requireBookingAdminSecret, async (req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const validation = validateFaqEntryInput(req.body);
+
+    if (!validation.valid) {
+      res.status(400).json({ success: false, errors: validation.errors });
+      return;
+    }
+
+    const llm = await serviceManager.getService<LLMService>('llm');
+    const { entry, embedded } = await saveFaqEntry(supabase, llm, validation.value);
+    logger.info('FAQ entry created:', { id: entry.id, embedded });
+
+    res.status(201).json({ success: true, entry, embedded });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('FAQ entry creation failed:', errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+/**
+ * Update an FAQ entry and regenerate its embedding
+ * PUT /api/faq/:id
+ */
+router.put('/:id', requireBookingAdminSecret, async (req: Request, res: Response): Promise<void> => {
+  const id = req.params['id'] || '';
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const existing = await getFaqEntry(supabase, id);
+
+    if (!existing) {
+      res.status(404).json({ success: false, error: 'FAQ entry not found' });
+      return;
+    }
+
+    const validation = validateFaqEntryInput(req.body, existing);
+
+    if (!validation.valid) {
+      res.status(400).json({ success: false, errors: validation.errors });
+      return;
+    }
+
+    const llm = await serviceManager.getService<LLMService>('llm');
+    const { entry, embedded } = await saveFaqEntry(supabase, llm, validation.value, id);
+    logger.info('FAQ entry updated:', { id, embedded });
+
+    res.json({ success: true, entry, embedded });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`FAQ entry ${id} update failed:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+/**
+ * Delete an FAQ entry
+ * DELETE /api/faq/:id
+ */
+router.delete('/:id', requireBookingAdminSecret, async (req: Request, res: Response): Promise<void> => {
+  const id = req.params['id'] || '';
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const deleted = await deleteFaqEntry(supabase, id);
+
+    if (!deleted) {
+      res.status(404).json({ success: false, error: 'FAQ entry not found' });
+      return;
+    }
+
+    logger.info('FAQ entry deleted:', { id });
+    res.json({ success: true });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`FAQ entry ${id} deletion failed:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+export default router;
@@ -0,0 +1,228 @@
+import { Router, Request, Response } from 'express';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../utils/logger.js';
+import { serviceManager } from '../services/serviceManager.js';
+import type { CalendarService } from '../services/calendar/CalendarService.js';
+import { getMeetingType, listMeetingTypes, saveMeetingType } from '../services/booking/meetingTypeStore.js';
+import {
+  MEETING_INTAKE_QUESTION_TYPES,
+  MEETING_LOCATION_KINDS,
+  validateMeetingTypeInput,
+  type MeetingTypeDefinition,
+} from '../services/booking/meetingTypes.js';
+
+const router = Router();
+
+async function invalidateCalendarAvailabilityCache(): Promise<void> {
+  const calendarService = await serviceManager.getService<CalendarService>('calendar');
+  calendarService?.invalidateAvailabilityCache();
+}
+
+/**
+ * Public view of a meeting type for the booking form (no internal routing details).
+ */
+function toPublicMeetingType(meetingType: MeetingTypeDefinition): Record<string, unknown> {
+  return {
+    slug: meetingType.slug,
+    name: meetingType.name,
+    description: meetingType.description,
+    duration_minutes: meetingType.duration_minutes,
+    location_kind: meetingType.location_kind,
+    intake_questions: meetingType.intake_questions,
+  };
+}
+
+/**
+ * List meeting types. Admin callers pass include_inactive=true to see every type.
+ * GET /api/meeting-types
+ */
+router.get('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const includeInactive = req.query['include_inactive'] === 'true';
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    const meetingTypes = await listMeetingTypes(supabase, { includeInactive });
+
+    res.json({
+      success: true,
+      meeting_types: includeInactive ? meetingTypes : meetingTypes.map(toPublicMeetingType),
+      total: meetingTypes.length,
+      options: {
+        location_kinds: MEETING_LOCATION_KINDS,
+        intake_question_types: MEETING_INTAKE_QUESTION_TYPES,
+      },
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Meeting types fetch failed:', errorMessage);
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+    });
+  }
+});
+
+/**
+ * Get a single active meeting type for the booking form.
+ * GET /api/meeting-types/:slug
+ */
+router.get('/:slug', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    const meetingType = await getMeetingType(supabase, String(req.params['slug'] || '').toLowerCase());
+
+    if (!meetingType || !meetingType.is_active) {
+      res.status(404).json({
+        success: false,
+        error: 'Meeting type not found',
+      });
+      return;
+    }
+
+    res.json({
+      success: true,
+      meeting_type: toPublicMeetingType(meetingType),
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Meeting type fetch failed:', errorMessage);
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+    });
+  }
+});
+
+/**
+ * Create a meeting type.
+ * POST /api/meeting-types
+ * Body: { slug, name, duration_minutes, buffer_before_minutes?, buffer_after_minutes?, minimum_notice_minutes?,
+ *         booking_window_hours?, calendar_email?, location_kind?, location_details?, intake_questions? }
+ */
+router.post('/', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const validation = validateMeetingTypeInput(req.body);
+
+    if (!validation.valid) {
+      res.status(400).json({ success: false, errors: validation.errors });
+      return;
+    }
+
+    const existing = await getMeetingType(supabase, validation.value.slug);
+
+    if (existing) {
+      res.status(409).json({
+        success: false,
+        error: `Meeting type "${validation.value.slug}" already exists`,
+      });
+      return;
+    }
+
+    const meetingType = await saveMeetingType(supabase, validation.value);
+    logger.info('Meeting type created:', { slug: meetingType.slug });
+    await invalidateCalendarAvailabilityCache();
+
+    res.status(201).json({
+      success: true,
+      meeting_type: meetingType,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Meeting type creation failed:', errorMessage);
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+    });
+  }
+});
+
+/**
+ * Update a meeting type. Editing a built-in type stores a database override.
+ * PUT /api/meeting-types/:slug
+ */
+router.put('/:slug', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const existing = await getMeetingType(supabase, String(req.params['slug'] || '').toLowerCase());
+
+    if (!existing) {
+      res.status(404).json({ success: false, error: 'Meeting type not found' });
+      return;
+    }
+
+    const validation = validateMeetingTypeInput(req.body, existing);
+
+    if (!validation.valid) {
+      res.status(400).json({ success: false, errors: validation.errors });
+      return;
+    }
+
+    const meetingType = await saveMeetingType(supabase, validation.value);
+    logger.info('Meeting type updated:', { slug: meetingType.slug });
+    await invalidateCalendarAvailabilityCache();
+
+    res.json({
+      success: true,
+      meeting_type: meetingType,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Meeting type update failed:', errorMessage);
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+    });
+  }
+});
+
+/**
+ * Deactivate a meeting type (soft delete)
+ * DELETE /api/meeting-types/:slug
+ */
+router.delete('/:slug', async (req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database service not available' });
+      return;
+    }
+
+    const existing = await getMeetingType(supabase, String(req.params['slug'] || '').toLowerCase());
+
+    if (!existing) {
+      res.status(404).json({ success: false, error: 'Meeting type not found' });
+      return;
+    }
+
+    await saveMeetingType(supabase, { ...existing, is_active: false });
+    logger.info('Meeting type deactivated:', { slug: existing.slug });
+    await invalidateCalendarAvailabilityCache();
+
+    res.json({
+      success: true,
+      message: 'Meeting type deactivated successfully',
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Meeting type deactivation failed:', errorMessage);
+    res.status(500).json({
+      success: false,
+      error: errorMessage,
+    });
+  }
+});
+
+export default router;
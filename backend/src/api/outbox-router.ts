@@ -0,0 +1,77 @@
+import { Router, Request, Response } from 'express';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../utils/logger.js';
+import { serviceManager } from '../services/serviceManager.js';
+import { requireBookingAdminSecret } from './booking-admin-auth.js';
+import { getOutboxSummary, retryDeadLetter } from '../services/outbox/outbox.js';
+
+const router = Router();
+
+/**
+ * Outbox queue counts and recent dead letters. Dead letters carry customer emails and Slack
+ * posts, so this router needs the booking admin secret.
+ * GET /api/outbox
+ */
+router.get('/', requireBookingAdminSecret, async (_req: Request, res: Response): Promise<void> => {
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database not available' });
+      return;
+    }
+
+    const summary = await getOutboxSummary(supabase);
+
+    res.json({ success: true, outbox: summary });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Failed to load outbox summary:', errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+/**
+ * Retry a dead-lettered side effect now
+ * POST /api/outbox/:id/retry
+ */
+router.post('/:id/retry', requireBookingAdminSecret, async (req: Request, res: Response): Promise<void> => {
+  const id = req.params['id'] || '';
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      res.status(503).json({ success: false, error: 'Database not available' });
+      return;
+    }
+
+    const item = await retryDeadLetter(supabase, id);
+
+    if (!item) {
+      res.status(404).json({ success: false, error: 'Dead-lettered item not found' });
+      return;
+    }
+
+    logger.info(`Outbox item ${id} retried from the admin dashboard: ${item.status}`);
+
+    res.json({
+      success: true,
+      item: {
+        id: item.id,
+        kind: item.kind,
+        context: item.context,
+        status: item.status,
+        attempts: item.attempts,
+        last_error: item.last_error,
+        next_attempt_at: item.next_attempt_at,
+      },
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Failed to retry outbox item ${id}:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+export default router;
@@ -1,15 +1,47 @@
 import express, { type Router, type Request, type Response, type NextFunction } from 'express';
-import crypto from 'crypto';
-import type { WebClient } from '@slack/web-api';
+import type { KnownBlock, WebClient } from '@slack/web-api';
 import type { SupabaseClient } from '@supabase/supabase-js';
-import type OpenAI from 'openai';
-import type { Resend } from 'resend';
 import { serviceManager } from '../services/serviceManager.js';
+import { getEmailErrorMessage } from '../services/email/sendTransactionalEmail.js';
+import { sendApprovedBookingEmail } from '../services/email/sendApprovedBookingEmail.js';
+import type { LLMService } from '../services/llm/LLMService.js';
+import { hasDraftChanged, type DraftDiff } from '../services/approval/draftDiff.js';
+import { recordApprovalAudit, type ApprovalAuditAction } from '../services/approval/approvalAudit.js';
 import {
-  getEmailErrorMessage,
-  sendTransactionalEmail,
-} from '../services/email/sendTransactionalEmail.js';
-import { normalizeCustomerFacingEmailCopy } from '../services/email/normalizeCustomerFacingEmailCopy.js';
+  escalateRevisionLimit,
+  generateRevisedDraft,
+  getMaxRevisionRounds,
+  loadBookingReviewState,
+  REVISABLE_DRAFT_STATUSES,
+  saveDraftRevision,
+  type BookingReviewState,
+} from '../services/approval/draftRevision.js';
+import {
+  buildRevisionLimitMessage,
+  getDecisionWaitMs,
+  getNextRevisionRound,
+  hasReachedRevisionLimit,
+} from '../services/approval/revisionLimit.js';
+import { HANDED_BACK_STATUS, HUMAN_TAKEOVER_STATUS } from '../services/conversation/humanTakeover.js';
+import {
+  buildHandBackToAiActions,
+  findHumanTakeoverBookingByThread,
+  sendHumanTakeoverReply,
+} from '../services/conversation/humanTakeoverBridge.js';
+import { isSlackSignatureVerificationEnabled, verifySlackRequest } from '../services/slack/slackRequestMiddleware.js';
+import { parseBookingCommand } from '../services/slack/bookingCommand.js';
+import { runBookingCommand } from '../services/slack/bookingCommandHandler.js';
+import {
+  buildRevisedDraftBlocks,
+  buildRevisionModal,
+  canEditInModal,
+  parseRevisionModalSubmission,
+  REVISION_MODAL_CALLBACK_ID,
+  type RevisionModalBooking,
+  type RevisionModalContext,
+  type RevisionModalSubmission,
+  type RevisionModalView,
+} from '../services/slack/revisionModal.js';
 import { getServiceConfig } from '../utils/config.js';
 import { logger } from '../utils/logger.js';
 
@@ -58,11 +90,15 @@ interface SlackPayload {
   actions?: SlackAction[];
   message?: SlackMessage;
   message_ts?: string;
+  trigger_id?: string;
+  view?: RevisionModalView;
 }
 
 interface SlackEvent {
   type: string;
+  subtype?: string;
   channel: string;
+  user?: string;
   text?: string;
   thread_ts?: string;
   ts: string;
@@ -75,13 +111,6 @@ interface SlackEventRequest {
   event?: SlackEvent;
 }
 
-/**
- * Extended Request type with rawBody
- */
-interface SlackRequest extends Request {
-  rawBody?: string;
-}
-
 /**
  * Database update data structure
  */
@@ -92,21 +121,16 @@ interface BookingUpdateData {
   channel_id?: string;
 }
 
-interface BookingEmailRecord {
-  id?: string;
-  processing_id: string;
-  email_from: string;
-  customer_name: string | null;
-  company_name: string | null;
-  drafted_email: string | null;
-  email_thread_id?: string | null;
-}
-
-interface EmailConversationRecord {
-  id: string;
-  messages: unknown[];
-  turns_count: number | null;
-}
+/**
+ * Slack buttons recorded in approval_audit_log, with the Slack user and how long the draft
+ * waited for the decision. Revise only records the request; the 'revised' entry is written
+ * by saveDraftRevision once a new draft is saved.
+ */
+const SLACK_AUDIT_ACTIONS: Record<string, ApprovalAuditAction> = {
+  approve_email: 'approved',
+  revise_email: 'revision_requested',
+  human_takeover: 'human_takeover',
+};
 
 /**
  * CRITICAL FIX: Resolve fake/test channel IDs to real channel ID
@@ -146,305 +170,25 @@ function resolveRealChannelId(channelId: string): string {
   return channelId;
 }
 
-function buildBookingEmailSubject(booking: BookingEmailRecord): string {
-  const companyName = booking.company_name?.trim();
-  const bookingReference = `[${booking.processing_id}]`;
-
-  if (companyName) {
-    return `Your Autonome consultation request for ${companyName} ${bookingReference}`;
-  }
-
-  return `Your Autonome consultation request ${bookingReference}`;
-}
-
-function buildBookingEmailBody(booking: BookingEmailRecord): string {
-  const baseBody = normalizeCustomerFacingEmailCopy(booking.drafted_email?.trim() || '');
-  const footer = `\n\nBooking reference: ${booking.processing_id}\nReply directly to this email to continue scheduling with Autonome.`;
-  return `${baseBody}${footer}`;
-}
-
-function extractFallbackBookingFromSlackMessage(
-  message: SlackMessage | undefined,
-  bookingId: string
-): BookingEmailRecord | null {
-  if (!message?.blocks?.length) {
-    return null;
-  }
-
-  let recipient: string | null = null;
-  let draftedEmail: string | null = null;
-  let customerName: string | null = null;
-  let companyName: string | null = null;
-
-  for (const block of message.blocks) {
-    if (Array.isArray(block.fields)) {
-      for (const field of block.fields) {
-        const text = field?.text || '';
-        const emailMatch = text.match(/\*Email:\*\s+([^\s]+)/);
-        if (emailMatch?.[1]) {
-          recipient = emailMatch[1].trim();
-        }
-
-        const customerMatch = text.match(/\*Customer:\*\s+(.+)/);
-        if (customerMatch?.[1]) {
-          customerName = customerMatch[1].trim();
-        }
-
-        const companyMatch = text.match(/\*Company:\*\s+(.+)/);
-        if (companyMatch?.[1] && companyMatch[1] !== 'Not specified') {
-          companyName = companyMatch[1].trim();
-        }
-      }
-    }
-
-    const blockText = block.text?.text || '';
-    if (blockText.includes('DRAFTED EMAIL RESPONSE:')) {
-      draftedEmail = blockText.replace(/^[\s\S]*DRAFTED EMAIL RESPONSE:\*\n*/u, '').trim();
-    }
-  }
-
-  if (!recipient || !draftedEmail) {
-    return null;
-  }
-
-  return {
-    processing_id: bookingId,
-    email_from: recipient,
-    customer_name: customerName,
-    company_name: companyName,
-    drafted_email: draftedEmail,
-    email_thread_id: null,
-  };
-}
-
-async function resolveBookingEmailRecord(
-  supabase: SupabaseClient,
-  bookingId: string,
-  fallbackMessage?: SlackMessage
-): Promise<BookingEmailRecord> {
-  const { data: bookings, error } = await supabase
-    .from('booking_inquiries')
-    .select('id, processing_id, email_from, customer_name, company_name, drafted_email, email_thread_id, updated_at')
-    .eq('processing_id', bookingId)
-    .order('updated_at', { ascending: false })
-    .limit(5);
-
-  if (error) {
-    throw new Error(`Booking lookup failed for email send: ${error.message}`);
-  }
-
-  if (Array.isArray(bookings) && bookings.length > 0) {
-    const preferredRecord = bookings.find(
-      (record) =>
-        Boolean((record as BookingEmailRecord).email_from)
-        && Boolean((record as BookingEmailRecord).drafted_email?.trim())
-    ) || bookings[0];
-
-    return preferredRecord as BookingEmailRecord;
-  }
-
-  const fallbackBooking = extractFallbackBookingFromSlackMessage(fallbackMessage, bookingId);
-  if (fallbackBooking) {
-    logger.warn(`Using Slack thread fallback email context for booking ${bookingId}`);
-    return fallbackBooking;
-  }
-
-  throw new Error(`Booking not found for email send: ${bookingId}`);
-}
-
-async function persistConversationTurn(
-  supabase: SupabaseClient,
-  booking: BookingEmailRecord,
-  threadId: string,
-  content: string
-): Promise<void> {
-  if (!booking.id) {
-    return;
-  }
-
-  try {
-    const { data: existing, error: fetchError } = await supabase
-      .from('email_conversations')
-      .select('id, messages, turns_count')
-      .eq('thread_id', threadId)
-      .maybeSingle<EmailConversationRecord>();
-
-    if (fetchError) {
-      throw fetchError;
-    }
-
-    const messageEntry = {
-      direction: 'outbound',
-      content,
-      timestamp: new Date().toISOString(),
-      metadata: {
-        source: 'slack_approval',
-      },
-    };
-
-    if (existing) {
-      const messages = Array.isArray(existing.messages) ? [...existing.messages, messageEntry] : [messageEntry];
-      await supabase
-        .from('email_conversations')
-        .update({
-          messages,
-          turns_count: (existing.turns_count || 0) + 1,
-          last_outbound_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', existing.id);
-      return;
-    }
-
-    await supabase.from('email_conversations').insert({
-      booking_inquiry_id: booking.id,
-      thread_id: threadId,
-      turns_count: 1,
-      messages: [messageEntry],
-      conversation_stage: 'gathering_info',
-      last_outbound_at: new Date().toISOString(),
-    });
-  } catch (error) {
-    logger.warn('Failed to persist approved outbound conversation turn:', error);
-  }
-}
-
-async function sendApprovedBookingEmail(
-  bookingId: string,
-  fallbackMessage?: SlackMessage
-): Promise<{ fromAddress: string; messageId: string | null }> {
-  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
-  const emailService = await serviceManager.getService<Resend>('email');
-
-  if (!supabase) {
-    throw new Error('Database service not available');
-  }
-
-  if (!emailService) {
-    throw new Error('Email service not available');
-  }
-
-  const booking = await resolveBookingEmailRecord(supabase, bookingId, fallbackMessage);
-
-  if (!booking.drafted_email?.trim()) {
-    throw new Error(`No drafted email content available for booking ${bookingId}`);
-  }
-
-  const threadToken = booking.email_thread_id?.trim() || `booking-thread:${booking.processing_id}`;
-
-  const emailResult = await sendTransactionalEmail({
-    emailService,
-    to: [booking.email_from],
-    subject: buildBookingEmailSubject(booking),
-    text: buildBookingEmailBody(booking),
-    context: `slack_approved_booking:${bookingId}`,
-  });
-
-  logger.info(`Approved email accepted by Resend for booking ${bookingId}`, {
-    messageId: emailResult.messageId,
-    recipient: booking.email_from,
-  });
-
-  await persistConversationTurn(
-    supabase,
-    booking,
-    threadToken,
-    normalizeCustomerFacingEmailCopy(booking.drafted_email)
-  );
-
-  let updateError: { message?: string } | null = null;
-
-  if (booking.id) {
-    const updateResult = await supabase
-      .from('booking_inquiries')
-      .update({
-        status: 'sent',
-        email_thread_id: threadToken,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', booking.id);
-
-    updateError = updateResult.error;
-  }
-
-  if (updateError) {
-    logger.error(`Email sent but failed to update status for booking ${bookingId}:`, updateError);
-  }
-
-  return emailResult;
-}
-
 /**
- * Slack verification middleware with proper signature validation
+ * Request logging for every Slack route. Signature verification is applied per route by
+ * verifySlackRequest.
  */
-router.use((req: SlackRequest, res: Response, next: NextFunction): void => {
-  // Always log incoming Slack requests for debugging
+router.use((req: Request, _res: Response, next: NextFunction): void => {
   logger.info('Slack request received', {
     method: req.method,
     path: req.path,
-    headers: {
-      'x-slack-signature': req.headers['x-slack-signature'] || 'none',
-      'x-slack-request-timestamp': req.headers['x-slack-request-timestamp'] || 'none',
-      'content-type': req.headers['content-type'],
-    },
-    body_type: typeof req.body,
-    body_keys: Object.keys(req.body || {}),
+    content_type: req.headers['content-type'],
+    retry_num: req.headers['x-slack-retry-num'] ?? null,
   });
 
-  // Enable signature verification for production (CRITICAL FIX)
-  if (process.env['NODE_ENV'] === 'production' && process.env['SLACK_SIGNING_SECRET']) {
-    const signature = req.headers['x-slack-signature'] as string | undefined;
-    const timestamp = req.headers['x-slack-request-timestamp'] as string | undefined;
-
-    if (!signature || !timestamp) {
-      logger.error('Missing Slack signature or timestamp headers');
-      res.status(401).json({ error: 'Unauthorized - Missing signature' });
-      return;
-    }
-
-    // Check if request is within 5 minutes (prevent replay attacks)
-    const fiveMinutesAgo = Math.floor(Date.now() / 1000) - 60 * 5;
-    if (parseInt(timestamp) < fiveMinutesAgo) {
-      logger.error('Slack request timestamp too old', {
-        timestamp,
-        now: Math.floor(Date.now() / 1000),
-      });
-      res.status(401).json({ error: 'Unauthorized - Request too old' });
-      return;
-    }
-
-    // Verify signature - use raw body, not JSON.stringify for form-encoded data
-    const rawBody = req.rawBody || JSON.stringify(req.body);
-    const sigBasestring = 'v0:' + timestamp + ':' + rawBody;
-    const expectedSignature =
-      'v0=' +
-      crypto
-        .createHmac('sha256', process.env['SLACK_SIGNING_SECRET']!)
-        .update(sigBasestring, 'utf8')
-        .digest('hex');
-
-    if (signature !== expectedSignature) {
-      logger.error('Invalid Slack signature', {
-        received: signature,
-        expected: expectedSignature,
-        basestring: sigBasestring,
-      });
-      res.status(401).json({ error: 'Unauthorized - Invalid signature' });
-      return;
-    }
-
-    logger.info('Slack signature verification passed');
-  } else {
-    logger.info('Slack signature verification skipped (not production or missing secret)');
-  }
-
   next();
 });
 
 /**
  * Slack message events endpoint for revision feedback
  */
-router.post('/events', async (req: Request, res: Response): Promise<void> => {
+router.post('/events', verifySlackRequest, async (req: Request, res: Response): Promise<void> => {
   try {
     const eventRequest = req.body as SlackEventRequest;
 
@@ -457,13 +201,15 @@ router.post('/events', async (req: Request, res: Response): Promise<void> => {
 
     const { event } = eventRequest;
 
-    // Handle message events for revision feedback
-    if (event && event.type === 'message' && event.thread_ts && !event.bot_id) {
+    // Handle thread replies: human takeover replies to the customer, otherwise revision feedback
+    if (event && event.type === 'message' && event.thread_ts && !event.bot_id && !event.subtype) {
       logger.info('Slack message event received:', event);
 
-      // Check if this is revision feedback
       const messageText = event.text;
-      if (messageText && messageText.length > 10) {
+      const relayedToCustomer = messageText?.trim() ? await relayHumanTakeoverReply(event, messageText) : false;
+
+      // Check if this is revision feedback
+      if (!relayedToCustomer && messageText && messageText.length > 10) {
         await processRevisionFeedback(event, messageText);
       }
     }
@@ -475,16 +221,58 @@ router.post('/events', async (req: Request, res: Response): Promise<void> => {
   }
 });
 
+/**
+ * Email a teammate's reply in a human takeover thread to the customer.
+ * Returns false when the thread does not belong to a booking in human takeover.
+ */
+async function relayHumanTakeoverReply(event: SlackEvent, text: string): Promise<boolean> {
+  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+  if (!supabase || !event.thread_ts) {
+    return false;
+  }
+
+  const channelId = resolveRealChannelId(event.channel);
+  const booking = await findHumanTakeoverBookingByThread(supabase, channelId, event.thread_ts);
+
+  if (!booking) {
+    return false;
+  }
+
+  let confirmation: string;
+
+  try {
+    const dispatch = await sendHumanTakeoverReply(supabase, booking, text, event.user);
+    confirmation = dispatch.delivered
+      ? `📤 Sent to ${booking.email_from}.`
+      : `📤 Email service is unavailable. The reply to ${booking.email_from} is queued and will be sent automatically once it recovers.`;
+    logger.info(`Human takeover reply ${dispatch.delivered ? 'sent' : 'queued'} for booking ${booking.processing_id}`);
+  } catch (error) {
+    logger.error(`Failed to send human takeover reply for booking ${booking.processing_id}:`, error);
+    confirmation = `Email send failed for booking ${booking.processing_id}: ${getEmailErrorMessage(error)}`;
+  }
+
+  const slack = await serviceManager.getService<WebClient>('slack');
+
+  try {
+    await slack?.chat.postMessage({ channel: channelId, thread_ts: event.thread_ts, text: confirmation });
+  } catch (slackError) {
+    logger.error('Failed to post human takeover confirmation to Slack:', slackError);
+  }
+
+  return true;
+}
+
 /**
  * Process revision feedback from Slack thread
  */
 async function processRevisionFeedback(event: SlackEvent, feedback: string): Promise<void> {
   try {
     const slack = await serviceManager.getService<WebClient>('slack');
-    const openai = await serviceManager.getService<OpenAI>('openai');
+    const llm = await serviceManager.getService<LLMService>('llm');
 
-    if (!slack || !openai) {
-      logger.warn('Required services (Slack, OpenAI) not available for revision feedback');
+    if (!slack || !llm) {
+      logger.warn('Required services (Slack, LLM) not available for revision feedback');
       return;
     }
 
@@ -495,6 +283,9 @@ async function processRevisionFeedback(event: SlackEvent, feedback: string): Pro
     // CRITICAL FIX: First try database lookup for booking with matching thread context
     let bookingId: string | null = null;
     let originalEmail: string | null = null;
+    let foundInDatabase = false;
+    let revisionRounds = 0;
+    let awaitingSince: string | null = null;
 
     // CRITICAL FIX: Enhanced database lookup with retry mechanism
     try {
@@ -514,7 +305,7 @@ async function processRevisionFeedback(event: SlackEvent, feedback: string): Pro
 
           const { data: bookings, error } = await supabase
             .from('booking_inquiries')
-            .select('processing_id, drafted_email')
+            .select('processing_id, drafted_email, revision_rounds, updated_at')
             .eq('thread_ts', event.thread_ts)
             .eq('channel_id', realChannelId)
             .eq('status', 'revised')
@@ -526,6 +317,9 @@ async function processRevisionFeedback(event: SlackEvent, feedback: string): Pro
             if (booking) {
               bookingId = booking.processing_id;
               originalEmail = booking.drafted_email;
+              foundInDatabase = true;
+              revisionRounds = booking.revision_rounds ?? 0;
+              awaitingSince = booking.updated_at;
               logger.info(`Found booking via database lookup: ${bookingId}`);
             }
             break; // Success, exit retry loop
@@ -606,12 +400,13 @@ async function processRevisionFeedback(event: SlackEvent, feedback: string): Pro
         const bookingMatch =
           message.text?.match(/booking[_\s\-]*([a-zA-Z0-9_]+)/i) ||
           message.text?.match(/ID[:\s]*([a-zA-Z0-9_]+)/i);
-        if (bookingMatch && bookingMatch[1]) {
+        // The database row is authoritative; the thread text is only a fallback
+        if (!foundInDatabase && bookingMatch && bookingMatch[1]) {
           bookingId = bookingMatch[1];
         }
 
         // Extract original email from previous messages
-        if (message.text?.includes('DRAFTED EMAIL RESPONSE:')) {
+        if (!foundInDatabase && message.text?.includes('DRAFTED EMAIL RESPONSE:')) {
           const emailMatch = message.text.match(/DRAFTED EMAIL RESPONSE:\*\n\n([\s\S]*?)(?:\n\*|$)/);
           if (emailMatch && emailMatch[1]) {
             originalEmail = emailMatch[1].trim();
@@ -647,89 +442,65 @@ The Autonome.us Team`;
       logger.warn('Could not find original email, using template');
     }
 
-    logger.info(`Processing revision feedback for booking ${bookingId}: ${feedback}`);
+    const maxRevisionRounds = getMaxRevisionRounds();
+
+    if (foundInDatabase && hasReachedRevisionLimit(revisionRounds, maxRevisionRounds)) {
+      const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+      const escalated = supabase
+        ? await escalateRevisionLimit(supabase, {
+          processingId: bookingId,
+          channelId: realChannelId,
+          threadTs: event.thread_ts!,
+          revisionRounds,
+          maxRevisionRounds,
+          actorSlackId: event.user ?? null,
+          awaitingSince,
+        })
+        : false;
 
-    // Generate revised email with feedback using OpenAI
-    const openaiConfig = getServiceConfig('openai');
-    const revisedEmail = await openai.chat.completions.create({
-      model: openaiConfig.model || 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a professional business representative for Autonome.us. Generate a REVISED professional email response based on the user's feedback.
-
-Original email was:
-${originalEmail}
-
-User feedback for revision: ${feedback}
-
-Requirements:
-- Apply the user's feedback specifically and thoroughly
-- Maintain professional, warm, and consultative tone
-- Include consultation booking call-to-action
-- Keep it concise but personalized
-- Sign as "The Autonome.us Team"
-- Make sure the revision clearly addresses the feedback provided`,
-        },
-        {
-          role: 'user',
-          content: `Please revise the email draft based on this specific feedback: ${feedback}`,
-        },
-      ],
-      temperature: 0.3,
-      max_tokens: 600,
-    });
+      if (escalated) {
+        const text = buildRevisionLimitMessage(maxRevisionRounds);
+        await slack.chat.postMessage({
+          channel: realChannelId,
+          thread_ts: event.thread_ts,
+          text,
+          blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }, buildHandBackToAiActions(bookingId)],
+        });
+        return;
+      }
+    }
 
-    const newDraftedEmail = normalizeCustomerFacingEmailCopy(
-      revisedEmail.choices[0]?.message?.content?.trim() || ''
-    );
+    logger.info(`Processing revision feedback for booking ${bookingId}: ${feedback}`);
+
+    const startedAt = Date.now();
+    const newDraftedEmail = await generateRevisedDraft(llm, originalEmail, feedback);
+    let diff: DraftDiff | null = null;
+
+    // Keep the stored draft in step with the thread, so approving sends this version
+    if (foundInDatabase) {
+      const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+      if (supabase) {
+        const revision = await saveDraftRevision(supabase, {
+          processingId: bookingId,
+          previousDraft: originalEmail,
+          newDraft: newDraftedEmail,
+          source: 'slack_thread',
+          round: getNextRevisionRound(revisionRounds),
+          actorSlackId: event.user ?? null,
+          feedback,
+          startedAt,
+        });
+        diff = revision.diff;
+      }
+    }
 
     // Create new approval message with revised email in the thread
     const revisionMessage = {
       channel: realChannelId, // Use real channel ID, not the potentially fake one from event
       thread_ts: event.thread_ts,
       text: `📝 **Email Revised Based on Your Feedback**`,
-      blocks: [
-        {
-          type: 'section' as const,
-          text: {
-            type: 'mrkdwn' as const,
-            text: `📝 *Email Revised Based on Your Feedback*\n\n*Applied Feedback:* "${feedback}"\n\n*Revised Draft Email:*`,
-          },
-        },
-        {
-          type: 'section' as const,
-          text: {
-            type: 'mrkdwn' as const,
-            text: `\`\`\`${newDraftedEmail}\`\`\``,
-          },
-        },
-        {
-          type: 'actions' as const,
-          elements: [
-            {
-              type: 'button' as const,
-              text: { type: 'plain_text' as const, text: '✅ Approve Revised Email' },
-              style: 'primary' as const,
-              action_id: 'approve_email',
-              value: bookingId,
-            },
-            {
-              type: 'button' as const,
-              text: { type: 'plain_text' as const, text: '📝 Revise Again' },
-              action_id: 'revise_email',
-              value: bookingId,
-            },
-            {
-              type: 'button' as const,
-              text: { type: 'plain_text' as const, text: '👤 Human Takeover' },
-              style: 'danger' as const,
-              action_id: 'human_takeover',
-              value: bookingId,
-            },
-          ],
-        },
-      ],
+      blocks: buildRevisedDraftBlocks(bookingId, newDraftedEmail, { feedback, diff }),
     };
 
     await slack.chat.postMessage(revisionMessage);
@@ -739,10 +510,227 @@ Requirements:
   }
 }
 
+/**
+ * Send the approved email for a booking and report the outcome in the Slack thread
+ */
+async function sendApprovedEmailWithThreadReport(
+  slack: WebClient,
+  channelId: string,
+  threadTs: string | undefined,
+  bookingId: string,
+  fallbackMessage?: SlackMessage
+): Promise<void> {
+  try {
+    const emailResult = await sendApprovedBookingEmail(bookingId, fallbackMessage);
+    await slack.chat.postMessage({
+      channel: channelId,
+      text: emailResult.queued
+        ? `Email service is unavailable. The approved email for booking ${bookingId} is queued and will be sent automatically once it recovers.`
+        : `Email sent successfully from ${emailResult.fromAddress} to the customer for booking ${bookingId}.${emailResult.messageId ? ` Resend message ID: ${emailResult.messageId}` : ''}`,
+      thread_ts: threadTs,
+    });
+    logger.info(`Approved email ${emailResult.queued ? 'queued' : 'sent'} for booking ${bookingId}`);
+  } catch (emailError) {
+    logger.error(`Failed to send approved email for booking ${bookingId}:`, emailError);
+    const errorMessage = getEmailErrorMessage(emailError);
+
+    try {
+      await slack.chat.postMessage({
+        channel: channelId,
+        text: `Email send failed for booking ${bookingId}: ${errorMessage}`,
+        thread_ts: threadTs,
+      });
+    } catch (slackError) {
+      logger.error('Failed to post email failure message to Slack:', slackError);
+    }
+  }
+}
+
+/**
+ * Open the revision modal for a booking. Returns false when the draft cannot be edited in a
+ * modal (missing, too long for Slack, or the trigger expired), so the caller falls back to
+ * thread feedback.
+ */
+async function openRevisionModal(
+  slack: WebClient,
+  triggerId: string | undefined,
+  booking: RevisionModalBooking | null,
+  context: RevisionModalContext
+): Promise<boolean> {
+  if (!triggerId) {
+    return false;
+  }
+
+  if (!booking?.drafted_email?.trim() || !canEditInModal(booking.drafted_email)) {
+    logger.warn(`Revision modal unavailable for booking ${context.processingId}, using thread feedback`);
+    return false;
+  }
+
+  try {
+    await slack.views.open({ trigger_id: triggerId, view: buildRevisionModal(booking, context) });
+    return true;
+  } catch (slackError) {
+    logger.error(`Failed to open revision modal for booking ${context.processingId}:`, slackError);
+    return false;
+  }
+}
+
+/**
+ * Apply a submitted revision modal: save the reviewer's edits, then approve and send the
+ * draft or have the AI rewrite it. Runs after Slack has been answered, so failures are
+ * reported in the booking thread.
+ */
+async function handleRevisionModalSubmission(
+  submission: Extract<RevisionModalSubmission, { ok: true }>,
+  user: SlackUser | undefined
+): Promise<void> {
+  const { context } = submission;
+  const slack = await serviceManager.getService<WebClient>('slack');
+  const threadTs = context.threadTs ?? undefined;
+
+  const postToThread = async (text: string, blocks?: KnownBlock[]): Promise<void> => {
+    try {
+      await slack?.chat.postMessage({ channel: context.channelId, thread_ts: threadTs, text, ...(blocks ? { blocks } : {}) });
+    } catch (slackError) {
+      logger.error('Failed to post revision result to Slack:', slackError);
+    }
+  };
+  const notAwaitingApproval = (status?: string | null): Promise<void> =>
+    postToThread(`Booking ${context.processingId} is no longer awaiting approval${status ? ` (${status})` : ''}, so the revision was not applied.`);
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!slack || !supabase) {
+      throw new Error('Slack or database service not available');
+    }
+
+    const startedAt = Date.now();
+    const actor = { actorSlackId: user?.id ?? null, actorName: user?.name ?? null };
+    const booking = await loadBookingReviewState(supabase, context.processingId);
+
+    if (!booking || !REVISABLE_DRAFT_STATUSES.includes(booking.status ?? '')) {
+      await notAwaitingApproval(booking?.status);
+      return;
+    }
+
+    const maxRevisionRounds = getMaxRevisionRounds();
+    const round = getNextRevisionRound(booking.revision_rounds);
+
+    // Approving is always allowed; only another AI rewrite is held back by the cap
+    if (submission.decision === 'ai_rewrite' && hasReachedRevisionLimit(booking.revision_rounds, maxRevisionRounds)) {
+      if (!context.threadTs) {
+        throw new Error('Revision limit reached, but the booking thread for human takeover is unknown');
+      }
+
+      const escalated = await escalateRevisionLimit(supabase, {
+        processingId: context.processingId,
+        channelId: context.channelId,
+        threadTs: context.threadTs,
+        revisionRounds: booking.revision_rounds ?? 0,
+        maxRevisionRounds,
+        ...actor,
+        awaitingSince: booking.updated_at,
+      });
+
+      if (escalated) {
+        const text = buildRevisionLimitMessage(maxRevisionRounds);
+        await postToThread(text, [{ type: 'section', text: { type: 'mrkdwn', text } }, buildHandBackToAiActions(context.processingId)]);
+      } else {
+        await notAwaitingApproval();
+      }
+      return;
+    }
+
+    // The reviewer's own edits are a version of their own, before any AI rewrite
+    if (hasDraftChanged(booking.drafted_email, submission.draft)) {
+      const edit = await saveDraftRevision(supabase, {
+        processingId: context.processingId,
+        previousDraft: booking.drafted_email,
+        newDraft: submission.draft,
+        source: 'slack_modal_edit',
+        round,
+        ...actor,
+        startedAt,
+      });
+
+      if (!edit.saved) {
+        await notAwaitingApproval();
+        return;
+      }
+    }
+
+    if (submission.decision === 'approve') {
+      const { data: approved, error: approveError } = await supabase
+        .from('booking_inquiries')
+        .update({ status: 'approved', updated_at: new Date().toISOString() })
+        .eq('processing_id', context.processingId)
+        .in('status', REVISABLE_DRAFT_STATUSES)
+        .select('processing_id');
+
+      if (approveError) {
+        throw new Error(`Failed to approve booking: ${approveError.message}`);
+      }
+
+      if (!approved || approved.length === 0) {
+        await notAwaitingApproval();
+        return;
+      }
+
+      logger.info(`Email approved from the revision modal for booking ${context.processingId}`);
+      await recordApprovalAudit(supabase, {
+        processingId: context.processingId,
+        action: 'approved',
+        ...actor,
+        newDraft: submission.draft,
+        metadata: { source: 'slack_modal', channel_id: context.channelId, thread_ts: context.threadTs },
+        processingTimeMs: getDecisionWaitMs(booking.updated_at),
+      });
+      await postToThread(`✅ Email approved${user ? ` by <@${user.id}>` : ''}! Customer will be contacted shortly.`);
+      await sendApprovedEmailWithThreadReport(slack, context.channelId, threadTs, context.processingId);
+      return;
+    }
+
+    const llm = await serviceManager.getService<LLMService>('llm');
+
+    if (!llm) {
+      throw new Error('LLM service not available');
+    }
+
+    const instructions = submission.instructions ?? '';
+    const rewrittenDraft = await generateRevisedDraft(llm, submission.draft, instructions);
+    const revision = await saveDraftRevision(supabase, {
+      processingId: context.processingId,
+      previousDraft: submission.draft,
+      newDraft: rewrittenDraft,
+      source: 'slack_modal_ai',
+      round,
+      feedback: instructions,
+      ...actor,
+      startedAt,
+    });
+
+    if (!revision.saved) {
+      await notAwaitingApproval();
+      return;
+    }
+
+    await postToThread(
+      '📝 Email Revised Based on Your Feedback',
+      buildRevisedDraftBlocks(context.processingId, rewrittenDraft, { feedback: instructions, diff: revision.diff })
+    );
+    logger.info(`AI revision from the revision modal posted for booking ${context.processingId}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Revision modal submission failed for booking ${context.processingId}:`, errorMessage);
+    await postToThread(`Revision failed for booking ${context.processingId}: ${errorMessage}`);
+  }
+}
+
 /**
  * Slack interactions endpoint - MAIN HANDLER FOR BUTTON CLICKS
  */
-router.post('/interactions', async (req: Request, res: Response): Promise<void> => {
+router.post('/interactions', verifySlackRequest, async (req: Request, res: Response): Promise<void> => {
   try {
     logger.info('=== SLACK BUTTON INTERACTION RECEIVED ===');
     logger.info('Raw request body:', req.body);
@@ -787,6 +775,20 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
       actions: payload.actions?.map((a) => ({ action_id: a.action_id, value: a.value })) || 'none',
     });
 
+    if (payload.type === 'view_submission' && payload.view?.callback_id === REVISION_MODAL_CALLBACK_ID) {
+      const submission = parseRevisionModalSubmission(payload.view);
+
+      if (!submission.ok) {
+        res.json({ response_action: 'errors', errors: submission.errors });
+        return;
+      }
+
+      // Close the modal right away; an AI rewrite takes longer than Slack's 3 second window
+      res.json({ response_action: 'clear' });
+      await handleRevisionModalSubmission(submission, payload.user);
+      return;
+    }
+
     if (payload.type === 'block_actions' && payload.actions && payload.actions[0]) {
       const { action_id, value: bookingId } = payload.actions[0];
       logger.info(`Processing action: ${action_id} for booking: ${bookingId}`);
@@ -810,6 +812,20 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
         payload.channel?.id || getServiceConfig('slack').channelId
       );
 
+      // Draft, status and revision rounds before this decision, for the revision cap and the audit
+      let auditAction = SLACK_AUDIT_ACTIONS[action_id];
+      let auditMetadata: Record<string, unknown> = {};
+      let review: BookingReviewState | null = null;
+      let handOverToHuman = false;
+
+      if (bookingId && auditAction) {
+        try {
+          review = await loadBookingReviewState(supabase, bookingId);
+        } catch (lookupError) {
+          logger.warn(`Review state lookup failed for booking ${bookingId}:`, lookupError);
+        }
+      }
+
       // Handle different actions
       switch (action_id) {
         case 'approve_email':
@@ -822,9 +838,31 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
           logger.info(`Email approved for booking ${bookingId}`);
           break;
 
-        case 'revise_email':
+        case 'revise_email': {
+          const maxRevisionRounds = getMaxRevisionRounds();
+
+          // Out of revision rounds: a human takes the booking over instead of another revision
+          if (
+            review
+            && REVISABLE_DRAFT_STATUSES.includes(review.status ?? '')
+            && hasReachedRevisionLimit(review.revision_rounds, maxRevisionRounds)
+          ) {
+            updateData.status = HUMAN_TAKEOVER_STATUS;
+            updateData.thread_ts = payload.message?.thread_ts || payload.message?.ts || payload.message_ts;
+            updateData.channel_id = realChannelId;
+            responseText = buildRevisionLimitMessage(maxRevisionRounds);
+            handOverToHuman = true;
+            auditAction = 'escalated';
+            auditMetadata = {
+              reason: 'max_revision_rounds',
+              revision_rounds: review.revision_rounds,
+              max_revision_rounds: maxRevisionRounds,
+            };
+            logger.info(`Booking ${bookingId} reached ${maxRevisionRounds} revision rounds, escalated to human takeover`);
+            break;
+          }
+
           updateData.status = 'revised';
-          responseText = '📝 Please provide revision feedback in this thread.';
 
           // CRITICAL FIX: Store booking context for thread replies
           updateData.thread_ts = payload.message?.ts || payload.message_ts;
@@ -832,11 +870,38 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
           logger.info(
             `Stored revision context: booking=${bookingId}, thread_ts=${updateData.thread_ts}, channel=${updateData.channel_id}`
           );
+
+          // Slack trigger ids expire after 3 seconds, so the modal opens before the database update
+          const modalOpened = bookingId
+            ? await openRevisionModal(slack, payload.trigger_id, review, {
+              processingId: bookingId,
+              channelId: realChannelId,
+              threadTs: payload.message?.thread_ts || updateData.thread_ts || null,
+            })
+            : false;
+          responseText = modalOpened
+            ? '📝 Revision dialog opened. Edit the draft and approve it, or ask the AI to rewrite it.'
+            : '📝 Please provide revision feedback in this thread.';
+          auditMetadata = {
+            revision_round: getNextRevisionRound(review?.revision_rounds),
+            via: modalOpened ? 'modal' : 'thread',
+          };
           break;
+        }
 
         case 'human_takeover':
-          updateData.status = 'human_takeover';
-          responseText = '👤 Human takeover requested. Team member will handle this booking.';
+          updateData.status = HUMAN_TAKEOVER_STATUS;
+          // Customer emails are mirrored into this thread and replies here are emailed back
+          updateData.thread_ts = payload.message?.thread_ts || payload.message?.ts || payload.message_ts;
+          updateData.channel_id = realChannelId;
+          responseText = '👤 Human takeover requested. The booking AI is paused; reply in this thread to email the customer.';
+          handOverToHuman = true;
+          break;
+
+        case 'hand_back_to_ai':
+          updateData.status = HANDED_BACK_STATUS;
+          responseText = '🤖 Handed back to the booking AI. It will draft the reply to the next customer email.';
+          logger.info(`Booking ${bookingId} handed back to the booking AI`);
           break;
 
         default:
@@ -845,8 +910,9 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
       }
 
       // CRITICAL FIX: Enhanced database update with resilience and fallbacks
+      let dbUpdateSuccess = false;
+
       if (bookingId) {
-        let dbUpdateSuccess = false;
         let retryCount = 0;
         const maxRetries = 3;
 
@@ -862,11 +928,18 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
               }
             }
 
-            const { error } = await supabase
+            let update = supabase
               .from('booking_inquiries')
               .update(updateData)
               .eq('processing_id', bookingId);
 
+            // A stale hand-back button must not reopen a booking that has moved on
+            if (action_id === 'hand_back_to_ai') {
+              update = update.eq('status', HUMAN_TAKEOVER_STATUS);
+            }
+
+            const { error } = await update;
+
             if (error) {
               logger.error(`Database update failed (attempt ${retryCount + 1}):`, error);
               if (retryCount === maxRetries - 1) {
@@ -907,6 +980,24 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
         text: responseText,
       });
 
+      if (auditAction && bookingId) {
+        await recordApprovalAudit(supabase, {
+          processingId: bookingId,
+          action: auditAction,
+          actorSlackId: payload.user?.id ?? null,
+          actorName: payload.user?.name ?? null,
+          newDraft: auditAction === 'approved' ? review?.drafted_email ?? null : null,
+          metadata: {
+            action_id,
+            channel_id: realChannelId,
+            message_ts: payload.message?.ts || payload.message_ts || null,
+            persisted: dbUpdateSuccess,
+            ...auditMetadata,
+          },
+          processingTimeMs: getDecisionWaitMs(review?.updated_at),
+        });
+      }
+
       // Also post in thread - use real channel ID instead of potentially fake one from payload
       const followUpChannelId = resolveRealChannelId(
         payload.channel?.id || getServiceConfig('slack').channelId
@@ -917,7 +1008,15 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
         await slack.chat.postMessage({
           channel: followUpChannelId,
           text: responseText,
-          thread_ts: payload.message?.ts || payload.message_ts,
+          thread_ts: updateData.thread_ts || payload.message?.ts || payload.message_ts,
+          ...(handOverToHuman && bookingId
+            ? {
+              blocks: [
+                { type: 'section' as const, text: { type: 'mrkdwn' as const, text: responseText } },
+                buildHandBackToAiActions(bookingId),
+              ],
+            }
+            : {}),
         });
         logger.info('Follow-up message posted successfully');
       } catch (slackError) {
@@ -925,28 +1024,13 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
       }
 
       if (shouldSendApprovedEmail && bookingId) {
-        try {
-          const emailResult = await sendApprovedBookingEmail(bookingId, payload.message);
-          await slack.chat.postMessage({
-            channel: followUpChannelId,
-            text: `Email sent successfully from ${emailResult.fromAddress} to the customer for booking ${bookingId}.${emailResult.messageId ? ` Resend message ID: ${emailResult.messageId}` : ''}`,
-            thread_ts: payload.message?.ts || payload.message_ts,
-          });
-          logger.info(`Approved email sent for booking ${bookingId}`);
-        } catch (emailError) {
-          logger.error(`Failed to send approved email for booking ${bookingId}:`, emailError);
-          const errorMessage = getEmailErrorMessage(emailError);
-
-          try {
-            await slack.chat.postMessage({
-              channel: followUpChannelId,
-              text: `Email send failed for booking ${bookingId}: ${errorMessage}`,
-              thread_ts: payload.message?.ts || payload.message_ts,
-            });
-          } catch (slackError) {
-            logger.error('Failed to post email failure message to Slack:', slackError);
-          }
-        }
+        await sendApprovedEmailWithThreadReport(
+          slack,
+          followUpChannelId,
+          payload.message?.ts || payload.message_ts,
+          bookingId,
+          payload.message
+        );
       }
     } else {
       logger.warn('Unknown interaction type or missing actions');
@@ -961,6 +1045,34 @@ router.post('/interactions', async (req: Request, res: Response): Promise<void>
   }
 });
 
+/**
+ * /booking slash command
+ * POST /api/slack/commands
+ */
+router.post('/commands', verifySlackRequest, async (req: Request, res: Response): Promise<void> => {
+  const body = (req.body ?? {}) as Record<string, unknown>;
+  const text = typeof body['text'] === 'string' ? body['text'] : '';
+
+  if (body['command'] !== '/booking') {
+    res.json({ response_type: 'ephemeral', text: `Unsupported command: ${String(body['command'] ?? 'none')}` });
+    return;
+  }
+
+  try {
+    const response = await runBookingCommand(parseBookingCommand(text), {
+      userId: typeof body['user_id'] === 'string' ? body['user_id'] : null,
+      userName: typeof body['user_name'] === 'string' ? body['user_name'] : null,
+    });
+
+    res.json({ response_type: 'ephemeral', ...response });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`/booking ${text} failed:`, errorMessage);
+    // Slack only shows the message for a 200 response
+    res.json({ response_type: 'ephemeral', text: `:x: /booking ${text} failed: ${errorMessage}` });
+  }
+});
+
 /**
  * Health check specifically for Slack routes
  */
@@ -969,8 +1081,8 @@ router.get('/health', (_req: Request, res: Response): void => {
     status: 'healthy',
     service: 'slack-router',
     version: '2024-09-11-fix-deployed',
-    signature_verification: 'disabled-for-production-fix',
-    endpoints: ['/api/slack/interactions', '/api/slack/events', '/api/slack/health'],
+    signature_verification: isSlackSignatureVerificationEnabled() ? 'enabled' : 'disabled',
+    endpoints: ['/api/slack/interactions', '/api/slack/events', '/api/slack/commands', '/api/slack/health'],
     timestamp: new Date().toISOString(),
   });
 });
@@ -1,23 +1,82 @@
 import express, { type Router, type Request, type Response } from 'express';
 import type { SupabaseClient } from '@supabase/supabase-js';
 import type { WebClient } from '@slack/web-api';
-import type OpenAI from 'openai';
 import type { Resend } from 'resend';
 import { serviceManager } from '../services/serviceManager.js';
-import { normalizeCustomerFacingEmailCopy } from '../services/email/normalizeCustomerFacingEmailCopy.js';
-import { sendTransactionalEmail } from '../services/email/sendTransactionalEmail.js';
+import {
+  getPublicBookingLink,
+  normalizeCustomerFacingEmailCopy,
+} from '../services/email/normalizeCustomerFacingEmailCopy.js';
+import { dispatchSideEffect } from '../services/outbox/outbox.js';
+import type { LLMService } from '../services/llm/LLMService.js';
+import { buildToneOfVoiceGuidelines } from '../services/llm/toneOfVoice.js';
+import { recordFaqRetrieval, retrieveFaqContext } from '../services/faq/faqStore.js';
+import {
+  buildBookingManageLinks,
+  verifyBookingManageToken,
+  type BookingManageAction,
+} from '../services/booking/bookingManageLinks.js';
 import { logger } from '../utils/logger.js';
 import { getServiceConfig } from '../utils/config.js';
 import { determineProcessingMode, ProcessingMode } from '../services/mode-selector.js';
-import { processFullAIMode, generateScheduleSuggestions } from '../services/ai-processing.js';
+import { processFullAIMode, processBasicAIMode, generateScheduleSuggestions } from '../services/ai-processing.js';
 import {
   getMeetingNotificationSettings,
   saveMeetingNotificationSettings,
   type MeetingNotificationSettings,
 } from '../services/notifications/meetingNotificationSettings.js';
-import type { CalendarService } from '../services/calendar/CalendarService.js';
+import {
+  SelectionHoldConflictError,
+  SelectionSlotUnavailableError,
+  type CalendarService,
+} from '../services/calendar/CalendarService.js';
 import { getAvailabilityDisplaySettings } from '../services/calendar/availabilityDisplaySettings.js';
 import { TavusService } from '../services/TavusService.js';
+import {
+  getSchedulingConfig,
+  getBookingWindowHours,
+  findAlternativeSlots,
+  type AlternativeSlot,
+} from '../utils/booking-rules.js';
+import {
+  getMeetingType,
+  listMeetingTypes,
+  resolveMeetingTypeRequest,
+} from '../services/booking/meetingTypeStore.js';
+import {
+  buildMeetingLocation,
+  findMeetingTypeByDuration,
+  validateIntakeResponses,
+  type MeetingTypeDefinition,
+} from '../services/booking/meetingTypes.js';
+import { markBookingForRecovery } from '../services/recovery/degradedBookingRecovery.js';
+import {
+  advanceConversationStage,
+  markConversationEscalated,
+  recordConversationTurn,
+} from '../services/conversation/conversationStore.js';
+import { draftProposesSlots, isConversationOverTurnLimit } from '../services/conversation/conversationState.js';
+import { isHumanTakeoverStatus } from '../services/conversation/humanTakeover.js';
+import { mirrorInboundEmailToSlack } from '../services/conversation/humanTakeoverBridge.js';
+import {
+  buildAlternativeTimesReply,
+  extractProposedTimes,
+  findNearestSlots,
+  formatSlotForCustomer,
+  matchProposedSlot,
+  type SlotCandidate,
+} from '../services/conversation/proposedTimes.js';
+import {
+  InboundEmailParseError,
+  InboundEmailVerificationError,
+  type InboundEmailMessage,
+  type InboundEmailProviderName,
+  type InboundWebhookRequest,
+} from '../services/email/inbound/IInboundEmailAdapter.js';
+import { createInboundEmailAdapter, isInboundEmailProvider } from '../services/email/inbound/inboundEmailAdapters.js';
+import { parseEmailAddress } from '../services/email/inbound/mimeParser.js';
+import { findProcessingIdByMessageIds } from '../services/email/emailThreadStore.js';
+import type { DegradedProcessingMode } from '../services/recovery/bookingRecovery.js';
 import { getConfigSection } from '../../../src/config/loader.js';
 import type { BookingResponse } from '../../../src/types/index.js';
 
@@ -42,6 +101,9 @@ interface BookingData {
   ai_concierge_engaged?: boolean;
   calendar_email_override?: string;
   is_personal?: boolean;
+  meeting_type?: string;
+  meeting_duration?: number;
+  intake_responses?: Record<string, string>;
 }
 
 /**
@@ -51,14 +113,6 @@ interface EmergencyResult extends Partial<BookingResponse> {
   processing_id?: string;
 }
 
-interface InboundEmailPayload {
-  from: string;
-  subject?: string;
-  text?: string;
-  html?: string;
-  thread_id?: string;
-}
-
 interface BookingLookupRecord {
   id?: string;
   processing_id: string;
@@ -69,15 +123,46 @@ interface BookingLookupRecord {
   email_thread_id?: string | null;
   email_body?: string | null;
   drafted_email?: string | null;
+  meeting_type?: string | null;
+  meeting_duration?: number | null;
+  assigned_calendar_email?: string | null;
+  confirmed_event_id?: string | null;
+  thread_ts?: string | null;
+  channel_id?: string | null;
   metadata?: Record<string, unknown> | null;
 }
 
-interface EmailConversationRecord {
-  id: string;
-  messages: unknown[];
-  turns_count: number | null;
+const BOOKING_LOOKUP_COLUMNS =
+  'id, processing_id, email_from, customer_name, company_name, status, email_thread_id, email_body, drafted_email, meeting_type, meeting_duration, assigned_calendar_email, confirmed_event_id, thread_ts, channel_id, metadata';
+
+/**
+ * Outcome of checking the times a customer proposed by email against the calendar
+ */
+type ProposedTimeBooking =
+  | { booked: true; start: string; meetingLink?: string }
+  | { booked: false; alternatives: SlotCandidate[]; timeZone: string };
+
+interface ManagedBookingRecord {
+  processing_id: string;
+  customer_name: string | null;
+  company_name: string | null;
+  email_from: string;
+  status: string;
+  confirmed_event_id?: string | null;
+  assigned_calendar_email?: string | null;
+  selected_slot_start?: string | null;
+  selected_slot_end?: string | null;
+  meeting_type?: string | null;
+  meeting_duration?: number | null;
+  thread_ts?: string | null;
+  channel_id?: string | null;
+  metadata?: Record<string, unknown> | null;
 }
 
+type ManagedBookingResolution =
+  | { ok: true; booking: ManagedBookingRecord; supabase: SupabaseClient }
+  | { ok: false; status: number; error: string };
+
 function resolveAdminUserEmail(value: unknown): string {
   return typeof value === 'string' && value.trim() ? value.trim() : DEFAULT_ADMIN_USER_EMAIL;
 }
@@ -97,16 +182,6 @@ function extractBookingIdFromText(...values: Array<string | undefined>): string
   return null;
 }
 
-function getInboundEmailBody(payload: InboundEmailPayload): string {
-  const textBody = payload.text?.trim();
-  if (textBody) {
-    return textBody;
-  }
-
-  const htmlBody = payload.html?.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-  return htmlBody || '';
-}
-
 function shouldAutoApproveInboundReply(replyBody: string): boolean {
   if (process.env['AUTO_APPROVE_BOOKING_REPLIES'] === 'false') {
     return false;
@@ -153,7 +228,7 @@ function buildAutoReplyEmailSubject(booking: BookingLookupRecord): string {
 }
 
 function buildAutoReplyEmailBody(booking: BookingLookupRecord, draft: string): string {
-  return `${normalizeCustomerFacingEmailCopy(draft)}\n\nBooking reference: ${booking.processing_id}\nReply directly to continue scheduling with Autonome.`;
+  return `${normalizeCustomerFacingEmailCopy(draft, getConfigSection('tone_of_voice').avoid_words)}\n\nBooking reference: ${booking.processing_id}\nReply directly to continue scheduling with Autonome.`;
 }
 
 function shouldBypassInteractiveAIBookingFlow(bookingData: BookingData): boolean {
@@ -164,32 +239,34 @@ function shouldBypassInteractiveAIBookingFlow(bookingData: BookingData): boolean
 }
 
 async function generateInboundReplyDraft(
-  openai: OpenAI,
+  llm: LLMService,
   booking: BookingLookupRecord,
-  inboundMessage: string
+  inboundMessage: string,
+  schedulingNote?: string
 ): Promise<string> {
-  const openaiConfig = getServiceConfig('openai');
   const priorDraft = booking.drafted_email?.trim();
+  const toneOfVoice = getConfigSection('tone_of_voice');
+  const faq = await retrieveFaqContext(inboundMessage);
 
-  const completion = await openai.chat.completions.create({
-    model: openaiConfig.model || 'gpt-4o',
-    messages: [
-      {
-        role: 'system',
-        content: `You are the Autonome booking AI. Continue an active scheduling conversation by email.
+  const completion = await llm.complete('inbound_reply', [
+    {
+      role: 'system',
+      content: `You are the Autonome booking AI. Continue an active scheduling conversation by email.
 
 Requirements:
-- Keep the tone professional, warm, and concise
+- Keep it concise
 - Answer the customer's latest message directly
 - Move the conversation toward confirming a suitable consultation time
 - If the customer suggests timing constraints, acknowledge them and propose the next step
 - Do not mention internal tools, Slack, or approvals
 - Sign as "The Autonome Team"
-- Return plain email body text only`,
-      },
-      {
-        role: 'user',
-        content: `Customer name: ${booking.customer_name || 'Customer'}
+- Return plain email body text only
+
+${buildToneOfVoiceGuidelines(toneOfVoice)}${faq.context ? `\n\n${faq.context}` : ''}`,
+    },
+    {
+      role: 'user',
+      content: `Customer name: ${booking.customer_name || 'Customer'}
 Company: ${booking.company_name || 'Not provided'}
 Customer email: ${booking.email_from}
 Original inquiry:
@@ -200,20 +277,24 @@ ${priorDraft || 'None yet'}
 
 Latest inbound reply:
 ${inboundMessage}
-
+${schedulingNote ? `\n${schedulingNote}\n` : ''}
 Write the next best email response from the booking AI.`,
-      },
-    ],
-    temperature: 0.3,
-    max_tokens: 500,
-  });
+    },
+  ]);
 
-  const draftedReply = completion.choices[0]?.message?.content?.trim();
+  const draftedReply = completion.trim();
   if (!draftedReply) {
     throw new Error('Empty AI draft generated for inbound reply');
   }
 
-  return normalizeCustomerFacingEmailCopy(draftedReply);
+  await recordFaqRetrieval({
+    replyType: 'inbound_reply',
+    processingId: booking.processing_id,
+    query: inboundMessage,
+    matches: faq.matches,
+  });
+
+  return normalizeCustomerFacingEmailCopy(draftedReply, toneOfVoice.avoid_words);
 }
 
 async function sendAutomatedBookingReply(
@@ -226,76 +307,19 @@ async function sendAutomatedBookingReply(
     throw new Error('Email service not available');
   }
 
-  await sendTransactionalEmail({
-    emailService,
-    to: [booking.email_from],
-    subject: buildAutoReplyEmailSubject(booking),
-    text: buildAutoReplyEmailBody(booking, draft),
+  const dispatch = await dispatchSideEffect({
+    kind: 'email',
     context: `automated_booking_reply:${booking.processing_id}`,
+    payload: {
+      to: [booking.email_from],
+      subject: buildAutoReplyEmailSubject(booking),
+      text: buildAutoReplyEmailBody(booking, draft),
+      booking_reference: booking.processing_id,
+    },
   });
-}
 
-async function persistConversationTurn(
-  supabase: SupabaseClient,
-  booking: BookingLookupRecord,
-  threadId: string,
-  direction: 'inbound' | 'outbound',
-  content: string,
-  metadata: Record<string, unknown> = {}
-): Promise<void> {
-  if (!booking.id) {
-    return;
-  }
-
-  try {
-    const { data: existing, error: fetchError } = await supabase
-      .from('email_conversations')
-      .select('id, messages, turns_count')
-      .eq('thread_id', threadId)
-      .maybeSingle<EmailConversationRecord>();
-
-    if (fetchError) {
-      throw fetchError;
-    }
-
-    const messageEntry = {
-      direction,
-      content,
-      timestamp: new Date().toISOString(),
-      metadata,
-    };
-
-    if (existing) {
-      const messages = Array.isArray(existing.messages) ? [...existing.messages, messageEntry] : [messageEntry];
-      const turnsCount = (existing.turns_count || 0) + 1;
-
-      const updatePayload: Record<string, unknown> = {
-        messages,
-        turns_count: turnsCount,
-        updated_at: new Date().toISOString(),
-      };
-
-      if (direction === 'inbound') {
-        updatePayload['last_inbound_at'] = new Date().toISOString();
-      } else {
-        updatePayload['last_outbound_at'] = new Date().toISOString();
-      }
-
-      await supabase.from('email_conversations').update(updatePayload).eq('id', existing.id);
-      return;
-    }
-
-    await supabase.from('email_conversations').insert({
-      booking_inquiry_id: booking.id,
-      thread_id: threadId,
-      turns_count: 1,
-      messages: [messageEntry],
-      conversation_stage: 'gathering_info',
-      last_inbound_at: direction === 'inbound' ? new Date().toISOString() : null,
-      last_outbound_at: direction === 'outbound' ? new Date().toISOString() : null,
-    });
-  } catch (error) {
-    logger.warn('Failed to persist email conversation turn:', error);
+  if (!dispatch.delivered && !dispatch.queued) {
+    throw new Error(dispatch.error || 'Automated reply could not be sent');
   }
 }
 
@@ -310,10 +334,12 @@ function buildConfirmedMeetingSummary(bookingData: BookingData): string {
 
 function buildConfirmedMeetingDescription(
   bookingData: BookingData,
-  bookingId: string
+  bookingId: string,
+  meetingType?: MeetingTypeDefinition
 ): string {
   const lines = [
     `Booking reference: ${bookingId}`,
+    ...(meetingType ? [`Meeting type: ${meetingType.name} (${meetingType.duration_minutes} min)`] : []),
     `Customer: ${bookingData.name}`,
     `Email: ${bookingData.email}`,
   ];
@@ -326,6 +352,14 @@ function buildConfirmedMeetingDescription(
     lines.push(`Phone: ${bookingData.phone.trim()}`);
   }
 
+  const intakeAnswers = meetingType?.intake_questions
+    .filter((question) => bookingData.intake_responses?.[question.id])
+    .map((question) => `${question.label}: ${bookingData.intake_responses?.[question.id]}`) || [];
+
+  if (intakeAnswers.length > 0) {
+    lines.push('', 'Intake answers:', ...intakeAnswers);
+  }
+
   lines.push('', 'Strategic intent:', bookingData.message.trim());
 
   return lines.join('\n');
@@ -358,12 +392,12 @@ async function sendBookingCustomerEmail(
       start?: string;
     }
     | null
-): Promise<{ accepted: boolean; messageId: string | null }> {
+): Promise<{ accepted: boolean; queued: boolean; messageId: string | null }> {
   const emailService = await serviceManager.getService<Resend>('email');
 
   if (!emailService) {
     logger.warn(`Confirmation email skipped for ${bookingId}: email service not available`);
-    return { accepted: false, messageId: null };
+    return { accepted: false, queued: false, messageId: null };
   }
 
   const customerName = bookingData.name.trim() || 'there';
@@ -373,6 +407,10 @@ async function sendBookingCustomerEmail(
     || formatCustomerFacingDate(bookingData.preferred_date)
     || 'the requested time';
 
+  const manageLinks = isCalendarConfirmed && calendarConfirmation?.start
+    ? buildBookingManageLinks(bookingId, new Date(calendarConfirmation.start))
+    : null;
+
   const subject = isCalendarConfirmed
     ? `Your Autonome consultation is confirmed [${bookingId}]`
     : `We received your Autonome consultation request [${bookingId}]`;
@@ -388,7 +426,13 @@ async function sendBookingCustomerEmail(
       '',
       'This confirmation email is your direct reference from the Autonome team and includes the meeting details you need.',
       '',
-      'If you need to adjust anything, simply reply to this email and we will help.',
+      ...(manageLinks
+        ? [
+          'Need to make a change? Use these secure links any time before the meeting starts:',
+          `Reschedule: ${manageLinks.rescheduleUrl}`,
+          `Cancel: ${manageLinks.cancelUrl}`,
+        ]
+        : ['If you need to adjust anything, simply reply to this email and we will help.']),
       '',
       'The Autonome Team',
     ].filter(Boolean).join('\n')
@@ -404,25 +448,38 @@ async function sendBookingCustomerEmail(
       'The Autonome Team',
     ].join('\n');
 
-  const sendResult = await sendTransactionalEmail({
-    emailService,
-    to: [bookingData.email],
-    subject,
-    text: body,
+  const dispatch = await dispatchSideEffect({
+    kind: 'email',
     context: `booking_confirmation:${bookingId}`,
+    payload: {
+      to: [bookingData.email],
+      subject,
+      text: body,
+      booking_reference: bookingId,
+    },
   });
 
-  const messageId = sendResult.messageId;
+  if (!dispatch.delivered) {
+    logger.warn(`Customer confirmation email for ${bookingId} failed${dispatch.queued ? ' and was queued for retry' : ''}`, {
+      outboxId: dispatch.outboxId,
+      error: dispatch.error,
+    });
+
+    return { accepted: false, queued: dispatch.queued, messageId: null };
+  }
+
+  const messageId = typeof dispatch.result?.['message_id'] === 'string' ? dispatch.result['message_id'] : null;
 
   logger.info(`Customer confirmation email accepted for ${bookingId}`, {
     messageId,
     recipient: bookingData.email,
     calendarConfirmed: isCalendarConfirmed,
-    fromAddress: sendResult.fromAddress,
+    fromAddress: dispatch.result?.['from_address'],
   });
 
   return {
     accepted: true,
+    queued: false,
     messageId,
   };
 }
@@ -438,7 +495,8 @@ async function requiresConfirmedCalendarBooking(): Promise<boolean> {
 
 async function confirmCalendarBooking(
   bookingData: BookingData,
-  bookingId: string
+  bookingId: string,
+  meetingType?: MeetingTypeDefinition
 ): Promise<{
   confirmed: boolean;
   calendar_email?: string;
@@ -461,17 +519,22 @@ async function confirmCalendarBooking(
     throw new Error('Calendar service not available for booking confirmation');
   }
 
+  const meetingLocation = meetingType
+    ? buildMeetingLocation(meetingType)
+    : { location: 'Autonome Partners Google Meet', meetingLink: 'generate' as const };
+  const meetingTypeBuffers = meetingType
+    ? { beforeMinutes: meetingType.buffer_before_minutes, afterMinutes: meetingType.buffer_after_minutes }
+    : null;
   const confirmed = await calendarService.confirmSelectionHold(holdId, {
     summary: buildConfirmedMeetingSummary(bookingData),
-    description: buildConfirmedMeetingDescription(bookingData, bookingId),
+    description: buildConfirmedMeetingDescription(bookingData, bookingId, meetingType),
     attendees: [bookingData.email],
-    location: 'Autonome Partners Google Meet',
-    meetingLink: 'generate',
+    ...meetingLocation,
     sendUpdates: 'none',
-  });
+  }, meetingTypeBuffers);
   let confirmedEvent = confirmed.event;
 
-  if (!confirmedEvent.meetingLink) {
+  if (meetingLocation.meetingLink && !confirmedEvent.meetingLink) {
     const matchingProvider = calendarService
       .getProviders()
       .find((provider) => provider.calendarEmail === confirmed.calendarEmail);
@@ -488,7 +551,7 @@ async function confirmCalendarBooking(
     }
   }
 
-  if (!confirmedEvent.meetingLink) {
+  if (meetingLocation.meetingLink && !confirmedEvent.meetingLink) {
     logger.warn(`Calendar event confirmed without Google Meet link for ${bookingId}`, {
       calendarEmail: confirmed.calendarEmail,
       eventId: confirmedEvent.id,
@@ -534,6 +597,357 @@ async function confirmCalendarBooking(
   };
 }
 
+/**
+ * Check the times a customer proposed in an email reply against open calendar slots.
+ * A matching slot is held, confirmed and emailed to the customer; otherwise the nearest
+ * open slots are returned for the reply. Returns null when the reply proposes no times
+ * or the calendar cannot be checked.
+ */
+async function bookFromProposedTimes(
+  supabase: SupabaseClient,
+  booking: BookingLookupRecord,
+  replyBody: string
+): Promise<ProposedTimeBooking | null> {
+  if (booking.confirmed_event_id) {
+    return null;
+  }
+
+  const calendarService = await serviceManager.getService<CalendarService>('calendar');
+
+  if (!calendarService || calendarService.getProviders().length === 0) {
+    return null;
+  }
+
+  const config = getSchedulingConfig();
+  let meetingTypeResolution = await resolveMeetingTypeRequest(
+    supabase,
+    { meetingType: booking.meeting_type, durationMinutes: booking.meeting_duration },
+    { isTavusEnabled: config.isTavusEnabled }
+  );
+
+  if (!meetingTypeResolution.ok) {
+    meetingTypeResolution = await resolveMeetingTypeRequest(supabase, {}, { isTavusEnabled: config.isTavusEnabled });
+  }
+
+  if (!meetingTypeResolution.ok) {
+    return null;
+  }
+
+  const { meetingType } = meetingTypeResolution;
+  const now = new Date();
+  const proposals = extractProposedTimes(replyBody, {
+    now,
+    defaultTimeZone: getConfigSection('scheduling').timezone,
+    durationMinutes: meetingType.duration_minutes,
+  });
+
+  if (proposals.length === 0) {
+    return null;
+  }
+
+  const displaySettings = await getAvailabilityDisplaySettings(supabase, DEFAULT_ADMIN_USER_EMAIL, 20);
+  const minimumNoticeMinutes = meetingType.minimum_notice_minutes
+    ?? displaySettings.minimumNoticeMinutes
+    ?? config.minLeadTimeMinutes;
+  // A calendar assigned by routing wins over the meeting type's own calendar
+  const calendarEmailOverride = booking.assigned_calendar_email || meetingType.calendar_email || undefined;
+  const slots = await calendarService.getAvailableSlots({
+    startDate: new Date(now.getTime() + minimumNoticeMinutes * 60 * 1000),
+    endDate: new Date(now.getTime() + getBookingWindowHours(meetingType) * 60 * 60 * 1000),
+    durationMinutes: meetingType.duration_minutes,
+    bufferBeforeMinutes: meetingType.buffer_before_minutes,
+    bufferAfterMinutes: meetingType.buffer_after_minutes,
+    slotIntervalMinutes: config.slotIntervalMinutes,
+    calendarEmailOverride,
+  });
+  const timeZone = proposals[0]?.timeZone ?? getConfigSection('scheduling').timezone;
+  const match = matchProposedSlot(proposals, slots);
+
+  if (match) {
+    const bookingData: BookingData = {
+      name: booking.customer_name || booking.email_from,
+      email: booking.email_from,
+      company: booking.company_name ?? undefined,
+      message: booking.email_body || '',
+      meeting_type: meetingType.slug,
+      meeting_duration: meetingType.duration_minutes,
+    };
+
+    try {
+      const hold = await calendarService.createSelectionHold(
+        `email_${booking.processing_id}`,
+        match.slot,
+        15,
+        calendarEmailOverride
+      );
+      const calendarConfirmation = await confirmCalendarBooking(
+        { ...bookingData, provisional_hold_id: hold.holdId },
+        booking.processing_id,
+        meetingType
+      );
+
+      if (calendarConfirmation.confirmed && calendarConfirmation.start) {
+        await sendBookingCustomerEmail(bookingData, booking.processing_id, calendarConfirmation);
+
+        return {
+          booked: true,
+          start: calendarConfirmation.start,
+          meetingLink: calendarConfirmation.meeting_link,
+        };
+      }
+    } catch (error) {
+      if (!(error instanceof SelectionHoldConflictError) && !(error instanceof SelectionSlotUnavailableError)) {
+        throw error;
+      }
+
+      logger.info(`Proposed time for ${booking.processing_id} was taken before it could be booked`, {
+        slotStart: match.slot.start.toISOString(),
+      });
+    }
+  }
+
+  const remainingSlots = slots.filter((slot) => slot.start.getTime() !== match?.slot.start.getTime());
+
+  return {
+    booked: false,
+    alternatives: findNearestSlots(proposals, remainingSlots),
+    timeZone,
+  };
+}
+
+/**
+ * Verify a self-service manage token and load the booking it was issued for.
+ * Tokens expire at the meeting start they were issued for, so links from an
+ * earlier confirmation stop working once the booking has been rescheduled.
+ */
+async function resolveManagedBooking(
+  processingId: string,
+  action: BookingManageAction,
+  token: unknown
+): Promise<ManagedBookingResolution> {
+  const verification = verifyBookingManageToken(processingId, action, token);
+
+  if (!verification.valid) {
+    switch (verification.reason) {
+      case 'not_configured':
+        return { ok: false, status: 503, error: 'Self-service booking changes are not enabled.' };
+      case 'expired':
+        return { ok: false, status: 410, error: 'This link has expired.' };
+      default:
+        return { ok: false, status: 403, error: 'This link is invalid.' };
+    }
+  }
+
+  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+  if (!supabase) {
+    return { ok: false, status: 503, error: 'Booking database is not available' };
+  }
+
+  const { data: booking, error } = await supabase
+    .from('booking_inquiries')
+    .select('*')
+    .eq('processing_id', processingId)
+    .maybeSingle<ManagedBookingRecord>();
+
+  if (error) {
+    throw new Error(`Failed to load booking ${processingId}: ${error.message}`);
+  }
+
+  if (!booking) {
+    return { ok: false, status: 404, error: 'Booking not found' };
+  }
+
+  if (booking.status === 'cancelled') {
+    return { ok: false, status: 409, error: 'This booking has already been cancelled.' };
+  }
+
+  const currentStart = booking.selected_slot_start ? new Date(booking.selected_slot_start) : null;
+
+  if (
+    !currentStart
+    || Math.floor(currentStart.getTime() / 1000) !== Math.floor(verification.expiresAt.getTime() / 1000)
+  ) {
+    return {
+      ok: false,
+      status: 410,
+      error: 'This link belongs to an earlier meeting time. Please use the links in your most recent confirmation email.',
+    };
+  }
+
+  return { ok: true, booking, supabase };
+}
+
+function getManagedBookingDurationMinutes(booking: ManagedBookingRecord): number {
+  if (booking.selected_slot_start && booking.selected_slot_end) {
+    const durationMs =
+      new Date(booking.selected_slot_end).getTime() - new Date(booking.selected_slot_start).getTime();
+
+    if (Number.isFinite(durationMs) && durationMs > 0) {
+      return Math.round(durationMs / 60000);
+    }
+  }
+
+  return booking.meeting_duration || getSchedulingConfig().defaultDuration;
+}
+
+/**
+ * The meeting type a managed booking was made with, for its buffers. Inactive types still
+ * apply to bookings that already exist; legacy bookings without a slug match on duration.
+ */
+async function getManagedBookingMeetingType(
+  supabase: SupabaseClient,
+  booking: ManagedBookingRecord,
+  durationMinutes: number
+): Promise<MeetingTypeDefinition | null> {
+  if (booking.meeting_type) {
+    const meetingType = await getMeetingType(supabase, booking.meeting_type);
+
+    if (meetingType) {
+      return meetingType;
+    }
+  }
+
+  return findMeetingTypeByDuration(await listMeetingTypes(supabase), durationMinutes) ?? null;
+}
+
+function appendSelfServiceChange(
+  booking: ManagedBookingRecord,
+  change: Record<string, unknown>
+): Record<string, unknown> {
+  const metadata = booking.metadata && typeof booking.metadata === 'object' ? booking.metadata : {};
+  const existingChanges = Array.isArray(metadata['self_service_changes'])
+    ? (metadata['self_service_changes'] as unknown[])
+    : [];
+
+  return {
+    ...metadata,
+    self_service_changes: [
+      ...existingChanges,
+      { ...change, at: new Date().toISOString() },
+    ],
+  };
+}
+
+/**
+ * Post a customer-initiated booking change into the booking's Slack thread.
+ * Bookings without a known thread get a new top-level message that later changes thread under.
+ */
+async function postBookingChangeToSlack(
+  supabase: SupabaseClient,
+  booking: ManagedBookingRecord,
+  text: string
+): Promise<void> {
+  try {
+    const slack = await serviceManager.getService<WebClient>('slack');
+
+    if (!slack) {
+      logger.warn(`Slack update skipped for ${booking.processing_id}: Slack service not available`);
+      return;
+    }
+
+    const channel = booking.channel_id || getServiceConfig('slack').channelId;
+    const threadTs = booking.thread_ts || undefined;
+    const dispatch = await dispatchSideEffect({
+      kind: 'slack_message',
+      context: `booking_change:${booking.processing_id}`,
+      payload: {
+        channel,
+        text,
+        ...(threadTs ? { thread_ts: threadTs } : {}),
+      },
+    });
+    const postedTs = typeof dispatch.result?.['ts'] === 'string' ? dispatch.result['ts'] : null;
+
+    if (!threadTs && postedTs) {
+      const postedChannel = dispatch.result?.['channel'];
+
+      await supabase
+        .from('booking_inquiries')
+        .update({
+          thread_ts: postedTs,
+          channel_id: typeof postedChannel === 'string' ? postedChannel : channel,
+        })
+        .eq('processing_id', booking.processing_id);
+    }
+  } catch (error) {
+    logger.warn(`Slack update failed for booking change ${booking.processing_id}:`, error);
+  }
+}
+
+async function sendBookingChangeEmail(
+  booking: ManagedBookingRecord,
+  action: BookingManageAction,
+  newStart?: Date
+): Promise<boolean> {
+  try {
+    const emailService = await serviceManager.getService<Resend>('email');
+
+    if (!emailService) {
+      logger.warn(`Booking change email skipped for ${booking.processing_id}: email service not available`);
+      return false;
+    }
+
+    const customerName = booking.customer_name?.trim() || 'there';
+    let subject: string;
+    let body: string;
+
+    if (action === 'reschedule' && newStart) {
+      const manageLinks = buildBookingManageLinks(booking.processing_id, newStart);
+      subject = `Your Autonome consultation has been rescheduled [${booking.processing_id}]`;
+      body = [
+        `Hi ${customerName},`,
+        '',
+        'Your Autonome strategic consultation has been moved to a new time.',
+        `Reference: ${booking.processing_id}`,
+        `When: ${formatCustomerFacingDate(newStart.toISOString()) || 'the newly selected time'}`,
+        '',
+        ...(manageLinks
+          ? [
+            'Need to make another change? Use these secure links any time before the meeting starts:',
+            `Reschedule: ${manageLinks.rescheduleUrl}`,
+            `Cancel: ${manageLinks.cancelUrl}`,
+            '',
+          ]
+          : []),
+        'The Autonome Team',
+      ].join('\n');
+    } else {
+      subject = `Your Autonome consultation has been cancelled [${booking.processing_id}]`;
+      body = [
+        `Hi ${customerName},`,
+        '',
+        'Your Autonome strategic consultation has been cancelled as requested.',
+        `Reference: ${booking.processing_id}`,
+        '',
+        `Whenever you are ready to reconnect, you can book a new time at ${getPublicBookingLink()}`,
+        '',
+        'The Autonome Team',
+      ].join('\n');
+    }
+
+    const dispatch = await dispatchSideEffect({
+      kind: 'email',
+      context: `booking_${action}:${booking.processing_id}`,
+      payload: {
+        to: [booking.email_from],
+        subject,
+        text: body,
+        booking_reference: booking.processing_id,
+      },
+    });
+
+    if (!dispatch.delivered) {
+      logger.warn(`Booking change email failed for ${booking.processing_id}${dispatch.queued ? '; queued for retry' : ''}: ${dispatch.error}`);
+    }
+
+    return dispatch.delivered;
+  } catch (error) {
+    logger.warn(`Booking change email failed for ${booking.processing_id}:`, error);
+    return false;
+  }
+}
+
 /**
  * Validate booking request
  */
@@ -581,6 +995,9 @@ async function processEmergencyMode(
       source: 'emergency_fallback',
       processing_mode: 'emergency',
       is_personal: bookingData.is_personal === true,
+      ...(bookingData.intake_responses && Object.keys(bookingData.intake_responses).length > 0
+        ? { intake_responses: bookingData.intake_responses }
+        : {}),
     };
 
     const bookingRecordVariants: Array<Record<string, unknown>> = [
@@ -593,6 +1010,9 @@ async function processEmergencyMode(
         email_body: bookingData.message,
         inquiry_type: bookingData.inquiry_type || 'strategy_call',
         preferred_date: bookingData.preferred_date || null,
+        ...(bookingData.meeting_type
+          ? { meeting_type: bookingData.meeting_type, meeting_duration: bookingData.meeting_duration ?? null }
+          : {}),
         status: 'pending',
         metadata,
       },
@@ -737,6 +1157,37 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
     // Enrich bookingData with is_personal flag for metadata storage
     bookingData.is_personal = (req.body as any).is_personal === true;
 
+    const meetingTypeResolution = await resolveMeetingTypeRequest(
+      await serviceManager.getService<SupabaseClient>('supabase'),
+      { meetingType: req.body?.['meeting_type'] },
+      { isTavusEnabled: getSchedulingConfig().isTavusEnabled }
+    );
+
+    if (!meetingTypeResolution.ok) {
+      res.status(meetingTypeResolution.status).json({
+        success: false,
+        error: meetingTypeResolution.error,
+        request_id: requestId,
+      });
+      return;
+    }
+
+    const { meetingType } = meetingTypeResolution;
+    const intakeValidation = validateIntakeResponses(meetingType, req.body?.['intake_responses']);
+
+    if (!intakeValidation.valid) {
+      res.status(400).json({
+        success: false,
+        errors: intakeValidation.errors,
+        request_id: requestId,
+      });
+      return;
+    }
+
+    bookingData.meeting_type = meetingType.slug;
+    bookingData.meeting_duration = meetingType.duration_minutes;
+    bookingData.intake_responses = intakeValidation.answers;
+
     if (calendarBookingRequired && !provisionalHoldId) {
       res.status(400).json({
         success: false,
@@ -753,6 +1204,7 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
     logger.info(`Processing booking ${requestId} in ${processingMode} mode`);
 
     let result: BookingResponse | EmergencyResult;
+    let degradedMode: DegradedProcessingMode | null = null;
 
     // Process based on available services
     switch (processingMode) {
@@ -773,28 +1225,49 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
         } catch (error) {
           logger.error('Full AI processing failed, falling back:', error);
           result = await processFallbackMode(bookingData, requestId);
+          degradedMode = 'fallback';
         }
         break;
 
       case ProcessingMode.BASIC_AI:
-        // Basic AI processing would go here
-        result = await processFallbackMode(bookingData, requestId);
-        result.processing_mode = ProcessingMode.BASIC_AI as any;
-        result.message = 'Your booking request has been received and processed!';
+        try {
+          if (bypassInteractiveAIFlow) {
+            result = await processEmergencyMode(bookingData, requestId);
+            result.processing_mode = ProcessingMode.BASIC_AI as any;
+            result.message = 'Your selected consultation time is being finalized.';
+          } else {
+            result = await processBasicAIMode(bookingData, requestId, processEmergencyMode);
+          }
+        } catch (error) {
+          logger.error('Basic AI processing failed, falling back:', error);
+          result = await processFallbackMode(bookingData, requestId);
+          degradedMode = 'fallback';
+        }
         break;
 
       case ProcessingMode.FALLBACK:
         result = await processFallbackMode(bookingData, requestId);
+        degradedMode = 'fallback';
         break;
 
       case ProcessingMode.EMERGENCY:
         result = await processEmergencyMode(bookingData, requestId);
+        degradedMode = 'emergency';
         break;
 
       default:
         throw new Error(`Unknown processing mode: ${processingMode}`);
     }
 
+    // Bookings that skipped analysis/drafting are replayed by the recovery cron once services are back
+    if (degradedMode && !bypassInteractiveAIFlow && (result as { success?: boolean }).success) {
+      const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+      if (supabase) {
+        await markBookingForRecovery(supabase, requestId, degradedMode);
+      }
+    }
+
     let calendarConfirmation:
       | {
         confirmed: boolean;
@@ -806,10 +1279,11 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
       }
       | null = null;
     let calendarConfirmationError: string | null = null;
+    let calendarSlotConflict: AlternativeSlot[] | null = null;
 
     if ((result as { success?: boolean }).success && provisionalHoldId) {
       try {
-        calendarConfirmation = await confirmCalendarBooking(bookingData, requestId);
+        calendarConfirmation = await confirmCalendarBooking(bookingData, requestId, meetingType);
 
         if (calendarConfirmation.confirmed) {
           (result as Record<string, unknown>)['calendar_confirmed'] = true;
@@ -822,6 +1296,22 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
       } catch (error) {
         calendarConfirmationError = error instanceof Error ? error.message : 'Unknown error';
         logger.error(`Calendar confirmation failed for ${requestId}: ${calendarConfirmationError}`);
+
+        if (error instanceof SelectionSlotUnavailableError) {
+          const calendarService = await serviceManager.getService<CalendarService>('calendar');
+          const minimumNoticeMinutes = meetingType.minimum_notice_minutes ?? getSchedulingConfig().minLeadTimeMinutes;
+
+          calendarSlotConflict = calendarService
+            ? await findAlternativeSlots(
+              calendarService,
+              meetingType,
+              error.slot,
+              new Date(Date.now() + minimumNoticeMinutes * 60 * 1000),
+              error.calendarEmail
+            )
+            : [];
+        }
+
         (result as Record<string, unknown>)['calendar_confirmed'] = false;
         (result as Record<string, unknown>)['calendar_confirmation_error'] = calendarConfirmationError;
         result.message =
@@ -829,6 +1319,19 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
       }
     }
 
+    if (calendarSlotConflict) {
+      res.status(409).json({
+        success: false,
+        error: calendarConfirmationError,
+        code: 'slot_unavailable',
+        alternatives: calendarSlotConflict,
+        request_id: requestId,
+        processing_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
     if (calendarBookingRequired && !calendarConfirmation?.confirmed) {
       res.status(409).json({
         success: false,
@@ -850,6 +1353,7 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
           calendarConfirmation
         );
         (result as Record<string, unknown>)['confirmation_email_sent'] = emailReceipt.accepted;
+        (result as Record<string, unknown>)['confirmation_email_queued'] = emailReceipt.queued;
         (result as Record<string, unknown>)['confirmation_email_id'] = emailReceipt.messageId;
 
         // --- Tavus Integration Trigger ---
@@ -863,7 +1367,7 @@ router.post('/booking-form', async (req: Request, res: Response): Promise<void>
           const allowedTiers = tavusConfig.trigger_conditions.customer_tier || ['Professional', 'Enterprise'];
 
           // Duration check
-          const duration = bookingInquiry.meeting_duration || 30;
+          const duration = bookingInquiry.meeting_duration || meetingType.duration_minutes;
           const minDuration = tavusConfig.trigger_conditions.meeting_duration_above ?? 14;
 
           // Admin Discovery Mode check
@@ -1037,46 +1541,87 @@ router.put('/notification-settings', async (req: Request, res: Response): Promis
 
 /**
  * Inbound email reply webhook
- * Accepts replies from the approved outbound booking email thread.
+ * Accepts replies from the approved outbound booking email thread, either in the custom
+ * JSON shape (POST /inbound-email) or from a provider (POST /inbound-email/:provider with
+ * resend, sendgrid, mailgun or mime). The adapter verifies the provider signature and strips
+ * quoted history and signatures before the reply reaches the AI.
  */
-router.post('/inbound-email', async (req: Request, res: Response): Promise<void> => {
+async function handleInboundEmail(
+  provider: InboundEmailProviderName,
+  req: Request,
+  res: Response
+): Promise<void> {
   try {
-    const configuredSecret = process.env['INBOUND_EMAIL_WEBHOOK_SECRET'];
-    const providedSecret = req.headers['x-booking-webhook-secret'];
+    const adapter = createInboundEmailAdapter(provider);
+    const webhookRequest: InboundWebhookRequest = {
+      headers: req.headers,
+      rawBody: Buffer.isBuffer(req.body)
+        ? req.body
+        : Buffer.from((req as Request & { rawBody?: string }).rawBody ?? ''),
+      body: Buffer.isBuffer(req.body) ? undefined : req.body,
+    };
 
-    if (
-      configuredSecret &&
-      (typeof providedSecret !== 'string' || providedSecret !== configuredSecret)
-    ) {
+    try {
+      adapter.verify(webhookRequest);
+    } catch (verificationError) {
+      if (!(verificationError instanceof InboundEmailVerificationError)) {
+        throw verificationError;
+      }
+
+      logger.warn(`Rejected ${provider} inbound email webhook: ${verificationError.message}`);
       res.status(401).json({ success: false, error: 'Unauthorized' });
       return;
     }
 
-    const payload = req.body as Partial<InboundEmailPayload>;
-    const from = payload.from?.trim().toLowerCase();
-    const replyBody = getInboundEmailBody(payload as InboundEmailPayload);
+    let message: InboundEmailMessage | null;
 
-    if (!from || !replyBody) {
-      res.status(400).json({
-        success: false,
-        error: 'from and email body are required',
-      });
+    try {
+      message = adapter.parse(webhookRequest);
+    } catch (parseError) {
+      if (!(parseError instanceof InboundEmailParseError)) {
+        throw parseError;
+      }
+
+      res.status(400).json({ success: false, error: parseError.message });
+      return;
+    }
+
+    if (!message) {
+      res.json({ success: true, ignored: true });
       return;
     }
 
+    const from = message.from;
+    const replyBody = message.text;
+    const threadId = message.thread_id?.trim();
     const supabase = await serviceManager.getService<SupabaseClient>('supabase');
     if (!supabase) {
       throw new Error('Supabase service not available');
     }
 
-    const explicitBookingId = extractBookingIdFromText(payload.subject, payload.text, payload.html);
+    const explicitBookingId = extractBookingIdFromText(message.subject, message.raw_text, message.html);
     let booking: BookingLookupRecord | null = null;
+    const threadedBookingId = await findProcessingIdByMessageIds(
+      supabase,
+      [message.in_reply_to, ...[...message.references].reverse()],
+      getServiceConfig('email').fromAddress
+    );
+
+    if (threadedBookingId) {
+      const { data } = await supabase
+        .from('booking_inquiries')
+        .select(BOOKING_LOOKUP_COLUMNS)
+        .eq('processing_id', threadedBookingId)
+        .maybeSingle<BookingLookupRecord>();
+
+      booking = data;
+    }
 
-    if (payload.thread_id?.trim()) {
+    if (!booking && threadId) {
       const { data } = await supabase
         .from('booking_inquiries')
-        .select('id, processing_id, email_from, customer_name, company_name, status, email_thread_id, email_body, drafted_email, metadata')
-        .eq('email_thread_id', payload.thread_id.trim())
+        .select(BOOKING_LOOKUP_COLUMNS)
+        .eq('email_thread_id', threadId)
         .maybeSingle<BookingLookupRecord>();
 
       booking = data;
@@ -1085,7 +1630,7 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
     if (!booking && explicitBookingId) {
       const { data } = await supabase
         .from('booking_inquiries')
-        .select('id, processing_id, email_from, customer_name, company_name, status, email_thread_id, email_body, drafted_email, metadata')
+        .select(BOOKING_LOOKUP_COLUMNS)
         .eq('processing_id', explicitBookingId)
         .maybeSingle<BookingLookupRecord>();
 
@@ -1095,7 +1640,7 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
     if (!booking) {
       const { data } = await supabase
         .from('booking_inquiries')
-        .select('id, processing_id, email_from, customer_name, company_name, status, email_thread_id, email_body, drafted_email, metadata')
+        .select(BOOKING_LOOKUP_COLUMNS)
         .eq('email_from', from)
         .order('updated_at', { ascending: false })
         .limit(1)
@@ -1107,7 +1652,8 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
     if (!booking) {
       logger.warn('Inbound email could not be matched to a booking', {
         from,
-        subject: payload.subject,
+        subject: message.subject,
+        provider,
       });
 
       res.status(404).json({
@@ -1117,6 +1663,8 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
       return;
     }
 
+    // A teammate owns this conversation: relay it to Slack and keep the booking AI out of it
+    const humanTakeover = isHumanTakeoverStatus(booking.status);
     const conversationHistory = Array.isArray(booking.metadata?.['conversation_log'])
       ? [...(booking.metadata?.['conversation_log'] as unknown[])]
       : [];
@@ -1125,21 +1673,24 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
       direction: 'inbound',
       content: replyBody,
       timestamp: new Date().toISOString(),
-      subject: payload.subject || null,
-      thread_id: payload.thread_id || null,
+      subject: message.subject || null,
+      thread_id: threadId || null,
+      message_id: message.message_id || null,
+      provider,
+      ...(message.attachments.length > 0 ? { attachments: message.attachments } : {}),
     });
 
     const updateData: Record<string, unknown> = {
       updated_at: new Date().toISOString(),
-      status: 'processing',
+      status: humanTakeover ? booking.status : 'processing',
       metadata: {
         ...(booking.metadata || {}),
         conversation_log: conversationHistory,
       },
     };
 
-    if (payload.thread_id?.trim()) {
-      updateData['email_thread_id'] = payload.thread_id.trim();
+    if (threadId) {
+      updateData['email_thread_id'] = threadId;
     }
 
     const { error: updateError } = await supabase
@@ -1151,19 +1702,121 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
       throw new Error(`Failed to update booking for inbound email: ${updateError.message}`);
     }
 
-    const activeThreadId = payload.thread_id?.trim() || booking.email_thread_id || booking.processing_id;
-    await persistConversationTurn(supabase, booking, activeThreadId, 'inbound', replyBody, {
-      subject: payload.subject || null,
-    });
+    const activeThreadId = threadId || booking.email_thread_id || booking.processing_id;
+    let conversation = booking.id
+      ? await recordConversationTurn(supabase, {
+        bookingInquiryId: booking.id,
+        threadId: activeThreadId,
+        direction: 'inbound',
+        content: replyBody,
+        metadata: {
+          subject: message.subject || null,
+          provider,
+          message_id: message.message_id || null,
+          attachments: message.attachments,
+        },
+      })
+      : null;
+    const maxTurns = getConfigSection('system_behavior').conversation.max_turns;
+    const overTurnLimit = !humanTakeover && isConversationOverTurnLimit(conversation?.turns_count, maxTurns);
+
+    if (overTurnLimit && conversation && (await markConversationEscalated(supabase, conversation))) {
+      logger.warn(`Email conversation for ${booking.processing_id} passed ${maxTurns} turns; escalating to a human`);
+    }
+
+    let proposedTimeBooking: ProposedTimeBooking | null = null;
+    // Only the customer's own reply may book or auto-send; anyone else on the thread gets a draft for approval
+    const senderAddress = parseEmailAddress(from)?.address;
+    const senderIsCustomer = Boolean(senderAddress) && senderAddress === parseEmailAddress(booking.email_from)?.address;
+
+    if (!senderIsCustomer) {
+      logger.info(`Inbound reply for ${booking.processing_id} is not from the booking email; drafting it for approval`, {
+        from,
+      });
+    }
+
+    if (!overTurnLimit && !humanTakeover && senderIsCustomer) {
+      try {
+        proposedTimeBooking = await bookFromProposedTimes(supabase, booking, replyBody);
+      } catch (bookingError) {
+        logger.error(`Failed to check proposed times for booking ${booking.processing_id}:`, bookingError);
+      }
+    }
+
+    const autoBooked = proposedTimeBooking?.booked === true;
+    const alternativeSlots = proposedTimeBooking?.booked === false ? proposedTimeBooking : null;
+
+    if (proposedTimeBooking?.booked) {
+      const confirmationSummary = `Booking confirmed for ${formatCustomerFacingDate(proposedTimeBooking.start) || proposedTimeBooking.start}`;
+      const { error: bookedUpdateError } = await supabase
+        .from('booking_inquiries')
+        .update({
+          status: 'sent',
+          updated_at: new Date().toISOString(),
+          metadata: {
+            ...(booking.metadata || {}),
+            conversation_log: [
+              ...conversationHistory,
+              {
+                direction: 'outbound_sent',
+                content: confirmationSummary,
+                timestamp: new Date().toISOString(),
+                auto_booked: true,
+              },
+            ],
+            auto_booked_at: new Date().toISOString(),
+          },
+        })
+        .eq('processing_id', booking.processing_id);
+
+      if (bookedUpdateError) {
+        logger.warn(`Booking ${booking.processing_id} was auto-booked but its status update failed: ${bookedUpdateError.message}`);
+      }
+
+      if (booking.id) {
+        conversation = await recordConversationTurn(supabase, {
+          bookingInquiryId: booking.id,
+          threadId: activeThreadId,
+          direction: 'outbound',
+          content: confirmationSummary,
+          metadata: { auto_booked: true },
+        }) ?? conversation;
+      }
+
+      if (conversation) {
+        conversation = await advanceConversationStage(supabase, conversation, { type: 'booking_confirmed' });
+      }
+    }
 
     const slack = await serviceManager.getService<WebClient>('slack');
-    const openai = await serviceManager.getService<OpenAI>('openai');
+    const llm = await serviceManager.getService<LLMService>('llm');
     let aiDraft: string | null = null;
     let autoApproved = false;
 
-    if (openai) {
+    if (!overTurnLimit && !humanTakeover && !autoBooked && (llm || alternativeSlots)) {
       try {
-        aiDraft = await generateInboundReplyDraft(openai, booking, replyBody);
+        if (llm) {
+          const schedulingNote = alternativeSlots
+            ? alternativeSlots.alternatives.length > 0
+              ? `The times the customer proposed are not available. Offer these open times instead (customer's timezone):\n${alternativeSlots.alternatives.map((slot) => `- ${formatSlotForCustomer(slot.start, alternativeSlots.timeZone)}`).join('\n')}`
+              : 'None of the times the customer proposed are available. Ask for a few other days or time windows.'
+            : undefined;
+
+          aiDraft = await generateInboundReplyDraft(llm, booking, replyBody, schedulingNote);
+        } else {
+          aiDraft = buildAlternativeTimesReply(
+            booking.customer_name,
+            alternativeSlots?.alternatives ?? [],
+            alternativeSlots?.timeZone ?? getConfigSection('scheduling').timezone
+          );
+        }
+
+        if (conversation) {
+          conversation = await advanceConversationStage(supabase, conversation, {
+            type: 'outbound_reply',
+            proposesSlots: draftProposesSlots(aiDraft),
+          });
+        }
 
         const updatedConversationHistory = [
           ...conversationHistory,
@@ -1191,12 +1844,18 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
           throw new Error(`Failed to save AI draft: ${draftUpdateError.message}`);
         }
 
-        if (shouldAutoApproveInboundReply(replyBody)) {
+        if (senderIsCustomer && shouldAutoApproveInboundReply(replyBody)) {
           await sendAutomatedBookingReply(booking, aiDraft);
           autoApproved = true;
-          await persistConversationTurn(supabase, booking, activeThreadId, 'outbound', aiDraft, {
-            auto_approved: true,
-          });
+          if (booking.id) {
+            conversation = await recordConversationTurn(supabase, {
+              bookingInquiryId: booking.id,
+              threadId: activeThreadId,
+              direction: 'outbound',
+              content: aiDraft,
+              metadata: { auto_approved: true },
+            }) ?? conversation;
+          }
 
           const autoApprovedConversationHistory = [
             ...updatedConversationHistory,
@@ -1230,7 +1889,17 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
       }
     }
 
-    if (slack) {
+    if (humanTakeover) {
+      try {
+        await mirrorInboundEmailToSlack(supabase, booking, {
+          ...(message.subject ? { subject: message.subject } : {}),
+          text: replyBody,
+          attachments: message.attachments,
+        });
+      } catch (mirrorError) {
+        logger.error(`Failed to mirror inbound email for human takeover booking ${booking.processing_id}:`, mirrorError);
+      }
+    } else if (slack) {
       const channelId = getServiceConfig('slack').channelId;
       const blocks: any[] = [
         {
@@ -1249,6 +1918,18 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
         },
       ];
 
+      if (message.attachments.length > 0) {
+        blocks.push({
+          type: 'context' as const,
+          elements: [
+            {
+              type: 'mrkdwn' as const,
+              text: `*Attachments:* ${message.attachments.map((attachment) => attachment.filename).join(', ').slice(0, 2800)}`,
+            },
+          ],
+        });
+      }
+
       if (aiDraft) {
         blocks.push(
           {
@@ -1289,6 +1970,45 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
         );
       }
 
+      if (overTurnLimit) {
+        blocks.push(
+          {
+            type: 'section' as const,
+            text: {
+              type: 'mrkdwn' as const,
+              text: `*Escalated to a human*\nThis thread has passed ${maxTurns} turns, so the booking AI did not draft a reply. Please take over the conversation.`,
+            },
+          },
+          {
+            type: 'actions' as const,
+            elements: [
+              {
+                type: 'button' as const,
+                text: { type: 'plain_text' as const, text: 'Human Takeover' },
+                style: 'danger' as const,
+                action_id: 'human_takeover',
+                value: booking.processing_id,
+              },
+            ],
+          }
+        );
+      }
+
+      if (proposedTimeBooking?.booked) {
+        blocks.push(
+          {
+            type: 'divider' as const,
+          },
+          {
+            type: 'section' as const,
+            text: {
+              type: 'mrkdwn' as const,
+              text: `*Auto-Booked from Proposed Time*\nThe customer's proposed time was open, so the meeting was confirmed for ${formatCustomerFacingDate(proposedTimeBooking.start) || proposedTimeBooking.start} and the confirmation email was sent.${proposedTimeBooking.meetingLink ? `\n*Meeting link:* ${proposedTimeBooking.meetingLink}` : ''}`,
+            },
+          }
+        );
+      }
+
       if (autoApproved && aiDraft) {
         blocks.push(
           {
@@ -1306,11 +2026,15 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
 
       await slack.chat.postMessage({
         channel: channelId,
-        text: autoApproved
-          ? `Inbound booking reply received and the AI automatically sent the next response for ${booking.processing_id}`
-          : aiDraft
-            ? `Inbound booking reply received and AI drafted the next response for ${booking.processing_id}`
-            : `Inbound booking reply received for ${booking.processing_id}`,
+        text: autoBooked
+          ? `Inbound booking reply for ${booking.processing_id} proposed an open time; the meeting was booked automatically`
+          : autoApproved
+            ? `Inbound booking reply received and the AI automatically sent the next response for ${booking.processing_id}`
+            : overTurnLimit
+              ? `Inbound booking reply for ${booking.processing_id} needs a human: the conversation passed ${maxTurns} turns`
+              : aiDraft
+                ? `Inbound booking reply received and AI drafted the next response for ${booking.processing_id}`
+                : `Inbound booking reply received for ${booking.processing_id}`,
         blocks,
       });
     }
@@ -1323,8 +2047,13 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
     res.json({
       success: true,
       booking_id: booking.processing_id,
-      status: autoApproved ? 'sent' : 'processing',
+      status: humanTakeover ? booking.status : autoApproved || autoBooked ? 'sent' : 'processing',
       auto_approved: autoApproved,
+      auto_booked: autoBooked,
+      confirmed_start: proposedTimeBooking?.booked ? proposedTimeBooking.start : null,
+      conversation_stage: conversation?.conversation_stage ?? null,
+      escalated: overTurnLimit,
+      human_takeover: humanTakeover,
     });
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
@@ -1334,6 +2063,295 @@ router.post('/inbound-email', async (req: Request, res: Response): Promise<void>
       error: errorMessage,
     });
   }
+}
+
+router.post('/inbound-email', (req: Request, res: Response): Promise<void> => handleInboundEmail('json', req, res));
+
+router.post(
+  '/inbound-email/:provider',
+  // JSON and urlencoded bodies are already parsed (with rawBody kept); multipart and MIME arrive as bytes
+  express.raw({ type: ['multipart/form-data', 'message/rfc822', 'text/plain', 'application/octet-stream'], limit: '25mb' }),
+  async (req: Request, res: Response): Promise<void> => {
+    const provider = req.params['provider'];
+
+    if (!isInboundEmailProvider(provider)) {
+      res.status(404).json({ success: false, error: `Unknown inbound email provider: ${provider}` });
+      return;
+    }
+
+    await handleInboundEmail(provider, req, res);
+  }
+);
+
+/**
+ * Look up a booking from a signed self-service link
+ * GET /api/booking/:processing_id/reschedule?token=...
+ * GET /api/booking/:processing_id/cancel?token=...
+ */
+async function handleManagedBookingLookup(
+  action: BookingManageAction,
+  req: Request,
+  res: Response
+): Promise<void> {
+  const processingId = req.params['processing_id'] || '';
+
+  try {
+    const resolution = await resolveManagedBooking(processingId, action, req.query['token']);
+
+    if (!resolution.ok) {
+      res.status(resolution.status).json({ success: false, error: resolution.error });
+      return;
+    }
+
+    const { booking } = resolution;
+
+    res.json({
+      success: true,
+      action,
+      booking: {
+        processing_id: booking.processing_id,
+        customer_name: booking.customer_name,
+        company_name: booking.company_name,
+        status: booking.status,
+        start: booking.selected_slot_start,
+        end: booking.selected_slot_end,
+        duration_minutes: getManagedBookingDurationMinutes(booking),
+        calendar_email: booking.assigned_calendar_email || null,
+      },
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Managed booking lookup failed for ${processingId}:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+}
+
+router.get('/:processing_id/reschedule', (req: Request, res: Response) =>
+  handleManagedBookingLookup('reschedule', req, res)
+);
+
+router.get('/:processing_id/cancel', (req: Request, res: Response) =>
+  handleManagedBookingLookup('cancel', req, res)
+);
+
+/**
+ * Move a confirmed booking to a new slot from a signed self-service link
+ * POST /api/booking/:processing_id/reschedule
+ */
+router.post('/:processing_id/reschedule', async (req: Request, res: Response): Promise<void> => {
+  const processingId = req.params['processing_id'] || '';
+
+  try {
+    const resolution = await resolveManagedBooking(processingId, 'reschedule', req.body?.token);
+
+    if (!resolution.ok) {
+      res.status(resolution.status).json({ success: false, error: resolution.error });
+      return;
+    }
+
+    const { booking, supabase } = resolution;
+    const slotStart = new Date(req.body?.slot_start);
+
+    if (Number.isNaN(slotStart.getTime())) {
+      res.status(400).json({ success: false, error: 'A valid slot_start is required' });
+      return;
+    }
+
+    if (!booking.confirmed_event_id) {
+      res.status(409).json({
+        success: false,
+        error: 'This booking does not have a confirmed calendar event to move.',
+      });
+      return;
+    }
+
+    const durationMinutes = getManagedBookingDurationMinutes(booking);
+    const slotEnd = new Date(slotStart.getTime() + durationMinutes * 60 * 1000);
+    const previousStart = booking.selected_slot_start || null;
+
+    if (previousStart && new Date(previousStart).getTime() === slotStart.getTime()) {
+      res.status(400).json({ success: false, error: 'Your meeting is already scheduled for that time.' });
+      return;
+    }
+
+    const config = getSchedulingConfig();
+    const displaySettings = await getAvailabilityDisplaySettings(supabase, DEFAULT_ADMIN_USER_EMAIL, 20);
+    const minimumNoticeMinutes = displaySettings.minimumNoticeMinutes ?? config.minLeadTimeMinutes;
+
+    if (slotStart.getTime() < Date.now() + minimumNoticeMinutes * 60 * 1000) {
+      res.status(409).json({
+        success: false,
+        error: `Please choose a time at least ${minimumNoticeMinutes} minutes from now.`,
+      });
+      return;
+    }
+
+    const calendarService = await serviceManager.getService<CalendarService>('calendar');
+
+    if (!calendarService) {
+      res.status(503).json({ success: false, error: 'Calendar service not available' });
+      return;
+    }
+
+    // The meeting being moved must not block its own new time or count towards daily limits
+    const meetingType = await getManagedBookingMeetingType(supabase, booking, durationMinutes);
+    const openSlots = await calendarService.getAvailableSlots({
+      startDate: slotStart,
+      endDate: slotEnd,
+      durationMinutes,
+      bufferBeforeMinutes: meetingType?.buffer_before_minutes,
+      bufferAfterMinutes: meetingType?.buffer_after_minutes,
+      slotIntervalMinutes: config.slotIntervalMinutes,
+      calendarEmailOverride: booking.assigned_calendar_email || undefined,
+      excludeEventIds: [booking.confirmed_event_id],
+    });
+
+    if (!openSlots.some((slot) => slot.start.getTime() === slotStart.getTime())) {
+      res.status(409).json({
+        success: false,
+        error: 'That time is no longer available. Please choose another time.',
+      });
+      return;
+    }
+
+    const { event, calendarEmail } = await calendarService.rescheduleConfirmedEvent(
+      booking.confirmed_event_id,
+      { start: slotStart, end: slotEnd },
+      booking.assigned_calendar_email
+    );
+
+    const { error: updateError } = await supabase
+      .from('booking_inquiries')
+      .update({
+        status: 'rescheduled',
+        selected_slot_start: event.start.toISOString(),
+        selected_slot_end: event.end.toISOString(),
+        metadata: appendSelfServiceChange(booking, {
+          action: 'reschedule',
+          previous_start: previousStart,
+          new_start: event.start.toISOString(),
+          new_end: event.end.toISOString(),
+        }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('processing_id', processingId);
+
+    if (updateError) {
+      logger.warn(`Booking ${processingId} was rescheduled but the row update failed:`, updateError);
+    }
+
+    logger.info(`Booking ${processingId} rescheduled by customer`, {
+      calendarEmail,
+      eventId: event.id,
+      previousStart,
+      newStart: event.start.toISOString(),
+    });
+
+    await postBookingChangeToSlack(
+      supabase,
+      booking,
+      `🔁 *Booking rescheduled by customer*\n*Booking ID:* ${processingId}\n*Customer:* ${booking.customer_name || 'Unknown'} (${booking.email_from})\n*Previous time:* ${formatCustomerFacingDate(previousStart || undefined) || 'Unknown'}\n*New time:* ${formatCustomerFacingDate(event.start.toISOString())}`
+    );
+
+    const emailSent = await sendBookingChangeEmail(booking, 'reschedule', event.start);
+
+    res.json({
+      success: true,
+      booking_id: processingId,
+      status: 'rescheduled',
+      start: event.start.toISOString(),
+      end: event.end.toISOString(),
+      confirmation_email_sent: emailSent,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Self-service reschedule failed for ${processingId}:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
+});
+
+/**
+ * Cancel a confirmed booking from a signed self-service link
+ * POST /api/booking/:processing_id/cancel
+ */
+router.post('/:processing_id/cancel', async (req: Request, res: Response): Promise<void> => {
+  const processingId = req.params['processing_id'] || '';
+
+  try {
+    const resolution = await resolveManagedBooking(processingId, 'cancel', req.body?.token);
+
+    if (!resolution.ok) {
+      res.status(resolution.status).json({ success: false, error: resolution.error });
+      return;
+    }
+
+    const { booking, supabase } = resolution;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 1000) : '';
+
+    if (booking.confirmed_event_id) {
+      const calendarService = await serviceManager.getService<CalendarService>('calendar');
+
+      if (!calendarService) {
+        res.status(503).json({ success: false, error: 'Calendar service not available' });
+        return;
+      }
+
+      // Queued through the outbox so a calendar API hiccup doesn't leave the customer unable to cancel
+      const calendarDispatch = await dispatchSideEffect({
+        kind: 'calendar_write',
+        context: `booking_cancel:${processingId}`,
+        payload: {
+          operation: 'cancel_event',
+          event_id: booking.confirmed_event_id,
+          calendar_email: booking.assigned_calendar_email ?? null,
+        },
+      });
+
+      if (!calendarDispatch.delivered) {
+        logger.warn(`Calendar event removal for ${processingId} failed; queued for retry: ${calendarDispatch.error}`);
+      }
+    }
+
+    const { error: updateError } = await supabase
+      .from('booking_inquiries')
+      .update({
+        status: 'cancelled',
+        metadata: appendSelfServiceChange(booking, {
+          action: 'cancel',
+          previous_start: booking.selected_slot_start || null,
+          reason: reason || null,
+        }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('processing_id', processingId);
+
+    if (updateError) {
+      logger.warn(`Booking ${processingId} was cancelled but the row update failed:`, updateError);
+    }
+
+    logger.info(`Booking ${processingId} cancelled by customer`, {
+      eventId: booking.confirmed_event_id,
+    });
+
+    await postBookingChangeToSlack(
+      supabase,
+      booking,
+      `🛑 *Booking cancelled by customer*\n*Booking ID:* ${processingId}\n*Customer:* ${booking.customer_name || 'Unknown'} (${booking.email_from})\n*Was scheduled for:* ${formatCustomerFacingDate(booking.selected_slot_start || undefined) || 'Unknown'}${reason ? `\n*Reason:* ${reason}` : ''}`
+    );
+
+    const emailSent = await sendBookingChangeEmail(booking, 'cancel');
+
+    res.json({
+      success: true,
+      booking_id: processingId,
+      status: 'cancelled',
+      confirmation_email_sent: emailSent,
+    });
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Self-service cancellation failed for ${processingId}:`, errorMessage);
+    res.status(500).json({ success: false, error: errorMessage });
+  }
 });
 
 /**
@@ -1,4 +1,3 @@
-import OpenAI from 'openai';
 import type { WebClient } from '@slack/web-api';
 import type { SupabaseClient } from '@supabase/supabase-js';
 import { serviceManager } from './serviceManager.js';
@@ -6,24 +5,36 @@ import { logger } from '../utils/logger.js';
 import { getServiceConfig } from '../utils/config.js';
 import { normalizeCustomerFacingEmailCopy } from './email/normalizeCustomerFacingEmailCopy.js';
 import { getSchedulingConfig, getBookingWindowHours } from '../utils/booking-rules.js';
+import { resolveMeetingTypeRequest } from './booking/meetingTypeStore.js';
+import { routeBookingInquiry } from './routing/routingEngine.js';
+import { getConfigSection } from '../../../src/config/loader.js';
+import { evaluateApprovalPolicy, type ApprovalDecision } from './approval/approvalPolicy.js';
+import { recordApprovalAudit } from './approval/approvalAudit.js';
+import { sendApprovedBookingEmail } from './email/sendApprovedBookingEmail.js';
+import { dispatchSideEffect, type SideEffectDispatchResult } from './outbox/outbox.js';
+import type { LLMService } from './llm/LLMService.js';
+import { buildToneOfVoiceGuidelines } from './llm/toneOfVoice.js';
+import { recordFaqRetrieval, retrieveFaqContext } from './faq/faqStore.js';
 import type {
   AIAnalysis,
   CustomerTier,
   UrgencyLevel,
   BookingResponse,
+  RoutingDecision,
 } from '../../../src/types/index.js';
 
 /**
  * AI Processing Service
- * Handles customer analysis and email draft generation using OpenAI GPT-4o
+ * Handles customer analysis and email draft generation through the configured LLM provider
  */
 
-interface BookingData {
+export interface BookingData {
   name: string;
   email: string;
   company?: string;
   message: string;
   phone?: string;
+  provisional_hold_id?: string;
 }
 
 interface EmergencyResult extends Partial<BookingResponse> {
@@ -34,47 +45,41 @@ interface EmergencyResult extends Partial<BookingResponse> {
  * Analyze customer inquiry using AI
  */
 async function analyzeCustomerInquiry(
-  openai: OpenAI,
+  llm: LLMService,
   bookingData: BookingData
 ): Promise<AIAnalysis> {
-  const openaiConfig = getServiceConfig('openai');
-
   logger.info('Starting AI analysis for customer inquiry...');
 
-  const aiAnalysis = await openai.chat.completions.create({
-    model: openaiConfig.model || 'gpt-4o',
-    messages: [
-      {
-        role: 'system',
-        content: `You are a business analyst. Analyze this customer inquiry and respond with ONLY a valid JSON object. No other text, explanations, or formatting.
+  const rawAnalysis = await llm.complete('customer_analysis', [
+    {
+      role: 'system',
+      content: `You are a business analyst. Analyze this customer inquiry and respond with ONLY a valid JSON object. No other text, explanations, or formatting.
 
 Required JSON format:
 {
   "customer_tier": "Basic|Professional|Enterprise",
   "urgency_level": "Low|Medium|High",
   "budget_estimation": "estimated budget range or 'Not specified'",
-  "key_needs_summary": "brief summary of automation needs"
+  "key_needs_summary": "brief summary of automation needs",
+  "qualification_score": 0-100 integer rating how well the lead fits our services
 }
 
 Analysis guidelines:
 - Basic: Small business, minimal automation, <$10K budget
 - Professional: Growing business, moderate automation, $10K-$100K budget
 - Enterprise: Large business, complex automation, >$100K budget`,
-      },
-      {
-        role: 'user',
-        content: `Customer: ${bookingData.name}
+    },
+    {
+      role: 'user',
+      content: `Customer: ${bookingData.name}
 Company: ${bookingData.company || 'Not specified'}
 Email: ${bookingData.email}
 Message: ${bookingData.message}`,
-      },
-    ],
-    temperature: 0.1,
-    max_tokens: 300,
-  });
+    },
+  ]);
 
   try {
-    const rawContent = aiAnalysis.choices[0]?.message?.content?.trim();
+    const rawContent = rawAnalysis.trim();
     if (!rawContent) {
       throw new Error('Empty AI response');
     }
@@ -100,12 +105,18 @@ Message: ${bookingData.message}`,
       throw new Error('Missing required fields in AI analysis');
     }
 
+    if (typeof analysis.qualification_score === 'number' && Number.isFinite(analysis.qualification_score)) {
+      analysis.qualification_score = Math.min(100, Math.max(0, Math.round(analysis.qualification_score)));
+    } else {
+      delete analysis.qualification_score;
+    }
+
     logger.info('AI analysis successful:', analysis);
     return analysis;
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     logger.error('AI analysis failed:', errorMessage);
-    logger.error('Raw content was:', aiAnalysis.choices[0]?.message?.content);
+    logger.error('Raw content was:', rawAnalysis);
 
     // Intelligent fallback based on message content
     return generateFallbackAnalysis(bookingData);
@@ -167,7 +178,10 @@ function generateFallbackAnalysis(bookingData: BookingData): AIAnalysis {
  * Generate schedule suggestions using real calendar availability
  * Falls back to algorithmic suggestions if calendar service unavailable
  */
-async function generateScheduleSuggestionsWithCalendar(analysis: AIAnalysis): Promise<string[]> {
+async function generateScheduleSuggestionsWithCalendar(
+  analysis: AIAnalysis,
+  routing?: RoutingDecision | null
+): Promise<string[]> {
   try {
     // Try to get real availability from calendar service
     const calendarService = await serviceManager.getService('calendar') as {
@@ -178,25 +192,41 @@ async function generateScheduleSuggestionsWithCalendar(analysis: AIAnalysis): Pr
         maxSlots?: number;
         workingHours?: { start: string; end: string };
         bufferMinutes?: number;
+        bufferBeforeMinutes?: number;
+        bufferAfterMinutes?: number;
         slotIntervalMinutes?: number;
+        calendarEmailOverride?: string;
       }) => Promise<Array<{ start: Date; end: Date; available: boolean }>>;
     } | null;
 
     if (calendarService) {
       const config = getSchedulingConfig();
+      const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+      // Routed meeting type wins; otherwise derive it from the customer tier
+      const tierMeetingType = analysis.customer_tier === 'Enterprise'
+        ? 'demo'
+        : analysis.customer_tier === 'Professional' ? 'consultation' : 'discovery';
+      let meetingTypeResolution = await resolveMeetingTypeRequest(
+        supabase,
+        { meetingType: routing?.meeting_type ?? tierMeetingType },
+        { isTavusEnabled: config.isTavusEnabled }
+      );
 
-      // Determine meeting duration based on customer tier
-      let durationMinutes =
-        analysis.customer_tier === 'Enterprise' ? 45 :
-          analysis.customer_tier === 'Professional' ? 30 : 15;
+      // Unavailable types (inactive, or Tavus-only without Tavus) fall back to the default type
+      if (!meetingTypeResolution.ok) {
+        meetingTypeResolution = await resolveMeetingTypeRequest(supabase, {}, { isTavusEnabled: config.isTavusEnabled });
+      }
 
-      // Rule: 15min sessions require Tavus
-      if (durationMinutes === 15 && !config.isTavusEnabled) {
-        durationMinutes = 30; // Fallback to 30
+      if (!meetingTypeResolution.ok) {
+        throw new Error(meetingTypeResolution.error);
       }
 
-      // Window size depends on duration
-      const windowHours = getBookingWindowHours(durationMinutes);
+      const { meetingType } = meetingTypeResolution;
+      const durationMinutes = routing?.duration_minutes ?? meetingType.duration_minutes;
+
+      // Window size depends on the meeting type
+      const windowHours = getBookingWindowHours(meetingType);
       const now = new Date();
       const startDate = new Date(now.getTime() + config.minLeadTimeMinutes * 60 * 1000);
       const endDate = new Date(startDate.getTime() + windowHours * 60 * 60 * 1000);
@@ -206,8 +236,10 @@ async function generateScheduleSuggestionsWithCalendar(analysis: AIAnalysis): Pr
         endDate,
         durationMinutes,
         maxSlots: 3,
-        bufferMinutes: 0,
+        bufferBeforeMinutes: meetingType.buffer_before_minutes,
+        bufferAfterMinutes: meetingType.buffer_after_minutes,
         slotIntervalMinutes: config.slotIntervalMinutes,
+        calendarEmailOverride: routing?.calendar_email ?? meetingType.calendar_email ?? undefined,
       });
 
       // Format slots for email
@@ -255,27 +287,25 @@ function generateScheduleSuggestions(analysis: AIAnalysis): string[] {
 }
 
 /**
- * Generate email draft using AI
+ * Generate email draft using AI, grounded on FAQ answers matching the inquiry
  */
 async function generateEmailDraft(
-  openai: OpenAI,
+  llm: LLMService,
   bookingData: BookingData,
   analysis: AIAnalysis,
-  calendarInfo: string
+  calendarInfo: string,
+  processingId?: string
 ): Promise<string> {
-  const openaiConfig = getServiceConfig('openai');
-
   logger.info('Generating email response draft...');
 
-  const emailDraft = await openai.chat.completions.create({
-    model: openaiConfig.model || 'gpt-4o',
-    messages: [
-      {
-        role: 'system',
-        content: `You are a professional business representative for Autonome.us. Generate a professional email response to this customer inquiry.
+  const toneOfVoice = getConfigSection('tone_of_voice');
+  const faq = await retrieveFaqContext(bookingData.message);
+  const emailDraft = await llm.complete('email_draft', [
+    {
+      role: 'system',
+      content: `You are a professional business representative for Autonome.us. Generate a professional email response to this customer inquiry.
 
 Requirements:
-- Professional, warm, and consultative tone
 - Acknowledge their specific needs mentioned in their inquiry
 - Reference their company if provided
 - Based on the tier (${analysis.customer_tier}), suggest appropriate next steps
@@ -292,11 +322,15 @@ For ${analysis.customer_tier} customers:
 - Professional: Emphasize scalability and growth enablement
 - Enterprise: Highlight strategic transformation and enterprise capabilities
 
-${calendarInfo ? `Calendar note: ${calendarInfo}` : ''}`,
-      },
-      {
-        role: 'user',
-        content: `Customer Name: ${bookingData.name}
+${buildToneOfVoiceGuidelines(toneOfVoice)}
+
+${calendarInfo ? `Calendar note: ${calendarInfo}` : ''}
+
+${faq.context}`,
+    },
+    {
+      role: 'user',
+      content: `Customer Name: ${bookingData.name}
 Company: ${bookingData.company || 'Not specified'}
 Email: ${bookingData.email}
 Message: ${bookingData.message}
@@ -306,44 +340,108 @@ AI Analysis:
 - Urgency Level: ${analysis.urgency_level}
 - Budget Estimation: ${analysis.budget_estimation}
 - Key Needs: ${analysis.key_needs_summary}`,
-      },
-    ],
-    temperature: 0.3,
-    max_tokens: 500,
-  });
+    },
+  ]);
 
-  const draftedEmail = emailDraft.choices[0]?.message?.content?.trim();
+  const draftedEmail = emailDraft.trim();
   if (!draftedEmail) {
     throw new Error('Empty email draft from AI');
   }
 
+  await recordFaqRetrieval({
+    replyType: 'email_draft',
+    processingId,
+    query: bookingData.message,
+    matches: faq.matches,
+  });
+
   logger.info('Email draft generated successfully');
-  return normalizeCustomerFacingEmailCopy(draftedEmail);
+  return normalizeCustomerFacingEmailCopy(draftedEmail, toneOfVoice.avoid_words);
 }
 
 /**
- * Send Slack approval request
+ * Send Slack approval request. When the draft was already sent automatically the
+ * message is informational only and carries no approval buttons. `emailQueued` marks
+ * BASIC_AI bookings, where the customer email waits in the outbox for the email service.
  */
 async function sendSlackApproval(
-  slack: WebClient,
   bookingData: BookingData,
   analysis: AIAnalysis,
   draftedEmail: string,
-  requestId: string
-): Promise<void> {
+  requestId: string,
+  routing?: RoutingDecision | null,
+  approval?: { decision: ApprovalDecision; autoSent: boolean; emailQueued?: boolean }
+): Promise<SideEffectDispatchResult> {
   const slackConfig = getServiceConfig('slack');
+  const autoSent = approval?.autoSent === true;
+  const emailQueued = approval?.emailQueued === true;
+  const routingSummary = routing
+    ? `\n• *Routing:* ${routing.rule_name} → ${routing.meeting_type}, ${routing.duration_minutes} min${routing.calendar ? ` on ${routing.calendar}` : ''}${routing.require_approval ? '' : ' (approval optional)'}`
+    : '\n• *Routing:* no rule matched';
+  const qualificationSummary = typeof analysis.qualification_score === 'number'
+    ? ` | *Qualification:* ${analysis.qualification_score}/100`
+    : '';
+
+  const actionBlock = autoSent
+    ? {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `🤖 ${emailQueued ? 'Approved and queued' : 'Sent'} automatically (approval mode: ${approval.decision.approval_mode}, reason: ${approval.decision.reason.replace(/_/g, ' ')})`,
+          },
+        ],
+      }
+    : {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '✅ Send Email' },
+            style: 'primary',
+            action_id: 'approve_email',
+            value: requestId,
+          },
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '📝 Revise Email' },
+            action_id: 'revise_email',
+            value: requestId,
+          },
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: '👤 Human Takeover' },
+            style: 'danger',
+            action_id: 'human_takeover',
+            value: requestId,
+          },
+        ],
+      };
 
   const slackMessage = {
     channel: slackConfig.channelId,
-    text: `📧 EMAIL DRAFT APPROVAL NEEDED - ${analysis.customer_tier} Customer`,
+    text: autoSent
+      ? `📧 EMAIL AUTO-${emailQueued ? 'QUEUED' : 'SENT'} - ${analysis.customer_tier} Customer`
+      : `📧 EMAIL DRAFT APPROVAL NEEDED - ${analysis.customer_tier} Customer`,
     blocks: [
       {
         type: 'header',
         text: {
           type: 'plain_text',
-          text: `📧 Email Draft for ${analysis.customer_tier} Customer`,
+          text: autoSent
+            ? `✅ Email Auto-${emailQueued ? 'Queued for' : 'Sent to'} ${analysis.customer_tier} Customer`
+            : `📧 Email Draft for ${analysis.customer_tier} Customer`,
         },
       },
+      ...(emailQueued
+        ? [{
+            type: 'context',
+            elements: [{
+              type: 'mrkdwn',
+              text: '📬 Email service is unavailable. The approved reply is queued and goes out automatically once it recovers.',
+            }],
+          }]
+        : []),
       {
         type: 'section',
         fields: [
@@ -367,7 +465,7 @@ async function sendSlackApproval(
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*📧 DRAFTED EMAIL RESPONSE:*\n\n${draftedEmail}`,
+          text: `*📧 ${autoSent ? 'SENT' : 'DRAFTED'} EMAIL RESPONSE:*\n\n${draftedEmail}`,
         },
       },
       {
@@ -377,40 +475,58 @@ async function sendSlackApproval(
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `*AI Analysis Summary:*\n• *Tier:* ${analysis.customer_tier} | *Urgency:* ${analysis.urgency_level}\n• *Budget:* ${analysis.budget_estimation}\n• *Key Needs:* ${analysis.key_needs_summary}`,
+          text: `*AI Analysis Summary:*\n• *Tier:* ${analysis.customer_tier} | *Urgency:* ${analysis.urgency_level}${qualificationSummary}\n• *Budget:* ${analysis.budget_estimation}\n• *Key Needs:* ${analysis.key_needs_summary}${routingSummary}`,
         },
       },
-      {
-        type: 'actions',
-        elements: [
-          {
-            type: 'button',
-            text: { type: 'plain_text', text: '✅ Send Email' },
-            style: 'primary',
-            action_id: 'approve_email',
-            value: requestId,
-          },
-          {
-            type: 'button',
-            text: { type: 'plain_text', text: '📝 Revise Email' },
-            action_id: 'revise_email',
-            value: requestId,
-          },
-          {
-            type: 'button',
-            text: { type: 'plain_text', text: '👤 Human Takeover' },
-            style: 'danger',
-            action_id: 'human_takeover',
-            value: requestId,
-          },
-        ],
-      },
+      actionBlock,
     ],
   };
 
-  logger.info('Sending interactive Slack approval message...');
-  await slack.chat.postMessage(slackMessage);
-  logger.info('Slack notification sent successfully via Web API');
+  logger.info(autoSent ? 'Sending informational Slack message for auto-sent email...' : 'Sending interactive Slack approval message...');
+  const dispatch = await dispatchSideEffect({
+    kind: 'slack_message',
+    context: `${autoSent ? 'auto_sent_notice' : 'approval_request'}:${requestId}`,
+    payload: slackMessage,
+  });
+
+  if (dispatch.delivered) {
+    logger.info('Slack notification sent successfully via Web API');
+  } else {
+    logger.warn(`Slack notification for ${requestId} failed${dispatch.queued ? '; queued for retry' : ''}: ${dispatch.error}`);
+  }
+
+  return dispatch;
+}
+
+/**
+ * Scheduling paragraph for the email draft, with real calendar availability when the
+ * inquiry asks about timing or the lead is high priority
+ */
+async function buildSchedulingInfo(
+  bookingData: BookingData,
+  analysis: AIAnalysis,
+  routing?: RoutingDecision | null
+): Promise<string> {
+  const message = bookingData.message.toLowerCase();
+  const needsScheduling =
+    message.includes('calendar') ||
+    message.includes('schedule') ||
+    message.includes('meeting') ||
+    message.includes('consultation') ||
+    message.includes('call') ||
+    message.includes('time');
+
+  if (needsScheduling) {
+    const scheduleOptions = await generateScheduleSuggestionsWithCalendar(analysis, routing);
+    return `Available consultation times:\n${scheduleOptions.join('\n')}\n\nPlease reply with your preferred time or suggest alternatives that work for your schedule.`;
+  }
+
+  if (analysis.customer_tier === 'Enterprise' || analysis.urgency_level === 'High') {
+    const scheduleOptions = await generateScheduleSuggestionsWithCalendar(analysis, routing);
+    return `Priority scheduling available:\n${scheduleOptions.slice(0, 2).join('\n')}\n\nWe can schedule an immediate consultation call to address your needs.`;
+  }
+
+  return '';
 }
 
 /**
@@ -428,6 +544,9 @@ async function updateDatabaseWithDraft(
       .update({
         drafted_email: draftedEmail,
         ai_analysis: analysis,
+        ...(typeof analysis.qualification_score === 'number'
+          ? { qualification_score: analysis.qualification_score }
+          : {}),
         status: 'draft_created',
       })
       .eq('processing_id', requestId);
@@ -439,8 +558,136 @@ async function updateDatabaseWithDraft(
   }
 }
 
+export interface DraftApprovalRequest {
+  bookingData: BookingData;
+  analysis: AIAnalysis;
+  draftedEmail: string;
+  requestId: string;
+  routing: RoutingDecision | null;
+  /** The customer email can only be queued (email service down) */
+  emailQueued?: boolean;
+  /** Recorded in the audit metadata when the request does not come from a new booking */
+  trigger?: string;
+}
+
+export interface DraftApprovalOutcome {
+  decision: ApprovalDecision;
+  reason: string;
+  autoSent: boolean;
+  emailQueued: boolean;
+  slackDispatch: SideEffectDispatchResult;
+}
+
 /**
- * Process booking in full AI mode (OpenAI + Interactive Slack + Database + Email)
+ * Apply slack.approval_mode to a stored draft: send it straight away when the policy allows,
+ * then post the Slack approval request (or a notice that it was sent). An approval request
+ * is audited only once the Slack post was delivered or queued, so retries never log it twice.
+ */
+export async function requestDraftApproval(
+  supabase: SupabaseClient | null,
+  request: DraftApprovalRequest
+): Promise<DraftApprovalOutcome> {
+  const { bookingData, analysis, draftedEmail, requestId, routing } = request;
+  const approvalDecision = evaluateApprovalPolicy(getConfigSection('slack'), {
+    customer_tier: analysis.customer_tier,
+    urgency_level: analysis.urgency_level,
+    priority_level: routing?.priority_level ?? null,
+    qualification_score: analysis.qualification_score ?? null,
+    routing_require_approval: routing?.require_approval ?? null,
+  });
+  const approvalMetadata = {
+    approval_mode: approvalDecision.approval_mode,
+    reason: approvalDecision.reason as string,
+    matched_condition: approvalDecision.matched_condition ?? null,
+    customer_tier: analysis.customer_tier,
+    urgency_level: analysis.urgency_level,
+    priority_level: routing?.priority_level ?? null,
+    qualification_score: analysis.qualification_score ?? null,
+    routing_rule: routing?.rule_name ?? null,
+    ...(request.trigger ? { trigger: request.trigger } : {}),
+  };
+
+  let autoSent = false;
+  let emailQueued = request.emailQueued === true;
+  let autoSendError: string | null = null;
+
+  if (!approvalDecision.requires_approval) {
+    if (supabase) {
+      try {
+        const delivery = await sendApprovedBookingEmail(requestId, undefined, 'auto_approval');
+        autoSent = true;
+        emailQueued = delivery.queued;
+        logger.info(`Draft for ${requestId} auto-${delivery.queued ? 'queued' : 'sent'} (${approvalDecision.approval_mode}: ${approvalDecision.reason})`);
+        await recordApprovalAudit(supabase, {
+          processingId: requestId,
+          action: 'auto_approved',
+          actorName: `system:${approvalDecision.approval_mode}`,
+          newDraft: draftedEmail,
+          metadata: {
+            ...approvalMetadata,
+            from_address: delivery.fromAddress,
+            message_id: delivery.messageId,
+            email_queued: delivery.queued,
+          },
+        });
+      } catch (sendError) {
+        autoSendError = sendError instanceof Error ? sendError.message : 'Unknown error';
+        logger.error(`Auto-send failed for ${requestId}, falling back to Slack approval: ${autoSendError}`);
+        approvalMetadata.reason = 'auto_send_failed';
+      }
+    } else {
+      logger.warn(`Database unavailable; ${requestId} needs manual approval despite ${approvalDecision.approval_mode} mode`);
+    }
+  }
+
+  // Post to Slack: actionable approval request, or informational when already sent
+  const slackDispatch = await sendSlackApproval(bookingData, analysis, draftedEmail, requestId, routing, {
+    decision: approvalDecision,
+    autoSent,
+    emailQueued,
+  });
+  const postedTs = typeof slackDispatch.result?.['ts'] === 'string' ? slackDispatch.result['ts'] : null;
+
+  // The approval card is the booking's Slack thread: later reschedule, cancel and customer
+  // email notices reply under it, even when nobody ever clicks a button on it
+  if (supabase && postedTs) {
+    const postedChannel = slackDispatch.result?.['channel'];
+    const { error: threadError } = await supabase
+      .from('booking_inquiries')
+      .update({
+        thread_ts: postedTs,
+        channel_id: typeof postedChannel === 'string' ? postedChannel : getServiceConfig('slack').channelId,
+      })
+      .eq('processing_id', requestId)
+      .is('thread_ts', null);
+
+    if (threadError) {
+      logger.warn(`Failed to store Slack approval thread for ${requestId}: ${threadError.message}`);
+    }
+  }
+
+  if (!autoSent && supabase && (slackDispatch.delivered || slackDispatch.queued)) {
+    await recordApprovalAudit(supabase, {
+      processingId: requestId,
+      action: 'approval_requested',
+      actorName: `system:${approvalDecision.approval_mode}`,
+      feedback: autoSendError,
+      newDraft: draftedEmail,
+      metadata: approvalMetadata,
+    });
+  }
+
+  return {
+    decision: approvalDecision,
+    reason: approvalMetadata.reason,
+    autoSent,
+    emailQueued,
+    slackDispatch,
+  };
+}
+
+/**
+ * Process booking in full AI mode (LLM + Interactive Slack + Database + Email)
  */
 export async function processFullAIMode(
   bookingData: BookingData,
@@ -450,71 +697,114 @@ export async function processFullAIMode(
 ): Promise<BookingResponse> {
   logger.info(`Processing booking ${requestId} in FULL AI mode`);
 
+  return processAIBooking(bookingData, requestId, processEmergencyMode, 'FULL_AI');
+}
+
+/**
+ * Process booking in basic AI mode (LLM + Interactive Slack + Database, email down).
+ * Runs the same analysis, drafting and approval flow as FULL_AI; the approved customer
+ * email is queued in the outbox until the email service is back.
+ */
+export async function processBasicAIMode(
+  bookingData: BookingData,
+  requestId: string,
+  processEmergencyMode: (data: BookingData, id: string) => Promise<EmergencyResult>
+): Promise<BookingResponse> {
+  logger.info(`Processing booking ${requestId} in BASIC AI mode`);
+
+  return processAIBooking(bookingData, requestId, processEmergencyMode, 'BASIC_AI');
+}
+
+async function processAIBooking(
+  bookingData: BookingData,
+  requestId: string,
+  processEmergencyMode: (data: BookingData, id: string) => Promise<EmergencyResult>,
+  processingMode: 'FULL_AI' | 'BASIC_AI'
+): Promise<BookingResponse> {
   // Store to database first
   const emergencyResult = await processEmergencyMode(bookingData, requestId);
 
   try {
     // Get services
-    const openai = await serviceManager.getService<OpenAI>('openai');
+    const llm = await serviceManager.getService<LLMService>('llm');
     const slack = await serviceManager.getService<WebClient>('slack');
     const supabase = await serviceManager.getService<SupabaseClient>('supabase');
 
-    if (!openai || !slack) {
-      throw new Error('Required services (OpenAI, Slack) not available');
+    if (!llm || !slack) {
+      throw new Error('Required services (LLM, Slack) not available');
     }
 
     // AI Analysis
-    const analysis = await analyzeCustomerInquiry(openai, bookingData);
+    const analysis = await analyzeCustomerInquiry(llm, bookingData);
+
+    // Apply routing rules (meeting type, duration, calendar, approval requirement)
+    const routing = await routeBookingInquiry(supabase, requestId, analysis, analysis.qualification_score, {
+      slotSelected: Boolean(bookingData.provisional_hold_id?.trim()),
+    });
 
     // Generate schedule suggestions (using real calendar availability)
-    let calendarInfo = '';
-    const needsScheduling =
-      bookingData.message.toLowerCase().includes('calendar') ||
-      bookingData.message.toLowerCase().includes('schedule') ||
-      bookingData.message.toLowerCase().includes('meeting') ||
-      bookingData.message.toLowerCase().includes('consultation') ||
-      bookingData.message.toLowerCase().includes('call') ||
-      bookingData.message.toLowerCase().includes('time');
-
-    if (needsScheduling) {
-      const scheduleOptions = await generateScheduleSuggestionsWithCalendar(analysis);
-      calendarInfo = `Available consultation times:\n${scheduleOptions.join('\n')}\n\nPlease reply with your preferred time or suggest alternatives that work for your schedule.`;
-    } else if (analysis.customer_tier === 'Enterprise' || analysis.urgency_level === 'High') {
-      const scheduleOptions = await generateScheduleSuggestionsWithCalendar(analysis);
-      calendarInfo = `Priority scheduling available:\n${scheduleOptions.slice(0, 2).join('\n')}\n\nWe can schedule an immediate consultation call to address your needs.`;
-    }
+    const calendarInfo = await buildSchedulingInfo(bookingData, analysis, routing);
 
     // Generate email draft
-    const draftedEmail = await generateEmailDraft(openai, bookingData, analysis, calendarInfo);
-
-    // Send Slack approval request
-    await sendSlackApproval(slack, bookingData, analysis, draftedEmail, requestId);
+    const draftedEmail = await generateEmailDraft(llm, bookingData, analysis, calendarInfo, requestId);
 
-    // Update database
+    // Update database (the approved-email sender reads the draft back from the booking row)
     if (supabase) {
       await updateDatabaseWithDraft(supabase, requestId, analysis, draftedEmail);
     }
 
+    // Auto-send or ask for approval per slack.approval_mode, then post to Slack
+    const { decision: approvalDecision, reason: approvalReason, autoSent, emailQueued, slackDispatch } =
+      await requestDraftApproval(supabase, {
+        bookingData,
+        analysis,
+        draftedEmail,
+        requestId,
+        routing,
+        emailQueued: processingMode === 'BASIC_AI',
+      });
+
     // Return success response
     return {
       ...emergencyResult,
       success: true,
       ai_analysis: analysis,
+      routing,
+      ...(routing
+        ? { meeting_type: routing.meeting_type, meeting_duration: routing.duration_minutes }
+        : {}),
       drafted_email: draftedEmail,
-      slack_notification: { sent: true, interactive: true, type: 'email_draft_approval' },
-      processing_mode: 'FULL_AI',
-      message: 'Your booking request has been received and analyzed! Our team will respond shortly.',
+      slack_notification: {
+        sent: slackDispatch.delivered,
+        queued: slackDispatch.queued,
+        interactive: !autoSent,
+        type: autoSent ? 'email_auto_sent' : 'email_draft_approval',
+      },
+      approval: {
+        mode: approvalDecision.approval_mode,
+        requires_approval: !autoSent,
+        reason: approvalReason,
+        auto_sent: autoSent,
+        email_queued: emailQueued,
+      },
+      processing_mode: processingMode,
+      message: autoSent && !emailQueued
+        ? 'Your booking request has been received and analyzed! Our response is on its way to your inbox.'
+        : 'Your booking request has been received and analyzed! Our team will respond shortly.',
     };
   } catch (error) {
-    logger.error('Full AI processing failed:', error);
+    logger.error(`${processingMode === 'FULL_AI' ? 'Full' : 'Basic'} AI processing failed:`, error);
     throw error;
   }
 }
 
-// Export helper functions for testing
+// Export helper functions for testing and degraded-booking recovery
 export {
   analyzeCustomerInquiry,
+  buildSchedulingInfo,
   generateEmailDraft,
+  sendSlackApproval,
+  updateDatabaseWithDraft,
   generateScheduleSuggestions,
   generateScheduleSuggestionsWithCalendar,
 };
@@ -0,0 +1,104 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Approval Audit Log
+ * Writes human and automatic approval decisions to approval_audit_log.
+ */
+
+export type ApprovalAuditAction =
+  | 'approved'
+  | 'revision_requested'
+  | 'revised'
+  | 'human_takeover'
+  | 'cancelled'
+  | 'escalated'
+  | 'auto_approved'
+  | 'approval_requested';
+
+export interface ApprovalAuditEntry {
+  processingId: string;
+  action: ApprovalAuditAction;
+  actorSlackId?: string | null;
+  actorName?: string | null;
+  feedback?: string | null;
+  previousDraft?: string | null;
+  newDraft?: string | null;
+  metadata?: Record<string, unknown>;
+  processingTimeMs?: number | null;
+}
+
+/**
+ * Record an approval decision. Audit failures are logged and never interrupt the booking flow.
+ */
+export async function recordApprovalAudit(
+  supabase: SupabaseClient,
+  entry: ApprovalAuditEntry
+): Promise<void> {
+  try {
+    const { data: booking, error: lookupError } = await supabase
+      .from('booking_inquiries')
+      .select('id')
+      .eq('processing_id', entry.processingId)
+      .maybeSingle<{ id: string }>();
+
+    if (lookupError) {
+      logger.warn(`Approval audit booking lookup failed for ${entry.processingId}: ${lookupError.message}`);
+    }
+
+    const { error } = await supabase.from('approval_audit_log').insert({
+      inquiry_id: booking?.id ?? null,
+      processing_id: entry.processingId,
+      action: entry.action,
+      actor_slack_id: entry.actorSlackId ?? null,
+      actor_name: entry.actorName ?? null,
+      feedback: entry.feedback ?? null,
+      previous_draft: entry.previousDraft ?? null,
+      new_draft: entry.newDraft ?? null,
+      metadata: entry.metadata ?? {},
+      processing_time_ms: entry.processingTimeMs ?? null,
+    });
+
+    if (error) {
+      logger.warn(`Failed to write approval audit entry for ${entry.processingId}: ${error.message}`);
+    }
+  } catch (error) {
+    logger.warn(`Approval audit logging failed for ${entry.processingId}:`, error);
+  }
+}
+
+export interface ApprovalAuditRecord {
+  id: string;
+  processing_id: string | null;
+  action: ApprovalAuditAction;
+  actor_slack_id: string | null;
+  actor_name: string | null;
+  feedback: string | null;
+  previous_draft: string | null;
+  new_draft: string | null;
+  timestamp: string;
+  metadata: Record<string, unknown> | null;
+  processing_time_ms: number | null;
+}
+
+/**
+ * Approval history for one booking, oldest first
+ */
+export async function listApprovalAudit(
+  supabase: SupabaseClient,
+  processingId: string,
+  limit = 200
+): Promise<ApprovalAuditRecord[]> {
+  const { data, error } = await supabase
+    .from('approval_audit_log')
+    .select('id, processing_id, action, actor_slack_id, actor_name, feedback, previous_draft, new_draft, timestamp, metadata, processing_time_ms')
+    .eq('processing_id', processingId)
+    .order('timestamp', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Approval audit lookup failed for ${processingId}: ${error.message}`);
+  }
+
+  return (data ?? []) as ApprovalAuditRecord[];
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from '@jest/globals';
+import { evaluateApprovalPolicy } from './approvalPolicy.js';
+import type { Slack } from '../../../../src/config/schema.js';
+
+const conditionalRules: Slack['conditional_rules'] = {
+  auto_approve_if: [
+    { customer_tier: 'Basic', priority: [1, 2] },
+    { qualification_score_above: 80 },
+  ],
+  require_approval_if: [
+    { customer_tier: 'Enterprise' },
+    { urgency_level: 'High' },
+    { priority: [4, 5] },
+  ],
+};
+
+const conditional = { approval_mode: 'conditional' as const, conditional_rules: conditionalRules };
+
+describe('evaluateApprovalPolicy', () => {
+  it('always requires approval in required mode', () => {
+    const decision = evaluateApprovalPolicy(
+      { approval_mode: 'required', conditional_rules: conditionalRules },
+      { customer_tier: 'Basic', urgency_level: 'Low', priority_level: 1, qualification_score: 95 }
+    );
+
+    expect(decision).toEqual({
+      approval_mode: 'required',
+      requires_approval: true,
+      reason: 'approval_mode_required',
+    });
+  });
+
+  it('never requires approval in autopilot mode', () => {
+    const decision = evaluateApprovalPolicy(
+      { approval_mode: 'autopilot' },
+      { customer_tier: 'Enterprise', urgency_level: 'High', priority_level: 5 }
+    );
+
+    expect(decision.requires_approval).toBe(false);
+    expect(decision.reason).toBe('approval_mode_autopilot');
+  });
+
+  it('auto-approves basic low-priority inquiries', () => {
+    const decision = evaluateApprovalPolicy(conditional, {
+      customer_tier: 'Basic',
+      urgency_level: 'Low',
+      priority_level: 2,
+    });
+
+    expect(decision.requires_approval).toBe(false);
+    expect(decision.reason).toBe('auto_approve_rule');
+    expect(decision.matched_condition).toEqual({ customer_tier: 'Basic', priority: [1, 2] });
+  });
+
+  it('auto-approves on a qualification score above the threshold', () => {
+    const decision = evaluateApprovalPolicy(conditional, {
+      customer_tier: 'Professional',
+      urgency_level: 'Medium',
+      priority_level: 3,
+      qualification_score: 81,
+    });
+
+    expect(decision.requires_approval).toBe(false);
+    expect(decision.matched_condition).toEqual({ qualification_score_above: 80 });
+  });
+
+  it('lets require_approval_if win over auto_approve_if', () => {
+    const decision = evaluateApprovalPolicy(conditional, {
+      customer_tier: 'Professional',
+      urgency_level: 'High',
+      priority_level: 3,
+      qualification_score: 95,
+    });
+
+    expect(decision.requires_approval).toBe(true);
+    expect(decision.reason).toBe('require_approval_rule');
+    expect(decision.matched_condition).toEqual({ urgency_level: 'High' });
+  });
+
+  it('does not match priority conditions without a routed priority', () => {
+    const decision = evaluateApprovalPolicy(conditional, {
+      customer_tier: 'Basic',
+      urgency_level: 'Low',
+    });
+
+    expect(decision.requires_approval).toBe(true);
+    expect(decision.reason).toBe('no_conditional_match');
+  });
+
+  it('falls back to the routing rule when no condition matches', () => {
+    const decision = evaluateApprovalPolicy(conditional, {
+      customer_tier: 'Professional',
+      urgency_level: 'Medium',
+      priority_level: 3,
+      routing_require_approval: false,
+    });
+
+    expect(decision.requires_approval).toBe(false);
+    expect(decision.reason).toBe('routing_rule');
+  });
+
+  it('ignores empty conditions', () => {
+    const decision = evaluateApprovalPolicy(
+      { approval_mode: 'conditional', conditional_rules: { auto_approve_if: [{}] } },
+      { customer_tier: 'Professional', urgency_level: 'Medium' }
+    );
+
+    expect(decision.requires_approval).toBe(true);
+  });
+});
@@ -0,0 +1,138 @@
+import type { Slack } from '../../../../src/config/schema.js';
+import type { AIAnalysis } from '../../../../src/types/index.js';
+
+/**
+ * Approval Policy
+ * Decides whether an AI-drafted email needs a human approval in Slack
+ * based on slack.approval_mode and slack.conditional_rules.
+ */
+
+export type ApprovalMode = Slack['approval_mode'];
+
+export type ApprovalDecisionReason =
+  | 'approval_mode_required'
+  | 'approval_mode_autopilot'
+  | 'require_approval_rule'
+  | 'auto_approve_rule'
+  | 'routing_rule'
+  | 'no_conditional_match';
+
+export interface ApprovalContext {
+  customer_tier: AIAnalysis['customer_tier'];
+  urgency_level: AIAnalysis['urgency_level'];
+  priority_level?: number | null;
+  qualification_score?: number | null;
+  routing_require_approval?: boolean | null;
+}
+
+export interface ApprovalDecision {
+  approval_mode: ApprovalMode;
+  requires_approval: boolean;
+  reason: ApprovalDecisionReason;
+  matched_condition?: Record<string, unknown>;
+}
+
+type ConditionalRules = NonNullable<Slack['conditional_rules']>;
+type AutoApproveCondition = NonNullable<ConditionalRules['auto_approve_if']>[number];
+type RequireApprovalCondition = NonNullable<ConditionalRules['require_approval_if']>[number];
+
+/**
+ * A condition matches when every field it specifies matches. Empty conditions never match,
+ * so a stray `- {}` in YAML cannot auto-approve everything.
+ */
+function matchesApprovalCondition(
+  condition: AutoApproveCondition & RequireApprovalCondition,
+  context: ApprovalContext
+): boolean {
+  let checkedFields = 0;
+
+  if (condition.customer_tier) {
+    checkedFields += 1;
+    if (condition.customer_tier !== context.customer_tier) {
+      return false;
+    }
+  }
+
+  if (condition.urgency_level) {
+    checkedFields += 1;
+    if (condition.urgency_level !== context.urgency_level) {
+      return false;
+    }
+  }
+
+  if (condition.priority) {
+    checkedFields += 1;
+    if (typeof context.priority_level !== 'number' || !condition.priority.includes(context.priority_level)) {
+      return false;
+    }
+  }
+
+  if (typeof condition.qualification_score_above === 'number') {
+    checkedFields += 1;
+    if (
+      typeof context.qualification_score !== 'number'
+      || context.qualification_score <= condition.qualification_score_above
+    ) {
+      return false;
+    }
+  }
+
+  return checkedFields > 0;
+}
+
+/**
+ * Evaluate the configured approval mode for a drafted email.
+ *
+ * In conditional mode `require_approval_if` wins over `auto_approve_if`; when neither
+ * matches, the routing rule's require_approval decides, and otherwise approval is required.
+ */
+export function evaluateApprovalPolicy(
+  slackConfig: Pick<Slack, 'approval_mode' | 'conditional_rules'>,
+  context: ApprovalContext
+): ApprovalDecision {
+  const approvalMode = slackConfig.approval_mode;
+
+  if (approvalMode === 'required') {
+    return { approval_mode: approvalMode, requires_approval: true, reason: 'approval_mode_required' };
+  }
+
+  if (approvalMode === 'autopilot') {
+    return { approval_mode: approvalMode, requires_approval: false, reason: 'approval_mode_autopilot' };
+  }
+
+  const rules = slackConfig.conditional_rules || {};
+
+  const requireMatch = (rules.require_approval_if || []).find((condition) =>
+    matchesApprovalCondition(condition, context)
+  );
+  if (requireMatch) {
+    return {
+      approval_mode: approvalMode,
+      requires_approval: true,
+      reason: 'require_approval_rule',
+      matched_condition: requireMatch,
+    };
+  }
+
+  const autoApproveMatch = (rules.auto_approve_if || []).find((condition) =>
+    matchesApprovalCondition(condition, context)
+  );
+  if (autoApproveMatch) {
+    return {
+      approval_mode: approvalMode,
+      requires_approval: false,
+      reason: 'auto_approve_rule',
+      matched_condition: autoApproveMatch,
+    };
+  }
+
+  if (typeof context.routing_require_approval === 'boolean') {
+    return {
+      approval_mode: approvalMode,
+      requires_approval: context.routing_require_approval,
+      reason: 'routing_rule',
+    };
+  }
+
+  return { approval_mode: approvalMode, requires_approval: true, reason: 'no_conditional_match' };
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from '@jest/globals';
+import { diffDrafts, hasDraftChanged } from './draftDiff.js';
+
+describe('diffDrafts', () => {
+  it('marks removed and added lines around unchanged ones', () => {
+    const result = diffDrafts(
+      'Hi Ada,\nThanks for reaching out.\nBest regards,\nThe Autonome.us Team',
+      'Hi Ada,\nThanks for getting in touch.\nDoes Thursday work?\nBest regards,\nThe Autonome.us Team'
+    );
+
+    expect(result).toEqual({
+      added: 2,
+      removed: 1,
+      diff: [
+        '  Hi Ada,',
+        '- Thanks for reaching out.',
+        '+ Thanks for getting in touch.',
+        '+ Does Thursday work?',
+        '  Best regards,',
+        '  The Autonome.us Team',
+      ].join('\n'),
+    });
+  });
+
+  it('treats a missing previous draft as all additions', () => {
+    expect(diffDrafts(null, 'Hello\nWorld')).toEqual({ added: 2, removed: 0, diff: '+ Hello\n+ World' });
+  });
+
+  it('ignores line ending and trailing whitespace differences', () => {
+    expect(hasDraftChanged('Hello\r\nWorld\n\n', 'Hello\nWorld')).toBe(false);
+    expect(hasDraftChanged('Hello\nWorld', 'Hello\nthere')).toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Draft Diff
+ * Line diff between two versions of a drafted email, stored with revision audit entries.
+ */
+
+export interface DraftDiff {
+  added: number;
+  removed: number;
+  /** Unified-style lines: "+ " added, "- " removed, "  " unchanged */
+  diff: string;
+}
+
+function splitLines(text: string | null | undefined): string[] {
+  const normalized = (text ?? '').replace(/\r\n?/g, '\n').trimEnd();
+  return normalized ? normalized.split('\n') : [];
+}
+
+export function diffDrafts(previousDraft: string | null | undefined, newDraft: string | null | undefined): DraftDiff {
+  const before = splitLines(previousDraft);
+  const after = splitLines(newDraft);
+
+  // Longest common subsequence lengths of the suffixes, so the walk below can run forwards
+  const width = after.length + 1;
+  const lcs = new Array<number>((before.length + 1) * width).fill(0);
+  const common = (i: number, j: number): number => lcs[i * width + j] ?? 0;
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = before[i] === after[j]
+        ? common(i + 1, j + 1) + 1
+        : Math.max(common(i + 1, j), common(i, j + 1));
+    }
+  }
+
+  const lines: string[] = [];
+  let added = 0;
+  let removed = 0;
+  let i = 0;
+  let j = 0;
+
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push(`  ${before[i]}`);
+      i++;
+      j++;
+    } else if (i < before.length && (j >= after.length || common(i + 1, j) >= common(i, j + 1))) {
+      lines.push(`- ${before[i]}`);
+      removed++;
+      i++;
+    } else {
+      lines.push(`+ ${after[j]}`);
+      added++;
+      j++;
+    }
+  }
+
+  return { added, removed, diff: lines.join('\n') };
+}
+
+export function hasDraftChanged(previousDraft: string | null | undefined, newDraft: string | null | undefined): boolean {
+  const { added, removed } = diffDrafts(previousDraft, newDraft);
+  return added + removed > 0;
+}
@@ -0,0 +1,213 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import type { LLMService } from '../llm/LLMService.js';
+import { buildToneOfVoiceGuidelines } from '../llm/toneOfVoice.js';
+import { normalizeCustomerFacingEmailCopy } from '../email/normalizeCustomerFacingEmailCopy.js';
+import { HUMAN_TAKEOVER_STATUS } from '../conversation/humanTakeover.js';
+import { recordApprovalAudit } from './approvalAudit.js';
+import { diffDrafts, type DraftDiff } from './draftDiff.js';
+import { getDecisionWaitMs } from './revisionLimit.js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+
+/**
+ * Draft Revision
+ * AI rewrites and manual edits of a drafted email. Every saved version is diffed against
+ * the previous one and written to approval_audit_log, and counts towards the booking's
+ * revision_rounds.
+ */
+
+/** Draft statuses that wait on an approve/revise decision in Slack */
+export const PENDING_APPROVAL_STATUSES = ['draft_created', 'revised'];
+
+/** Statuses in which a draft is still waiting on a Slack decision and may be revised */
+export const REVISABLE_DRAFT_STATUSES = PENDING_APPROVAL_STATUSES;
+
+export type DraftRevisionSource = 'slack_thread' | 'slack_modal_edit' | 'slack_modal_ai';
+
+/** The booking as a reviewer sees it when making an approval decision */
+export interface BookingReviewState {
+  processing_id: string;
+  customer_name: string | null;
+  company_name: string | null;
+  drafted_email: string | null;
+  status: string | null;
+  revision_rounds: number | null;
+  updated_at: string | null;
+}
+
+export interface DraftRevision {
+  processingId: string;
+  previousDraft: string | null;
+  newDraft: string;
+  source: DraftRevisionSource;
+  /** Revision round this version belongs to; an edit and AI rewrite submitted together share one */
+  round: number;
+  actorSlackId?: string | null;
+  actorName?: string | null;
+  feedback?: string | null;
+  /** When the reviewer started this revision, for processing_time_ms */
+  startedAt?: number;
+}
+
+export interface SavedDraftRevision {
+  saved: boolean;
+  diff: DraftDiff;
+}
+
+export function getMaxRevisionRounds(): number {
+  return getConfigSection('slack').interaction.max_revision_rounds;
+}
+
+export async function loadBookingReviewState(
+  supabase: SupabaseClient,
+  processingId: string
+): Promise<BookingReviewState | null> {
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .select('processing_id, customer_name, company_name, drafted_email, status, revision_rounds, updated_at')
+    .eq('processing_id', processingId)
+    .maybeSingle<BookingReviewState>();
+
+  if (error) {
+    throw new Error(`Booking lookup failed for ${processingId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+export async function generateRevisedDraft(llm: LLMService, originalEmail: string, feedback: string): Promise<string> {
+  const toneOfVoice = getConfigSection('tone_of_voice');
+  const revisedEmail = await llm.complete('email_revision', [
+    {
+      role: 'system',
+      content: `You are a professional business representative for Autonome.us. Generate a REVISED professional email response based on the user's feedback.
+
+Original email was:
+${originalEmail}
+
+User feedback for revision: ${feedback}
+
+Requirements:
+- Apply the user's feedback specifically and thoroughly
+- Include consultation booking call-to-action
+- Keep it concise but personalized
+- Sign as "The Autonome.us Team"
+- Make sure the revision clearly addresses the feedback provided
+
+${buildToneOfVoiceGuidelines(toneOfVoice)}`,
+    },
+    {
+      role: 'user',
+      content: `Please revise the email draft based on this specific feedback: ${feedback}`,
+    },
+  ]);
+
+  return normalizeCustomerFacingEmailCopy(revisedEmail.trim(), toneOfVoice.avoid_words);
+}
+
+/**
+ * Store a new draft version on the booking and audit it. Nothing is saved when the booking
+ * has already left the approval flow (approved, taken over, cancelled).
+ */
+export async function saveDraftRevision(
+  supabase: SupabaseClient,
+  revision: DraftRevision
+): Promise<SavedDraftRevision> {
+  const diff = diffDrafts(revision.previousDraft, revision.newDraft);
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .update({
+      drafted_email: revision.newDraft,
+      status: 'revised',
+      revision_rounds: revision.round,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('processing_id', revision.processingId)
+    .in('status', REVISABLE_DRAFT_STATUSES)
+    .select('processing_id');
+
+  if (error) {
+    throw new Error(`Failed to save revised draft for ${revision.processingId}: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    logger.warn(`Revised draft for ${revision.processingId} not saved: booking is no longer awaiting approval`);
+    return { saved: false, diff };
+  }
+
+  await recordApprovalAudit(supabase, {
+    processingId: revision.processingId,
+    action: 'revised',
+    actorSlackId: revision.actorSlackId ?? null,
+    actorName: revision.actorName ?? null,
+    feedback: revision.feedback ?? null,
+    previousDraft: revision.previousDraft,
+    newDraft: revision.newDraft,
+    metadata: {
+      source: revision.source,
+      revision_round: revision.round,
+      lines_added: diff.added,
+      lines_removed: diff.removed,
+      diff: diff.diff,
+    },
+    processingTimeMs: revision.startedAt ? Date.now() - revision.startedAt : null,
+  });
+
+  return { saved: true, diff };
+}
+
+/**
+ * Hand a booking that used up its revision rounds to a human. The Slack thread becomes the
+ * human takeover thread, so replies there are emailed to the customer. Returns false when the
+ * booking has already left the approval flow.
+ */
+export async function escalateRevisionLimit(
+  supabase: SupabaseClient,
+  escalation: {
+    processingId: string;
+    channelId: string;
+    threadTs: string;
+    revisionRounds: number;
+    maxRevisionRounds: number;
+    actorSlackId?: string | null;
+    actorName?: string | null;
+    awaitingSince?: string | null;
+  }
+): Promise<boolean> {
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .update({
+      status: HUMAN_TAKEOVER_STATUS,
+      thread_ts: escalation.threadTs,
+      channel_id: escalation.channelId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('processing_id', escalation.processingId)
+    .in('status', REVISABLE_DRAFT_STATUSES)
+    .select('processing_id');
+
+  if (error) {
+    throw new Error(`Failed to escalate booking ${escalation.processingId}: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    return false;
+  }
+
+  logger.info(`Booking ${escalation.processingId} escalated to human takeover after ${escalation.revisionRounds} revision rounds`);
+
+  await recordApprovalAudit(supabase, {
+    processingId: escalation.processingId,
+    action: 'escalated',
+    actorSlackId: escalation.actorSlackId ?? null,
+    actorName: escalation.actorName ?? null,
+    metadata: {
+      reason: 'max_revision_rounds',
+      revision_rounds: escalation.revisionRounds,
+      max_revision_rounds: escalation.maxRevisionRounds,
+    },
+    processingTimeMs: getDecisionWaitMs(escalation.awaitingSince),
+  });
+
+  return true;
+}
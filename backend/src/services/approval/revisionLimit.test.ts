@@ -0,0 +1,41 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildRevisionLimitMessage,
+  getDecisionWaitMs,
+  getNextRevisionRound,
+  hasReachedRevisionLimit,
+} from './revisionLimit.js';
+
+describe('hasReachedRevisionLimit', () => {
+  it('allows revisions until the configured number of rounds is used', () => {
+    expect(hasReachedRevisionLimit(null, 3)).toBe(false);
+    expect(hasReachedRevisionLimit(2, 3)).toBe(false);
+    expect(hasReachedRevisionLimit(3, 3)).toBe(true);
+  });
+});
+
+describe('getNextRevisionRound', () => {
+  it('numbers rounds from one', () => {
+    expect(getNextRevisionRound(undefined)).toBe(1);
+    expect(getNextRevisionRound(2)).toBe(3);
+  });
+});
+
+describe('getDecisionWaitMs', () => {
+  it('measures from when the draft was put up for approval', () => {
+    expect(getDecisionWaitMs('2026-03-10T12:00:00Z', Date.parse('2026-03-10T12:05:00Z'))).toBe(300_000);
+  });
+
+  it('returns null without a usable timestamp and never goes negative', () => {
+    expect(getDecisionWaitMs(null)).toBeNull();
+    expect(getDecisionWaitMs('not a date')).toBeNull();
+    expect(getDecisionWaitMs('2026-03-10T12:05:00Z', Date.parse('2026-03-10T12:00:00Z'))).toBe(0);
+  });
+});
+
+describe('buildRevisionLimitMessage', () => {
+  it('names the limit with the right plural', () => {
+    expect(buildRevisionLimitMessage(1)).toContain('limit of 1 revision round,');
+    expect(buildRevisionLimitMessage(3)).toContain('limit of 3 revision rounds,');
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Revision Limit
+ * Caps reviewer revision rounds at slack.interaction.max_revision_rounds. A round is one
+ * reviewer revision (thread feedback or a revision modal submission); once the cap is reached
+ * the next revision request escalates the booking to human takeover.
+ */
+
+export function hasReachedRevisionLimit(revisionRounds: number | null | undefined, maxRevisionRounds: number): boolean {
+  return (revisionRounds ?? 0) >= maxRevisionRounds;
+}
+
+export function getNextRevisionRound(revisionRounds: number | null | undefined): number {
+  return (revisionRounds ?? 0) + 1;
+}
+
+/**
+ * How long a draft waited for a reviewer decision, from when it was last put up for approval
+ */
+export function getDecisionWaitMs(awaitingSince: string | null | undefined, now: number = Date.now()): number | null {
+  const since = awaitingSince ? Date.parse(awaitingSince) : Number.NaN;
+  return Number.isNaN(since) ? null : Math.max(0, now - since);
+}
+
+export function buildRevisionLimitMessage(maxRevisionRounds: number): string {
+  return `🚦 This draft has reached the limit of ${maxRevisionRounds} revision round${maxRevisionRounds === 1 ? '' : 's'}, so the booking is escalated to human takeover. The booking AI is paused; reply in this thread to email the customer.`;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildBookingManageLinks,
+  createBookingManageToken,
+  verifyBookingManageToken,
+} from './bookingManageLinks.js';
+
+const SECRET = 'test-manage-link-secret';
+const BOOKING_ID = 'booking_1700000000000_abc123xyz';
+const MEETING_START = new Date('2026-03-04T15:00:00.000Z');
+const BEFORE_MEETING = new Date('2026-03-03T12:00:00.000Z');
+
+describe('booking manage tokens', () => {
+  it('verifies a token for the booking and action it was issued for', () => {
+    const token = createBookingManageToken(BOOKING_ID, 'reschedule', MEETING_START, SECRET);
+
+    expect(verifyBookingManageToken(BOOKING_ID, 'reschedule', token, BEFORE_MEETING, SECRET)).toEqual({
+      valid: true,
+      expiresAt: MEETING_START,
+    });
+  });
+
+  it('rejects a token replayed against another action or booking', () => {
+    const token = createBookingManageToken(BOOKING_ID, 'reschedule', MEETING_START, SECRET);
+
+    expect(verifyBookingManageToken(BOOKING_ID, 'cancel', token, BEFORE_MEETING, SECRET)).toEqual({
+      valid: false,
+      reason: 'invalid_signature',
+    });
+    expect(
+      verifyBookingManageToken('booking_other', 'reschedule', token, BEFORE_MEETING, SECRET)
+    ).toEqual({ valid: false, reason: 'invalid_signature' });
+  });
+
+  it('rejects tokens once the meeting has started', () => {
+    const token = createBookingManageToken(BOOKING_ID, 'cancel', MEETING_START, SECRET);
+
+    expect(verifyBookingManageToken(BOOKING_ID, 'cancel', token, MEETING_START, SECRET)).toEqual({
+      valid: false,
+      reason: 'expired',
+    });
+  });
+
+  it('rejects tampered expiry timestamps and malformed tokens', () => {
+    const token = createBookingManageToken(BOOKING_ID, 'cancel', MEETING_START, SECRET) || '';
+    const [, signature] = token.split('.');
+    const extendedToken = `${Math.floor(MEETING_START.getTime() / 1000) + 86400}.${signature}`;
+
+    expect(verifyBookingManageToken(BOOKING_ID, 'cancel', extendedToken, BEFORE_MEETING, SECRET)).toEqual({
+      valid: false,
+      reason: 'invalid_signature',
+    });
+    expect(verifyBookingManageToken(BOOKING_ID, 'cancel', 'not-a-token', BEFORE_MEETING, SECRET)).toEqual({
+      valid: false,
+      reason: 'malformed',
+    });
+    expect(verifyBookingManageToken(BOOKING_ID, 'cancel', token, BEFORE_MEETING, null)).toEqual({
+      valid: false,
+      reason: 'not_configured',
+    });
+  });
+
+  it('builds reschedule and cancel links against the public booking site', () => {
+    const previousSecret = process.env['BOOKING_MANAGE_LINK_SECRET'];
+    process.env['BOOKING_MANAGE_LINK_SECRET'] = SECRET;
+
+    try {
+      const links = buildBookingManageLinks(BOOKING_ID, MEETING_START, 'https://booking.example.test/');
+      const rescheduleUrl = new URL(links?.rescheduleUrl || '');
+
+      expect(rescheduleUrl.pathname).toBe('/manage-booking');
+      expect(rescheduleUrl.searchParams.get('booking')).toBe(BOOKING_ID);
+      expect(rescheduleUrl.searchParams.get('action')).toBe('reschedule');
+      expect(new URL(links?.cancelUrl || '').searchParams.get('action')).toBe('cancel');
+    } finally {
+      if (previousSecret === undefined) {
+        delete process.env['BOOKING_MANAGE_LINK_SECRET'];
+      } else {
+        process.env['BOOKING_MANAGE_LINK_SECRET'] = previousSecret;
+      }
+    }
+  });
+});
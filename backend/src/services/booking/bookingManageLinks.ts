@@ -0,0 +1,131 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getPublicBookingLink } from '../email/normalizeCustomerFacingEmailCopy.js';
+
+export type BookingManageAction = 'reschedule' | 'cancel';
+
+export interface BookingManageLinks {
+  rescheduleUrl: string;
+  cancelUrl: string;
+  expiresAt: Date;
+}
+
+export type BookingManageTokenVerification =
+  | { valid: true; expiresAt: Date }
+  | { valid: false; reason: 'not_configured' | 'malformed' | 'invalid_signature' | 'expired' };
+
+const MANAGE_BOOKING_PATH = 'manage-booking';
+
+export function isBookingManageAction(value: unknown): value is BookingManageAction {
+  return value === 'reschedule' || value === 'cancel';
+}
+
+/**
+ * Manage links are signed with a dedicated secret when one is configured and
+ * fall back to the admin secret so existing deployments get links without new env vars.
+ */
+function getBookingManageLinkSecret(): string | null {
+  const secret =
+    process.env['BOOKING_MANAGE_LINK_SECRET']?.trim()
+    || process.env['BOOKING_ADMIN_SECRET']?.trim();
+
+  return secret || null;
+}
+
+function signBookingManagePayload(
+  secret: string,
+  processingId: string,
+  action: BookingManageAction,
+  expiresAtSeconds: number
+): string {
+  return createHmac('sha256', secret)
+    .update(`${processingId}:${action}:${expiresAtSeconds}`)
+    .digest('hex');
+}
+
+/**
+ * Create a token of the form `<expires_at_unix_seconds>.<signature>` for one booking action.
+ */
+export function createBookingManageToken(
+  processingId: string,
+  action: BookingManageAction,
+  expiresAt: Date,
+  secret: string | null = getBookingManageLinkSecret()
+): string | null {
+  if (!secret) {
+    return null;
+  }
+
+  const expiresAtSeconds = Math.floor(expiresAt.getTime() / 1000);
+  return `${expiresAtSeconds}.${signBookingManagePayload(secret, processingId, action, expiresAtSeconds)}`;
+}
+
+export function verifyBookingManageToken(
+  processingId: string,
+  action: BookingManageAction,
+  token: unknown,
+  now: Date = new Date(),
+  secret: string | null = getBookingManageLinkSecret()
+): BookingManageTokenVerification {
+  if (!secret) {
+    return { valid: false, reason: 'not_configured' };
+  }
+
+  if (typeof token !== 'string') {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [expiresPart, signature, ...rest] = token.trim().split('.');
+  const expiresAtSeconds = Number(expiresPart);
+
+  if (rest.length > 0 || !signature || !Number.isInteger(expiresAtSeconds)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(
+    signBookingManagePayload(secret, processingId, action, expiresAtSeconds)
+  );
+  const provided = Buffer.from(signature);
+
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  const expiresAt = new Date(expiresAtSeconds * 1000);
+  if (expiresAt.getTime() <= now.getTime()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, expiresAt };
+}
+
+/**
+ * Build the customer-facing reschedule/cancel links for a confirmed meeting.
+ * Links expire when the meeting starts, so a rescheduled booking implicitly
+ * retires the links that were issued for its previous slot.
+ */
+export function buildBookingManageLinks(
+  processingId: string,
+  meetingStart: Date,
+  baseUrl: string = getPublicBookingLink()
+): BookingManageLinks | null {
+  const rescheduleToken = createBookingManageToken(processingId, 'reschedule', meetingStart);
+  const cancelToken = createBookingManageToken(processingId, 'cancel', meetingStart);
+
+  if (!rescheduleToken || !cancelToken) {
+    return null;
+  }
+
+  const buildUrl = (action: BookingManageAction, token: string): string => {
+    const url = new URL(MANAGE_BOOKING_PATH, baseUrl);
+    url.searchParams.set('booking', processingId);
+    url.searchParams.set('action', action);
+    url.searchParams.set('token', token);
+    return url.toString();
+  };
+
+  return {
+    rescheduleUrl: buildUrl('reschedule', rescheduleToken),
+    cancelUrl: buildUrl('cancel', cancelToken),
+    expiresAt: meetingStart,
+  };
+}
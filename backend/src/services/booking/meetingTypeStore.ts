@@ -0,0 +1,153 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import {
+  buildDefaultMeetingTypes,
+  DEFAULT_MEETING_TYPE_SLUG,
+  findMeetingTypeByDuration,
+  mergeMeetingTypes,
+  type MeetingTypeDefinition,
+  type MeetingTypeRow,
+} from './meetingTypes.js';
+
+/**
+ * Meeting Type Store
+ * Loads meeting types (YAML defaults + meeting_types table) and persists admin edits.
+ */
+
+const MEETING_TYPE_COLUMNS = [
+  'slug',
+  'name',
+  'description',
+  'duration_minutes',
+  'buffer_before_minutes',
+  'buffer_after_minutes',
+  'minimum_notice_minutes',
+  'booking_window_hours',
+  'calendar_email',
+  'location_kind',
+  'location_details',
+  'intake_questions',
+  'requires_tavus',
+  'is_active',
+  'sort_order',
+].join(', ');
+
+export type MeetingTypeResolution =
+  | { ok: true; meetingType: MeetingTypeDefinition }
+  | { ok: false; status: number; error: string };
+
+function getDefaultMeetingTypes(): MeetingTypeDefinition[] {
+  return buildDefaultMeetingTypes(getConfigSection('scheduling'));
+}
+
+/**
+ * Load every meeting type, falling back to the YAML defaults when the table is unavailable.
+ */
+export async function listMeetingTypes(
+  supabase: SupabaseClient | null,
+  options: { includeInactive?: boolean } = {}
+): Promise<MeetingTypeDefinition[]> {
+  const defaults = getDefaultMeetingTypes();
+  let meetingTypes = defaults;
+
+  if (supabase) {
+    const { data, error } = await supabase.from('meeting_types').select(MEETING_TYPE_COLUMNS);
+
+    if (error) {
+      logger.warn(`Meeting types table unavailable, using configured defaults: ${error.message}`);
+    } else {
+      meetingTypes = mergeMeetingTypes(
+        defaults,
+        (data || []) as unknown as MeetingTypeRow[],
+        (slug, errors) => logger.warn(`Ignoring invalid meeting type "${slug}" from database:`, errors)
+      );
+    }
+  }
+
+  return options.includeInactive ? meetingTypes : meetingTypes.filter((meetingType) => meetingType.is_active);
+}
+
+export async function getMeetingType(
+  supabase: SupabaseClient | null,
+  slug: string
+): Promise<MeetingTypeDefinition | null> {
+  const meetingTypes = await listMeetingTypes(supabase, { includeInactive: true });
+  return meetingTypes.find((meetingType) => meetingType.slug === slug) ?? null;
+}
+
+/**
+ * Create or replace a meeting type row. Editing a built-in type stores an override row.
+ */
+export async function saveMeetingType(
+  supabase: SupabaseClient,
+  meetingType: MeetingTypeDefinition
+): Promise<MeetingTypeDefinition> {
+  const { source: _source, ...row } = meetingType;
+
+  const { error } = await supabase
+    .from('meeting_types')
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'slug' });
+
+  if (error) {
+    throw new Error(`Failed to save meeting type ${meetingType.slug}: ${error.message}`);
+  }
+
+  return { ...meetingType, source: 'database' };
+}
+
+/**
+ * Resolve the meeting type for a public request: an explicit slug wins, a legacy raw
+ * duration maps to the first active type with that length, otherwise the default type.
+ */
+export async function resolveMeetingTypeRequest(
+  supabase: SupabaseClient | null,
+  request: { meetingType?: unknown; durationMinutes?: unknown },
+  options: { isTavusEnabled: boolean }
+): Promise<MeetingTypeResolution> {
+  const meetingTypes = await listMeetingTypes(supabase, { includeInactive: true });
+  const requestedSlug = typeof request.meetingType === 'string' ? request.meetingType.trim().toLowerCase() : '';
+  let meetingType: MeetingTypeDefinition | undefined;
+
+  if (requestedSlug) {
+    meetingType = meetingTypes.find((candidate) => candidate.slug === requestedSlug);
+
+    if (!meetingType || !meetingType.is_active) {
+      return { ok: false, status: 400, error: `Unknown meeting type: ${requestedSlug}` };
+    }
+  } else if (request.durationMinutes !== undefined && request.durationMinutes !== null && request.durationMinutes !== '') {
+    const durationMinutes = Number(request.durationMinutes);
+    meetingType = Number.isInteger(durationMinutes)
+      ? findMeetingTypeByDuration(meetingTypes, durationMinutes)
+      : undefined;
+
+    if (!meetingType) {
+      const allowedDurations = Array.from(
+        new Set(meetingTypes.filter((candidate) => candidate.is_active).map((candidate) => candidate.duration_minutes))
+      ).sort((a, b) => a - b);
+
+      return {
+        ok: false,
+        status: 400,
+        error: `Invalid duration. Allowed values: ${allowedDurations.join(', ')} minutes.`,
+      };
+    }
+  } else {
+    meetingType = meetingTypes.find((candidate) => candidate.slug === DEFAULT_MEETING_TYPE_SLUG && candidate.is_active)
+      ?? meetingTypes.find((candidate) => candidate.is_active);
+
+    if (!meetingType) {
+      return { ok: false, status: 503, error: 'No meeting types are currently bookable.' };
+    }
+  }
+
+  if (meetingType.requires_tavus && !options.isTavusEnabled) {
+    return {
+      ok: false,
+      status: 400,
+      error: `${meetingType.name} sessions are currently unavailable (Requires Tavus integration).`,
+    };
+  }
+
+  return { ok: true, meetingType };
+}
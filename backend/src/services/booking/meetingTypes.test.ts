@@ -0,0 +1,210 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildDefaultMeetingTypes,
+  buildMeetingLocation,
+  findMeetingTypeByDuration,
+  mergeMeetingTypes,
+  validateIntakeResponses,
+  validateMeetingTypeInput,
+  type MeetingTypeRow,
+} from './meetingTypes.js';
+
+const scheduling = {
+  meeting_durations: { discovery: 15, consultation: 30, demo: 45, strategy: 60, technical: 60 },
+  buffer_times: { before_meeting: 10, after_meeting: 5 },
+  booking_window_hours: 48,
+};
+
+const defaults = buildDefaultMeetingTypes(scheduling);
+
+function buildRow(overrides: Partial<MeetingTypeRow>): MeetingTypeRow {
+  return {
+    slug: 'workshop',
+    name: 'Workshop',
+    description: null,
+    duration_minutes: 90,
+    buffer_before_minutes: 0,
+    buffer_after_minutes: 30,
+    minimum_notice_minutes: null,
+    booking_window_hours: null,
+    calendar_email: null,
+    location_kind: 'google_meet',
+    location_details: null,
+    intake_questions: [],
+    requires_tavus: false,
+    is_active: true,
+    sort_order: 25,
+    ...overrides,
+  };
+}
+
+describe('buildDefaultMeetingTypes', () => {
+  it('creates one type per configured duration with the shared buffers', () => {
+    expect(defaults.map((meetingType) => [meetingType.slug, meetingType.duration_minutes])).toEqual([
+      ['discovery', 15],
+      ['consultation', 30],
+      ['demo', 45],
+      ['strategy', 60],
+      ['technical', 60],
+    ]);
+    expect(defaults.every((meetingType) => meetingType.buffer_before_minutes === 10)).toBe(true);
+    expect(defaults.every((meetingType) => meetingType.buffer_after_minutes === 5)).toBe(true);
+  });
+
+  it('keeps the discovery booking window and Tavus requirement', () => {
+    const discovery = defaults.find((meetingType) => meetingType.slug === 'discovery');
+
+    expect(discovery?.booking_window_hours).toBe(48);
+    expect(discovery?.requires_tavus).toBe(true);
+    expect(defaults.filter((meetingType) => meetingType.requires_tavus)).toHaveLength(1);
+  });
+});
+
+describe('validateMeetingTypeInput', () => {
+  it('requires slug, name and duration on create', () => {
+    const result = validateMeetingTypeInput({ slug: 'Bad Slug' });
+
+    expect(result.valid).toBe(false);
+    if (!result.valid) {
+      expect(result.errors).toEqual(expect.arrayContaining([
+        'slug must contain lowercase letters, numbers and single dashes',
+        'name is required',
+        'duration_minutes is required',
+      ]));
+    }
+  });
+
+  it('rejects out-of-range durations and in-person types without an address', () => {
+    const result = validateMeetingTypeInput({
+      slug: 'site-visit',
+      name: 'Site visit',
+      duration_minutes: 2,
+      location_kind: 'in_person',
+    });
+
+    expect(result.valid).toBe(false);
+    if (!result.valid) {
+      expect(result.errors).toEqual([
+        'duration_minutes must be an integer between 5 and 480',
+        'location_details is required for in_person and custom locations',
+      ]);
+    }
+  });
+
+  it('keeps existing values for fields missing from an update', () => {
+    const consultation = defaults.find((meetingType) => meetingType.slug === 'consultation')!;
+    const result = validateMeetingTypeInput({ duration_minutes: 40, minimum_notice_minutes: 120 }, consultation);
+
+    expect(result.valid).toBe(true);
+    if (result.valid) {
+      expect(result.value).toMatchObject({
+        slug: 'consultation',
+        name: 'Strategic Consultation',
+        duration_minutes: 40,
+        buffer_before_minutes: 10,
+        buffer_after_minutes: 5,
+        minimum_notice_minutes: 120,
+        source: 'database',
+      });
+    }
+  });
+
+  it('normalizes intake questions and requires options for selects', () => {
+    const result = validateMeetingTypeInput({
+      slug: 'intake',
+      name: 'Intake',
+      duration_minutes: 30,
+      intake_questions: [
+        { label: 'Company size', type: 'select', options: ['1-10', '11-50'], required: true },
+        { label: 'Budget', type: 'select' },
+      ],
+    });
+
+    expect(result.valid).toBe(false);
+    if (!result.valid) {
+      expect(result.errors).toEqual(['intake_questions[1].options are required for select questions']);
+    }
+  });
+});
+
+describe('mergeMeetingTypes', () => {
+  it('lets database rows override defaults and add new types in sort order', () => {
+    const merged = mergeMeetingTypes(defaults, [
+      buildRow({ slug: 'demo', name: 'Live Demo', duration_minutes: 50, sort_order: 20 }),
+      buildRow({}),
+    ]);
+
+    expect(merged.map((meetingType) => meetingType.slug)).toEqual([
+      'discovery',
+      'consultation',
+      'demo',
+      'workshop',
+      'strategy',
+      'technical',
+    ]);
+    expect(merged.find((meetingType) => meetingType.slug === 'demo')).toMatchObject({
+      name: 'Live Demo',
+      duration_minutes: 50,
+      source: 'database',
+    });
+  });
+
+  it('skips invalid rows and reports them', () => {
+    const invalid: Array<[string, string[]]> = [];
+    const merged = mergeMeetingTypes(
+      defaults,
+      [buildRow({ slug: 'consultation', duration_minutes: 1000 })],
+      (slug, errors) => invalid.push([slug, errors])
+    );
+
+    expect(merged.find((meetingType) => meetingType.slug === 'consultation')?.duration_minutes).toBe(30);
+    expect(invalid).toEqual([['consultation', ['duration_minutes must be an integer between 5 and 480']]]);
+  });
+});
+
+describe('findMeetingTypeByDuration', () => {
+  it('maps a legacy duration to the first active type with that length', () => {
+    const merged = mergeMeetingTypes(defaults, [buildRow({ slug: 'strategy', duration_minutes: 60, is_active: false, sort_order: 30 })]);
+
+    expect(findMeetingTypeByDuration(merged, 60)?.slug).toBe('technical');
+    expect(findMeetingTypeByDuration(merged, 20)).toBeUndefined();
+  });
+});
+
+describe('validateIntakeResponses', () => {
+  const meetingType = {
+    intake_questions: [
+      { id: 'goal', label: 'Main goal', type: 'textarea' as const, required: true },
+      { id: 'size', label: 'Team size', type: 'select' as const, required: false, options: ['1-10', '11-50'] },
+    ],
+  };
+
+  it('requires answers to required questions and valid select options', () => {
+    expect(validateIntakeResponses(meetingType, { size: '500+' })).toEqual({
+      valid: false,
+      errors: ['Main goal is required', 'Team size must be one of: 1-10, 11-50'],
+    });
+  });
+
+  it('returns trimmed answers and drops unknown ids', () => {
+    expect(validateIntakeResponses(meetingType, { goal: '  Automate intake  ', other: 'ignored' })).toEqual({
+      valid: true,
+      answers: { goal: 'Automate intake' },
+    });
+  });
+});
+
+describe('buildMeetingLocation', () => {
+  it('only requests a generated meeting link for Google Meet types', () => {
+    expect(buildMeetingLocation({ location_kind: 'google_meet', location_details: null })).toEqual({
+      location: 'Autonome Partners Google Meet',
+      meetingLink: 'generate',
+    });
+    expect(buildMeetingLocation({ location_kind: 'in_person', location_details: '1 Main St' })).toEqual({
+      location: '1 Main St',
+    });
+    expect(buildMeetingLocation({ location_kind: 'phone', location_details: null })).toEqual({
+      location: 'Phone call',
+    });
+  });
+});
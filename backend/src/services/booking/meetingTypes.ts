@@ -0,0 +1,467 @@
+import type { Scheduling } from '../../../../src/config/schema.js';
+
+/**
+ * Meeting Types
+ * Pure helpers for bookable meeting types: config defaults (scheduling.meeting_durations),
+ * database overrides by slug, and validation of admin edits.
+ */
+
+export const MEETING_LOCATION_KINDS = ['google_meet', 'phone', 'in_person', 'custom'] as const;
+export const MEETING_INTAKE_QUESTION_TYPES = ['text', 'textarea', 'select'] as const;
+export const MIN_MEETING_DURATION_MINUTES = 5;
+export const MAX_MEETING_DURATION_MINUTES = 480;
+export const MAX_MEETING_BUFFER_MINUTES = 240;
+export const MAX_MEETING_NOTICE_MINUTES = 14 * 24 * 60;
+export const MAX_MEETING_BOOKING_WINDOW_HOURS = 365 * 24;
+export const MAX_INTAKE_QUESTIONS = 10;
+
+export type MeetingLocationKind = (typeof MEETING_LOCATION_KINDS)[number];
+export type MeetingIntakeQuestionType = (typeof MEETING_INTAKE_QUESTION_TYPES)[number];
+export type MeetingTypeSource = 'config' | 'database';
+
+export interface MeetingIntakeQuestion {
+  id: string;
+  label: string;
+  type: MeetingIntakeQuestionType;
+  required: boolean;
+  options?: string[];
+}
+
+export interface MeetingTypeDefinition {
+  slug: string;
+  name: string;
+  description: string | null;
+  duration_minutes: number;
+  buffer_before_minutes: number;
+  buffer_after_minutes: number;
+  /** Overrides the booking display minimum notice when set. */
+  minimum_notice_minutes: number | null;
+  /** Limits how far ahead this type can be booked; null uses the calendar constraint. */
+  booking_window_hours: number | null;
+  /** Destination calendar; null uses the designated booking calendar. */
+  calendar_email: string | null;
+  location_kind: MeetingLocationKind;
+  location_details: string | null;
+  intake_questions: MeetingIntakeQuestion[];
+  requires_tavus: boolean;
+  is_active: boolean;
+  sort_order: number;
+  source: MeetingTypeSource;
+}
+
+export interface MeetingTypeRow {
+  slug: string;
+  name: string | null;
+  description: string | null;
+  duration_minutes: number | null;
+  buffer_before_minutes: number | null;
+  buffer_after_minutes: number | null;
+  minimum_notice_minutes: number | null;
+  booking_window_hours: number | null;
+  calendar_email: string | null;
+  location_kind: string | null;
+  location_details: string | null;
+  intake_questions: unknown;
+  requires_tavus: boolean | null;
+  is_active: boolean | null;
+  sort_order: number | null;
+}
+
+export type MeetingTypeValidationResult =
+  | { valid: true; value: MeetingTypeDefinition }
+  | { valid: false; errors: string[] };
+
+type SchedulingDefaults = Pick<Scheduling, 'meeting_durations' | 'buffer_times' | 'booking_window_hours'>;
+
+const DEFAULT_MEETING_TYPE_NAMES: Record<keyof Scheduling['meeting_durations'], string> = {
+  discovery: 'Discovery Q&A',
+  consultation: 'Strategic Consultation',
+  demo: 'Product Demo',
+  strategy: 'Strategy Session',
+  technical: 'Technical Deep Dive',
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const DEFAULT_MEETING_TYPE_SLUG = 'consultation';
+
+/**
+ * Build the built-in meeting types from scheduling.meeting_durations. Discovery keeps the
+ * short booking window and Tavus requirement the 15-minute Q&A always had.
+ */
+export function buildDefaultMeetingTypes(scheduling: SchedulingDefaults): MeetingTypeDefinition[] {
+  const slugs = Object.keys(DEFAULT_MEETING_TYPE_NAMES) as Array<keyof Scheduling['meeting_durations']>;
+
+  return slugs.map((slug, index) => ({
+    slug,
+    name: DEFAULT_MEETING_TYPE_NAMES[slug],
+    description: null,
+    duration_minutes: scheduling.meeting_durations[slug],
+    buffer_before_minutes: scheduling.buffer_times.before_meeting,
+    buffer_after_minutes: scheduling.buffer_times.after_meeting,
+    minimum_notice_minutes: null,
+    booking_window_hours: slug === 'discovery' ? scheduling.booking_window_hours ?? 48 : null,
+    calendar_email: null,
+    location_kind: 'google_meet',
+    location_details: null,
+    intake_questions: [],
+    requires_tavus: slug === 'discovery',
+    is_active: true,
+    sort_order: index * 10,
+    source: 'config',
+  }));
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readOptionalText(value: unknown, maxLength: number): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim().slice(0, maxLength);
+  return trimmed || null;
+}
+
+function validateIntegerField(
+  errors: string[],
+  field: string,
+  value: unknown,
+  min: number,
+  max: number
+): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (!Number.isInteger(value) || (value as number) < min || (value as number) > max) {
+    errors.push(`${field} must be an integer between ${min} and ${max}`);
+    return undefined;
+  }
+
+  return value as number;
+}
+
+function validateNullableIntegerField(
+  errors: string[],
+  field: string,
+  value: unknown,
+  min: number,
+  max: number
+): number | null | undefined {
+  if (value === null) {
+    return null;
+  }
+
+  return validateIntegerField(errors, field, value, min, max);
+}
+
+function validateIntakeQuestions(errors: string[], value: unknown): MeetingIntakeQuestion[] | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (!Array.isArray(value)) {
+    errors.push('intake_questions must be an array');
+    return undefined;
+  }
+
+  if (value.length > MAX_INTAKE_QUESTIONS) {
+    errors.push(`intake_questions supports at most ${MAX_INTAKE_QUESTIONS} questions`);
+    return undefined;
+  }
+
+  const questions: MeetingIntakeQuestion[] = [];
+  const seenIds = new Set<string>();
+
+  value.forEach((entry, index) => {
+    if (!isPlainObject(entry)) {
+      errors.push(`intake_questions[${index}] must be an object`);
+      return;
+    }
+
+    const label = readOptionalText(entry['label'], 200);
+    const type = entry['type'] ?? 'text';
+    const id = readOptionalText(entry['id'], 60) || `question_${index + 1}`;
+
+    if (!label) {
+      errors.push(`intake_questions[${index}].label is required`);
+      return;
+    }
+
+    if (!MEETING_INTAKE_QUESTION_TYPES.includes(type as MeetingIntakeQuestionType)) {
+      errors.push(`intake_questions[${index}].type must be one of ${MEETING_INTAKE_QUESTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (seenIds.has(id)) {
+      errors.push(`intake_questions[${index}].id "${id}" is duplicated`);
+      return;
+    }
+
+    const options = Array.isArray(entry['options'])
+      ? entry['options']
+        .map((option) => readOptionalText(option, 100))
+        .filter((option): option is string => Boolean(option))
+      : [];
+
+    if (type === 'select' && options.length === 0) {
+      errors.push(`intake_questions[${index}].options are required for select questions`);
+      return;
+    }
+
+    seenIds.add(id);
+    questions.push({
+      id,
+      label,
+      type: type as MeetingIntakeQuestionType,
+      required: entry['required'] === true,
+      ...(type === 'select' ? { options } : {}),
+    });
+  });
+
+  return questions;
+}
+
+/**
+ * Validate an admin create/update payload. Fields missing from the payload keep the
+ * value from `existing`; a create (no `existing`) requires slug, name and duration.
+ */
+export function validateMeetingTypeInput(
+  input: unknown,
+  existing?: MeetingTypeDefinition
+): MeetingTypeValidationResult {
+  if (!isPlainObject(input)) {
+    return { valid: false, errors: ['Request body must be an object'] };
+  }
+
+  const errors: string[] = [];
+  const slug = existing?.slug ?? (typeof input['slug'] === 'string' ? input['slug'].trim().toLowerCase() : '');
+
+  if (!existing && !SLUG_PATTERN.test(slug)) {
+    errors.push('slug must contain lowercase letters, numbers and single dashes');
+  }
+
+  const name = input['name'] === undefined ? existing?.name : readOptionalText(input['name'], 120);
+  if (!name) {
+    errors.push('name is required');
+  }
+
+  const duration = validateIntegerField(
+    errors,
+    'duration_minutes',
+    input['duration_minutes'],
+    MIN_MEETING_DURATION_MINUTES,
+    MAX_MEETING_DURATION_MINUTES
+  ) ?? existing?.duration_minutes;
+  if (duration === undefined && !errors.some((error) => error.startsWith('duration_minutes'))) {
+    errors.push('duration_minutes is required');
+  }
+
+  const bufferBefore = validateIntegerField(
+    errors,
+    'buffer_before_minutes',
+    input['buffer_before_minutes'],
+    0,
+    MAX_MEETING_BUFFER_MINUTES
+  );
+  const bufferAfter = validateIntegerField(
+    errors,
+    'buffer_after_minutes',
+    input['buffer_after_minutes'],
+    0,
+    MAX_MEETING_BUFFER_MINUTES
+  );
+  const minimumNotice = validateNullableIntegerField(
+    errors,
+    'minimum_notice_minutes',
+    input['minimum_notice_minutes'],
+    0,
+    MAX_MEETING_NOTICE_MINUTES
+  );
+  const bookingWindow = validateNullableIntegerField(
+    errors,
+    'booking_window_hours',
+    input['booking_window_hours'],
+    1,
+    MAX_MEETING_BOOKING_WINDOW_HOURS
+  );
+  const sortOrder = validateIntegerField(errors, 'sort_order', input['sort_order'], 0, 10000);
+
+  let calendarEmail = existing?.calendar_email ?? null;
+  if (input['calendar_email'] !== undefined) {
+    calendarEmail = readOptionalText(input['calendar_email'], 254);
+    if (calendarEmail && !calendarEmail.includes('@')) {
+      errors.push('calendar_email must be an email address');
+    }
+  }
+
+  const locationKind = input['location_kind'] ?? existing?.location_kind ?? 'google_meet';
+  if (!MEETING_LOCATION_KINDS.includes(locationKind as MeetingLocationKind)) {
+    errors.push(`location_kind must be one of ${MEETING_LOCATION_KINDS.join(', ')}`);
+  }
+
+  const locationDetails = input['location_details'] === undefined
+    ? existing?.location_details ?? null
+    : readOptionalText(input['location_details'], 500);
+  if ((locationKind === 'in_person' || locationKind === 'custom') && !locationDetails) {
+    errors.push('location_details is required for in_person and custom locations');
+  }
+
+  const intakeQuestions = validateIntakeQuestions(errors, input['intake_questions']);
+
+  for (const field of ['requires_tavus', 'is_active'] as const) {
+    if (input[field] !== undefined && typeof input[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  if (errors.length > 0 || !name || duration === undefined) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    value: {
+      slug,
+      name,
+      description: input['description'] === undefined
+        ? existing?.description ?? null
+        : readOptionalText(input['description'], 1000),
+      duration_minutes: duration,
+      buffer_before_minutes: bufferBefore ?? existing?.buffer_before_minutes ?? 0,
+      buffer_after_minutes: bufferAfter ?? existing?.buffer_after_minutes ?? 0,
+      minimum_notice_minutes: minimumNotice === undefined
+        ? existing?.minimum_notice_minutes ?? null
+        : minimumNotice,
+      booking_window_hours: bookingWindow === undefined
+        ? existing?.booking_window_hours ?? null
+        : bookingWindow,
+      calendar_email: calendarEmail,
+      location_kind: locationKind as MeetingLocationKind,
+      location_details: locationDetails,
+      intake_questions: intakeQuestions ?? existing?.intake_questions ?? [],
+      requires_tavus: typeof input['requires_tavus'] === 'boolean'
+        ? input['requires_tavus']
+        : existing?.requires_tavus ?? false,
+      is_active: typeof input['is_active'] === 'boolean' ? input['is_active'] : existing?.is_active ?? true,
+      sort_order: sortOrder ?? existing?.sort_order ?? 100,
+      source: 'database',
+    },
+  };
+}
+
+function meetingTypeRowToInput(row: MeetingTypeRow): Record<string, unknown> {
+  return {
+    slug: row.slug,
+    name: row.name ?? undefined,
+    description: row.description,
+    duration_minutes: row.duration_minutes ?? undefined,
+    buffer_before_minutes: row.buffer_before_minutes ?? undefined,
+    buffer_after_minutes: row.buffer_after_minutes ?? undefined,
+    minimum_notice_minutes: row.minimum_notice_minutes,
+    booking_window_hours: row.booking_window_hours,
+    calendar_email: row.calendar_email,
+    location_kind: row.location_kind ?? undefined,
+    location_details: row.location_details,
+    intake_questions: Array.isArray(row.intake_questions) ? row.intake_questions : [],
+    requires_tavus: row.requires_tavus ?? undefined,
+    is_active: row.is_active ?? undefined,
+    sort_order: row.sort_order ?? undefined,
+  };
+}
+
+/**
+ * Merge config defaults with database rows by slug. A database row replaces the
+ * default with the same slug; invalid rows are skipped and reported to the caller.
+ */
+export function mergeMeetingTypes(
+  defaults: MeetingTypeDefinition[],
+  rows: MeetingTypeRow[],
+  onInvalidRow?: (slug: string, errors: string[]) => void
+): MeetingTypeDefinition[] {
+  const typesBySlug = new Map<string, MeetingTypeDefinition>();
+
+  for (const meetingType of defaults) {
+    typesBySlug.set(meetingType.slug, meetingType);
+  }
+
+  for (const row of rows) {
+    const validation = validateMeetingTypeInput(meetingTypeRowToInput(row));
+
+    if (!validation.valid) {
+      onInvalidRow?.(row.slug, validation.errors);
+      continue;
+    }
+
+    typesBySlug.set(validation.value.slug, validation.value);
+  }
+
+  return Array.from(typesBySlug.values()).sort(
+    (a, b) => a.sort_order - b.sort_order || a.slug.localeCompare(b.slug)
+  );
+}
+
+/**
+ * Find the active meeting type for a legacy raw-duration request.
+ */
+export function findMeetingTypeByDuration(
+  meetingTypes: MeetingTypeDefinition[],
+  durationMinutes: number
+): MeetingTypeDefinition | undefined {
+  return meetingTypes.find(
+    (meetingType) => meetingType.is_active && meetingType.duration_minutes === durationMinutes
+  );
+}
+
+/**
+ * Check a booking's intake answers against the meeting type's questions.
+ * Unknown question ids are dropped; answers are trimmed and capped.
+ */
+export function validateIntakeResponses(
+  meetingType: Pick<MeetingTypeDefinition, 'intake_questions'>,
+  responses: unknown
+): { valid: true; answers: Record<string, string> } | { valid: false; errors: string[] } {
+  const provided = isPlainObject(responses) ? responses : {};
+  const answers: Record<string, string> = {};
+  const errors: string[] = [];
+
+  for (const question of meetingType.intake_questions) {
+    const answer = readOptionalText(provided[question.id], 2000);
+
+    if (!answer) {
+      if (question.required) {
+        errors.push(`${question.label} is required`);
+      }
+      continue;
+    }
+
+    if (question.type === 'select' && !question.options?.includes(answer)) {
+      errors.push(`${question.label} must be one of: ${(question.options || []).join(', ')}`);
+      continue;
+    }
+
+    answers[question.id] = answer;
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, answers };
+}
+
+/**
+ * Calendar location fields for a confirmed meeting of this type.
+ */
+export function buildMeetingLocation(
+  meetingType: Pick<MeetingTypeDefinition, 'location_kind' | 'location_details'>
+): { location: string; meetingLink?: 'generate' } {
+  switch (meetingType.location_kind) {
+    case 'phone':
+      return { location: meetingType.location_details || 'Phone call' };
+    case 'in_person':
+    case 'custom':
+      return { location: meetingType.location_details || 'To be confirmed' };
+    default:
+      return { location: meetingType.location_details || 'Autonome Partners Google Meet', meetingLink: 'generate' };
+  }
+}
@@ -20,6 +20,14 @@ import {
   ProvisionalHold,
   CalendarEvent,
 } from './providers/ICalendarProvider.js';
+import { isSlotClearOfBusyPeriods, resolveSlotBuffers, type SlotBuffers } from './slotBuffers.js';
+import {
+  filterSlotsByDailyLimits,
+  hasDailyMeetingLimits,
+  type BookedMeeting,
+} from './dailyMeetingLimits.js';
+import { getDailyMeetingLimits } from './dailyMeetingLimitsStore.js';
+import { planSelectionHoldRecovery, type PersistedSelectionHold } from './selectionHoldRecovery.js';
 
 export interface CalendarAccount {
   id: string;
@@ -34,6 +42,8 @@ export interface CalendarAccount {
   is_primary: boolean;
   priority: number;
   is_active: boolean;
+  buffer_before_minutes?: number | null;
+  buffer_after_minutes?: number | null;
 }
 
 export interface GetAvailableSlotsOptions {
@@ -46,8 +56,13 @@ export interface GetAvailableSlotsOptions {
     end: string;
   };
   bufferMinutes?: number;
+  /** Meeting-type buffers; the booking calendar's own buffers apply as a minimum. */
+  bufferBeforeMinutes?: number;
+  bufferAfterMinutes?: number;
   slotIntervalMinutes?: number;
   calendarEmailOverride?: string;
+  /** Calendar events to treat as free, e.g. the confirmed meeting being rescheduled */
+  excludeEventIds?: string[];
 }
 
 export interface ProvisionalHoldRequest {
@@ -70,6 +85,35 @@ export interface BookingCalendarInfo {
   isConfigured: boolean;
 }
 
+/**
+ * Thrown when another visitor already holds an overlapping slot on the same calendar.
+ */
+export class SelectionHoldConflictError extends Error {
+  constructor(
+    public readonly slot: { start: Date; end: Date },
+    public readonly calendarEmail: string
+  ) {
+    super('That time was just reserved by someone else. Please choose another slot.');
+    this.name = 'SelectionHoldConflictError';
+  }
+}
+
+/**
+ * Thrown when the host's calendar gained a conflicting event after the slot was held.
+ */
+export class SelectionSlotUnavailableError extends Error {
+  constructor(
+    public readonly slot: { start: Date; end: Date },
+    public readonly calendarEmail: string
+  ) {
+    super('That time is no longer available. Please choose another slot.');
+    this.name = 'SelectionSlotUnavailableError';
+  }
+}
+
+const EXCLUSION_VIOLATION_CODE = '23P01';
+const MISSING_FUNCTION_CODE = 'PGRST202';
+
 interface AvailabilityCacheEntry {
   slots: TimeSlot[];
   cachedAt: Date;
@@ -90,6 +134,7 @@ export class CalendarService {
   private availabilityUserEmail: string | null = null;
   private bookingProviderId: string | null = null;
   private bookingCalendarEmail: string | null = null;
+  private calendarBuffers: Map<string, Partial<SlotBuffers>> = new Map();
   private selectionHoldBySession: Map<string, string> = new Map();
   private selectionHoldTimers: Map<string, ReturnType<typeof setTimeout>> = new Map();
 
@@ -186,6 +231,7 @@ export class CalendarService {
     }
 
     this.providers.clear();
+    this.calendarBuffers.clear();
     this.availabilityUserEmail = null;
     this.bookingProviderId = null;
     this.bookingCalendarEmail = null;
@@ -218,6 +264,10 @@ export class CalendarService {
           });
 
           this.providers.set(account.id, provider);
+          this.calendarBuffers.set(account.id, {
+            beforeMinutes: account.buffer_before_minutes ?? undefined,
+            afterMinutes: account.buffer_after_minutes ?? undefined,
+          });
           if (account.is_primary) {
             this.bookingProviderId = account.id;
             this.bookingCalendarEmail = account.calendar_email;
@@ -236,6 +286,45 @@ export class CalendarService {
     }
 
     console.log(`Calendar service ready with ${this.providers.size} provider(s)`);
+
+    await this.rehydrateSelectionHolds();
+  }
+
+  /**
+   * Rebuild selection hold session mappings and expiry timers from provisional_holds.
+   * Safe to run on every replica: expiry is claimed in the database, so only one
+   * instance releases each hold.
+   */
+  private async rehydrateSelectionHolds(): Promise<void> {
+    const { data: activeHolds, error } = await this.supabase
+      .from('provisional_holds')
+      .select('id, expires_at, created_at, metadata')
+      .eq('status', 'active')
+      .eq('metadata->>type', 'selection_hold');
+
+    if (error) {
+      logger.warn(`Failed to rehydrate selection holds, leaving them to the cleanup job: ${error.message}`);
+      return;
+    }
+
+    for (const timeout of this.selectionHoldTimers.values()) {
+      clearTimeout(timeout);
+    }
+    this.selectionHoldTimers.clear();
+    this.selectionHoldBySession.clear();
+
+    const plan = planSelectionHoldRecovery((activeHolds || []) as PersistedSelectionHold[]);
+
+    for (const hold of plan.holds) {
+      this.selectionHoldBySession.set(hold.sessionId, hold.holdId);
+      this.scheduleSelectionHoldExpiry(hold.holdId, hold.sessionId, hold.expiresAt);
+    }
+
+    if (plan.holds.length > 0 || plan.skippedHoldIds.length > 0) {
+      logger.info(
+        `Rehydrated ${plan.holds.length} selection hold(s); ${plan.skippedHoldIds.length} left to the cleanup job`
+      );
+    }
   }
 
   /**
@@ -316,25 +405,33 @@ export class CalendarService {
 
     if (bookingProvider) {
       availabilitySourceDescription = `booking calendar ${bookingProvider.calendarEmail}`;
+      const buffers = this.getSlotBuffersForProvider(bookingProvider.providerId, options);
       candidateSlots = await bookingProvider.getAvailability({
         startDate: options.startDate,
         endDate: options.endDate,
         durationMinutes: options.durationMinutes,
         workingHours: providerWorkingHours,
-        bufferMinutes: options.bufferMinutes,
+        bufferBeforeMinutes: buffers.beforeMinutes,
+        bufferAfterMinutes: buffers.afterMinutes,
         slotIntervalMinutes: options.slotIntervalMinutes,
+        excludeEventIds: options.excludeEventIds,
       });
     } else {
       const availabilityPromises = Array.from(this.providers.values()).map(
-        (provider) =>
-          provider.getAvailability({
+        (provider) => {
+          const buffers = this.getSlotBuffersForProvider(provider.providerId, options);
+
+          return provider.getAvailability({
             startDate: options.startDate,
             endDate: options.endDate,
             durationMinutes: options.durationMinutes,
             workingHours: providerWorkingHours,
-            bufferMinutes: options.bufferMinutes,
+            bufferBeforeMinutes: buffers.beforeMinutes,
+            bufferAfterMinutes: buffers.afterMinutes,
             slotIntervalMinutes: options.slotIntervalMinutes,
-          })
+            excludeEventIds: options.excludeEventIds,
+          });
+        }
       );
 
       const allAvailabilities = await Promise.all(availabilityPromises);
@@ -350,13 +447,22 @@ export class CalendarService {
       userEmail,
       configuredWorkingHours ?? undefined
     );
-    const finalSlots = filteredByWorkingHours.filter((slot) => slot.start >= options.startDate);
+    const filteredByDailyLimits = await this.filterByDailyLimits(
+      filteredByWorkingHours,
+      userEmail,
+      bookingProvider ? [bookingProvider] : Array.from(this.providers.values()),
+      configuredWorkingHours ?? undefined,
+      options.startDate,
+      options.endDate,
+      options.excludeEventIds
+    );
+    const finalSlots = filteredByDailyLimits.filter((slot) => slot.start >= options.startDate);
 
     // Cache the result
     this.cacheAvailability(cacheKey, finalSlots);
 
     console.log(
-      `Found ${finalSlots.length} available slots (after blackouts and working hours filtering)`
+      `Found ${finalSlots.length} available slots (after blackouts, working hours and daily limit filtering)`
     );
 
     if (typeof options.maxSlots === 'number' && options.maxSlots > 0) {
@@ -661,7 +767,9 @@ export class CalendarService {
       }
     }
     
-    const existingHoldId = this.selectionHoldBySession.get(sessionId);
+    // Another replica may have created this session's previous hold
+    const existingHoldId =
+      this.selectionHoldBySession.get(sessionId) ?? await this.findActiveSelectionHoldId(sessionId);
 
     if (existingHoldId) {
       try {
@@ -671,32 +779,42 @@ export class CalendarService {
       }
     }
 
-    const hold = await provider.createProvisionalHold(
-      slot,
-      `selection_${sessionId}`,
-      expirationMinutes
-    );
-    const persistencePayload = {
-      booking_inquiry_id: null,
-      calendar_account_id: this.bookingProviderId,
-      calendar_email: provider.calendarEmail,
-      slot_start: hold.slotStart.toISOString(),
-      slot_end: hold.slotEnd.toISOString(),
-      expires_at: hold.expiresAt.toISOString(),
-      status: 'active',
-      metadata: {
-        type: 'selection_hold',
-        session_id: sessionId,
-        provider_hold_id: hold.id,
-      },
-    };
-    const { data: persistedHold, error: persistenceError } = await this.supabase
+    // Reserve the slot in the database first so only one visitor can win it,
+    // then mirror the reservation onto the calendar as a tentative event
+    const persistedHold = await this.reserveSelectionSlot(provider, sessionId, slot, expirationMinutes);
+    const publicHoldId = persistedHold.id;
+
+    let hold: ProvisionalHold;
+    try {
+      hold = await provider.createProvisionalHold(
+        slot,
+        `selection_${sessionId}`,
+        expirationMinutes
+      );
+    } catch (error) {
+      await this.supabase
+        .from('provisional_holds')
+        .update({ status: 'released', released_at: new Date().toISOString() })
+        .eq('id', publicHoldId);
+      throw error;
+    }
+
+    const { data: attachedHold, error: attachError } = await this.supabase
       .from('provisional_holds')
-      .insert(persistencePayload)
-      .select('id, expires_at')
-      .single<{ id: string; expires_at: string }>();
+      .update({
+        metadata: {
+          type: 'selection_hold',
+          session_id: sessionId,
+          provider_hold_id: hold.id,
+        },
+      })
+      .eq('id', publicHoldId)
+      .eq('status', 'active')
+      .select('id')
+      .maybeSingle();
 
-    if (persistenceError || !persistedHold) {
+    if (attachError || !attachedHold) {
+      // The reservation was released while the calendar event was being created
       try {
         await provider.releaseProvisionalHold(hold.id);
       } catch (releaseError) {
@@ -704,11 +822,10 @@ export class CalendarService {
       }
 
       throw new Error(
-        `Failed to persist the selected booking slot: ${persistenceError?.message || 'Unknown database error'}`
+        `Failed to persist the selected booking slot: ${attachError?.message || 'Reservation is no longer active'}`
       );
     }
 
-    const publicHoldId = persistedHold.id;
     const expiresAt = new Date(persistedHold.expires_at || hold.expiresAt.toISOString());
 
     this.selectionHoldBySession.set(sessionId, publicHoldId);
@@ -723,11 +840,14 @@ export class CalendarService {
   }
 
   /**
-   * Confirm a customer-selected provisional hold into a real calendar event.
+   * Confirm a customer-selected provisional hold into a real calendar event. Pass the meeting
+   * type's buffers so the pre-confirmation check keeps the same free time around the slot as
+   * availability did.
    */
   async confirmSelectionHold(
     holdId: string,
-    eventDetails: Partial<CalendarEvent>
+    eventDetails: Partial<CalendarEvent>,
+    meetingTypeBuffers?: Partial<SlotBuffers> | null
   ): Promise<{ event: CalendarEvent; calendarEmail: string }> {
     if (holdId.includes(':')) {
       const provider = this.getProviderForHoldOrThrow(holdId);
@@ -786,6 +906,11 @@ export class CalendarService {
       throw new Error(`Selection hold ${holdId} is no longer active`);
     }
 
+    await this.ensureSelectionSlotStillFree(provider, holdId, providerHoldId, {
+      start: new Date(persistedHold['slot_start'] as string),
+      end: new Date(persistedHold['slot_end'] as string),
+    }, meetingTypeBuffers);
+
     let event: CalendarEvent;
     try {
       event = await provider.confirmProvisionalHold(providerHoldId, eventDetails);
@@ -874,14 +999,18 @@ export class CalendarService {
         : providerHoldId.split(':')[0];
     const provider = providerId ? this.providers.get(providerId) : undefined;
 
-    if (!provider || !providerHoldId) {
-      throw new Error(`Booking calendar provider ${providerId || 'unknown'} is not available`);
-    }
+    // A reservation without provider metadata is still creating its calendar event;
+    // releasing the row is enough because the creator checks the status before attaching
+    if (providerHoldId) {
+      if (!provider) {
+        throw new Error(`Booking calendar provider ${providerId || 'unknown'} is not available`);
+      }
 
-    try {
-      await provider.releaseProvisionalHold(providerHoldId);
-    } catch (err) {
-      logger.warn(`Failed to release selection hold ${providerHoldId} on provider, but proceeding to release in DB:`, err instanceof Error ? err.message : err);
+      try {
+        await provider.releaseProvisionalHold(providerHoldId);
+      } catch (err) {
+        logger.warn(`Failed to release selection hold ${providerHoldId} on provider, but proceeding to release in DB:`, err instanceof Error ? err.message : err);
+      }
     }
 
     await this.supabase
@@ -896,10 +1025,113 @@ export class CalendarService {
     this.clearAvailabilityCache();
   }
 
+  /**
+   * Move a confirmed booking event to a new slot on the calendar it was booked on.
+   */
+  async rescheduleConfirmedEvent(
+    eventId: string,
+    slot: { start: Date; end: Date },
+    calendarEmail?: string | null
+  ): Promise<{ event: CalendarEvent; calendarEmail: string }> {
+    const provider = this.getProviderForCalendarOrThrow(calendarEmail);
+    const event = await provider.updateEvent(eventId, {
+      start: slot.start,
+      end: slot.end,
+      sendUpdates: 'none',
+    });
+
+    this.clearAvailabilityCache();
+
+    return {
+      event,
+      calendarEmail: provider.calendarEmail,
+    };
+  }
+
+  /**
+   * Delete a confirmed booking event from the calendar it was booked on.
+   */
+  async cancelConfirmedEvent(
+    eventId: string,
+    calendarEmail?: string | null
+  ): Promise<{ calendarEmail: string }> {
+    const provider = this.getProviderForCalendarOrThrow(calendarEmail);
+    await provider.deleteEvent(eventId);
+
+    this.clearAvailabilityCache();
+
+    return { calendarEmail: provider.calendarEmail };
+  }
+
   // ====================================================================
   // PRIVATE HELPER METHODS
   // ====================================================================
 
+  /**
+   * Atomically reserve a selection slot via reserve_selection_hold, which serializes
+   * reservations per calendar and rejects overlaps with other live holds.
+   */
+  private async reserveSelectionSlot(
+    provider: ICalendarProvider,
+    sessionId: string,
+    slot: { start: Date; end: Date },
+    expirationMinutes: number
+  ): Promise<{ id: string; expires_at: string }> {
+    const expiresAt = new Date(Date.now() + expirationMinutes * 60 * 1000);
+    const metadata = { type: 'selection_hold', session_id: sessionId };
+
+    const { data, error } = await this.supabase
+      .rpc('reserve_selection_hold', {
+        p_calendar_email: provider.calendarEmail,
+        p_calendar_account_id: provider.providerId,
+        p_slot_start: slot.start.toISOString(),
+        p_slot_end: slot.end.toISOString(),
+        p_expires_at: expiresAt.toISOString(),
+        p_metadata: metadata,
+      })
+      .single<{ id: string; expires_at: string }>();
+
+    if (error?.code === EXCLUSION_VIOLATION_CODE) {
+      throw new SelectionHoldConflictError(slot, provider.calendarEmail);
+    }
+
+    if (error?.code === MISSING_FUNCTION_CODE) {
+      // Migration 018 not applied yet: fall back to a plain insert without the overlap guarantee
+      logger.warn('reserve_selection_hold is unavailable; selection holds are not protected against double booking');
+
+      const { data: insertedHold, error: insertError } = await this.supabase
+        .from('provisional_holds')
+        .insert({
+          booking_inquiry_id: null,
+          calendar_account_id: provider.providerId,
+          calendar_email: provider.calendarEmail,
+          slot_start: slot.start.toISOString(),
+          slot_end: slot.end.toISOString(),
+          expires_at: expiresAt.toISOString(),
+          status: 'active',
+          metadata,
+        })
+        .select('id, expires_at')
+        .single<{ id: string; expires_at: string }>();
+
+      if (insertError || !insertedHold) {
+        throw new Error(
+          `Failed to persist the selected booking slot: ${insertError?.message || 'Unknown database error'}`
+        );
+      }
+
+      return insertedHold;
+    }
+
+    if (error || !data) {
+      throw new Error(
+        `Failed to reserve the selected booking slot: ${error?.message || 'Unknown database error'}`
+      );
+    }
+
+    return data;
+  }
+
   /**
    * Intersect availability from multiple calendars
    * Returns slots that are available in ALL calendars
@@ -991,6 +1223,22 @@ export class CalendarService {
     return provider;
   }
 
+  private getProviderForCalendarOrThrow(calendarEmail?: string | null): ICalendarProvider {
+    if (!calendarEmail) {
+      return this.getBookingProviderOrThrow();
+    }
+
+    const provider = Array.from(this.providers.values()).find(
+      (p) => p.calendarEmail === calendarEmail
+    );
+
+    if (!provider) {
+      throw new Error(`Calendar provider for ${calendarEmail} is not available`);
+    }
+
+    return provider;
+  }
+
   private getProviderForHoldOrThrow(holdId: string): ICalendarProvider {
     const providerId = holdId.split(':')[0];
     const provider = providerId ? this.providers.get(providerId) : undefined;
@@ -1002,6 +1250,74 @@ export class CalendarService {
     return provider;
   }
 
+  /**
+   * Re-check a held slot against live calendar events, ignoring our own hold event, in case
+   * the host accepted another invite directly in Google Calendar. On conflict the hold is
+   * released and SelectionSlotUnavailableError is thrown. Fails open if the calendar can't be read.
+   */
+  private async ensureSelectionSlotStillFree(
+    provider: ICalendarProvider,
+    holdId: string,
+    providerHoldId: string,
+    slot: { start: Date; end: Date },
+    meetingTypeBuffers?: Partial<SlotBuffers> | null
+  ): Promise<void> {
+    if (Number.isNaN(slot.start.getTime()) || Number.isNaN(slot.end.getTime())) {
+      return;
+    }
+
+    const buffers = resolveSlotBuffers(meetingTypeBuffers, this.calendarBuffers.get(provider.providerId));
+    const [, holdEventId = ''] = providerHoldId.split(':');
+    let busyPeriods: { start: Date; end: Date }[];
+
+    try {
+      busyPeriods = await provider.getBusyPeriods(
+        new Date(slot.start.getTime() - Math.max(buffers.beforeMinutes, buffers.afterMinutes) * 60 * 1000),
+        new Date(slot.end.getTime() + buffers.afterMinutes * 60 * 1000),
+        holdEventId ? [holdEventId] : []
+      );
+    } catch (error) {
+      logger.warn(
+        `Pre-confirmation availability check failed for hold ${holdId}, confirming anyway:`,
+        error instanceof Error ? error.message : error
+      );
+      return;
+    }
+
+    if (isSlotClearOfBusyPeriods(slot, busyPeriods, buffers)) {
+      return;
+    }
+
+    logger.warn(`Selection hold ${holdId} conflicts with a new event on ${provider.calendarEmail}`);
+
+    try {
+      await this.releaseSelectionHold(holdId);
+    } catch (error) {
+      logger.warn(`Failed to release conflicting selection hold ${holdId}:`, error instanceof Error ? error.message : error);
+    }
+
+    throw new SelectionSlotUnavailableError(slot, provider.calendarEmail);
+  }
+
+  private async findActiveSelectionHoldId(sessionId: string): Promise<string | undefined> {
+    const { data, error } = await this.supabase
+      .from('provisional_holds')
+      .select('id')
+      .eq('status', 'active')
+      .eq('metadata->>type', 'selection_hold')
+      .eq('metadata->>session_id', sessionId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle<{ id: string }>();
+
+    if (error) {
+      logger.warn(`Failed to look up existing selection hold for session ${sessionId}: ${error.message}`);
+      return undefined;
+    }
+
+    return data?.id;
+  }
+
   private clearSelectionHoldTimeout(holdId: string): void {
     const timeout = this.selectionHoldTimers.get(holdId);
     if (timeout) {
@@ -1041,39 +1357,33 @@ export class CalendarService {
           const provider = this.getProviderForHoldOrThrow(holdId);
           await provider.releaseProvisionalHold(holdId);
         } else {
+          // Claim the expiry first; when several replicas track the same hold,
+          // only the one whose update matches an active row releases the calendar event
           const { data: persistedHold, error } = await this.supabase
             .from('provisional_holds')
-            .select('*')
+            .update({
+              status: 'expired',
+              released_at: new Date().toISOString(),
+            })
             .eq('id', holdId)
-            .single<Record<string, unknown>>();
+            .eq('status', 'active')
+            .select('*')
+            .maybeSingle<Record<string, unknown>>();
 
           if (!error && persistedHold) {
-            const status =
-              typeof persistedHold['status'] === 'string' ? persistedHold['status'] : 'active';
-
-            if (status === 'active') {
-              const metadata = persistedHold['metadata'] as Record<string, unknown> | null;
-              const providerHoldId =
-                typeof metadata?.['provider_hold_id'] === 'string'
-                  ? metadata['provider_hold_id']
-                  : '';
-              const providerId =
-                typeof persistedHold['calendar_account_id'] === 'string'
-                  ? persistedHold['calendar_account_id']
-                  : providerHoldId.split(':')[0];
-              const provider = providerId ? this.providers.get(providerId) : undefined;
-
-              if (provider && providerHoldId) {
-                await provider.releaseProvisionalHold(providerHoldId);
-              }
-
-              await this.supabase
-                .from('provisional_holds')
-                .update({
-                  status: 'expired',
-                  released_at: new Date().toISOString(),
-                })
-                .eq('id', holdId);
+            const metadata = persistedHold['metadata'] as Record<string, unknown> | null;
+            const providerHoldId =
+              typeof metadata?.['provider_hold_id'] === 'string'
+                ? metadata['provider_hold_id']
+                : '';
+            const providerId =
+              typeof persistedHold['calendar_account_id'] === 'string'
+                ? persistedHold['calendar_account_id']
+                : providerHoldId.split(':')[0];
+            const provider = providerId ? this.providers.get(providerId) : undefined;
+
+            if (provider && providerHoldId) {
+              await provider.releaseProvisionalHold(providerHoldId);
             }
           }
         }
@@ -1088,11 +1398,28 @@ export class CalendarService {
     this.selectionHoldTimers.set(holdId, timeout);
   }
 
+  /**
+   * Resolve the before/after buffers for one calendar: the requested meeting-type buffers
+   * (or the symmetric bufferMinutes) with the calendar's configured buffers as a floor
+   */
+  private getSlotBuffersForProvider(providerId: string, options: GetAvailableSlotsOptions): SlotBuffers {
+    return resolveSlotBuffers(
+      {
+        beforeMinutes: options.bufferBeforeMinutes ?? options.bufferMinutes,
+        afterMinutes: options.bufferAfterMinutes ?? options.bufferMinutes,
+      },
+      this.calendarBuffers.get(providerId)
+    );
+  }
+
   /**
    * Generate cache key for availability query
    */
   private generateCacheKey(options: GetAvailableSlotsOptions): string {
-    return `${options.startDate.toISOString()}_${options.endDate.toISOString()}_${options.durationMinutes}`;
+    const bufferBefore = options.bufferBeforeMinutes ?? options.bufferMinutes ?? 0;
+    const bufferAfter = options.bufferAfterMinutes ?? options.bufferMinutes ?? 0;
+    const excluded = options.excludeEventIds?.length ? `_excl:${[...options.excludeEventIds].sort().join(',')}` : '';
+    return `${options.startDate.toISOString()}_${options.endDate.toISOString()}_${options.durationMinutes}_${bufferBefore}_${bufferAfter}${excluded}`;
   }
 
   /**
@@ -1277,4 +1604,95 @@ export class CalendarService {
       return slots;
     }
   }
+
+  /**
+   * Filter slots by daily meeting limits
+   * Removes whole days that already reached the meeting count or meeting-minutes cap
+   */
+  private async filterByDailyLimits(
+    slots: TimeSlot[],
+    userEmail: string,
+    providers: ICalendarProvider[],
+    workingHours: WorkingHoursRow[] | undefined,
+    startDate: Date,
+    endDate: Date,
+    excludeEventIds: string[] = []
+  ): Promise<TimeSlot[]> {
+    try {
+      const limits = await getDailyMeetingLimits(this.supabase, userEmail);
+
+      if (slots.length === 0 || !hasDailyMeetingLimits(limits)) {
+        return slots;
+      }
+
+      // Count days in the timezone availability is defined in
+      const timeZone = workingHours?.find((row) => row.timezone)?.timezone || limits.timezone;
+      // Widen the range by a day so meetings earlier on the first local day still count
+      const dayMs = 24 * 60 * 60 * 1000;
+      const excluded = new Set(excludeEventIds);
+      const bookedMeetings = (await this.loadBookedMeetings(
+        providers,
+        new Date(startDate.getTime() - dayMs),
+        new Date(endDate.getTime() + dayMs)
+      )).filter((meeting) => !excluded.has(meeting.id));
+      const filteredSlots = filterSlotsByDailyLimits(slots, bookedMeetings, limits, timeZone);
+
+      console.log(`${filteredSlots.length} slots remain after daily limit filtering`);
+
+      return filteredSlots;
+    } catch (error) {
+      console.error('Error filtering by daily limits:', error);
+      // On error, return all slots (fail open)
+      return slots;
+    }
+  }
+
+  /**
+   * Load confirmed meetings from booking rows and system-tagged calendar events.
+   * Both sources share the calendar event id, so the same meeting is only counted once.
+   */
+  private async loadBookedMeetings(
+    providers: ICalendarProvider[],
+    startDate: Date,
+    endDate: Date
+  ): Promise<BookedMeeting[]> {
+    const meetings: BookedMeeting[] = [];
+
+    const { data: bookings, error } = await this.supabase
+      .from('booking_inquiries')
+      .select('confirmed_event_id, selected_slot_start, selected_slot_end')
+      .not('confirmed_event_id', 'is', null)
+      .neq('status', 'cancelled')
+      .gte('selected_slot_start', startDate.toISOString())
+      .lte('selected_slot_start', endDate.toISOString());
+
+    if (error) {
+      console.error('Failed to fetch confirmed bookings for daily limits:', error);
+    } else {
+      for (const booking of bookings || []) {
+        if (booking.confirmed_event_id && booking.selected_slot_start && booking.selected_slot_end) {
+          meetings.push({
+            id: booking.confirmed_event_id,
+            start: new Date(booking.selected_slot_start),
+            end: new Date(booking.selected_slot_end),
+          });
+        }
+      }
+    }
+
+    const eventLists = await Promise.all(
+      providers.map((provider) =>
+        provider.listBookedEvents(startDate, endDate).catch((listError) => {
+          console.warn(`Failed to list booked events for ${provider.calendarEmail}:`, listError);
+          return [];
+        })
+      )
+    );
+
+    for (const event of eventLists.flat()) {
+      meetings.push({ id: event.id, start: event.start, end: event.end });
+    }
+
+    return meetings;
+  }
 }
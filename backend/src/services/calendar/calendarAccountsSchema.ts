@@ -15,6 +15,8 @@ CREATE TABLE IF NOT EXISTS calendar_accounts (
   webhook_channel_id TEXT,
   webhook_resource_id TEXT,
   webhook_expires_at TIMESTAMPTZ,
+  buffer_before_minutes INTEGER CHECK (buffer_before_minutes BETWEEN 0 AND 240),
+  buffer_after_minutes INTEGER CHECK (buffer_after_minutes BETWEEN 0 AND 240),
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
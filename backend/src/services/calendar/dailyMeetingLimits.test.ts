@@ -0,0 +1,107 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  filterSlotsByDailyLimits,
+  getLocalDayKey,
+  summarizeBookedMeetingsByDay,
+  validateDailyMeetingLimitsInput,
+  type BookedMeeting,
+} from './dailyMeetingLimits.js';
+
+const TIME_ZONE = 'America/New_York';
+
+function meeting(id: string, start: string, minutes: number): BookedMeeting {
+  const startDate = new Date(start);
+  return { id, start: startDate, end: new Date(startDate.getTime() + minutes * 60 * 1000) };
+}
+
+function slot(start: string, minutes = 30): { start: Date; end: Date } {
+  const startDate = new Date(start);
+  return { start: startDate, end: new Date(startDate.getTime() + minutes * 60 * 1000) };
+}
+
+describe('getLocalDayKey', () => {
+  it('uses the local date in the given timezone', () => {
+    // 02:00 UTC on March 3 is still March 2 in New York
+    expect(getLocalDayKey(new Date('2026-03-03T02:00:00Z'), TIME_ZONE)).toBe('2026-03-02');
+    expect(getLocalDayKey(new Date('2026-03-03T02:00:00Z'), 'UTC')).toBe('2026-03-03');
+  });
+});
+
+describe('summarizeBookedMeetingsByDay', () => {
+  it('counts a booking and its calendar event once', () => {
+    const load = summarizeBookedMeetingsByDay(
+      [
+        meeting('evt-1', '2026-03-02T14:00:00Z', 30),
+        meeting('evt-1', '2026-03-02T14:00:00Z', 30),
+        meeting('evt-2', '2026-03-02T16:00:00Z', 60),
+      ],
+      TIME_ZONE
+    );
+
+    expect(load.get('2026-03-02')).toEqual({ count: 2, minutes: 90 });
+  });
+});
+
+describe('filterSlotsByDailyLimits', () => {
+  const booked = [
+    meeting('evt-1', '2026-03-02T14:00:00Z', 60),
+    meeting('evt-2', '2026-03-02T16:00:00Z', 60),
+    meeting('evt-3', '2026-03-03T14:00:00Z', 30),
+  ];
+  const slots = [
+    slot('2026-03-02T18:00:00Z'),
+    slot('2026-03-02T19:00:00Z'),
+    slot('2026-03-03T18:00:00Z'),
+    slot('2026-03-04T18:00:00Z'),
+  ];
+
+  it('drops the whole day once the meeting cap is reached', () => {
+    const filtered = filterSlotsByDailyLimits(
+      slots,
+      booked,
+      { maxMeetingsPerDay: 2, maxMeetingMinutesPerDay: null },
+      TIME_ZONE
+    );
+
+    expect(filtered.map((candidate) => candidate.start.toISOString())).toEqual([
+      '2026-03-03T18:00:00.000Z',
+      '2026-03-04T18:00:00.000Z',
+    ]);
+  });
+
+  it('drops days where another meeting would exceed the minutes cap', () => {
+    const filtered = filterSlotsByDailyLimits(
+      slots,
+      booked,
+      { maxMeetingsPerDay: null, maxMeetingMinutesPerDay: 140 },
+      TIME_ZONE
+    );
+
+    expect(filtered).toHaveLength(2);
+    expect(filtered.every((candidate) => getLocalDayKey(candidate.start, TIME_ZONE) !== '2026-03-02')).toBe(true);
+  });
+
+  it('keeps every slot when no limits are configured', () => {
+    expect(
+      filterSlotsByDailyLimits(slots, booked, { maxMeetingsPerDay: null, maxMeetingMinutesPerDay: null }, TIME_ZONE)
+    ).toHaveLength(4);
+  });
+});
+
+describe('validateDailyMeetingLimitsInput', () => {
+  it('accepts integers in range and null to reset', () => {
+    expect(validateDailyMeetingLimitsInput({ max_meetings_per_day: 6, max_meeting_minutes_per_day: null })).toEqual({
+      valid: true,
+      value: { maxMeetingsPerDay: 6, maxMeetingMinutesPerDay: null },
+    });
+  });
+
+  it('rejects out-of-range values', () => {
+    const result = validateDailyMeetingLimitsInput({ max_meetings_per_day: 0, max_meeting_minutes_per_day: 5 });
+
+    expect(result.valid).toBe(false);
+    if (!result.valid) {
+      expect(result.errors).toHaveLength(2);
+    }
+  });
+});
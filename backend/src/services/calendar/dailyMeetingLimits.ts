@@ -0,0 +1,145 @@
+/**
+ * Daily Meeting Limits
+ *
+ * Caps how many meetings (and how many meeting minutes) can land on one local day.
+ * Days that already reached a cap are removed from availability entirely.
+ */
+
+export const MIN_MAX_MEETINGS_PER_DAY = 1;
+export const MAX_MAX_MEETINGS_PER_DAY = 50;
+export const MIN_MAX_MEETING_MINUTES_PER_DAY = 15;
+export const MAX_MAX_MEETING_MINUTES_PER_DAY = 24 * 60;
+
+export interface DailyMeetingLimits {
+  maxMeetingsPerDay: number | null;
+  maxMeetingMinutesPerDay: number | null;
+}
+
+export interface BookedMeeting {
+  /** Calendar event id; used to avoid counting a booking and its calendar event twice. */
+  id: string;
+  start: Date;
+  end: Date;
+}
+
+export interface DailyMeetingLoad {
+  count: number;
+  minutes: number;
+}
+
+export function hasDailyMeetingLimits(limits: DailyMeetingLimits): boolean {
+  return limits.maxMeetingsPerDay !== null || limits.maxMeetingMinutesPerDay !== null;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in the given timezone.
+ */
+export function getLocalDayKey(date: Date, timeZone: string): string {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Count booked meetings and minutes per local day. A meeting belongs to the day it starts on.
+ */
+export function summarizeBookedMeetingsByDay(
+  meetings: BookedMeeting[],
+  timeZone: string
+): Map<string, DailyMeetingLoad> {
+  const seenIds = new Set<string>();
+  const loadByDay = new Map<string, DailyMeetingLoad>();
+
+  for (const meeting of meetings) {
+    const minutes = Math.round((meeting.end.getTime() - meeting.start.getTime()) / 60000);
+
+    if (seenIds.has(meeting.id) || !Number.isFinite(minutes) || minutes <= 0) {
+      continue;
+    }
+
+    seenIds.add(meeting.id);
+    const dayKey = getLocalDayKey(meeting.start, timeZone);
+    const load = loadByDay.get(dayKey) ?? { count: 0, minutes: 0 };
+    load.count += 1;
+    load.minutes += minutes;
+    loadByDay.set(dayKey, load);
+  }
+
+  return loadByDay;
+}
+
+/**
+ * Drop slots on days where one more meeting would exceed the meeting count or minutes cap.
+ */
+export function filterSlotsByDailyLimits<T extends { start: Date; end: Date }>(
+  slots: T[],
+  meetings: BookedMeeting[],
+  limits: DailyMeetingLimits,
+  timeZone: string
+): T[] {
+  if (!hasDailyMeetingLimits(limits)) {
+    return slots;
+  }
+
+  const loadByDay = summarizeBookedMeetingsByDay(meetings, timeZone);
+
+  return slots.filter((slot) => {
+    const load = loadByDay.get(getLocalDayKey(slot.start, timeZone));
+
+    if (!load) {
+      return true;
+    }
+
+    if (limits.maxMeetingsPerDay !== null && load.count >= limits.maxMeetingsPerDay) {
+      return false;
+    }
+
+    const slotMinutes = Math.round((slot.end.getTime() - slot.start.getTime()) / 60000);
+
+    return limits.maxMeetingMinutesPerDay === null
+      || load.minutes + slotMinutes <= limits.maxMeetingMinutesPerDay;
+  });
+}
+
+function readLimit(value: unknown, min: number, max: number, field: string, errors: string[]): number | null {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || (value as number) < min || (value as number) > max) {
+    errors.push(`${field} must be an integer between ${min} and ${max}, or null`);
+    return null;
+  }
+
+  return value as number;
+}
+
+/**
+ * Validate an admin update. Null clears a limit back to the configured default.
+ */
+export function validateDailyMeetingLimitsInput(
+  input: Record<string, unknown>
+): { valid: true; value: DailyMeetingLimits } | { valid: false; errors: string[] } {
+  const errors: string[] = [];
+  const value: DailyMeetingLimits = {
+    maxMeetingsPerDay: readLimit(
+      input['max_meetings_per_day'],
+      MIN_MAX_MEETINGS_PER_DAY,
+      MAX_MAX_MEETINGS_PER_DAY,
+      'max_meetings_per_day',
+      errors
+    ),
+    maxMeetingMinutesPerDay: readLimit(
+      input['max_meeting_minutes_per_day'],
+      MIN_MAX_MEETING_MINUTES_PER_DAY,
+      MAX_MAX_MEETING_MINUTES_PER_DAY,
+      'max_meeting_minutes_per_day',
+      errors
+    ),
+  };
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, value };
+}
@@ -0,0 +1,78 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import type { DailyMeetingLimits } from './dailyMeetingLimits.js';
+
+/**
+ * Daily Meeting Limits Store
+ * Admin overrides from daily_meeting_limits, falling back to calendar.constraints in YAML.
+ */
+
+export interface ResolvedDailyMeetingLimits extends DailyMeetingLimits {
+  source: 'config' | 'database';
+  defaults: DailyMeetingLimits;
+  timezone: string;
+}
+
+export function getConfiguredDailyMeetingLimits(): DailyMeetingLimits {
+  const constraints = getConfigSection('calendar').constraints;
+
+  return {
+    maxMeetingsPerDay: constraints.max_meetings_per_day ?? null,
+    maxMeetingMinutesPerDay: constraints.max_meeting_minutes_per_day ?? null,
+  };
+}
+
+export async function getDailyMeetingLimits(
+  supabase: SupabaseClient | null,
+  userEmail: string
+): Promise<ResolvedDailyMeetingLimits> {
+  const defaults = getConfiguredDailyMeetingLimits();
+  const timezone = getConfigSection('scheduling').timezone;
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('daily_meeting_limits')
+      .select('max_meetings_per_day, max_meeting_minutes_per_day')
+      .eq('user_email', userEmail)
+      .maybeSingle();
+
+    if (error) {
+      logger.warn(`Daily meeting limits unavailable, using configured defaults: ${error.message}`);
+    } else if (data) {
+      return {
+        maxMeetingsPerDay: data.max_meetings_per_day ?? defaults.maxMeetingsPerDay,
+        maxMeetingMinutesPerDay: data.max_meeting_minutes_per_day ?? defaults.maxMeetingMinutesPerDay,
+        source: 'database',
+        defaults,
+        timezone,
+      };
+    }
+  }
+
+  return { ...defaults, source: 'config', defaults, timezone };
+}
+
+export async function saveDailyMeetingLimits(
+  supabase: SupabaseClient,
+  userEmail: string,
+  limits: DailyMeetingLimits
+): Promise<ResolvedDailyMeetingLimits> {
+  const { error } = await supabase
+    .from('daily_meeting_limits')
+    .upsert(
+      {
+        user_email: userEmail,
+        max_meetings_per_day: limits.maxMeetingsPerDay,
+        max_meeting_minutes_per_day: limits.maxMeetingMinutesPerDay,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'user_email' }
+    );
+
+  if (error) {
+    throw new Error(`Failed to save daily meeting limits: ${error.message}`);
+  }
+
+  return getDailyMeetingLimits(supabase, userEmail);
+}
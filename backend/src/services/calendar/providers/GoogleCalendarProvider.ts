@@ -24,6 +24,7 @@ import {
   ProvisionalHoldError,
   WebhookError,
 } from './ICalendarProvider.js';
+import { isSlotClearOfBusyPeriods, resolveSlotBuffers, type BusyPeriod, type SlotBuffers } from '../slotBuffers.js';
 
 export interface GoogleCalendarConfig {
   clientId: string;
@@ -116,26 +117,39 @@ export class GoogleCalendarProvider implements ICalendarProvider {
     }
 
     try {
-      // Query free/busy information
-      const response = await this.calendar.freebusy.query({
-        requestBody: {
-          timeMin: options.startDate.toISOString(),
-          timeMax: options.endDate.toISOString(),
-          items: [{ id: this.calendarId }],
-        },
-      });
+      const buffers = this.getSlotBuffers(options);
+      // Widen the range so events just outside it still apply their buffers
+      const timeMin = new Date(
+        options.startDate.getTime() - Math.max(buffers.beforeMinutes, buffers.afterMinutes) * 60 * 1000
+      );
+      const timeMax = new Date(options.endDate.getTime() + buffers.afterMinutes * 60 * 1000);
+      let busyPeriods: BusyPeriod[];
+
+      if (options.excludeEventIds && options.excludeEventIds.length > 0) {
+        // Free/busy cannot leave out individual events, so read the events themselves
+        busyPeriods = await this.getBusyPeriods(timeMin, timeMax, options.excludeEventIds);
+      } else {
+        const response = await this.calendar.freebusy.query({
+          requestBody: {
+            timeMin: timeMin.toISOString(),
+            timeMax: timeMax.toISOString(),
+            items: [{ id: this.calendarId }],
+          },
+        });
 
-      const busySlots = response.data.calendars?.[this.calendarId]?.busy || [];
+        busyPeriods = (response.data.calendars?.[this.calendarId]?.busy || []).map((slot) => ({
+          start: new Date(slot.start || ''),
+          end: new Date(slot.end || ''),
+        }));
+      }
 
       // Generate available slots based on working hours and busy periods
       const availableSlots = this.calculateAvailableSlots(
         options.startDate,
         options.endDate,
-        busySlots.map((slot) => ({
-          start: new Date(slot.start || ''),
-          end: new Date(slot.end || ''),
-        })),
-        options
+        busyPeriods,
+        options,
+        buffers
       );
 
       return availableSlots;
@@ -457,6 +471,88 @@ export class GoogleCalendarProvider implements ICalendarProvider {
     }
   }
 
+  /**
+   * List confirmed booking events (tagged with extendedProperties.private.type)
+   */
+  async listBookedEvents(startDate: Date, endDate: Date): Promise<CalendarEvent[]> {
+    if (!this.isAuthenticated()) {
+      throw new AuthenticationError(this.providerId, 'Not authenticated');
+    }
+
+    try {
+      const response = await this.calendar.events.list({
+        calendarId: this.calendarId,
+        timeMin: startDate.toISOString(),
+        timeMax: endDate.toISOString(),
+        singleEvents: true,
+        privateExtendedProperty: ['type=confirmed_booking'],
+        maxResults: 250,
+      });
+
+      return (response.data.items || [])
+        .filter((event) => event.status !== 'cancelled')
+        .map((event) => this.mapGoogleEventToCalendarEvent(event));
+    } catch (error) {
+      if (this.isTokenExpiredError(error)) {
+        await this.refreshAuthentication();
+        return this.listBookedEvents(startDate, endDate);
+      }
+
+      throw new Error(
+        `Failed to list booked events: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  }
+
+  /**
+   * Read busy periods from the event list rather than freebusy, so specific events
+   * (like the hold being confirmed) can be ignored. Mirrors freebusy semantics:
+   * cancelled, transparent and declined events do not block time.
+   */
+  async getBusyPeriods(
+    startDate: Date,
+    endDate: Date,
+    excludeEventIds: string[] = []
+  ): Promise<BusyPeriod[]> {
+    if (!this.isAuthenticated()) {
+      throw new AuthenticationError(this.providerId, 'Not authenticated');
+    }
+
+    try {
+      const excluded = new Set(excludeEventIds);
+      const response = await this.calendar.events.list({
+        calendarId: this.calendarId,
+        timeMin: startDate.toISOString(),
+        timeMax: endDate.toISOString(),
+        singleEvents: true,
+        maxResults: 250,
+      });
+
+      return (response.data.items || [])
+        .filter((event) =>
+          !excluded.has(event.id || '')
+          && event.status !== 'cancelled'
+          && event.transparency !== 'transparent'
+          && event.attendees?.find((attendee) => attendee.self)?.responseStatus !== 'declined'
+        )
+        .map((event) => ({
+          start: new Date(event.start?.dateTime || event.start?.date || ''),
+          end: new Date(event.end?.dateTime || event.end?.date || ''),
+        }))
+        .filter((period) => !Number.isNaN(period.start.getTime()) && !Number.isNaN(period.end.getTime()));
+    } catch (error) {
+      if (this.isTokenExpiredError(error)) {
+        await this.refreshAuthentication();
+        return this.getBusyPeriods(startDate, endDate, excludeEventIds);
+      }
+
+      throw new AvailabilityError(
+        this.providerId,
+        `Failed to read busy periods: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  }
+
   /**
    * Create calendar event
    */
@@ -569,7 +665,8 @@ export class GoogleCalendarProvider implements ICalendarProvider {
     startDate: Date,
     endDate: Date,
     busySlots: { start: Date; end: Date }[],
-    options: AvailabilityOptions
+    options: AvailabilityOptions,
+    buffers: SlotBuffers
   ): TimeSlot[] {
     const availableSlots: TimeSlot[] = [];
     const durationMs = options.durationMinutes * 60 * 1000;
@@ -600,12 +697,11 @@ export class GoogleCalendarProvider implements ICalendarProvider {
 
         if (slotEnd > dayEnd) break;
 
-        // Check if slot overlaps with any busy period
-        const isAvailable = !busySlots.some(
-          (busy) =>
-            (slotStart >= busy.start && slotStart < busy.end) ||
-            (slotEnd > busy.start && slotEnd <= busy.end) ||
-            (slotStart <= busy.start && slotEnd >= busy.end)
+        // Check if the slot, padded by its buffers, overlaps with any busy period
+        const isAvailable = isSlotClearOfBusyPeriods(
+          { start: slotStart, end: slotEnd },
+          busySlots,
+          buffers
         );
 
         availableSlots.push({
@@ -627,6 +723,16 @@ export class GoogleCalendarProvider implements ICalendarProvider {
     return availableSlots.filter((slot) => slot.available);
   }
 
+  /**
+   * Resolve before/after buffers, falling back to the symmetric bufferMinutes
+   */
+  private getSlotBuffers(options: AvailabilityOptions): SlotBuffers {
+    return resolveSlotBuffers({
+      beforeMinutes: options.bufferBeforeMinutes ?? options.bufferMinutes,
+      afterMinutes: options.bufferAfterMinutes ?? options.bufferMinutes,
+    });
+  }
+
   /**
    * Set time of day on a date (e.g., "09:00" => 9:00 AM)
    */
@@ -19,9 +19,13 @@ export interface AvailabilityOptions {
     start: string; // "09:00"
     end: string;   // "17:00"
   };
-  bufferMinutes?: number;
+  bufferMinutes?: number; // Symmetric buffer, used when a side has no explicit value
+  bufferBeforeMinutes?: number;
+  bufferAfterMinutes?: number;
   slotIntervalMinutes?: number;
   timezone?: string;
+  /** Events that should not count as busy (e.g. the meeting being rescheduled) */
+  excludeEventIds?: string[];
 }
 
 export interface ProvisionalHold {
@@ -158,6 +162,29 @@ export interface ICalendarProvider {
    */
   getEvent(eventId: string): Promise<CalendarEvent>;
 
+  /**
+   * List confirmed booking events created by this system
+   *
+   * @param startDate - Range start
+   * @param endDate - Range end
+   * @returns Confirmed booking events overlapping the range
+   */
+  listBookedEvents(startDate: Date, endDate: Date): Promise<CalendarEvent[]>;
+
+  /**
+   * Read live busy periods from the calendar's events, skipping the given events
+   *
+   * @param startDate - Range start
+   * @param endDate - Range end
+   * @param excludeEventIds - Events to ignore (e.g. our own provisional hold)
+   * @returns Busy periods overlapping the range
+   */
+  getBusyPeriods(
+    startDate: Date,
+    endDate: Date,
+    excludeEventIds?: string[]
+  ): Promise<{ start: Date; end: Date }[]>;
+
   /**
    * Create a new calendar event
    *
@@ -0,0 +1,52 @@
+import { describe, expect, it } from '@jest/globals';
+import { planSelectionHoldRecovery, type PersistedSelectionHold } from './selectionHoldRecovery.js';
+
+function row(
+  id: string,
+  sessionId: string | null,
+  createdAt: string,
+  expiresAt: string | null = '2026-03-02T15:15:00.000Z'
+): PersistedSelectionHold {
+  return {
+    id,
+    created_at: createdAt,
+    expires_at: expiresAt,
+    metadata: sessionId ? { type: 'selection_hold', session_id: sessionId } : { type: 'selection_hold' },
+  };
+}
+
+describe('planSelectionHoldRecovery', () => {
+  it('recovers one hold per session with its expiry', () => {
+    const plan = planSelectionHoldRecovery([
+      row('hold-1', 'session-a', '2026-03-02T15:00:00.000Z'),
+      row('hold-2', 'session-b', '2026-03-02T15:01:00.000Z', '2026-03-02T15:16:00.000Z'),
+    ]);
+
+    expect(plan.holds).toEqual([
+      { holdId: 'hold-1', sessionId: 'session-a', expiresAt: new Date('2026-03-02T15:15:00.000Z') },
+      { holdId: 'hold-2', sessionId: 'session-b', expiresAt: new Date('2026-03-02T15:16:00.000Z') },
+    ]);
+    expect(plan.skippedHoldIds).toEqual([]);
+  });
+
+  it('keeps the newest hold when a session has several active rows', () => {
+    const plan = planSelectionHoldRecovery([
+      row('hold-new', 'session-a', '2026-03-02T15:05:00.000Z'),
+      row('hold-old', 'session-a', '2026-03-02T15:00:00.000Z'),
+    ]);
+
+    expect(plan.holds.map((hold) => hold.holdId)).toEqual(['hold-new']);
+    expect(plan.skippedHoldIds).toEqual(['hold-old']);
+  });
+
+  it('skips rows without a session or expiry', () => {
+    const plan = planSelectionHoldRecovery([
+      row('no-session', null, '2026-03-02T15:00:00.000Z'),
+      row('no-expiry', 'session-a', '2026-03-02T15:00:00.000Z', null),
+      { id: 'booking-hold', expires_at: '2026-03-02T15:15:00.000Z', metadata: { session_id: 'session-b' } },
+    ]);
+
+    expect(plan.holds).toEqual([]);
+    expect(plan.skippedHoldIds).toEqual(['no-session', 'no-expiry', 'booking-hold']);
+  });
+});
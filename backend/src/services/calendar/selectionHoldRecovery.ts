@@ -0,0 +1,73 @@
+/**
+ * Selection Hold Recovery
+ *
+ * Rebuilds the in-memory session → hold mapping and expiry schedule from active
+ * provisional_holds rows, so a restarted (or additional) server instance picks up
+ * holds created before it started.
+ */
+
+export interface PersistedSelectionHold {
+  id: string;
+  expires_at: string | null;
+  created_at?: string | null;
+  metadata: Record<string, unknown> | null;
+}
+
+export interface RecoveredSelectionHold {
+  holdId: string;
+  sessionId: string;
+  expiresAt: Date;
+}
+
+export interface SelectionHoldRecoveryPlan {
+  /** Latest active hold per session; these get a session mapping and an expiry timer. */
+  holds: RecoveredSelectionHold[];
+  /** Rows without a usable session or expiry, or superseded by a newer hold for the same session. */
+  skippedHoldIds: string[];
+}
+
+function toTime(value: string | null | undefined): number {
+  const time = value ? new Date(value).getTime() : Number.NaN;
+  return Number.isFinite(time) ? time : Number.NaN;
+}
+
+/**
+ * Pick which persisted selection holds to track again. Only the newest hold per
+ * session is recovered; anything left over is handled by the cleanup cron.
+ */
+export function planSelectionHoldRecovery(rows: PersistedSelectionHold[]): SelectionHoldRecoveryPlan {
+  const latestBySession = new Map<string, { hold: RecoveredSelectionHold; createdAt: number }>();
+  const skippedHoldIds: string[] = [];
+
+  for (const row of rows) {
+    const sessionId = row.metadata?.['session_id'];
+    const expiresAt = toTime(row.expires_at);
+
+    if (row.metadata?.['type'] !== 'selection_hold' || typeof sessionId !== 'string' || !sessionId
+      || Number.isNaN(expiresAt)) {
+      skippedHoldIds.push(row.id);
+      continue;
+    }
+
+    const createdAt = toTime(row.created_at);
+    const candidate = {
+      hold: { holdId: row.id, sessionId, expiresAt: new Date(expiresAt) },
+      createdAt: Number.isNaN(createdAt) ? 0 : createdAt,
+    };
+    const current = latestBySession.get(sessionId);
+
+    if (!current) {
+      latestBySession.set(sessionId, candidate);
+    } else if (candidate.createdAt > current.createdAt) {
+      skippedHoldIds.push(current.hold.holdId);
+      latestBySession.set(sessionId, candidate);
+    } else {
+      skippedHoldIds.push(row.id);
+    }
+  }
+
+  return {
+    holds: Array.from(latestBySession.values(), (entry) => entry.hold),
+    skippedHoldIds,
+  };
+}
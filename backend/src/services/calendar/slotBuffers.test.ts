@@ -0,0 +1,108 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  isSlotClearOfBusyPeriods,
+  resolveSlotBuffers,
+  slotConflictsWithBusyPeriod,
+  type BusyPeriod,
+} from './slotBuffers.js';
+
+function at(time: string): Date {
+  return new Date(`2026-03-02T${time}:00.000Z`);
+}
+
+function slot(start: string, end: string): BusyPeriod {
+  return { start: at(start), end: at(end) };
+}
+
+describe('resolveSlotBuffers', () => {
+  it('uses the larger of the meeting type and calendar buffers on each side', () => {
+    expect(
+      resolveSlotBuffers({ beforeMinutes: 10, afterMinutes: 0 }, { beforeMinutes: 5, afterMinutes: 15 })
+    ).toEqual({ beforeMinutes: 10, afterMinutes: 15 });
+  });
+
+  it('treats missing and invalid values as no buffer', () => {
+    expect(resolveSlotBuffers({ beforeMinutes: -5, afterMinutes: Number.NaN }, null)).toEqual({
+      beforeMinutes: 0,
+      afterMinutes: 0,
+    });
+    expect(resolveSlotBuffers()).toEqual({ beforeMinutes: 0, afterMinutes: 0 });
+  });
+});
+
+describe('slotConflictsWithBusyPeriod', () => {
+  const busy = slot('10:00', '11:00');
+  const buffers = { beforeMinutes: 15, afterMinutes: 30 };
+
+  it('allows back-to-back slots without buffers', () => {
+    const noBuffers = { beforeMinutes: 0, afterMinutes: 0 };
+
+    expect(slotConflictsWithBusyPeriod(slot('09:00', '10:00'), busy, noBuffers)).toBe(false);
+    expect(slotConflictsWithBusyPeriod(slot('11:00', '12:00'), busy, noBuffers)).toBe(false);
+    expect(slotConflictsWithBusyPeriod(slot('10:30', '11:30'), busy, noBuffers)).toBe(true);
+  });
+
+  it('applies the before buffer after an existing meeting', () => {
+    const beforeHeavy = { beforeMinutes: 15, afterMinutes: 5 };
+
+    expect(slotConflictsWithBusyPeriod(slot('11:00', '11:30'), busy, beforeHeavy)).toBe(true);
+    expect(slotConflictsWithBusyPeriod(slot('11:10', '11:40'), busy, beforeHeavy)).toBe(true);
+    expect(slotConflictsWithBusyPeriod(slot('11:15', '11:45'), busy, beforeHeavy)).toBe(false);
+  });
+
+  it('keeps the after buffer behind an existing meeting when it is the larger buffer', () => {
+    expect(slotConflictsWithBusyPeriod(slot('11:15', '11:45'), busy, buffers)).toBe(true);
+    expect(slotConflictsWithBusyPeriod(slot('11:30', '12:00'), busy, buffers)).toBe(false);
+  });
+
+  it('pads existing meetings with the after buffer when there is no before buffer', () => {
+    const afterOnly = { beforeMinutes: 0, afterMinutes: 15 };
+
+    expect(slotConflictsWithBusyPeriod(slot('11:00', '11:30'), busy, afterOnly)).toBe(true);
+    expect(slotConflictsWithBusyPeriod(slot('11:10', '11:40'), busy, afterOnly)).toBe(true);
+    expect(slotConflictsWithBusyPeriod(slot('11:15', '11:45'), busy, afterOnly)).toBe(false);
+    expect(slotConflictsWithBusyPeriod(slot('09:30', '09:45'), busy, afterOnly)).toBe(false);
+    expect(slotConflictsWithBusyPeriod(slot('09:30', '09:50'), busy, afterOnly)).toBe(true);
+  });
+
+  it('applies the after buffer before the next meeting', () => {
+    expect(slotConflictsWithBusyPeriod(slot('09:00', '09:45'), busy, buffers)).toBe(true);
+    expect(slotConflictsWithBusyPeriod(slot('09:00', '09:30'), busy, buffers)).toBe(false);
+  });
+});
+
+describe('isSlotClearOfBusyPeriods', () => {
+  it('never accepts a slot that violates a buffer around adjacent bookings', () => {
+    const busyPeriods = [slot('09:00', '09:30'), slot('11:00', '12:00'), slot('14:00', '14:45')];
+    const buffers = { beforeMinutes: 10, afterMinutes: 20 };
+    const durationMs = 30 * 60 * 1000;
+    const accepted: BusyPeriod[] = [];
+
+    // Walk every 5-minute start across the day
+    for (let start = at('08:00').getTime(); start + durationMs <= at('18:00').getTime(); start += 5 * 60 * 1000) {
+      const candidate = { start: new Date(start), end: new Date(start + durationMs) };
+
+      if (isSlotClearOfBusyPeriods(candidate, busyPeriods, buffers)) {
+        accepted.push(candidate);
+      }
+    }
+
+    expect(accepted.length).toBeGreaterThan(0);
+
+    for (const candidate of accepted) {
+      for (const busy of busyPeriods) {
+        if (candidate.start >= busy.end) {
+          // The earlier meeting keeps its 20-minute after buffer, which outweighs the 10-minute before buffer
+          expect(candidate.start.getTime() - busy.end.getTime()).toBeGreaterThanOrEqual(20 * 60 * 1000);
+        } else {
+          expect(busy.start.getTime() - candidate.end.getTime()).toBeGreaterThanOrEqual(20 * 60 * 1000);
+        }
+      }
+    }
+
+    expect(accepted.some((candidate) => candidate.start.getTime() === at('09:45').getTime())).toBe(false);
+    expect(accepted.some((candidate) => candidate.start.getTime() === at('09:50').getTime())).toBe(true);
+    expect(accepted.some((candidate) => candidate.start.getTime() === at('10:10').getTime())).toBe(true);
+    expect(accepted.some((candidate) => candidate.start.getTime() === at('10:15').getTime())).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Slot Buffers
+ *
+ * Keeps free time around meetings when generating availability. The before buffer is the
+ * gap required between the end of an existing busy period and the start of a new meeting;
+ * the after buffer is the gap required between the end of the new meeting and the next
+ * busy period. Existing meetings get the after buffer too, so the gap following a busy
+ * period is the larger of the two.
+ */
+
+export interface SlotBuffers {
+  beforeMinutes: number;
+  afterMinutes: number;
+}
+
+export interface BusyPeriod {
+  start: Date;
+  end: Date;
+}
+
+function normalizeBufferMinutes(value: number | null | undefined): number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+}
+
+/**
+ * Combine meeting-type buffers with the booking calendar's own buffers. Calendar buffers act
+ * as a floor, so a calendar that always needs 15 minutes between calls keeps them for every type.
+ */
+export function resolveSlotBuffers(
+  meetingTypeBuffers?: Partial<SlotBuffers> | null,
+  calendarBuffers?: Partial<SlotBuffers> | null
+): SlotBuffers {
+  return {
+    beforeMinutes: Math.max(
+      normalizeBufferMinutes(meetingTypeBuffers?.beforeMinutes),
+      normalizeBufferMinutes(calendarBuffers?.beforeMinutes)
+    ),
+    afterMinutes: Math.max(
+      normalizeBufferMinutes(meetingTypeBuffers?.afterMinutes),
+      normalizeBufferMinutes(calendarBuffers?.afterMinutes)
+    ),
+  };
+}
+
+/**
+ * Check whether a slot, padded by its buffers, overlaps a busy period padded by its after buffer.
+ */
+export function slotConflictsWithBusyPeriod(
+  slot: BusyPeriod,
+  busy: BusyPeriod,
+  buffers: SlotBuffers
+): boolean {
+  const gapAfterBusyMinutes = Math.max(buffers.beforeMinutes, buffers.afterMinutes);
+  const paddedStart = slot.start.getTime() - gapAfterBusyMinutes * 60 * 1000;
+  const paddedEnd = slot.end.getTime() + buffers.afterMinutes * 60 * 1000;
+
+  return paddedStart < busy.end.getTime() && paddedEnd > busy.start.getTime();
+}
+
+export function isSlotClearOfBusyPeriods(
+  slot: BusyPeriod,
+  busyPeriods: BusyPeriod[],
+  buffers: SlotBuffers
+): boolean {
+  return !busyPeriods.some((busy) => slotConflictsWithBusyPeriod(slot, busy, buffers));
+}
@@ -0,0 +1,50 @@
+/**
+ * Email Conversation Timeout Cron
+ *
+ * Every 5 minutes, marks email threads abandoned once the customer has not replied within
+ * system_behavior.conversation.timeout_minutes, optionally sending one nudge email.
+ */
+
+import cron from 'node-cron';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import { abandonTimedOutConversations } from './conversationStore.js';
+
+let isTimeoutRunInProgress = false;
+
+cron.schedule('*/5 * * * *', async () => {
+  if (isTimeoutRunInProgress) {
+    return;
+  }
+
+  isTimeoutRunInProgress = true;
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      return;
+    }
+
+    const conversationConfig = getConfigSection('system_behavior').conversation;
+    const summary = await abandonTimedOutConversations(supabase, {
+      timeoutMinutes: conversationConfig.timeout_minutes,
+      sendNudge: conversationConfig.nudge_on_timeout,
+    });
+
+    if (summary.abandoned > 0) {
+      logger.info(
+        `✓ Cron: Marked ${summary.abandoned} email conversation(s) abandoned, ${summary.nudged} nudge email(s) sent`
+      );
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Cron: Failed to time out email conversations:', errorMessage);
+  } finally {
+    isTimeoutRunInProgress = false;
+  }
+});
+
+logger.info('💬 Email conversation timeouts initialized: */5 * * * * (every 5 minutes)');
@@ -0,0 +1,105 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildConversationNudgeEmail,
+  draftProposesSlots,
+  isConversationOverTurnLimit,
+  isConversationTimedOut,
+  nextConversationStage,
+} from './conversationState.js';
+
+describe('nextConversationStage', () => {
+  it('walks a thread from the first reply to a confirmation', () => {
+    let stage = nextConversationStage(null, { type: 'outbound_reply', proposesSlots: false });
+    expect(stage).toBe('gathering_info');
+
+    stage = nextConversationStage(stage, { type: 'inbound_reply' });
+    expect(stage).toBe('gathering_info');
+
+    stage = nextConversationStage(stage, { type: 'outbound_reply', proposesSlots: true });
+    expect(stage).toBe('proposing_slots');
+
+    stage = nextConversationStage(stage, { type: 'inbound_reply' });
+    expect(stage).toBe('confirming');
+
+    stage = nextConversationStage(stage, { type: 'booking_confirmed' });
+    expect(stage).toBe('completed');
+  });
+
+  it('goes back to proposing when new times are offered while confirming', () => {
+    expect(nextConversationStage('confirming', { type: 'outbound_reply', proposesSlots: true })).toBe('proposing_slots');
+    expect(nextConversationStage('confirming', { type: 'outbound_reply', proposesSlots: false })).toBe('confirming');
+  });
+
+  it('abandons active threads on timeout and reopens them on a customer reply', () => {
+    const abandoned = nextConversationStage('proposing_slots', { type: 'timed_out' });
+
+    expect(abandoned).toBe('abandoned');
+    expect(nextConversationStage(abandoned, { type: 'outbound_reply', proposesSlots: true })).toBe('abandoned');
+    expect(nextConversationStage(abandoned, { type: 'inbound_reply' })).toBe('gathering_info');
+  });
+
+  it('keeps completed threads completed', () => {
+    expect(nextConversationStage('completed', { type: 'inbound_reply' })).toBe('completed');
+    expect(nextConversationStage('completed', { type: 'timed_out' })).toBe('completed');
+  });
+});
+
+describe('draftProposesSlots', () => {
+  it('detects concrete meeting times', () => {
+    expect(draftProposesSlots('Would Tuesday at 2:30 PM or Wednesday at 10am work?')).toBe(true);
+    expect(draftProposesSlots('We have 14:00 open on Friday.')).toBe(true);
+  });
+
+  it('ignores replies without times', () => {
+    expect(draftProposesSlots('Could you share which days suit you best? We have 2 options.')).toBe(false);
+  });
+});
+
+describe('isConversationOverTurnLimit', () => {
+  it('escalates only once the limit is passed', () => {
+    expect(isConversationOverTurnLimit(10, 10)).toBe(false);
+    expect(isConversationOverTurnLimit(11, 10)).toBe(true);
+    expect(isConversationOverTurnLimit(null, 10)).toBe(false);
+  });
+});
+
+describe('isConversationTimedOut', () => {
+  const now = new Date('2026-03-02T15:00:00.000Z');
+
+  it('times out threads waiting on the customer', () => {
+    expect(isConversationTimedOut({
+      conversation_stage: 'proposing_slots',
+      last_inbound_at: '2026-03-02T13:00:00.000Z',
+      last_outbound_at: '2026-03-02T14:00:00.000Z',
+    }, 30, now)).toBe(true);
+  });
+
+  it('leaves threads waiting on us, recent replies and finished threads alone', () => {
+    expect(isConversationTimedOut({
+      conversation_stage: 'gathering_info',
+      last_inbound_at: '2026-03-02T14:10:00.000Z',
+      last_outbound_at: '2026-03-02T14:00:00.000Z',
+    }, 30, now)).toBe(false);
+    expect(isConversationTimedOut({
+      conversation_stage: 'gathering_info',
+      last_outbound_at: '2026-03-02T14:45:00.000Z',
+    }, 30, now)).toBe(false);
+    expect(isConversationTimedOut({
+      conversation_stage: 'completed',
+      last_outbound_at: '2026-03-01T14:00:00.000Z',
+    }, 30, now)).toBe(false);
+  });
+});
+
+describe('buildConversationNudgeEmail', () => {
+  it('threads the nudge on the booking reference', () => {
+    const nudge = buildConversationNudgeEmail(
+      { processing_id: 'booking_123', customer_name: 'Alex Morgan' },
+      'https://booking.autonome.us/'
+    );
+
+    expect(nudge.subject).toBe('Re: Your Autonome consultation request [booking_123]');
+    expect(nudge.text).toMatch(/^Hi Alex,/);
+    expect(nudge.text).toContain('https://booking.autonome.us/');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Email Conversation State Machine
+ *
+ * email_conversations.conversation_stage moves
+ *   initial → gathering_info → proposing_slots → confirming → completed
+ * as inbound replies arrive and outbound replies are drafted or sent. Any active thread
+ * becomes abandoned once the customer stops replying for system_behavior.conversation.timeout_minutes;
+ * a later reply reopens it.
+ */
+
+import type { ConversationStage } from '../../../../src/types/index.js';
+
+export type ConversationEvent =
+  | { type: 'inbound_reply' }
+  | { type: 'outbound_reply'; proposesSlots: boolean }
+  | { type: 'booking_confirmed' }
+  | { type: 'timed_out' };
+
+export const ACTIVE_CONVERSATION_STAGES: readonly ConversationStage[] = [
+  'initial',
+  'gathering_info',
+  'proposing_slots',
+  'confirming',
+];
+
+export interface ConversationTimingRow {
+  conversation_stage: ConversationStage | null;
+  last_inbound_at?: string | null;
+  last_outbound_at?: string | null;
+}
+
+export interface ConversationContext {
+  escalated_at?: string;
+  abandoned_at?: string;
+  [key: string]: unknown;
+}
+
+export function isActiveConversationStage(stage: ConversationStage | null | undefined): boolean {
+  return ACTIVE_CONVERSATION_STAGES.includes(stage ?? 'initial');
+}
+
+export function nextConversationStage(
+  current: ConversationStage | null | undefined,
+  event: ConversationEvent
+): ConversationStage {
+  const stage = current ?? 'initial';
+
+  if (stage === 'completed') {
+    return stage;
+  }
+
+  if (stage === 'abandoned') {
+    return event.type === 'inbound_reply' ? 'gathering_info' : stage;
+  }
+
+  switch (event.type) {
+    case 'booking_confirmed':
+      return 'completed';
+    case 'timed_out':
+      return 'abandoned';
+    case 'inbound_reply':
+      return stage === 'proposing_slots' || stage === 'confirming' ? 'confirming' : 'gathering_info';
+    case 'outbound_reply':
+      if (event.proposesSlots) {
+        return 'proposing_slots';
+      }
+
+      return stage === 'initial' ? 'gathering_info' : stage;
+  }
+}
+
+/**
+ * Whether a reply offers concrete meeting times ("Tuesday at 2:30 PM", "14:00")
+ */
+export function draftProposesSlots(content: string): boolean {
+  return /\b(?:[01]?\d|2[0-3])(?::[0-5]\d)?\s?(?:a\.?m\.?|p\.?m\.?)(?![a-z])/i.test(content)
+    || /\b(?:[01]?\d|2[0-3]):[0-5]\d\b/.test(content);
+}
+
+export function isConversationOverTurnLimit(turnsCount: number | null | undefined, maxTurns: number): boolean {
+  return (turnsCount ?? 0) > maxTurns;
+}
+
+/**
+ * A thread times out when we replied last and the customer has not answered within the window.
+ * Threads waiting on us (last message inbound) are never abandoned.
+ */
+export function isConversationTimedOut(
+  conversation: ConversationTimingRow,
+  timeoutMinutes: number,
+  now: Date = new Date()
+): boolean {
+  if (!isActiveConversationStage(conversation.conversation_stage) || !conversation.last_outbound_at) {
+    return false;
+  }
+
+  const lastOutbound = new Date(conversation.last_outbound_at).getTime();
+  const lastInbound = conversation.last_inbound_at ? new Date(conversation.last_inbound_at).getTime() : 0;
+
+  if (Number.isNaN(lastOutbound) || lastInbound >= lastOutbound) {
+    return false;
+  }
+
+  return now.getTime() - lastOutbound >= timeoutMinutes * 60_000;
+}
+
+export function buildConversationNudgeEmail(booking: {
+  processing_id: string;
+  customer_name?: string | null;
+}, bookingLink: string): { subject: string; text: string } {
+  const firstName = booking.customer_name?.trim().split(/\s+/)[0];
+
+  return {
+    subject: `Re: Your Autonome consultation request [${booking.processing_id}]`,
+    text: `Hi ${firstName || 'there'},
+
+We have not heard back about scheduling your consultation, so we have paused this thread for now. Whenever you are ready, pick a time at ${bookingLink} or reply to this email and we will pick up where we left off.
+
+Best regards,
+The Autonome.us Team
+
+Booking reference: ${booking.processing_id}`,
+  };
+}
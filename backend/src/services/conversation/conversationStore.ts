@@ -0,0 +1,341 @@
+/**
+ * Email Conversation Store
+ *
+ * Persists turns in email_conversations, advances conversation_stage through the state
+ * machine in conversationState.ts and mirrors the stage and turn count onto booking_inquiries.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import { dispatchSideEffect } from '../outbox/outbox.js';
+import { getPublicBookingLink } from '../email/normalizeCustomerFacingEmailCopy.js';
+import type { ConversationStage } from '../../../../src/types/index.js';
+import {
+  ACTIVE_CONVERSATION_STAGES,
+  buildConversationNudgeEmail,
+  draftProposesSlots,
+  isConversationTimedOut,
+  nextConversationStage,
+  type ConversationContext,
+  type ConversationEvent,
+} from './conversationState.js';
+
+const CONVERSATION_COLUMNS =
+  'id, booking_inquiry_id, thread_id, conversation_stage, turns_count, messages, context, last_inbound_at, last_outbound_at, updated_at';
+
+export interface EmailConversationRow {
+  id: string;
+  booking_inquiry_id: string;
+  thread_id: string;
+  conversation_stage: ConversationStage | null;
+  turns_count: number | null;
+  messages: unknown[] | null;
+  context: ConversationContext | null;
+  last_inbound_at: string | null;
+  last_outbound_at: string | null;
+  updated_at: string | null;
+}
+
+export interface ConversationTurnInput {
+  bookingInquiryId: string;
+  threadId: string;
+  direction: 'inbound' | 'outbound';
+  content: string;
+  metadata?: Record<string, unknown>;
+}
+
+export interface ConversationTimeoutSummary {
+  abandoned: number;
+  nudged: number;
+}
+
+function eventForTurn(turn: ConversationTurnInput): ConversationEvent {
+  return turn.direction === 'inbound'
+    ? { type: 'inbound_reply' }
+    : { type: 'outbound_reply', proposesSlots: draftProposesSlots(turn.content) };
+}
+
+/**
+ * The thread's conversation, falling back to the booking's latest one so replies and
+ * approved sends recorded under different thread ids share a row
+ */
+async function findConversation(
+  supabase: SupabaseClient,
+  bookingInquiryId: string,
+  threadId: string
+): Promise<EmailConversationRow | null> {
+  const { data: byThread, error: threadError } = await supabase
+    .from('email_conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('thread_id', threadId)
+    .maybeSingle<EmailConversationRow>();
+
+  if (threadError) {
+    throw new Error(`Failed to load email conversation: ${threadError.message}`);
+  }
+
+  if (byThread) {
+    return byThread;
+  }
+
+  const { data: byBooking, error: bookingError } = await supabase
+    .from('email_conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('booking_inquiry_id', bookingInquiryId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle<EmailConversationRow>();
+
+  if (bookingError) {
+    throw new Error(`Failed to load email conversation: ${bookingError.message}`);
+  }
+
+  return byBooking;
+}
+
+async function syncBookingConversation(
+  supabase: SupabaseClient,
+  conversation: Pick<EmailConversationRow, 'booking_inquiry_id' | 'conversation_stage' | 'turns_count'>
+): Promise<void> {
+  const { error } = await supabase
+    .from('booking_inquiries')
+    .update({
+      conversation_stage: conversation.conversation_stage,
+      conversation_turns: conversation.turns_count ?? 0,
+    })
+    .eq('id', conversation.booking_inquiry_id);
+
+  if (error) {
+    logger.warn(`Failed to mirror conversation stage onto booking ${conversation.booking_inquiry_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Append a turn and advance the stage. Fails open: returns null when the conversation could
+ * not be stored, so email handling never breaks on conversation bookkeeping.
+ */
+export async function recordConversationTurn(
+  supabase: SupabaseClient,
+  turn: ConversationTurnInput
+): Promise<EmailConversationRow | null> {
+  try {
+    const now = new Date().toISOString();
+    const existing = await findConversation(supabase, turn.bookingInquiryId, turn.threadId);
+    const messageEntry = {
+      direction: turn.direction,
+      content: turn.content,
+      timestamp: now,
+      metadata: turn.metadata ?? {},
+    };
+    const stage = nextConversationStage(existing?.conversation_stage, eventForTurn(turn));
+    const timestampColumn = turn.direction === 'inbound' ? 'last_inbound_at' : 'last_outbound_at';
+
+    if (existing) {
+      const { data, error } = await supabase
+        .from('email_conversations')
+        .update({
+          messages: Array.isArray(existing.messages) ? [...existing.messages, messageEntry] : [messageEntry],
+          turns_count: (existing.turns_count || 0) + 1,
+          conversation_stage: stage,
+          [timestampColumn]: now,
+          updated_at: now,
+        })
+        .eq('id', existing.id)
+        .select(CONVERSATION_COLUMNS)
+        .single<EmailConversationRow>();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await syncBookingConversation(supabase, data);
+      return data;
+    }
+
+    const { data, error } = await supabase
+      .from('email_conversations')
+      .insert({
+        booking_inquiry_id: turn.bookingInquiryId,
+        thread_id: turn.threadId,
+        turns_count: 1,
+        messages: [messageEntry],
+        conversation_stage: stage,
+        [timestampColumn]: now,
+      })
+      .select(CONVERSATION_COLUMNS)
+      .single<EmailConversationRow>();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await syncBookingConversation(supabase, data);
+    return data;
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.warn(`Failed to persist ${turn.direction} conversation turn for thread ${turn.threadId}: ${errorMessage}`);
+    return null;
+  }
+}
+
+/**
+ * Advance the stage without recording a message (an AI draft awaiting approval, a confirmed booking)
+ */
+export async function advanceConversationStage(
+  supabase: SupabaseClient,
+  conversation: EmailConversationRow,
+  event: ConversationEvent
+): Promise<EmailConversationRow> {
+  const stage = nextConversationStage(conversation.conversation_stage, event);
+
+  if (stage === conversation.conversation_stage) {
+    return conversation;
+  }
+
+  const { error } = await supabase
+    .from('email_conversations')
+    .update({ conversation_stage: stage, updated_at: new Date().toISOString() })
+    .eq('id', conversation.id);
+
+  if (error) {
+    logger.warn(`Failed to advance conversation ${conversation.id} to ${stage}: ${error.message}`);
+    return conversation;
+  }
+
+  const updated = { ...conversation, conversation_stage: stage };
+  await syncBookingConversation(supabase, updated);
+  return updated;
+}
+
+/**
+ * Claim the one-time max_turns escalation. Conditional on the current context so only one
+ * request posts the Slack escalation.
+ */
+export async function markConversationEscalated(
+  supabase: SupabaseClient,
+  conversation: EmailConversationRow
+): Promise<boolean> {
+  const context = conversation.context ?? {};
+
+  if (context.escalated_at) {
+    return false;
+  }
+
+  const { data, error } = await supabase
+    .from('email_conversations')
+    .update({ context: { ...context, escalated_at: new Date().toISOString() } })
+    .eq('id', conversation.id)
+    .is('context->>escalated_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    logger.warn(`Failed to mark conversation ${conversation.id} escalated: ${error.message}`);
+    return false;
+  }
+
+  return Boolean(data);
+}
+
+/**
+ * Abandon threads whose customer stopped replying and optionally send one nudge email
+ */
+export async function abandonTimedOutConversations(
+  supabase: SupabaseClient,
+  options: { timeoutMinutes: number; sendNudge: boolean; limit?: number }
+): Promise<ConversationTimeoutSummary> {
+  const summary: ConversationTimeoutSummary = { abandoned: 0, nudged: 0 };
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - options.timeoutMinutes * 60_000).toISOString();
+
+  const { data, error } = await supabase
+    .from('email_conversations')
+    .select(CONVERSATION_COLUMNS)
+    .in('conversation_stage', [...ACTIVE_CONVERSATION_STAGES])
+    .lt('last_outbound_at', cutoff)
+    .order('last_outbound_at', { ascending: true })
+    .limit(options.limit ?? 25);
+
+  if (error) {
+    throw new Error(`Failed to load idle email conversations: ${error.message}`);
+  }
+
+  for (const conversation of (data ?? []) as EmailConversationRow[]) {
+    if (!isConversationTimedOut(conversation, options.timeoutMinutes, now)) {
+      continue;
+    }
+
+    const context: ConversationContext = { ...(conversation.context ?? {}), abandoned_at: now.toISOString() };
+    let claim = supabase
+      .from('email_conversations')
+      .update({ conversation_stage: 'abandoned', context })
+      .eq('id', conversation.id)
+      .eq('conversation_stage', conversation.conversation_stage ?? 'initial');
+
+    if (conversation.updated_at) {
+      claim = claim.eq('updated_at', conversation.updated_at);
+    }
+
+    const { data: claimed, error: claimError } = await claim.select('id').maybeSingle();
+
+    if (claimError || !claimed) {
+      continue;
+    }
+
+    summary.abandoned += 1;
+    await syncBookingConversation(supabase, { ...conversation, conversation_stage: 'abandoned' });
+
+    if (options.sendNudge && (await sendConversationNudge(supabase, conversation))) {
+      summary.nudged += 1;
+    }
+  }
+
+  return summary;
+}
+
+async function sendConversationNudge(
+  supabase: SupabaseClient,
+  conversation: EmailConversationRow
+): Promise<boolean> {
+  try {
+    const { data: booking, error } = await supabase
+      .from('booking_inquiries')
+      .select('processing_id, customer_name, email_from, status')
+      .eq('id', conversation.booking_inquiry_id)
+      .maybeSingle<{ processing_id: string; customer_name: string | null; email_from: string | null; status: string | null }>();
+
+    if (error || !booking?.email_from || booking.status === 'cancelled' || booking.status === 'human_takeover') {
+      return false;
+    }
+
+    const nudge = buildConversationNudgeEmail(booking, getPublicBookingLink());
+    const dispatch = await dispatchSideEffect({
+      kind: 'email',
+      context: `conversation_nudge:${booking.processing_id}`,
+      payload: {
+        to: [booking.email_from],
+        subject: nudge.subject,
+        text: nudge.text,
+        booking_reference: booking.processing_id,
+      },
+    });
+
+    if (!dispatch.delivered && !dispatch.queued) {
+      throw new Error(dispatch.error || 'Nudge email was not sent');
+    }
+
+    await recordConversationTurn(supabase, {
+      bookingInquiryId: conversation.booking_inquiry_id,
+      threadId: conversation.thread_id,
+      direction: 'outbound',
+      content: nudge.text,
+      metadata: { source: 'timeout_nudge' },
+    });
+
+    return true;
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.warn(`Failed to send nudge for abandoned conversation ${conversation.id}: ${errorMessage}`);
+    return false;
+  }
+}
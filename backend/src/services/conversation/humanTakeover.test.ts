@@ -0,0 +1,34 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildHumanTakeoverReplyEmail, isHumanTakeoverStatus, slackTextToPlainText } from './humanTakeover.js';
+
+describe('slackTextToPlainText', () => {
+  it('unwraps links and decodes entities', () => {
+    expect(slackTextToPlainText('Book at <https://autonome.us/book|our page> or <https://cal.example/x> &amp; mail <mailto:team@autonome.us|team@autonome.us>'))
+      .toBe('Book at our page (https://autonome.us/book) or https://cal.example/x & mail team@autonome.us');
+  });
+
+  it('keeps auto-linked domains as plain urls and drops mentions', () => {
+    expect(slackTextToPlainText('<@U123ABC> see <http://example.com|example.com> &lt;soon&gt;'))
+      .toBe('see http://example.com <soon>');
+  });
+});
+
+describe('buildHumanTakeoverReplyEmail', () => {
+  it('threads under the booking subject and adds the reference footer', () => {
+    const email = buildHumanTakeoverReplyEmail(
+      { processing_id: 'booking_1', company_name: 'Acme' },
+      'Hi Jane, Thursday at 2pm works for us.'
+    );
+
+    expect(email.subject).toBe('Re: Your Autonome consultation request for Acme [booking_1]');
+    expect(email.text).toBe('Hi Jane, Thursday at 2pm works for us.\n\nBooking reference: booking_1\nReply directly to continue scheduling with Autonome.');
+  });
+});
+
+describe('isHumanTakeoverStatus', () => {
+  it('matches only the takeover status', () => {
+    expect(isHumanTakeoverStatus('human_takeover')).toBe(true);
+    expect(isHumanTakeoverStatus('processing')).toBe(false);
+    expect(isHumanTakeoverStatus(null)).toBe(false);
+  });
+});
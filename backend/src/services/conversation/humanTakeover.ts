@@ -0,0 +1,48 @@
+/**
+ * Human Takeover
+ *
+ * While a booking is in human_takeover the booking AI stays silent: inbound emails are
+ * mirrored into the booking's Slack thread and a teammate's reply in that thread is emailed
+ * to the customer as written. These helpers turn Slack message text into email copy.
+ */
+
+export const HUMAN_TAKEOVER_STATUS = 'human_takeover';
+
+/** Status a booking returns to when it is handed back; the next inbound reply is drafted by the AI again */
+export const HANDED_BACK_STATUS = 'processing';
+
+export function isHumanTakeoverStatus(status: string | null | undefined): boolean {
+  return status === HUMAN_TAKEOVER_STATUS;
+}
+
+/**
+ * Convert Slack message markup to plain email text: links and mailto links are unwrapped,
+ * user and channel mentions and broadcast tokens are dropped and HTML entities decoded
+ */
+export function slackTextToPlainText(text: string): string {
+  return text
+    .replace(/<mailto:([^|>]+)(?:\|[^>]*)?>/g, '$1')
+    .replace(/<((?:https?|ftp):[^|>]+)\|([^>]+)>/g, (_match, url: string, label: string) =>
+      label === url || url.endsWith(label) ? url : `${label} (${url})`)
+    .replace(/<((?:https?|ftp):[^>]+)>/g, '$1')
+    .replace(/<[@#!][^>]*>\s?/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+export function buildHumanTakeoverReplyEmail(booking: {
+  processing_id: string;
+  company_name?: string | null;
+}, slackText: string): { subject: string; text: string } {
+  const companyName = booking.company_name?.trim();
+
+  return {
+    subject: companyName
+      ? `Re: Your Autonome consultation request for ${companyName} [${booking.processing_id}]`
+      : `Re: Your Autonome consultation request [${booking.processing_id}]`,
+    text: `${slackTextToPlainText(slackText)}\n\nBooking reference: ${booking.processing_id}\nReply directly to continue scheduling with Autonome.`,
+  };
+}
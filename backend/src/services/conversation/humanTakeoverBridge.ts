@@ -0,0 +1,232 @@
+/**
+ * Human Takeover Bridge
+ *
+ * Relays a booking in human_takeover between email and Slack: inbound customer emails are
+ * posted into the booking's Slack thread and teammate replies in that thread are sent to the
+ * customer through the outbox.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import type { KnownBlock } from '@slack/web-api';
+import { logger } from '../../utils/logger.js';
+import { getServiceConfig } from '../../utils/config.js';
+import { dispatchSideEffect, type SideEffectDispatchResult } from '../outbox/outbox.js';
+import type { InboundEmailAttachment } from '../email/inbound/IInboundEmailAdapter.js';
+import { recordConversationTurn } from './conversationStore.js';
+import { buildHumanTakeoverReplyEmail, HUMAN_TAKEOVER_STATUS, slackTextToPlainText } from './humanTakeover.js';
+
+export interface HumanTakeoverBooking {
+  id?: string;
+  processing_id: string;
+  email_from: string;
+  customer_name: string | null;
+  company_name: string | null;
+  status: string;
+  email_thread_id?: string | null;
+  thread_ts?: string | null;
+  channel_id?: string | null;
+  metadata?: Record<string, unknown> | null;
+}
+
+export interface MirroredInboundEmail {
+  subject?: string;
+  text: string;
+  attachments: InboundEmailAttachment[];
+}
+
+const HUMAN_TAKEOVER_BOOKING_COLUMNS =
+  'id, processing_id, email_from, customer_name, company_name, status, email_thread_id, thread_ts, channel_id, metadata';
+
+/**
+ * Actions block with the button that returns a booking to the booking AI
+ */
+export function buildHandBackToAiActions(processingId: string) {
+  return {
+    type: 'actions' as const,
+    elements: [
+      {
+        type: 'button' as const,
+        text: { type: 'plain_text' as const, text: '🤖 Hand Back to AI' },
+        action_id: 'hand_back_to_ai',
+        value: processingId,
+      },
+    ],
+  };
+}
+
+/**
+ * The booking in human_takeover whose Slack thread a message was posted in
+ */
+export async function findHumanTakeoverBookingByThread(
+  supabase: SupabaseClient,
+  channelId: string,
+  threadTs: string
+): Promise<HumanTakeoverBooking | null> {
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .select(HUMAN_TAKEOVER_BOOKING_COLUMNS)
+    .eq('thread_ts', threadTs)
+    .eq('channel_id', channelId)
+    .eq('status', HUMAN_TAKEOVER_STATUS)
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle<HumanTakeoverBooking>();
+
+  if (error) {
+    throw new Error(`Failed to look up human takeover booking: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Post an inbound customer email into the booking's Slack thread. Bookings without a known
+ * thread get a new top-level message that later replies thread under.
+ */
+export async function mirrorInboundEmailToSlack(
+  supabase: SupabaseClient,
+  booking: HumanTakeoverBooking,
+  email: MirroredInboundEmail
+): Promise<boolean> {
+  const channel = booking.channel_id || getServiceConfig('slack').channelId;
+  const threadTs = booking.thread_ts || undefined;
+  const blocks: KnownBlock[] = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*📧 Customer email (human takeover)*\n*Booking ID:* ${booking.processing_id}\n*From:* ${booking.customer_name || 'Unknown'} <${booking.email_from}>${email.subject ? `\n*Subject:* ${email.subject}` : ''}`,
+      },
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: email.text.slice(0, 2800),
+      },
+    },
+  ];
+
+  if (email.attachments.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `*Attachments:* ${email.attachments.map((attachment) => attachment.filename).join(', ').slice(0, 2800)}`,
+        },
+      ],
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: 'The booking AI is paused. Reply in this thread to answer the customer by email.',
+        },
+      ],
+    },
+    buildHandBackToAiActions(booking.processing_id)
+  );
+
+  const dispatch = await dispatchSideEffect({
+    kind: 'slack_message',
+    context: `human_takeover_inbound:${booking.processing_id}`,
+    payload: {
+      channel,
+      text: `Customer email for ${booking.processing_id} (human takeover)`,
+      blocks,
+      ...(threadTs ? { thread_ts: threadTs } : {}),
+    },
+  });
+  const postedTs = typeof dispatch.result?.['ts'] === 'string' ? dispatch.result['ts'] : null;
+
+  if (!threadTs && postedTs) {
+    const postedChannel = dispatch.result?.['channel'];
+    const { error } = await supabase
+      .from('booking_inquiries')
+      .update({
+        thread_ts: postedTs,
+        channel_id: typeof postedChannel === 'string' ? postedChannel : channel,
+      })
+      .eq('processing_id', booking.processing_id);
+
+    if (error) {
+      logger.warn(`Failed to store human takeover thread for ${booking.processing_id}: ${error.message}`);
+    }
+  }
+
+  return dispatch.delivered || dispatch.queued;
+}
+
+/**
+ * Email a teammate's Slack thread reply to the customer and log it as an outbound turn.
+ * The booking stays in human_takeover.
+ */
+export async function sendHumanTakeoverReply(
+  supabase: SupabaseClient,
+  booking: HumanTakeoverBooking,
+  slackText: string,
+  slackUserId?: string
+): Promise<SideEffectDispatchResult> {
+  const email = buildHumanTakeoverReplyEmail(booking, slackText);
+  const dispatch = await dispatchSideEffect({
+    kind: 'email',
+    context: `human_takeover_reply:${booking.processing_id}`,
+    payload: {
+      to: [booking.email_from],
+      subject: email.subject,
+      text: email.text,
+      booking_reference: booking.processing_id,
+    },
+  });
+
+  if (!dispatch.delivered && !dispatch.queued) {
+    throw new Error(dispatch.error || 'Human takeover reply could not be sent');
+  }
+
+  const content = slackTextToPlainText(slackText);
+  const sentAt = new Date().toISOString();
+  const conversationLog = Array.isArray(booking.metadata?.['conversation_log'])
+    ? booking.metadata['conversation_log'] as unknown[]
+    : [];
+
+  const { error } = await supabase
+    .from('booking_inquiries')
+    .update({
+      updated_at: sentAt,
+      metadata: {
+        ...(booking.metadata || {}),
+        conversation_log: [
+          ...conversationLog,
+          {
+            direction: 'outbound_sent',
+            content,
+            timestamp: sentAt,
+            human_takeover: true,
+            sent_by_slack_id: slackUserId ?? null,
+          },
+        ],
+      },
+    })
+    .eq('processing_id', booking.processing_id);
+
+  if (error) {
+    logger.warn(`Human takeover reply for ${booking.processing_id} was sent but not logged: ${error.message}`);
+  }
+
+  if (booking.id) {
+    await recordConversationTurn(supabase, {
+      bookingInquiryId: booking.id,
+      threadId: booking.email_thread_id || booking.processing_id,
+      direction: 'outbound',
+      content,
+      metadata: { human_takeover: true, slack_user_id: slackUserId ?? null },
+    });
+  }
+
+  return dispatch;
+}
@@ -0,0 +1,156 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildAlternativeTimesReply,
+  detectTimeZone,
+  extractProposedTimes,
+  findNearestSlots,
+  matchProposedSlot,
+} from './proposedTimes.js';
+
+// Monday 2026-10-19, 11:00 in New York
+const now = new Date('2026-10-19T15:00:00Z');
+const options = { now, defaultTimeZone: 'America/New_York', durationMinutes: 30 };
+
+function slot(iso: string, minutes = 30): { start: Date; end: Date } {
+  const start = new Date(iso);
+  return { start, end: new Date(start.getTime() + minutes * 60000) };
+}
+
+describe('extractProposedTimes', () => {
+  it('reads a weekday and time in the scheduling timezone', () => {
+    const [proposal, ...rest] = extractProposedTimes('Tuesday at 2pm works for me.', options);
+
+    expect(rest).toHaveLength(0);
+    expect(proposal?.start.toISOString()).toBe('2026-10-20T18:00:00.000Z');
+    expect(proposal?.exact).toBe(true);
+  });
+
+  it('uses the timezone the customer names', () => {
+    const [proposal] = extractProposedTimes('Could we do Wednesday at 10:30am PT?', options);
+
+    expect(proposal?.start.toISOString()).toBe('2026-10-21T17:30:00.000Z');
+    expect(proposal?.timeZone).toBe('America/Los_Angeles');
+  });
+
+  it('reads ranges and carries the day to later times', () => {
+    const proposals = extractProposedTimes('Thursday between 1 and 3pm is good. Also 4:30pm.', options);
+
+    expect(proposals.map((proposal) => [proposal.start.toISOString(), proposal.end.toISOString(), proposal.exact])).toEqual([
+      ['2026-10-22T17:00:00.000Z', '2026-10-22T19:00:00.000Z', false],
+      ['2026-10-22T20:30:00.000Z', '2026-10-22T20:30:00.000Z', true],
+    ]);
+  });
+
+  it('pairs each day with its own time', () => {
+    const proposals = extractProposedTimes('Tomorrow afternoon or Friday at 9am', options);
+
+    expect(proposals.map((proposal) => proposal.start.toISOString())).toEqual([
+      '2026-10-20T16:00:00.000Z',
+      '2026-10-23T13:00:00.000Z',
+    ]);
+    expect(proposals[0]?.end.toISOString()).toBe('2026-10-20T21:00:00.000Z');
+  });
+
+  it('rolls a weekday that already passed today into next week', () => {
+    const [proposal] = extractProposedTimes('Monday at 9am?', options);
+
+    expect(proposal?.start.toISOString()).toBe('2026-10-26T13:00:00.000Z');
+  });
+
+  it('reads calendar dates and 24-hour times', () => {
+    const proposals = extractProposedTimes('How about 11/3 at 14:00 or November 4th 09:30 CET', options);
+
+    expect(proposals.map((proposal) => proposal.start.toISOString())).toEqual([
+      '2026-11-03T13:00:00.000Z',
+      '2026-11-04T08:30:00.000Z',
+    ]);
+  });
+
+  it('drops times the customer rules out', () => {
+    expect(extractProposedTimes("I can't do Tuesday at 2pm.", options)).toEqual([]);
+    expect(extractProposedTimes('Tuesday at 2pm doesn’t work for us.', options)).toEqual([]);
+    expect(extractProposedTimes('Wednesday at 10am is not possible', options)).toEqual([]);
+    expect(extractProposedTimes('I cannot make Thursday at 4pm', options)).toEqual([]);
+    expect(extractProposedTimes("Friday at 11am won't work", options)).toEqual([]);
+    expect(extractProposedTimes('I am unavailable Tuesday at 9am', options)).toEqual([]);
+    expect(extractProposedTimes("I'm busy Wednesday at 3pm", options)).toEqual([]);
+  });
+
+  it('keeps the times in the clauses that are not ruled out', () => {
+    const proposals = extractProposedTimes("I can't do Tuesday at 2pm, but Wednesday at 10am works.", options);
+
+    expect(proposals.map((proposal) => proposal.start.toISOString())).toEqual(['2026-10-21T14:00:00.000Z']);
+  });
+
+  it('needs am/pm or minutes before reading a number as a time', () => {
+    expect(extractProposedTimes('Monday we meet at 3 sites', options)).toEqual([]);
+    expect(extractProposedTimes('Friday at 9 or after 3', options)).toEqual([]);
+    expect(extractProposedTimes('Friday at 3:30', options).map((proposal) => proposal.start.toISOString())).toEqual([
+      '2026-10-23T19:30:00.000Z',
+    ]);
+  });
+
+  it('ignores days without times and times in quoted text', () => {
+    const text = 'Next week is fine, any day.\n\nOn Mon, Oct 19, 2026 at 9:00 AM Autonome wrote:\n> Would Tuesday at 3pm work?';
+
+    expect(extractProposedTimes(text, options)).toEqual([]);
+  });
+});
+
+describe('detectTimeZone', () => {
+  it('recognises abbreviations, spelled-out zones and IANA names', () => {
+    expect(detectTimeZone('2pm EST works')).toBe('America/New_York');
+    expect(detectTimeZone('anytime after 3, central time')).toBe('America/Chicago');
+    expect(detectTimeZone('I am in Europe/Berlin')).toBe('Europe/Berlin');
+    expect(detectTimeZone('Tuesday at 2pm')).toBeNull();
+  });
+});
+
+describe('matchProposedSlot', () => {
+  const slots = [slot('2026-10-22T17:30:00Z'), slot('2026-10-22T18:00:00Z'), slot('2026-10-20T18:00:00Z')];
+
+  it('matches an exact time to the slot starting then', () => {
+    const [proposal] = extractProposedTimes('Tuesday at 2pm', options);
+    const match = matchProposedSlot(proposal ? [proposal] : [], slots);
+
+    expect(match?.slot.start.toISOString()).toBe('2026-10-20T18:00:00.000Z');
+  });
+
+  it('matches the earliest slot inside a window', () => {
+    const proposals = extractProposedTimes('Thursday between 1 and 3pm', options);
+
+    expect(matchProposedSlot(proposals, slots)?.slot.start.toISOString()).toBe('2026-10-22T17:30:00.000Z');
+  });
+
+  it('returns null when nothing fits', () => {
+    const proposals = extractProposedTimes('Friday at 2pm', options);
+
+    expect(matchProposedSlot(proposals, slots)).toBeNull();
+  });
+});
+
+describe('findNearestSlots', () => {
+  it('returns the closest open slots in chronological order', () => {
+    const proposals = extractProposedTimes('Thursday at 2pm', options);
+    const nearest = findNearestSlots(proposals, [
+      slot('2026-10-20T18:00:00Z'),
+      slot('2026-10-22T19:00:00Z'),
+      slot('2026-10-22T16:00:00Z'),
+      slot('2026-10-23T18:00:00Z'),
+    ], 2);
+
+    expect(nearest.map((candidate) => candidate.start.toISOString())).toEqual([
+      '2026-10-22T16:00:00.000Z',
+      '2026-10-22T19:00:00.000Z',
+    ]);
+  });
+});
+
+describe('buildAlternativeTimesReply', () => {
+  it('lists alternatives in the customer timezone', () => {
+    const reply = buildAlternativeTimesReply('Jordan Lee', [slot('2026-10-22T16:00:00Z')], 'America/New_York');
+
+    expect(reply).toContain('Hi Jordan,');
+    expect(reply).toContain('- Thursday, October 22 at 12:00 PM EDT');
+  });
+});
@@ -0,0 +1,576 @@
+/**
+ * Proposed Meeting Times
+ *
+ * Extracts the date/time ranges a customer proposes in an email reply ("Tuesday at 2pm works",
+ * "Thursday between 10 and 11:30am PT") and matches them against open calendar slots.
+ * Times are read in the timezone the customer names, otherwise the scheduling timezone.
+ * A number only counts as a time with am/pm or minutes ("2pm", "14:00"), and times in a
+ * clause the customer rules out ("Tuesday at 2pm doesn't work") are never proposals.
+ */
+
+import { cleanInboundReply } from '../email/inbound/replyCleaner.js';
+
+export interface ProposedTimeRange {
+  /** Earliest meeting start the customer proposed */
+  start: Date;
+  /** Exact proposals: same as start. Windows: the time the meeting must end by. */
+  end: Date;
+  exact: boolean;
+  timeZone: string;
+}
+
+export interface SlotCandidate {
+  start: Date;
+  end: Date;
+}
+
+interface DateToken {
+  kind: 'date';
+  index: number;
+  resolve: (today: LocalDate) => LocalDate[];
+  rollsForward: boolean;
+}
+
+interface TimeToken {
+  kind: 'time';
+  index: number;
+  length: number;
+  startMinutes: number;
+  endMinutes: number;
+  exact: boolean;
+}
+
+export interface LocalDate {
+  year: number;
+  month: number;
+  day: number;
+}
+
+const WEEKDAY_PATTERNS: Array<[RegExp, number]> = [
+  [/^sun(?:day)?$/, 0],
+  [/^mon(?:day)?$/, 1],
+  [/^tue(?:s|sday)?$/, 2],
+  [/^wed(?:nesday)?$/, 3],
+  [/^thu(?:r|rs|rsday)?$/, 4],
+  [/^fri(?:day)?$/, 5],
+  [/^sat(?:urday)?$/, 6],
+];
+
+const MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAY_PERIODS: Record<string, [number, number]> = {
+  morning: [9 * 60, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 20 * 60],
+};
+
+/** Business hours used to bound "after 3pm" / "before 11am" */
+const OPEN_ENDED_WINDOW: [number, number] = [8 * 60, 18 * 60];
+
+const TIME_ZONE_ALIASES: Record<string, string> = {
+  et: 'America/New_York',
+  est: 'America/New_York',
+  edt: 'America/New_York',
+  eastern: 'America/New_York',
+  ct: 'America/Chicago',
+  cst: 'America/Chicago',
+  cdt: 'America/Chicago',
+  central: 'America/Chicago',
+  mt: 'America/Denver',
+  mst: 'America/Denver',
+  mdt: 'America/Denver',
+  mountain: 'America/Denver',
+  pt: 'America/Los_Angeles',
+  pst: 'America/Los_Angeles',
+  pdt: 'America/Los_Angeles',
+  pacific: 'America/Los_Angeles',
+  gmt: 'Europe/London',
+  bst: 'Europe/London',
+  utc: 'UTC',
+  cet: 'Europe/Paris',
+  cest: 'Europe/Paris',
+};
+
+const MERIDIEM = '(a\\.?m\\.?|p\\.?m\\.?)';
+const CLOCK = `(\\d{1,2})(?::([0-5]\\d))?`;
+
+/** Clause boundaries for negation: "I can't do Tuesday, but Wednesday at 10am works" */
+const CLAUSE_BOUNDARY = /,|\b(?:but|however|although|though|whereas|instead|otherwise)\b/g;
+
+/** Wording that rules out the times in its clause */
+const NEGATION = /\b(?:can(?:no|['’]?)t|can not|could(?:n['’]?t| not)|unable|unavailable|busy|no good)\b|\b(?:does|do|did|will|would|wo)(?:n['’]?t| not) work\b|(?:n['’]?t|\bnot) (?:possible|available|free|good|ideal|an option)\b/;
+
+function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Timezone named in the message ("2pm PT", "Pacific time", "Europe/Berlin"), if any
+ */
+export function detectTimeZone(text: string): string | null {
+  const iana = text.match(/\b([A-Z][a-z]+\/[A-Z][A-Za-z_]+(?:\/[A-Z][A-Za-z_]+)?)\b/);
+
+  if (iana?.[1] && isValidTimeZone(iana[1])) {
+    return iana[1];
+  }
+
+  const lower = text.toLowerCase();
+  const afterTime = lower.match(new RegExp(`\\d(?:\\s*${MERIDIEM})?\\s*\\(?\\b(${Object.keys(TIME_ZONE_ALIASES).join('|')})\\b`));
+  const named = lower.match(/\b(eastern|central|mountain|pacific)\s+time\b/);
+  const alias = afterTime?.[2] ?? named?.[1];
+
+  return alias ? TIME_ZONE_ALIASES[alias] ?? null : null;
+}
+
+function getTimeZoneOffsetMinutes(date: Date, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const read = (type: Intl.DateTimeFormatPartTypes): number => Number(parts.find((part) => part.type === type)?.value);
+  const asUtc = Date.UTC(read('year'), read('month') - 1, read('day'), read('hour'), read('minute'), read('second'));
+
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * The instant a local wall-clock time in `timeZone` refers to
+ */
+export function zonedTimeToUtc(date: LocalDate, minutes: number, timeZone: string): Date {
+  const wallClock = Date.UTC(date.year, date.month - 1, date.day, Math.floor(minutes / 60), minutes % 60);
+  const firstOffset = getTimeZoneOffsetMinutes(new Date(wallClock), timeZone);
+  const candidate = wallClock - firstOffset * 60000;
+  const secondOffset = getTimeZoneOffsetMinutes(new Date(candidate), timeZone);
+
+  return new Date(secondOffset === firstOffset ? candidate : wallClock - secondOffset * 60000);
+}
+
+export function getLocalDate(now: Date, timeZone: string): LocalDate {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+  }).formatToParts(now);
+  const read = (type: Intl.DateTimeFormatPartTypes): number => Number(parts.find((part) => part.type === type)?.value);
+
+  return { year: read('year'), month: read('month'), day: read('day') };
+}
+
+function getWeekday(date: LocalDate): number {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+export function addDays(date: LocalDate, days: number): LocalDate {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+function compareLocalDates(left: LocalDate, right: LocalDate): number {
+  return Date.UTC(left.year, left.month - 1, left.day) - Date.UTC(right.year, right.month - 1, right.day);
+}
+
+function toMinutes(hourText: string | undefined, minuteText: string | undefined, meridiem: string | undefined): number | null {
+  const hour = Number(hourText);
+  const minute = minuteText ? Number(minuteText) : 0;
+
+  if (!Number.isInteger(hour) || hour > 23) {
+    return null;
+  }
+
+  if (!meridiem) {
+    return hour * 60 + minute;
+  }
+
+  if (hour < 1 || hour > 12) {
+    return null;
+  }
+
+  return ((hour % 12) + (meridiem.startsWith('p') ? 12 : 0)) * 60 + minute;
+}
+
+/** A 12-hour time without am/pm ("2:30") is read as business hours: 1-7 is afternoon, 8-12 morning/noon */
+function bareHourToMinutes(hourText: string | undefined, minuteText: string | undefined): number | null {
+  const hour = Number(hourText);
+
+  if (!Number.isInteger(hour) || hour < 1 || hour > 12) {
+    return null;
+  }
+
+  return toMinutes(hourText, minuteText, hour <= 7 || hour === 12 ? 'pm' : 'am');
+}
+
+function collectDateTokens(text: string): DateToken[] {
+  const tokens: DateToken[] = [];
+
+  for (const match of text.matchAll(/\b(today|tomorrow)\b/g)) {
+    const offset = match[1] === 'tomorrow' ? 1 : 0;
+    tokens.push({ kind: 'date', index: match.index ?? 0, rollsForward: false, resolve: (today) => [addDays(today, offset)] });
+  }
+
+  for (const match of text.matchAll(/\b(?:(next|this)\s+)?(sun(?:day)?|mon(?:day)?|tues?(?:day)?|wed(?:nesday)?|thu(?:rs?)?(?:day)?|fri(?:day)?|sat(?:urday)?)\b\.?/g)) {
+    const name = match[2] ?? '';
+    const weekday = WEEKDAY_PATTERNS.find(([pattern]) => pattern.test(name))?.[1];
+
+    // "sun" and "sat" on their own are too often ordinary words
+    if (weekday === undefined || name === 'sun' || name === 'sat') {
+      continue;
+    }
+
+    const isNext = match[1] === 'next';
+    tokens.push({
+      kind: 'date',
+      index: match.index ?? 0,
+      rollsForward: true,
+      resolve: (today) => {
+        const delta = (weekday - getWeekday(today) + 7) % 7;
+        return [addDays(today, delta === 0 && isNext ? 7 : delta)];
+      },
+    });
+  }
+
+  const monthPattern = `(${MONTH_PREFIXES.join('|')})[a-z]*\\.?`;
+  const dayPattern = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+  for (const match of text.matchAll(new RegExp(`\\b${monthPattern}\\s+${dayPattern}\\b`, 'g'))) {
+    pushCalendarDate(tokens, match.index ?? 0, MONTH_PREFIXES.indexOf(match[1] ?? '') + 1, Number(match[2]));
+  }
+
+  for (const match of text.matchAll(new RegExp(`\\b${dayPattern}\\s+(?:of\\s+)?${monthPattern}`, 'g'))) {
+    pushCalendarDate(tokens, match.index ?? 0, MONTH_PREFIXES.indexOf(match[2] ?? '') + 1, Number(match[1]));
+  }
+
+  for (const match of text.matchAll(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g)) {
+    const year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : undefined;
+    pushCalendarDate(tokens, match.index ?? 0, Number(match[1]), Number(match[2]), year);
+  }
+
+  return tokens;
+}
+
+function pushCalendarDate(tokens: DateToken[], index: number, month: number, day: number, year?: number): void {
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return;
+  }
+
+  tokens.push({
+    kind: 'date',
+    index,
+    rollsForward: false,
+    resolve: (today) => {
+      const date = { year: year ?? today.year, month, day };
+
+      // Reject dates like 2/31 that Date.UTC would roll into the next month
+      if (addDays(date, 0).month !== month) {
+        return [];
+      }
+
+      return [year === undefined && compareLocalDates(date, today) < 0 ? { ...date, year: date.year + 1 } : date];
+    },
+  });
+}
+
+function collectTimeTokens(text: string): TimeToken[] {
+  const candidates: TimeToken[] = [];
+  const push = (match: RegExpMatchArray, startMinutes: number | null, endMinutes: number | null, exact: boolean): void => {
+    if (startMinutes === null || endMinutes === null || endMinutes < startMinutes) {
+      return;
+    }
+
+    candidates.push({
+      kind: 'time',
+      index: match.index ?? 0,
+      length: match[0].length,
+      startMinutes,
+      endMinutes,
+      exact,
+    });
+  };
+
+  const rangePatterns = [
+    new RegExp(`\\bbetween\\s+${CLOCK}\\s*${MERIDIEM}?\\s+and\\s+${CLOCK}\\s*${MERIDIEM}`, 'g'),
+    new RegExp(`\\b(?:from\\s+)?${CLOCK}\\s*${MERIDIEM}?\\s*(?:-|–|to)\\s*${CLOCK}\\s*${MERIDIEM}`, 'g'),
+  ];
+
+  for (const pattern of rangePatterns) {
+    for (const match of text.matchAll(pattern)) {
+      const endMeridiem = match[6]?.[0];
+      const end = toMinutes(match[4], match[5], endMeridiem);
+      let start = toMinutes(match[1], match[2], match[3]?.[0] ?? endMeridiem);
+
+      // "11-1pm" starts in the morning
+      if (!match[3] && start !== null && end !== null && start > end) {
+        start = toMinutes(match[1], match[2], 'am');
+      }
+
+      push(match, start, end, false);
+    }
+  }
+
+  for (const match of text.matchAll(new RegExp(`\\b(after|before)\\s+${CLOCK}\\s*${MERIDIEM}?`, 'g'))) {
+    // "after 3" alone is too ambiguous ("after 3 meetings"); "after 3pm" and "after 3:30" count
+    if (!match[4] && !match[3]) {
+      continue;
+    }
+
+    const minutes = match[4] ? toMinutes(match[2], match[3], match[4][0]) : bareHourToMinutes(match[2], match[3]);
+
+    if (minutes !== null) {
+      push(
+        match,
+        match[1] === 'after' ? minutes : OPEN_ENDED_WINDOW[0],
+        match[1] === 'after' ? OPEN_ENDED_WINDOW[1] : minutes,
+        false
+      );
+    }
+  }
+
+  for (const match of text.matchAll(new RegExp(`\\b${CLOCK}\\s*${MERIDIEM}`, 'g'))) {
+    const minutes = toMinutes(match[1], match[2], match[3]?.[0]);
+    push(match, minutes, minutes, true);
+  }
+
+  // "14:00" and "09:30" are 24-hour times; a plain "2:30" is read like "at 2:30"
+  for (const match of text.matchAll(/\b([01]?\d|2[0-3]):([0-5]\d)\b/g)) {
+    const hourText = match[1] ?? '';
+    const minutes = Number(hourText) >= 13 || hourText.startsWith('0')
+      ? toMinutes(hourText, match[2], undefined)
+      : bareHourToMinutes(hourText, match[2]);
+    push(match, minutes, minutes, true);
+  }
+
+  for (const match of text.matchAll(/\b(noon|midday)\b/g)) {
+    push(match, 12 * 60, 12 * 60, true);
+  }
+
+  for (const match of text.matchAll(/\b(morning|afternoon|evening)\b/g)) {
+    const period = DAY_PERIODS[match[1] ?? ''];
+
+    if (period) {
+      push(match, period[0], period[1], false);
+    }
+  }
+
+  // Earlier patterns win where matches overlap ("2-4pm" is one range, not two times)
+  const accepted: TimeToken[] = [];
+
+  for (const candidate of candidates) {
+    const overlaps = accepted.some((token) =>
+      candidate.index < token.index + token.length && token.index < candidate.index + candidate.length
+    );
+
+    if (!overlaps) {
+      accepted.push(candidate);
+    }
+  }
+
+  return accepted.sort((left, right) => left.index - right.index);
+}
+
+/**
+ * Character ranges of the clauses in a sentence that rule out their times
+ */
+function findNegatedClauses(sentence: string): Array<[number, number]> {
+  const boundaries = [0, ...Array.from(sentence.matchAll(CLAUSE_BOUNDARY), (match) => match.index ?? 0), sentence.length];
+  const negated: Array<[number, number]> = [];
+
+  for (let index = 0; index < boundaries.length - 1; index += 1) {
+    const start = boundaries[index] ?? 0;
+    const end = boundaries[index + 1] ?? sentence.length;
+
+    if (NEGATION.test(sentence.slice(start, end))) {
+      negated.push([start, end]);
+    }
+  }
+
+  return negated;
+}
+
+/**
+ * Date/time ranges proposed in a customer email. Times without a day use the day mentioned
+ * just before them; a day without a time is not treated as a proposal, and neither is
+ * anything in a clause the customer rules out.
+ */
+export function extractProposedTimes(
+  text: string,
+  options: { now: Date; defaultTimeZone: string; durationMinutes: number }
+): ProposedTimeRange[] {
+  // Quoted earlier messages hold the times we proposed ourselves, not the customer's
+  const body = cleanInboundReply({ text }).text;
+  const timeZone = detectTimeZone(body) ?? options.defaultTimeZone;
+  const lower = body.toLowerCase();
+  const today = getLocalDate(options.now, timeZone);
+  const proposals: ProposedTimeRange[] = [];
+  const seen = new Set<string>();
+  let carriedDates: DateToken[] = [];
+
+  for (const sentence of splitSentences(lower)) {
+    const negatedClauses = findNegatedClauses(sentence);
+    const tokens = [...collectDateTokens(sentence), ...collectTimeTokens(sentence)]
+      .filter((token) => !negatedClauses.some(([start, end]) => token.index >= start && token.index < end))
+      .sort((left, right) => left.index - right.index);
+    let group: { dates: DateToken[]; times: TimeToken[] } = { dates: [], times: [] };
+    const groups = [group];
+
+    for (const token of tokens) {
+      if (token.kind === 'date') {
+        if (group.dates.length > 0 && group.times.length > 0) {
+          group = { dates: [], times: [] };
+          groups.push(group);
+        }
+
+        group.dates.push(token);
+      } else {
+        group.times.push(token);
+      }
+    }
+
+    for (const { dates, times } of groups) {
+      const effectiveDates = dates.length > 0 ? dates : carriedDates;
+
+      if (dates.length > 0) {
+        carriedDates = dates;
+      }
+
+      for (const dateToken of effectiveDates) {
+        for (const localDate of dateToken.resolve(today)) {
+          for (const time of times) {
+            let start = zonedTimeToUtc(localDate, time.startMinutes, timeZone);
+            let end = zonedTimeToUtc(localDate, time.endMinutes, timeZone);
+
+            // "Tuesday at 2pm" sent on a Tuesday evening means next week
+            if (dateToken.rollsForward && end.getTime() <= options.now.getTime()) {
+              const nextWeek = addDays(localDate, 7);
+              start = zonedTimeToUtc(nextWeek, time.startMinutes, timeZone);
+              end = zonedTimeToUtc(nextWeek, time.endMinutes, timeZone);
+            }
+
+            if (!time.exact && end.getTime() - start.getTime() < options.durationMinutes * 60000) {
+              continue;
+            }
+
+            const key = `${start.toISOString()}|${end.toISOString()}`;
+
+            if (end.getTime() > options.now.getTime() && !seen.has(key)) {
+              seen.add(key);
+              proposals.push({ start, end, exact: time.exact, timeZone });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return proposals;
+}
+
+function splitSentences(text: string): string[] {
+  // Keep "a.m." and "10.30" intact; split on sentence punctuation followed by whitespace
+  return text.split(/(?<![ap]\.m)(?<!\b[ap])[.!?;]+(?=\s|$)|\n+/);
+}
+
+function proposalContains(proposal: ProposedTimeRange, slot: SlotCandidate): boolean {
+  if (proposal.exact) {
+    return slot.start.getTime() === proposal.start.getTime();
+  }
+
+  return slot.start.getTime() >= proposal.start.getTime() && slot.end.getTime() <= proposal.end.getTime();
+}
+
+/**
+ * The first open slot satisfying a proposal, trying proposals in the order the customer wrote them
+ */
+export function matchProposedSlot<T extends SlotCandidate>(
+  proposals: ProposedTimeRange[],
+  slots: T[]
+): { proposal: ProposedTimeRange; slot: T } | null {
+  const sortedSlots = [...slots].sort((left, right) => left.start.getTime() - right.start.getTime());
+
+  for (const proposal of proposals) {
+    const slot = sortedSlots.find((candidate) => proposalContains(proposal, candidate));
+
+    if (slot) {
+      return { proposal, slot };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Open slots closest to any proposal, in chronological order
+ */
+export function findNearestSlots<T extends SlotCandidate>(
+  proposals: ProposedTimeRange[],
+  slots: T[],
+  count = 3
+): T[] {
+  const distance = (slot: T): number => Math.min(...proposals.map((proposal) => {
+    const start = slot.start.getTime();
+
+    if (start < proposal.start.getTime()) {
+      return proposal.start.getTime() - start;
+    }
+
+    return Math.max(0, start - proposal.end.getTime());
+  }));
+
+  return [...slots]
+    .sort((left, right) => distance(left) - distance(right))
+    .slice(0, count)
+    .sort((left, right) => left.start.getTime() - right.start.getTime());
+}
+
+export function formatSlotForCustomer(date: Date, timeZone: string): string {
+  return date.toLocaleString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  });
+}
+
+/**
+ * Plain reply offering the nearest open times, used when no LLM is available to draft one
+ */
+export function buildAlternativeTimesReply(
+  customerName: string | null | undefined,
+  alternatives: SlotCandidate[],
+  timeZone: string
+): string {
+  const firstName = customerName?.trim().split(/\s+/)[0] || 'there';
+
+  if (alternatives.length === 0) {
+    return `Hi ${firstName},
+
+Thank you for the suggested times. Unfortunately none of them are open on our calendar. Could you share a few other days or time windows that suit you?
+
+Best regards,
+The Autonome.us Team`;
+  }
+
+  return `Hi ${firstName},
+
+Thank you for the suggested times. Unfortunately those are not open on our calendar, but these nearby times are:
+
+${alternatives.map((slot) => `- ${formatSlotForCustomer(slot.start, timeZone)}`).join('\n')}
+
+Reply with the one that works best and we will confirm it.
+
+Best regards,
+The Autonome.us Team`;
+}
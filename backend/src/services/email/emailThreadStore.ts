@@ -0,0 +1,146 @@
+/**
+ * Email Thread Store
+ *
+ * Loads a booking's thread history to build the next message's threading headers, records
+ * sent messages in email_delivery_log and maps inbound In-Reply-To / References ids back to
+ * the booking they answer.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import {
+  buildEmailThreadHeaders,
+  extractProcessingIdFromMessageIds,
+  type EmailThreadHeaders,
+  type ThreadMessage,
+} from './emailThreading.js';
+
+export interface EmailDeliveryInput {
+  processingId: string;
+  context: string;
+  to: string[];
+  subject: string;
+  providerMessageId: string | null;
+  thread: EmailThreadHeaders;
+}
+
+async function loadThreadHistory(supabase: SupabaseClient, processingId: string): Promise<ThreadMessage[]> {
+  const [deliveries, booking] = await Promise.all([
+    supabase
+      .from('email_delivery_log')
+      .select('message_id, sent_at')
+      .eq('processing_id', processingId)
+      .not('message_id', 'is', null)
+      .order('sent_at', { ascending: false })
+      .limit(20),
+    supabase
+      .from('booking_inquiries')
+      .select('metadata')
+      .eq('processing_id', processingId)
+      .maybeSingle<{ metadata: Record<string, unknown> | null }>(),
+  ]);
+
+  if (deliveries.error) {
+    throw new Error(deliveries.error.message);
+  }
+
+  const conversationLog = Array.isArray(booking.data?.metadata?.['conversation_log'])
+    ? booking.data.metadata['conversation_log'] as Array<Record<string, unknown>>
+    : [];
+  const inbound = conversationLog
+    .filter((entry) => entry['direction'] === 'inbound' && typeof entry['message_id'] === 'string')
+    .map((entry) => ({
+      message_id: entry['message_id'] as string,
+      sent_at: typeof entry['timestamp'] === 'string' ? entry['timestamp'] : new Date(0).toISOString(),
+    }));
+
+  return [...((deliveries.data ?? []) as ThreadMessage[]), ...inbound];
+}
+
+/**
+ * Threading headers for the next email to a booking. Fails open to a new thread rooted at
+ * the booking when the history cannot be loaded.
+ */
+export async function resolveBookingEmailThread(
+  supabase: SupabaseClient | null,
+  processingId: string,
+  fromAddress: string
+): Promise<EmailThreadHeaders> {
+  if (!supabase) {
+    return buildEmailThreadHeaders(processingId, fromAddress);
+  }
+
+  try {
+    return buildEmailThreadHeaders(processingId, fromAddress, await loadThreadHistory(supabase, processingId));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.warn(`Email thread history unavailable for ${processingId}: ${errorMessage}`);
+    return buildEmailThreadHeaders(processingId, fromAddress);
+  }
+}
+
+export async function recordEmailDelivery(supabase: SupabaseClient, delivery: EmailDeliveryInput): Promise<void> {
+  const { data: booking } = await supabase
+    .from('booking_inquiries')
+    .select('id')
+    .eq('processing_id', delivery.processingId)
+    .maybeSingle<{ id: string }>();
+
+  const { error } = await supabase
+    .from('email_delivery_log')
+    .upsert({
+      inquiry_id: booking?.id ?? null,
+      processing_id: delivery.processingId,
+      context: delivery.context,
+      email_provider: 'resend',
+      provider_message_id: delivery.providerMessageId,
+      recipient_email: delivery.to.join(', '),
+      subject: delivery.subject,
+      status: 'sent',
+      message_id: delivery.thread.message_id,
+      in_reply_to: delivery.thread.in_reply_to,
+      thread_references: delivery.thread.references,
+    }, { onConflict: 'message_id' });
+
+  if (error) {
+    logger.warn(`Failed to log email delivery for ${delivery.processingId}: ${error.message}`);
+  }
+}
+
+/**
+ * The booking an inbound reply answers, from the message ids in its In-Reply-To and
+ * References headers: our own id format first, then ids recorded in email_delivery_log
+ */
+export async function findProcessingIdByMessageIds(
+  supabase: SupabaseClient,
+  messageIds: Array<string | undefined>,
+  fromAddress: string
+): Promise<string | null> {
+  const fromOwnIds = extractProcessingIdFromMessageIds(messageIds, fromAddress);
+
+  if (fromOwnIds) {
+    return fromOwnIds;
+  }
+
+  const candidates = messageIds.filter((messageId): messageId is string => Boolean(messageId));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('email_delivery_log')
+    .select('processing_id')
+    .in('message_id', candidates)
+    .not('processing_id', 'is', null)
+    .order('sent_at', { ascending: false })
+    .limit(1)
+    .maybeSingle<{ processing_id: string }>();
+
+  if (error) {
+    logger.warn(`Failed to match inbound message ids to a booking: ${error.message}`);
+    return null;
+  }
+
+  return data?.processing_id ?? null;
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildEmailThreadHeaders,
+  buildOutboundMessageId,
+  extractProcessingIdFromMessageIds,
+  toMimeThreadHeaders,
+} from './emailThreading.js';
+
+const processingId = 'booking_1760886000000_abc123xyz';
+const now = new Date('2026-10-19T15:00:00Z');
+
+describe('buildEmailThreadHeaders', () => {
+  it('starts a thread at the booking root', () => {
+    const thread = buildEmailThreadHeaders(processingId, 'booking@autonome.us', [], now);
+
+    expect(thread.message_id).toMatch(new RegExp(`^${processingId}\\.[a-z0-9]+\\.[a-f0-9]{8}@autonome\\.us$`));
+    expect(thread.in_reply_to).toBe(`thread.${processingId}@autonome.us`);
+    expect(thread.references).toEqual([`thread.${processingId}@autonome.us`]);
+  });
+
+  it('replies to the newest message and references the history in order', () => {
+    const thread = buildEmailThreadHeaders(processingId, 'booking@autonome.us', [
+      { message_id: 'customer-reply@example.com', sent_at: '2026-10-19T14:00:00Z' },
+      { message_id: 'first-outbound@autonome.us', sent_at: '2026-10-19T12:00:00Z' },
+      { message_id: 'first-outbound@autonome.us', sent_at: '2026-10-19T12:00:00Z' },
+    ], now);
+
+    expect(thread.in_reply_to).toBe('customer-reply@example.com');
+    expect(thread.references).toEqual([
+      `thread.${processingId}@autonome.us`,
+      'first-outbound@autonome.us',
+      'customer-reply@example.com',
+    ]);
+  });
+});
+
+describe('toMimeThreadHeaders', () => {
+  it('wraps ids in angle brackets', () => {
+    expect(toMimeThreadHeaders({ message_id: 'a@x', in_reply_to: 'b@x', references: ['r@x', 'b@x'] })).toEqual({
+      'Message-ID': '<a@x>',
+      'In-Reply-To': '<b@x>',
+      References: '<r@x> <b@x>',
+    });
+  });
+});
+
+describe('extractProcessingIdFromMessageIds', () => {
+  it('reads the booking from our root and outbound ids', () => {
+    expect(extractProcessingIdFromMessageIds([`thread.${processingId}@autonome.us`], 'booking@autonome.us')).toBe(processingId);
+    expect(extractProcessingIdFromMessageIds(
+      [undefined, buildOutboundMessageId(processingId, 'autonome.us', now, 'deadbeef')],
+      'booking@autonome.us'
+    )).toBe(processingId);
+  });
+
+  it('ignores ids from other domains and foreign formats', () => {
+    expect(extractProcessingIdFromMessageIds([`thread.${processingId}@evil.example`], 'booking@autonome.us')).toBeNull();
+    expect(extractProcessingIdFromMessageIds(['CAF=abc@mail.gmail.com'], 'booking@autonome.us')).toBeNull();
+  });
+});
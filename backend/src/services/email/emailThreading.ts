@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+
+/**
+ * Email Threading
+ *
+ * Message-ID, In-Reply-To and References values for booking emails. Every message in a
+ * booking's thread references the same root id, `thread.<processing_id>@<sending domain>`,
+ * so mail clients group them and customer replies can be matched back to the booking
+ * without relying on the subject tag or the sender's address.
+ */
+
+/** How many earlier message ids to carry in References besides the root */
+const MAX_REFERENCED_MESSAGES = 10;
+
+export interface EmailThreadHeaders {
+  message_id: string;
+  in_reply_to: string;
+  references: string[];
+}
+
+export interface ThreadMessage {
+  message_id: string;
+  sent_at: string;
+}
+
+export function getMessageIdDomain(fromAddress: string): string {
+  return fromAddress.split('@')[1]?.trim().toLowerCase() || 'autonome.us';
+}
+
+export function buildThreadRootMessageId(processingId: string, domain: string): string {
+  return `thread.${processingId}@${domain}`;
+}
+
+export function buildOutboundMessageId(
+  processingId: string,
+  domain: string,
+  now: Date = new Date(),
+  nonce: string = crypto.randomBytes(4).toString('hex')
+): string {
+  return `${processingId}.${now.getTime().toString(36)}.${nonce}@${domain}`;
+}
+
+/**
+ * Headers for the next message in a booking thread. `history` is every message id already
+ * in the thread (ours and the customer's); the newest one is the message being replied to.
+ */
+export function buildEmailThreadHeaders(
+  processingId: string,
+  fromAddress: string,
+  history: ThreadMessage[] = [],
+  now: Date = new Date()
+): EmailThreadHeaders {
+  const domain = getMessageIdDomain(fromAddress);
+  const root = buildThreadRootMessageId(processingId, domain);
+  const earlier = [...history]
+    .sort((left, right) => new Date(left.sent_at).getTime() - new Date(right.sent_at).getTime())
+    .map((message) => message.message_id)
+    .filter((messageId, index, all) => messageId !== root && all.indexOf(messageId) === index)
+    .slice(-MAX_REFERENCED_MESSAGES);
+
+  return {
+    message_id: buildOutboundMessageId(processingId, domain, now),
+    in_reply_to: earlier[earlier.length - 1] ?? root,
+    references: [root, ...earlier],
+  };
+}
+
+export function toMimeThreadHeaders(thread: EmailThreadHeaders): Record<string, string> {
+  return {
+    'Message-ID': `<${thread.message_id}>`,
+    'In-Reply-To': `<${thread.in_reply_to}>`,
+    References: thread.references.map((messageId) => `<${messageId}>`).join(' '),
+  };
+}
+
+/**
+ * The booking a reply belongs to, read from our own root or outbound message ids in its
+ * In-Reply-To / References headers. Ids from other domains are ignored.
+ */
+export function extractProcessingIdFromMessageIds(
+  messageIds: Array<string | undefined>,
+  fromAddress: string
+): string | null {
+  const domain = getMessageIdDomain(fromAddress);
+
+  for (const messageId of messageIds) {
+    const [localPart, messageDomain] = (messageId ?? '').toLowerCase().split('@');
+
+    if (!localPart || messageDomain !== domain) {
+      continue;
+    }
+
+    const match = localPart.match(/^thread\.(booking_[a-z0-9_]+)$/) ?? localPart.match(/^(booking_[a-z0-9_]+)\.[a-z0-9]+\.[a-f0-9]+$/);
+
+    if (match?.[1]) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
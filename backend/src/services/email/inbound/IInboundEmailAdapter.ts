@@ -0,0 +1,80 @@
+/**
+ * Inbound Email Adapter Interface
+ *
+ * Defines the contract for inbound email webhooks (Resend inbound, SendGrid Inbound Parse,
+ * Mailgun routes, raw RFC 822 MIME and the original custom JSON shape). Each adapter verifies
+ * its provider's signature and normalizes the payload into one InboundEmailMessage.
+ */
+
+export type InboundEmailProviderName = 'json' | 'resend' | 'sendgrid' | 'mailgun' | 'mime';
+
+export interface InboundEmailAttachment {
+  filename: string;
+  content_type: string;
+  size_bytes: number;
+  content_id?: string;
+  inline?: boolean;
+}
+
+/**
+ * The parts of an Express request an adapter needs. rawBody is the exact bytes the
+ * provider signed; body is whatever the JSON / urlencoded parsers produced.
+ */
+export interface InboundWebhookRequest {
+  headers: Record<string, string | string[] | undefined>;
+  rawBody: Buffer;
+  body: unknown;
+}
+
+export interface InboundEmailMessage {
+  provider: InboundEmailProviderName;
+  /** Sender address, lower-cased */
+  from: string;
+  from_name?: string;
+  to: string[];
+  subject?: string;
+  /** Reply body with quoted history and signature removed: what the AI sees */
+  text: string;
+  /** Body as received, kept for booking reference lookup */
+  raw_text?: string;
+  html?: string;
+  thread_id?: string;
+  message_id?: string;
+  in_reply_to?: string;
+  references: string[];
+  attachments: InboundEmailAttachment[];
+}
+
+export interface IInboundEmailAdapter {
+  readonly name: InboundEmailProviderName;
+
+  /**
+   * Throws InboundEmailVerificationError when the signature is missing, wrong or stale
+   */
+  verify(request: InboundWebhookRequest, now?: Date): void;
+
+  /**
+   * Null when the webhook is not an inbound email (another event type on a shared endpoint)
+   */
+  parse(request: InboundWebhookRequest): InboundEmailMessage | null;
+}
+
+/**
+ * Thrown when a webhook fails signature or timestamp verification.
+ */
+export class InboundEmailVerificationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InboundEmailVerificationError';
+  }
+}
+
+/**
+ * Thrown when a verified webhook does not contain a usable email.
+ */
+export class InboundEmailParseError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'InboundEmailParseError';
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Custom JSON Inbound Adapter
+ *
+ * The original `{from, subject, text, html, thread_id}` payload, authenticated with the
+ * shared x-booking-webhook-secret header when INBOUND_EMAIL_WEBHOOK_SECRET is set.
+ */
+
+import {
+  InboundEmailParseError,
+  InboundEmailVerificationError,
+  type IInboundEmailAdapter,
+  type InboundEmailAttachment,
+  type InboundEmailMessage,
+  type InboundWebhookRequest,
+} from './IInboundEmailAdapter.js';
+import { buildInboundEmailMessage, readString } from './inboundEmailMessage.js';
+import { getHeader, timingSafeEqualString } from './webhookVerification.js';
+
+export class JsonInboundAdapter implements IInboundEmailAdapter {
+  readonly name = 'json' as const;
+
+  constructor(private readonly sharedSecret?: string) {}
+
+  verify(request: InboundWebhookRequest): void {
+    if (!this.sharedSecret) {
+      return;
+    }
+
+    const provided = getHeader(request, 'x-booking-webhook-secret');
+
+    if (!provided || !timingSafeEqualString(provided, this.sharedSecret)) {
+      throw new InboundEmailVerificationError('Invalid webhook secret');
+    }
+  }
+
+  parse(request: InboundWebhookRequest): InboundEmailMessage {
+    if (!request.body || typeof request.body !== 'object') {
+      throw new InboundEmailParseError('Expected a JSON inbound email payload');
+    }
+
+    const payload = request.body as Record<string, unknown>;
+    const attachments = Array.isArray(payload['attachments'])
+      ? (payload['attachments'] as Array<Record<string, unknown>>).map((attachment): InboundEmailAttachment => ({
+        filename: readString(attachment['filename']) || 'attachment',
+        content_type: readString(attachment['content_type']) || 'application/octet-stream',
+        size_bytes: typeof attachment['size_bytes'] === 'number' ? attachment['size_bytes'] : 0,
+      }))
+      : [];
+
+    return buildInboundEmailMessage(this.name, {
+      from: readString(payload['from']),
+      to: readString(payload['to']),
+      subject: readString(payload['subject']),
+      text: readString(payload['text']),
+      html: readString(payload['html']),
+      threadId: readString(payload['thread_id']),
+      messageId: readString(payload['message_id']),
+      inReplyTo: readString(payload['in_reply_to']),
+      references: readString(payload['references']),
+      attachments,
+    });
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Mailgun Routes Adapter
+ *
+ * Mailgun forwards routed messages as urlencoded or multipart/form-data fields (sender, from,
+ * recipient, subject, body-plain, stripped-text, body-html, Message-Id, In-Reply-To,
+ * References, attachment-N). The signature is hex HMAC-SHA256 of `${timestamp}${token}`
+ * keyed with the webhook signing key, sent alongside them as form fields.
+ */
+
+import crypto from 'crypto';
+import {
+  InboundEmailVerificationError,
+  type IInboundEmailAdapter,
+  type InboundEmailAttachment,
+  type InboundEmailMessage,
+  type InboundWebhookRequest,
+} from './IInboundEmailAdapter.js';
+import { buildInboundEmailMessage } from './inboundEmailMessage.js';
+import { parseMultipartFormData } from './mimeParser.js';
+import { assertFreshTimestamp, getHeader, requireSecret, timingSafeEqualString } from './webhookVerification.js';
+
+interface MailgunForm {
+  fields: Record<string, string>;
+  files: InboundEmailAttachment[];
+}
+
+function readForm(request: InboundWebhookRequest): MailgunForm {
+  const contentType = getHeader(request, 'content-type') ?? '';
+
+  if (contentType.toLowerCase().startsWith('multipart/form-data')) {
+    const form = parseMultipartFormData(request.rawBody, contentType);
+
+    return {
+      fields: form.fields,
+      files: form.files.map((file) => ({
+        filename: file.filename,
+        content_type: file.content_type,
+        size_bytes: file.size_bytes,
+      })),
+    };
+  }
+
+  const fields: Record<string, string> = {};
+
+  if (request.body && typeof request.body === 'object' && !Buffer.isBuffer(request.body)) {
+    for (const [name, value] of Object.entries(request.body as Record<string, unknown>)) {
+      if (typeof value === 'string') {
+        fields[name] = value;
+      }
+    }
+  } else {
+    for (const [name, value] of new URLSearchParams(request.rawBody.toString('utf8'))) {
+      fields[name] = value;
+    }
+  }
+
+  return { fields, files: [] };
+}
+
+/**
+ * Store-and-notify routes describe attachments as JSON instead of uploading them
+ */
+function readStoredAttachments(value: string | undefined): InboundEmailAttachment[] {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(value) as unknown;
+
+    return Array.isArray(parsed)
+      ? (parsed as Array<Record<string, unknown>>).map((attachment) => ({
+        filename: typeof attachment['name'] === 'string' ? attachment['name'] : 'attachment',
+        content_type: typeof attachment['content-type'] === 'string' ? attachment['content-type'] : 'application/octet-stream',
+        size_bytes: typeof attachment['size'] === 'number' ? attachment['size'] : 0,
+      }))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export class MailgunInboundAdapter implements IInboundEmailAdapter {
+  readonly name = 'mailgun' as const;
+
+  constructor(private readonly signingKey?: string) {}
+
+  verify(request: InboundWebhookRequest, now: Date = new Date()): void {
+    const key = requireSecret(this.signingKey, 'Mailgun');
+    const { fields } = readForm(request);
+    const timestamp = fields['timestamp'];
+    const token = fields['token'];
+    const signature = fields['signature'];
+
+    if (!token || !signature) {
+      throw new InboundEmailVerificationError('Missing Mailgun webhook signature');
+    }
+
+    assertFreshTimestamp(timestamp, now);
+
+    const expected = crypto.createHmac('sha256', key).update(`${timestamp}${token}`).digest('hex');
+
+    if (!timingSafeEqualString(signature, expected)) {
+      throw new InboundEmailVerificationError('Invalid Mailgun webhook signature');
+    }
+  }
+
+  parse(request: InboundWebhookRequest): InboundEmailMessage {
+    const { fields, files } = readForm(request);
+
+    return buildInboundEmailMessage(this.name, {
+      from: fields['from'] || fields['sender'],
+      to: fields['To'] || fields['recipient'],
+      subject: fields['subject'],
+      // stripped-text is Mailgun's own quote removal; the cleaner still runs over it
+      text: fields['stripped-text'] || fields['body-plain'],
+      rawText: fields['body-plain'],
+      html: fields['stripped-html'] || fields['body-html'],
+      messageId: fields['Message-Id'],
+      inReplyTo: fields['In-Reply-To'],
+      references: fields['References'],
+      attachments: files.length > 0 ? files : readStoredAttachments(fields['attachments']),
+    });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Raw MIME Inbound Adapter
+ *
+ * Accepts a complete RFC 822 message as the request body (message/rfc822), for mail servers
+ * and relays that pipe messages to a URL. The sender signs `${timestamp}.${body}` with
+ * HMAC-SHA256 using INBOUND_EMAIL_WEBHOOK_SECRET and sends x-inbound-timestamp and
+ * x-inbound-signature (hex, optionally prefixed with "sha256=").
+ */
+
+import crypto from 'crypto';
+import {
+  InboundEmailParseError,
+  InboundEmailVerificationError,
+  type IInboundEmailAdapter,
+  type InboundEmailMessage,
+  type InboundWebhookRequest,
+} from './IInboundEmailAdapter.js';
+import { buildInboundEmailMessage, threadingFieldsFromHeaders } from './inboundEmailMessage.js';
+import { parseMimeMessage } from './mimeParser.js';
+import { assertFreshTimestamp, getHeader, requireSecret, timingSafeEqualString } from './webhookVerification.js';
+
+export class MimeInboundAdapter implements IInboundEmailAdapter {
+  readonly name = 'mime' as const;
+
+  constructor(private readonly signingSecret?: string) {}
+
+  verify(request: InboundWebhookRequest, now: Date = new Date()): void {
+    const secret = requireSecret(this.signingSecret, 'MIME');
+    const timestamp = getHeader(request, 'x-inbound-timestamp');
+    const signature = getHeader(request, 'x-inbound-signature')?.replace(/^sha256=/, '');
+
+    assertFreshTimestamp(timestamp, now);
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(Buffer.concat([Buffer.from(`${timestamp}.`), request.rawBody]))
+      .digest('hex');
+
+    if (!signature || !timingSafeEqualString(signature, expected)) {
+      throw new InboundEmailVerificationError('Invalid inbound email signature');
+    }
+  }
+
+  parse(request: InboundWebhookRequest): InboundEmailMessage {
+    if (request.rawBody.length === 0) {
+      throw new InboundEmailParseError('Expected a raw RFC 822 message body');
+    }
+
+    const message = parseMimeMessage(request.rawBody);
+
+    return buildInboundEmailMessage(this.name, {
+      from: message.headers['from'],
+      to: message.headers['to'],
+      subject: message.headers['subject'],
+      text: message.text,
+      html: message.html,
+      ...threadingFieldsFromHeaders(message.headers),
+      attachments: message.attachments,
+    });
+  }
+}
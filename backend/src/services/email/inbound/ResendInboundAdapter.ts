@@ -0,0 +1,119 @@
+/**
+ * Resend Inbound Adapter
+ *
+ * Handles `email.received` webhooks. Resend signs webhooks with Svix: the signature is
+ * base64 HMAC-SHA256 of `${svix-id}.${svix-timestamp}.${body}` keyed with the decoded
+ * whsec_ secret, and svix-signature may list several space-separated "v1,<signature>" values
+ * while a secret is being rotated.
+ */
+
+import crypto from 'crypto';
+import {
+  InboundEmailParseError,
+  InboundEmailVerificationError,
+  type IInboundEmailAdapter,
+  type InboundEmailAttachment,
+  type InboundEmailMessage,
+  type InboundWebhookRequest,
+} from './IInboundEmailAdapter.js';
+import { buildInboundEmailMessage, readString } from './inboundEmailMessage.js';
+import { assertFreshTimestamp, getHeader, requireSecret, timingSafeEqualString } from './webhookVerification.js';
+
+/**
+ * Resend sends headers either as an object or as a list of {name, value} pairs
+ */
+function readHeaders(value: unknown): Record<string, string> {
+  const headers: Record<string, string> = {};
+
+  if (Array.isArray(value)) {
+    for (const entry of value as Array<Record<string, unknown>>) {
+      const name = readString(entry['name']);
+      const headerValue = readString(entry['value']);
+
+      if (name && headerValue !== undefined) {
+        headers[name.toLowerCase()] = headerValue;
+      }
+    }
+  } else if (value && typeof value === 'object') {
+    for (const [name, headerValue] of Object.entries(value as Record<string, unknown>)) {
+      if (typeof headerValue === 'string') {
+        headers[name.toLowerCase()] = headerValue;
+      }
+    }
+  }
+
+  return headers;
+}
+
+export class ResendInboundAdapter implements IInboundEmailAdapter {
+  readonly name = 'resend' as const;
+
+  constructor(private readonly webhookSecret?: string) {}
+
+  verify(request: InboundWebhookRequest, now: Date = new Date()): void {
+    const secret = requireSecret(this.webhookSecret, 'Resend');
+    const id = getHeader(request, 'svix-id');
+    const timestamp = getHeader(request, 'svix-timestamp');
+    const signatures = getHeader(request, 'svix-signature');
+
+    if (!id || !signatures) {
+      throw new InboundEmailVerificationError('Missing Resend webhook signature headers');
+    }
+
+    assertFreshTimestamp(timestamp, now);
+
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(Buffer.concat([Buffer.from(`${id}.${timestamp}.`), request.rawBody]))
+      .digest('base64');
+    const matches = signatures
+      .split(' ')
+      .map((entry) => entry.split(','))
+      .some(([version, signature]) => version === 'v1' && Boolean(signature) && timingSafeEqualString(signature ?? '', expected));
+
+    if (!matches) {
+      throw new InboundEmailVerificationError('Invalid Resend webhook signature');
+    }
+  }
+
+  parse(request: InboundWebhookRequest): InboundEmailMessage | null {
+    const event = request.body as Record<string, unknown> | null;
+
+    if (!event || typeof event !== 'object') {
+      throw new InboundEmailParseError('Expected a JSON Resend webhook payload');
+    }
+
+    if (event['type'] !== 'email.received') {
+      return null;
+    }
+
+    const data = (event['data'] ?? {}) as Record<string, unknown>;
+    const headers = readHeaders(data['headers']);
+    const attachments = Array.isArray(data['attachments'])
+      ? (data['attachments'] as Array<Record<string, unknown>>).map((attachment): InboundEmailAttachment => {
+        const contentId = readString(attachment['content_id']);
+
+        return {
+          filename: readString(attachment['filename']) || 'attachment',
+          content_type: readString(attachment['content_type']) || 'application/octet-stream',
+          size_bytes: typeof attachment['size'] === 'number' ? attachment['size'] : 0,
+          ...(contentId ? { content_id: contentId } : {}),
+          ...(attachment['content_disposition'] === 'inline' ? { inline: true } : {}),
+        };
+      })
+      : [];
+
+    return buildInboundEmailMessage(this.name, {
+      from: readString(data['from']),
+      to: Array.isArray(data['to']) ? (data['to'] as unknown[]).filter((entry): entry is string => typeof entry === 'string') : readString(data['to']),
+      subject: readString(data['subject']),
+      text: readString(data['text']),
+      html: readString(data['html']),
+      messageId: readString(data['message_id']) ?? headers['message-id'],
+      inReplyTo: headers['in-reply-to'],
+      references: headers['references'],
+      attachments,
+    });
+  }
+}
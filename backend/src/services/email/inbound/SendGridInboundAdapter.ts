@@ -0,0 +1,116 @@
+/**
+ * SendGrid Inbound Parse Adapter
+ *
+ * Inbound Parse posts multipart/form-data: parsed fields (from, to, subject, text, html,
+ * headers, attachment-info) or, with "POST the raw, full MIME message" enabled, a single
+ * `email` field. Signed webhooks carry an ECDSA signature of `${timestamp}${body}` that is
+ * checked against the public key from the SendGrid webhook settings.
+ */
+
+import crypto from 'crypto';
+import {
+  InboundEmailVerificationError,
+  type IInboundEmailAdapter,
+  type InboundEmailAttachment,
+  type InboundEmailMessage,
+  type InboundWebhookRequest,
+} from './IInboundEmailAdapter.js';
+import { buildInboundEmailMessage, threadingFieldsFromHeaders } from './inboundEmailMessage.js';
+import { parseHeaderBlock, parseMimeMessage, parseMultipartFormData } from './mimeParser.js';
+import { assertFreshTimestamp, getHeader, requireSecret } from './webhookVerification.js';
+
+function loadPublicKey(publicKey: string): crypto.KeyObject {
+  if (publicKey.includes('BEGIN PUBLIC KEY')) {
+    return crypto.createPublicKey(publicKey);
+  }
+
+  return crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+}
+
+function readAttachmentInfo(value: string | undefined): Record<string, Record<string, unknown>> {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(value) as unknown;
+    return parsed && typeof parsed === 'object' ? parsed as Record<string, Record<string, unknown>> : {};
+  } catch {
+    return {};
+  }
+}
+
+export class SendGridInboundAdapter implements IInboundEmailAdapter {
+  readonly name = 'sendgrid' as const;
+
+  constructor(private readonly verificationKey?: string) {}
+
+  verify(request: InboundWebhookRequest, now: Date = new Date()): void {
+    const publicKey = requireSecret(this.verificationKey, 'SendGrid');
+    const signature = getHeader(request, 'x-twilio-email-event-webhook-signature');
+    const timestamp = getHeader(request, 'x-twilio-email-event-webhook-timestamp');
+
+    if (!signature) {
+      throw new InboundEmailVerificationError('Missing SendGrid webhook signature');
+    }
+
+    assertFreshTimestamp(timestamp, now);
+
+    let valid = false;
+
+    try {
+      valid = crypto
+        .createVerify('sha256')
+        .update(Buffer.concat([Buffer.from(timestamp ?? ''), request.rawBody]))
+        .verify(loadPublicKey(publicKey), Buffer.from(signature, 'base64'));
+    } catch {
+      valid = false;
+    }
+
+    if (!valid) {
+      throw new InboundEmailVerificationError('Invalid SendGrid webhook signature');
+    }
+  }
+
+  parse(request: InboundWebhookRequest): InboundEmailMessage {
+    const form = parseMultipartFormData(request.rawBody, getHeader(request, 'content-type'));
+    const { fields } = form;
+
+    if (fields['email']) {
+      const message = parseMimeMessage(fields['email']);
+
+      return buildInboundEmailMessage(this.name, {
+        from: message.headers['from'] ?? fields['from'],
+        to: message.headers['to'] ?? fields['to'],
+        subject: message.headers['subject'] ?? fields['subject'],
+        text: message.text,
+        html: message.html,
+        ...threadingFieldsFromHeaders(message.headers),
+        attachments: message.attachments,
+      });
+    }
+
+    const attachmentInfo = readAttachmentInfo(fields['attachment-info']);
+    const attachments = form.files.map((file): InboundEmailAttachment => {
+      const info = attachmentInfo[file.field] ?? {};
+      const contentId = typeof info['content-id'] === 'string' ? info['content-id'] : undefined;
+
+      return {
+        filename: typeof info['filename'] === 'string' ? info['filename'] : file.filename,
+        content_type: typeof info['type'] === 'string' ? info['type'] : file.content_type,
+        size_bytes: file.size_bytes,
+        ...(contentId ? { content_id: contentId } : {}),
+      };
+    });
+
+    return buildInboundEmailMessage(this.name, {
+      from: fields['from'],
+      to: fields['to'],
+      subject: fields['subject'],
+      text: fields['text'],
+      html: fields['html'],
+      ...threadingFieldsFromHeaders(parseHeaderBlock(fields['headers'] ?? '')),
+      attachments,
+    });
+  }
+}
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { describe, expect, it } from '@jest/globals';
+import { InboundEmailVerificationError, type InboundWebhookRequest } from './IInboundEmailAdapter.js';
+import { createInboundEmailAdapter } from './inboundEmailAdapters.js';
+
+const now = new Date('2026-10-19T15:00:00Z');
+const timestamp = String(Math.floor(now.getTime() / 1000));
+const staleTimestamp = String(Math.floor(now.getTime() / 1000) - 10 * 60);
+
+function request(rawBody: string, headers: Record<string, string>, body?: unknown): InboundWebhookRequest {
+  return { headers, rawBody: Buffer.from(rawBody), body };
+}
+
+function hmac(key: crypto.BinaryLike, value: string, encoding: 'hex' | 'base64'): string {
+  return crypto.createHmac('sha256', key).update(value).digest(encoding);
+}
+
+describe('Resend adapter', () => {
+  const secretBytes = Buffer.from('resend-test-secret');
+  const adapter = createInboundEmailAdapter('resend', { RESEND_INBOUND_WEBHOOK_SECRET: `whsec_${secretBytes.toString('base64')}` });
+  const payload = {
+    type: 'email.received',
+    data: {
+      from: 'Jordan Lee <jordan@example.com>',
+      to: ['booking@autonome.us'],
+      subject: 'Re: Your Autonome consultation request [booking_abc123]',
+      text: 'Thursday at 10am works.\n\nOn Mon, Oct 19, 2026 at 9:00 AM Autonome <booking@autonome.us> wrote:\n> Would Tuesday work?',
+      headers: [{ name: 'References', value: '<root@autonome.us>' }],
+      attachments: [{ filename: 'agenda.pdf', content_type: 'application/pdf', size: 2048 }],
+    },
+  };
+  const raw = JSON.stringify(payload);
+  const signed = (ts: string): InboundWebhookRequest => request(raw, {
+    'svix-id': 'msg_1',
+    'svix-timestamp': ts,
+    'svix-signature': `v1,bogus v1,${hmac(secretBytes, `msg_1.${ts}.${raw}`, 'base64')}`,
+  }, payload);
+
+  it('accepts a valid Svix signature and normalizes the email', () => {
+    expect(() => adapter.verify(signed(timestamp), now)).not.toThrow();
+
+    const message = adapter.parse(signed(timestamp));
+
+    expect(message).toMatchObject({
+      provider: 'resend',
+      from: 'jordan@example.com',
+      from_name: 'Jordan Lee',
+      text: 'Thursday at 10am works.',
+      thread_id: 'root@autonome.us',
+      attachments: [{ filename: 'agenda.pdf', content_type: 'application/pdf', size_bytes: 2048 }],
+    });
+    expect(message?.raw_text).toContain('Would Tuesday work?');
+  });
+
+  it('rejects replays outside the timestamp window', () => {
+    expect(() => adapter.verify(signed(staleTimestamp), now)).toThrow(InboundEmailVerificationError);
+  });
+
+  it('rejects tampered bodies', () => {
+    const tampered = { ...signed(timestamp), rawBody: Buffer.from(raw.replace('10am', '11am')) };
+    expect(() => adapter.verify(tampered, now)).toThrow('Invalid Resend webhook signature');
+  });
+
+  it('ignores other event types', () => {
+    expect(adapter.parse(request('{}', {}, { type: 'email.delivered', data: {} }))).toBeNull();
+  });
+});
+
+describe('SendGrid adapter', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const adapter = createInboundEmailAdapter('sendgrid', {
+    SENDGRID_INBOUND_WEBHOOK_PUBLIC_KEY: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+  });
+  const raw = [
+    '--xYzZY',
+    'Content-Disposition: form-data; name="from"',
+    '',
+    'jordan@example.com',
+    '--xYzZY',
+    'Content-Disposition: form-data; name="text"',
+    '',
+    'Friday afternoon?\n\nSent from my iPhone',
+    '--xYzZY',
+    'Content-Disposition: form-data; name="headers"',
+    '',
+    'Message-ID: <reply@example.com>\nIn-Reply-To: <root@autonome.us>',
+    '--xYzZY',
+    'Content-Disposition: form-data; name="attachment-info"',
+    '',
+    '{"attachment1":{"filename":"deck.pdf","type":"application/pdf"}}',
+    '--xYzZY',
+    'Content-Disposition: form-data; name="attachment1"; filename="deck.pdf"',
+    'Content-Type: application/pdf',
+    '',
+    '%PDF-1.4',
+    '--xYzZY--',
+  ].join('\r\n');
+  const sign = (ts: string): string => crypto.sign('sha256', Buffer.from(`${ts}${raw}`), privateKey).toString('base64');
+  const signed = (ts: string, signature = sign(ts)): InboundWebhookRequest => request(raw, {
+    'content-type': 'multipart/form-data; boundary=xYzZY',
+    'x-twilio-email-event-webhook-signature': signature,
+    'x-twilio-email-event-webhook-timestamp': ts,
+  });
+
+  it('verifies the ECDSA signature and parses form fields', () => {
+    expect(() => adapter.verify(signed(timestamp), now)).not.toThrow();
+    expect(adapter.parse(signed(timestamp))).toMatchObject({
+      from: 'jordan@example.com',
+      text: 'Friday afternoon?',
+      message_id: 'reply@example.com',
+      thread_id: 'root@autonome.us',
+      attachments: [{ filename: 'deck.pdf', content_type: 'application/pdf', size_bytes: 8 }],
+    });
+  });
+
+  it('rejects signatures made for another timestamp', () => {
+    expect(() => adapter.verify(signed(timestamp, sign(staleTimestamp)), now)).toThrow('Invalid SendGrid webhook signature');
+    expect(() => adapter.verify(signed(staleTimestamp), now)).toThrow('outside the allowed window');
+  });
+});
+
+describe('Mailgun adapter', () => {
+  const adapter = createInboundEmailAdapter('mailgun', { MAILGUN_WEBHOOK_SIGNING_KEY: 'mailgun-key' });
+  const fields = (ts: string, signature = hmac('mailgun-key', `${ts}token-1`, 'hex')): Record<string, string> => ({
+    timestamp: ts,
+    token: 'token-1',
+    signature,
+    from: 'Jordan <jordan@example.com>',
+    subject: 'Re: consultation',
+    'body-plain': 'Monday at 9 works\n\n> Booking reference: booking_abc123',
+    'stripped-text': 'Monday at 9 works',
+    References: '<root@autonome.us>',
+  });
+  const urlencoded = (values: Record<string, string>): InboundWebhookRequest => request(
+    new URLSearchParams(values).toString(),
+    { 'content-type': 'application/x-www-form-urlencoded' },
+    values
+  );
+
+  it('verifies the token signature and prefers stripped-text', () => {
+    const signed = urlencoded(fields(timestamp));
+
+    expect(() => adapter.verify(signed, now)).not.toThrow();
+    expect(adapter.parse(signed)).toMatchObject({
+      text: 'Monday at 9 works',
+      raw_text: 'Monday at 9 works\n\n> Booking reference: booking_abc123',
+      thread_id: 'root@autonome.us',
+    });
+  });
+
+  it('rejects wrong and stale signatures', () => {
+    expect(() => adapter.verify(urlencoded(fields(timestamp, 'deadbeef')), now)).toThrow('Invalid Mailgun webhook signature');
+    expect(() => adapter.verify(urlencoded(fields(staleTimestamp)), now)).toThrow(InboundEmailVerificationError);
+  });
+});
+
+describe('MIME adapter', () => {
+  const adapter = createInboundEmailAdapter('mime', { INBOUND_EMAIL_WEBHOOK_SECRET: 'shared' });
+  const raw = 'From: jordan@example.com\r\nSubject: Re: consultation\r\nIn-Reply-To: <root@autonome.us>\r\n\r\nTomorrow at noon?\r\n';
+
+  it('verifies the HMAC over timestamp and body', () => {
+    const signed = request(raw, {
+      'x-inbound-timestamp': timestamp,
+      'x-inbound-signature': `sha256=${hmac('shared', `${timestamp}.${raw}`, 'hex')}`,
+    });
+
+    expect(() => adapter.verify(signed, now)).not.toThrow();
+    expect(adapter.parse(signed)).toMatchObject({ from: 'jordan@example.com', text: 'Tomorrow at noon?', thread_id: 'root@autonome.us' });
+  });
+
+  it('fails closed when no secret is configured', () => {
+    expect(() => createInboundEmailAdapter('mime', {}).verify(request(raw, {}), now)).toThrow('not configured');
+  });
+});
+
+describe('JSON adapter', () => {
+  it('keeps the shared secret header check and the original payload shape', () => {
+    const adapter = createInboundEmailAdapter('json', { INBOUND_EMAIL_WEBHOOK_SECRET: 'shared' });
+    const payload = { from: 'Jordan@Example.com', text: 'Works for me', thread_id: 'thread-1' };
+
+    expect(() => adapter.verify(request('', { 'x-booking-webhook-secret': 'wrong' }, payload), now)).toThrow(InboundEmailVerificationError);
+    expect(() => adapter.verify(request('', { 'x-booking-webhook-secret': 'shared' }, payload), now)).not.toThrow();
+    expect(adapter.parse(request('', {}, payload))).toMatchObject({ from: 'jordan@example.com', text: 'Works for me', thread_id: 'thread-1' });
+  });
+});
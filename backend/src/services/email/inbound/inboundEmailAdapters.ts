@@ -0,0 +1,37 @@
+/**
+ * Inbound Email Adapter Registry
+ *
+ * Maps the provider segment of POST /api/booking/inbound-email/:provider to an adapter
+ * configured from the environment.
+ */
+
+import type { IInboundEmailAdapter, InboundEmailProviderName } from './IInboundEmailAdapter.js';
+import { JsonInboundAdapter } from './JsonInboundAdapter.js';
+import { MailgunInboundAdapter } from './MailgunInboundAdapter.js';
+import { MimeInboundAdapter } from './MimeInboundAdapter.js';
+import { ResendInboundAdapter } from './ResendInboundAdapter.js';
+import { SendGridInboundAdapter } from './SendGridInboundAdapter.js';
+
+export const INBOUND_EMAIL_PROVIDERS: readonly InboundEmailProviderName[] = ['json', 'resend', 'sendgrid', 'mailgun', 'mime'];
+
+export function isInboundEmailProvider(value: unknown): value is InboundEmailProviderName {
+  return typeof value === 'string' && (INBOUND_EMAIL_PROVIDERS as readonly string[]).includes(value);
+}
+
+export function createInboundEmailAdapter(
+  provider: InboundEmailProviderName,
+  env: NodeJS.ProcessEnv = process.env
+): IInboundEmailAdapter {
+  switch (provider) {
+    case 'resend':
+      return new ResendInboundAdapter(env['RESEND_INBOUND_WEBHOOK_SECRET']);
+    case 'sendgrid':
+      return new SendGridInboundAdapter(env['SENDGRID_INBOUND_WEBHOOK_PUBLIC_KEY']);
+    case 'mailgun':
+      return new MailgunInboundAdapter(env['MAILGUN_WEBHOOK_SIGNING_KEY']);
+    case 'mime':
+      return new MimeInboundAdapter(env['INBOUND_EMAIL_WEBHOOK_SECRET']);
+    case 'json':
+      return new JsonInboundAdapter(env['INBOUND_EMAIL_WEBHOOK_SECRET']);
+  }
+}
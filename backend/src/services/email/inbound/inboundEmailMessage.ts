@@ -0,0 +1,91 @@
+/**
+ * Inbound Email Normalization
+ *
+ * Turns the fields an adapter pulled out of a provider payload into an InboundEmailMessage:
+ * parses addresses and threading headers and cleans the reply body.
+ */
+
+import {
+  InboundEmailParseError,
+  type InboundEmailAttachment,
+  type InboundEmailMessage,
+  type InboundEmailProviderName,
+} from './IInboundEmailAdapter.js';
+import { parseEmailAddress, parseEmailAddressList, parseMessageIds, type MimeHeaders } from './mimeParser.js';
+import { cleanInboundReply } from './replyCleaner.js';
+
+export function readString(value: unknown): string | undefined {
+  return typeof value === 'string' ? value : undefined;
+}
+
+export interface InboundEmailFields {
+  from?: string;
+  to?: string | string[];
+  subject?: string;
+  text?: string;
+  /** Full body when `text` was already trimmed by the provider */
+  rawText?: string;
+  html?: string;
+  /** Explicit thread id (custom JSON payloads); otherwise derived from References */
+  threadId?: string;
+  messageId?: string;
+  inReplyTo?: string;
+  references?: string;
+  attachments?: InboundEmailAttachment[];
+}
+
+/**
+ * Threading fields from a parsed header block
+ */
+export function threadingFieldsFromHeaders(
+  headers: MimeHeaders
+): Pick<InboundEmailFields, 'messageId' | 'inReplyTo' | 'references'> {
+  return {
+    messageId: headers['message-id'],
+    inReplyTo: headers['in-reply-to'],
+    references: headers['references'],
+  };
+}
+
+export function buildInboundEmailMessage(
+  provider: InboundEmailProviderName,
+  fields: InboundEmailFields
+): InboundEmailMessage {
+  const sender = parseEmailAddress(fields.from);
+
+  if (!sender) {
+    throw new InboundEmailParseError('Inbound email has no sender address');
+  }
+
+  const rawText = fields.rawText ?? fields.text;
+  const cleaned = cleanInboundReply({ text: fields.text, html: fields.html });
+
+  if (!cleaned.text) {
+    throw new InboundEmailParseError('Inbound email has no body');
+  }
+
+  const recipients = Array.isArray(fields.to)
+    ? fields.to.flatMap((entry) => parseEmailAddressList(entry))
+    : parseEmailAddressList(fields.to);
+  const messageId = parseMessageIds(fields.messageId)[0];
+  const inReplyTo = parseMessageIds(fields.inReplyTo)[0];
+  const references = parseMessageIds(fields.references);
+  // The root of the References chain identifies the thread across every reply
+  const threadId = fields.threadId?.trim() || references[0] || inReplyTo;
+
+  return {
+    provider,
+    from: sender.address,
+    ...(sender.name ? { from_name: sender.name } : {}),
+    to: recipients.map((recipient) => recipient.address),
+    ...(fields.subject?.trim() ? { subject: fields.subject.trim() } : {}),
+    text: cleaned.text,
+    ...(rawText?.trim() ? { raw_text: rawText } : {}),
+    ...(fields.html?.trim() ? { html: fields.html } : {}),
+    ...(threadId ? { thread_id: threadId } : {}),
+    ...(messageId ? { message_id: messageId } : {}),
+    ...(inReplyTo ? { in_reply_to: inReplyTo } : {}),
+    references,
+    attachments: fields.attachments ?? [],
+  };
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  decodeEncodedWords,
+  parseEmailAddress,
+  parseEmailAddressList,
+  parseMessageIds,
+  parseMimeMessage,
+  parseMultipartFormData,
+} from './mimeParser.js';
+
+const rawMessage = [
+  'From: "Lee, Jordan" <Jordan@Example.com>',
+  'To: booking@autonome.us',
+  'Subject: =?utf-8?B?UmU6IFlvdXIgY29uc3VsdGF0aW9u?=',
+  'Message-ID: <reply-2@example.com>',
+  'References: <root-1@autonome.us>',
+  '  <reply-1@example.com>',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  'preamble',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary=inner',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Tuesday at 2pm works =E2=80=94 thanks!',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Tuesday at 2pm works</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf; name="brief.pdf"',
+  'Content-Disposition: attachment; filename="brief.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  'JVBERi0xLjQK',
+  '--outer--',
+  '',
+].join('\r\n');
+
+describe('parseMimeMessage', () => {
+  it('reads headers, bodies and attachment metadata from nested multiparts', () => {
+    const message = parseMimeMessage(rawMessage);
+
+    expect(message.headers['subject']).toBe('Re: Your consultation');
+    expect(message.headers['references']).toBe('<root-1@autonome.us> <reply-1@example.com>');
+    expect(message.text).toBe('Tuesday at 2pm works — thanks!');
+    expect(message.html).toBe('<p>Tuesday at 2pm works</p>');
+    expect(message.attachments).toEqual([
+      { filename: 'brief.pdf', content_type: 'application/pdf', size_bytes: 9 },
+    ]);
+  });
+
+  it('reads a single-part message', () => {
+    const message = parseMimeMessage('From: a@example.com\nSubject: Hi\n\nPlain body\n');
+
+    expect(message.text).toBe('Plain body\n');
+    expect(message.attachments).toEqual([]);
+  });
+});
+
+describe('parseMultipartFormData', () => {
+  it('separates text fields from uploaded files', () => {
+    const body = [
+      '--form',
+      'Content-Disposition: form-data; name="from"',
+      '',
+      'Jordan <jordan@example.com>',
+      '--form',
+      'Content-Disposition: form-data; name="attachment1"; filename="notes.txt"',
+      'Content-Type: text/plain',
+      '',
+      'hello',
+      '--form--',
+    ].join('\r\n');
+    const form = parseMultipartFormData(body, 'multipart/form-data; boundary=form');
+
+    expect(form.fields).toEqual({ from: 'Jordan <jordan@example.com>' });
+    expect(form.files).toEqual([
+      { field: 'attachment1', filename: 'notes.txt', content_type: 'text/plain', size_bytes: 5 },
+    ]);
+  });
+});
+
+describe('address and header helpers', () => {
+  it('decodes quoted-printable encoded words', () => {
+    expect(decodeEncodedWords('=?iso-8859-1?Q?Caf=E9_hours?=')).toBe('Café hours');
+  });
+
+  it('parses display names and address lists', () => {
+    expect(parseEmailAddress('"Lee, Jordan" <Jordan@Example.com>')).toEqual({ name: 'Lee, Jordan', address: 'jordan@example.com' });
+    expect(parseEmailAddressList('"Lee, Jordan" <j@example.com>, sam@example.com').map((entry) => entry.address))
+      .toEqual(['j@example.com', 'sam@example.com']);
+  });
+
+  it('parses message id lists', () => {
+    expect(parseMessageIds('<a@x> <b@y>')).toEqual(['a@x', 'b@y']);
+  });
+});
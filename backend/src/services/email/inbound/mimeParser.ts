@@ -0,0 +1,350 @@
+/**
+ * MIME Parsing
+ *
+ * Minimal RFC 822 / MIME reader for inbound email webhooks: header unfolding, encoded words,
+ * base64 and quoted-printable bodies, nested multipart messages and multipart/form-data
+ * uploads (SendGrid Inbound Parse, Mailgun routes). Attachments are reduced to metadata;
+ * their content is never kept.
+ */
+
+import { TextDecoder } from 'util';
+import type { InboundEmailAttachment } from './IInboundEmailAdapter.js';
+
+export type MimeHeaders = Record<string, string>;
+
+export interface ParsedMimeMessage {
+  headers: MimeHeaders;
+  text?: string;
+  html?: string;
+  attachments: InboundEmailAttachment[];
+}
+
+export interface ParsedFormData {
+  fields: Record<string, string>;
+  files: Array<InboundEmailAttachment & { field: string }>;
+}
+
+export interface EmailAddress {
+  name?: string;
+  address: string;
+}
+
+const MAX_MULTIPART_DEPTH = 10;
+
+function findHeaderEnd(buffer: Buffer): { headerEnd: number; bodyStart: number } {
+  const crlf = buffer.indexOf('\r\n\r\n');
+  const lf = buffer.indexOf('\n\n');
+
+  if (crlf !== -1 && (lf === -1 || crlf < lf)) {
+    return { headerEnd: crlf, bodyStart: crlf + 4 };
+  }
+
+  if (lf !== -1) {
+    return { headerEnd: lf, bodyStart: lf + 2 };
+  }
+
+  return { headerEnd: buffer.length, bodyStart: buffer.length };
+}
+
+/**
+ * Unfold and parse a header block. Names are lower-cased; the first occurrence of a header wins.
+ */
+export function parseHeaderBlock(block: string): MimeHeaders {
+  const headers: MimeHeaders = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+
+    if (separator <= 0) {
+      continue;
+    }
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+
+    if (!(name in headers)) {
+      headers[name] = decodeEncodedWords(line.slice(separator + 1).trim());
+    }
+  }
+
+  return headers;
+}
+
+export function decodeCharset(buffer: Buffer, charset?: string): string {
+  const label = charset?.trim().toLowerCase() || 'utf-8';
+
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?utf-8?B?SGk=?=") in a header value
+ */
+export function decodeEncodedWords(value: string): string {
+  return value
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_match, charset: string, encoding: string, text: string) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+
+      return decodeCharset(bytes, charset);
+    });
+}
+
+export function decodeQuotedPrintable(value: string): Buffer {
+  const softBreaksRemoved = value.replace(/=\r?\n/g, '');
+  const bytes: number[] = [];
+
+  for (let index = 0; index < softBreaksRemoved.length; index += 1) {
+    const char = softBreaksRemoved[index];
+    const hex = softBreaksRemoved.slice(index + 1, index + 3);
+
+    if (char === '=' && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      index += 2;
+    } else {
+      bytes.push(...Buffer.from(char ?? '', 'utf8'));
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodeTransferEncoding(body: Buffer, encoding: string | undefined): Buffer {
+  switch (encoding?.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.toString('latin1').replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body.toString('latin1'));
+    default:
+      return body;
+  }
+}
+
+/**
+ * A parameter of a structured header (`boundary` of Content-Type, `filename` of
+ * Content-Disposition), including RFC 2231 extended values like filename*=utf-8''report.pdf
+ */
+export function getHeaderParameter(value: string | undefined, parameter: string): string | undefined {
+  if (!value) {
+    return undefined;
+  }
+
+  const name = parameter.toLowerCase();
+  const extended = value.match(new RegExp(`;\\s*${name}\\*=([^';]*)'[^']*'([^;]*)`, 'i'));
+
+  if (extended?.[2] !== undefined) {
+    try {
+      return decodeCharset(Buffer.from(decodeURIComponent(extended[2].trim()), 'utf8'), extended[1]);
+    } catch {
+      return extended[2].trim();
+    }
+  }
+
+  const plain = value.match(new RegExp(`;\\s*${name}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;\\s]*))`, 'i'));
+  const raw = plain?.[1]?.replace(/\\(.)/g, '$1') ?? plain?.[2];
+
+  return raw === undefined ? undefined : decodeEncodedWords(raw);
+}
+
+function getMediaType(contentType: string | undefined): string {
+  return (contentType?.split(';')[0] ?? '').trim().toLowerCase() || 'text/plain';
+}
+
+/**
+ * Split a multipart body on its boundary, dropping the preamble and epilogue
+ */
+function splitMultipart(body: Buffer, boundary: string): Buffer[] {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts: Buffer[] = [];
+  let position = body.indexOf(delimiter);
+
+  while (position !== -1) {
+    let partStart = position + delimiter.length;
+
+    // Closing delimiter "--boundary--"
+    if (body.subarray(partStart, partStart + 2).toString() === '--') {
+      break;
+    }
+
+    partStart = body.indexOf('\n', partStart) + 1;
+
+    if (partStart === 0) {
+      break;
+    }
+
+    const next = body.indexOf(delimiter, partStart);
+    const partEnd = next === -1 ? body.length : next;
+    let trimmedEnd = partEnd;
+
+    // The line break before a delimiter belongs to the delimiter
+    if (body[trimmedEnd - 1] === 0x0a) {
+      trimmedEnd -= body[trimmedEnd - 2] === 0x0d ? 2 : 1;
+    }
+
+    parts.push(body.subarray(partStart, Math.max(partStart, trimmedEnd)));
+    position = next;
+  }
+
+  return parts;
+}
+
+function toBuffer(raw: Buffer | string): Buffer {
+  return typeof raw === 'string' ? Buffer.from(raw, 'utf8') : raw;
+}
+
+function walkMimePart(part: Buffer, message: ParsedMimeMessage, depth: number): void {
+  const { headerEnd, bodyStart } = findHeaderEnd(part);
+  const headers = parseHeaderBlock(part.subarray(0, headerEnd).toString('utf8'));
+  const contentType = headers['content-type'];
+  const mediaType = getMediaType(contentType);
+  const disposition = headers['content-disposition'];
+  const body = part.subarray(bodyStart);
+
+  if (mediaType.startsWith('multipart/') && depth < MAX_MULTIPART_DEPTH) {
+    const boundary = getHeaderParameter(contentType, 'boundary');
+
+    if (boundary) {
+      for (const child of splitMultipart(body, boundary)) {
+        walkMimePart(child, message, depth + 1);
+      }
+      return;
+    }
+  }
+
+  const decoded = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+  const filename = getHeaderParameter(disposition, 'filename') ?? getHeaderParameter(contentType, 'name');
+  const isAttachment = Boolean(filename) || /^\s*attachment/i.test(disposition ?? '');
+
+  if (!isAttachment && mediaType === 'text/plain' && message.text === undefined) {
+    message.text = decodeCharset(decoded, getHeaderParameter(contentType, 'charset'));
+    return;
+  }
+
+  if (!isAttachment && mediaType === 'text/html' && message.html === undefined) {
+    message.html = decodeCharset(decoded, getHeaderParameter(contentType, 'charset'));
+    return;
+  }
+
+  if (isAttachment || !mediaType.startsWith('text/')) {
+    const contentId = headers['content-id']?.replace(/^<|>$/g, '');
+
+    message.attachments.push({
+      filename: filename || (mediaType === 'message/rfc822' ? 'forwarded-message.eml' : 'attachment'),
+      content_type: mediaType,
+      size_bytes: decoded.length,
+      ...(contentId ? { content_id: contentId } : {}),
+      ...(/^\s*inline/i.test(disposition ?? '') ? { inline: true } : {}),
+    });
+  }
+}
+
+/**
+ * Parse a raw RFC 822 message into its headers, first text/plain and text/html bodies and
+ * attachment metadata
+ */
+export function parseMimeMessage(raw: Buffer | string): ParsedMimeMessage {
+  const buffer = toBuffer(raw);
+  const { headerEnd } = findHeaderEnd(buffer);
+  const message: ParsedMimeMessage = {
+    headers: parseHeaderBlock(buffer.subarray(0, headerEnd).toString('utf8')),
+    attachments: [],
+  };
+
+  walkMimePart(buffer, message, 0);
+  return message;
+}
+
+/**
+ * Parse a multipart/form-data request body. Text fields are decoded as UTF-8 unless the
+ * part names a charset; uploaded files are reduced to attachment metadata.
+ */
+export function parseMultipartFormData(body: Buffer | string, contentType: string | undefined): ParsedFormData {
+  const boundary = getHeaderParameter(contentType, 'boundary');
+  const form: ParsedFormData = { fields: {}, files: [] };
+
+  if (!boundary) {
+    return form;
+  }
+
+  for (const part of splitMultipart(toBuffer(body), boundary)) {
+    const { headerEnd, bodyStart } = findHeaderEnd(part);
+    const headers = parseHeaderBlock(part.subarray(0, headerEnd).toString('utf8'));
+    const disposition = headers['content-disposition'];
+    const field = getHeaderParameter(disposition, 'name');
+    const filename = getHeaderParameter(disposition, 'filename');
+    const content = decodeTransferEncoding(part.subarray(bodyStart), headers['content-transfer-encoding']);
+
+    if (!field) {
+      continue;
+    }
+
+    if (filename !== undefined) {
+      form.files.push({
+        field,
+        filename: filename || field,
+        content_type: getMediaType(headers['content-type'] ?? 'application/octet-stream'),
+        size_bytes: content.length,
+      });
+    } else {
+      form.fields[field] = decodeCharset(content, getHeaderParameter(headers['content-type'], 'charset'));
+    }
+  }
+
+  return form;
+}
+
+/**
+ * Parse one address ("Jane Doe <jane@example.com>", "jane@example.com")
+ */
+export function parseEmailAddress(value: string | undefined): EmailAddress | null {
+  const trimmed = value?.trim();
+
+  if (!trimmed) {
+    return null;
+  }
+
+  const angle = trimmed.match(/^(.*?)<\s*([^<>\s]+@[^<>\s]+)\s*>\s*$/);
+
+  if (angle?.[2]) {
+    const name = angle[1]?.trim().replace(/^"(.*)"$/, '$1').trim();
+    return { address: angle[2].toLowerCase(), ...(name ? { name } : {}) };
+  }
+
+  const bare = trimmed.match(/[^\s<>(),;:"]+@[^\s<>(),;:"]+/);
+  return bare ? { address: bare[0].toLowerCase() } : null;
+}
+
+/**
+ * Parse a comma-separated address list, ignoring commas inside quoted display names
+ */
+export function parseEmailAddressList(value: string | undefined): EmailAddress[] {
+  if (!value) {
+    return [];
+  }
+
+  return (value.match(/(?:"[^"]*"|[^,])+/g) ?? [])
+    .map((entry) => parseEmailAddress(entry))
+    .filter((address): address is EmailAddress => address !== null);
+}
+
+/**
+ * Message ids from a Message-ID / In-Reply-To / References header, without angle brackets
+ */
+export function parseMessageIds(value: string | undefined): string[] {
+  if (!value) {
+    return [];
+  }
+
+  const bracketed = value.match(/<[^<>\s]+>/g);
+
+  if (bracketed) {
+    return bracketed.map((id) => id.slice(1, -1));
+  }
+
+  return value.split(/\s+/).filter(Boolean);
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from '@jest/globals';
+import { cleanInboundReply, htmlToText } from './replyCleaner.js';
+
+describe('cleanInboundReply', () => {
+  it('drops Gmail quoted history, including wrapped intro lines', () => {
+    const cleaned = cleanInboundReply({
+      text: 'Tuesday at 2pm works.\n\nOn Mon, Oct 19, 2026 at 9:00 AM Autonome <\nbooking@autonome.us> wrote:\n> Would Tuesday work?',
+    });
+
+    expect(cleaned).toEqual({ text: 'Tuesday at 2pm works.', stripped_quote: true, stripped_signature: false });
+  });
+
+  it('drops Outlook header blocks', () => {
+    const cleaned = cleanInboundReply({
+      text: 'Friday is better.\n\nFrom: Autonome <booking@autonome.us>\nSent: Monday, October 19, 2026 9:00 AM\nSubject: Re: consultation',
+    });
+
+    expect(cleaned.text).toBe('Friday is better.');
+  });
+
+  it('drops signatures and mobile footers', () => {
+    expect(cleanInboundReply({ text: 'Sounds good\n\n-- \nJordan Lee\nVP Ops' }).text).toBe('Sounds good');
+    expect(cleanInboundReply({ text: 'Yes please\n\nSent from my iPhone' })).toEqual({
+      text: 'Yes please',
+      stripped_quote: false,
+      stripped_signature: true,
+    });
+  });
+
+  it('keeps interleaved replies but removes the quoted lines', () => {
+    expect(cleanInboundReply({ text: '> Which day?\nThursday\n> What time?\nAfternoon' }).text).toBe('Thursday\nAfternoon');
+  });
+
+  it('falls back to the HTML body without its quote', () => {
+    const cleaned = cleanInboundReply({
+      html: '<div>Monday at 10&nbsp;am</div><div class="gmail_quote">On Sun wrote:<blockquote>old</blockquote></div>',
+    });
+
+    expect(cleaned.text).toBe('Monday at 10 am');
+  });
+});
+
+describe('htmlToText', () => {
+  it('turns line-level tags into newlines and decodes entities', () => {
+    expect(htmlToText('<p>Hi &amp; thanks</p><p>Line<br>two</p>')).toBe('Hi & thanks\nLine\ntwo');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Reply Cleaning
+ *
+ * Reduces an inbound email to what the customer just wrote: quoted history ("On … wrote:",
+ * Outlook header blocks, "> " lines) and signatures ("-- ", "Sent from my iPhone") are removed
+ * before the body reaches the AI.
+ */
+
+export interface CleanedReply {
+  text: string;
+  stripped_quote: boolean;
+  stripped_signature: boolean;
+}
+
+const QUOTE_INTRO_PATTERNS = [
+  /^on\b.*\bwrote:\s*$/i,
+  /^le\b.*\ba écrit\s*:?\s*$/i,
+  /^am\b.*\bschrieb\b.*:\s*$/i,
+  /^el\b.*\bescribió:?\s*$/i,
+  /^-{2,}\s*original message\s*-{2,}/i,
+  /^-{2,}\s*forwarded message\s*-{2,}/i,
+  /^_{10,}\s*$/,
+];
+
+const SIGNATURE_PATTERNS = [
+  /^--\s*$/,
+  /^sent from my \w+/i,
+  /^sent from (?:outlook|mail|yahoo mail|gmail)\b/i,
+  /^get outlook for \w+/i,
+];
+
+/**
+ * Gmail wraps long "On <date> <name> <address> wrote:" lines; look ahead one line
+ */
+function isQuoteIntro(lines: string[], index: number): boolean {
+  const line = lines[index]?.trim() ?? '';
+
+  if (QUOTE_INTRO_PATTERNS.some((pattern) => pattern.test(line))) {
+    return true;
+  }
+
+  if (/^on\b/i.test(line) && /^[^\n]*wrote:\s*$/i.test(lines[index + 1]?.trim() ?? '')) {
+    return true;
+  }
+
+  // Outlook: "From: …" followed by "Sent:" / "Date:" within the next few lines
+  if (/^\*?from:\*?\s/i.test(line)) {
+    return lines.slice(index + 1, index + 4).some((next) => /^\*?(?:sent|date):\*?\s/i.test(next.trim()));
+  }
+
+  return false;
+}
+
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<blockquote[^>]*>[\s\S]*?<\/blockquote>/gi, '\n> \n')
+    .replace(/<div[^>]*class="[^"]*(?:gmail_quote|moz-cite-prefix)[^"]*"[^>]*>[\s\S]*$/i, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Strip quoted history and the signature from a reply. Falls back to the HTML body when
+ * there is no text part.
+ */
+export function cleanInboundReply(body: { text?: string; html?: string }): CleanedReply {
+  const source = body.text?.trim() ? body.text : htmlToText(body.html ?? '');
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+  const kept: string[] = [];
+  let strippedQuote = false;
+  let strippedSignature = false;
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index] ?? '';
+    const trimmed = line.trim();
+
+    if (isQuoteIntro(lines, index)) {
+      strippedQuote = true;
+      break;
+    }
+
+    if (SIGNATURE_PATTERNS.some((pattern) => pattern.test(trimmed))) {
+      strippedSignature = true;
+      break;
+    }
+
+    if (trimmed.startsWith('>')) {
+      strippedQuote = true;
+      continue;
+    }
+
+    kept.push(line.replace(/\s+$/, ''));
+  }
+
+  const text = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return {
+    // A reply that is nothing but a quote is better passed through than dropped
+    text: text || source.trim(),
+    stripped_quote: strippedQuote,
+    stripped_signature: strippedSignature,
+  };
+}
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { InboundEmailVerificationError, type InboundWebhookRequest } from './IInboundEmailAdapter.js';
+
+/**
+ * Webhook Verification Helpers
+ * Shared by the inbound email adapters: header lookup, constant-time comparison and the
+ * timestamp window that rejects replayed deliveries.
+ */
+
+/** How far a signed timestamp may drift from now before the delivery is treated as a replay */
+export const INBOUND_WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+export function getHeader(request: InboundWebhookRequest, name: string): string | undefined {
+  const value = request.headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export function timingSafeEqualString(left: string, right: string): boolean {
+  const leftBuffer = Buffer.from(left);
+  const rightBuffer = Buffer.from(right);
+
+  return leftBuffer.length === rightBuffer.length && crypto.timingSafeEqual(leftBuffer, rightBuffer);
+}
+
+/**
+ * Reject timestamps (Unix seconds) outside the tolerance window in either direction
+ */
+export function assertFreshTimestamp(
+  timestamp: string | undefined,
+  now: Date,
+  toleranceSeconds = INBOUND_WEBHOOK_TOLERANCE_SECONDS
+): void {
+  const seconds = Number(timestamp);
+
+  if (!timestamp || !Number.isFinite(seconds)) {
+    throw new InboundEmailVerificationError('Missing or invalid webhook timestamp');
+  }
+
+  if (Math.abs(now.getTime() / 1000 - seconds) > toleranceSeconds) {
+    throw new InboundEmailVerificationError('Webhook timestamp is outside the allowed window');
+  }
+}
+
+export function requireSecret<T>(secret: T | undefined | null | '', provider: string): T {
+  if (!secret) {
+    throw new InboundEmailVerificationError(`${provider} inbound webhook secret is not configured`);
+  }
+
+  return secret;
+}
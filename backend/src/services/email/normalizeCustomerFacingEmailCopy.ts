@@ -1,7 +1,13 @@
+import { removeAvoidWords } from '../llm/toneOfVoice.js';
+
 const BOOKING_LINK = 'https://booking.autonome.us/';
 const PUBLIC_REPLY_ADDRESS = 'booking@autonome.us';
 
-export function normalizeCustomerFacingEmailCopy(content: string): string {
+/**
+ * Post-process AI-written copy before a customer sees it: fill placeholder links, replace
+ * non-company addresses and rewrite words the tone_of_voice config says to avoid.
+ */
+export function normalizeCustomerFacingEmailCopy(content: string, avoidWords: readonly string[] = []): string {
   let normalized = content || '';
 
   normalized = normalized.replace(
@@ -14,6 +20,8 @@ export function normalizeCustomerFacingEmailCopy(content: string): string {
     PUBLIC_REPLY_ADDRESS
   );
 
+  normalized = removeAvoidWords(normalized, avoidWords);
+
   return normalized.trim();
 }
 
@@ -0,0 +1,239 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { dispatchSideEffect } from '../outbox/outbox.js';
+import { normalizeCustomerFacingEmailCopy } from './normalizeCustomerFacingEmailCopy.js';
+import { buildThreadRootMessageId, getMessageIdDomain } from './emailThreading.js';
+import { logger } from '../../utils/logger.js';
+import { getServiceConfig } from '../../utils/config.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import { recordConversationTurn } from '../conversation/conversationStore.js';
+
+export type ApprovedEmailSource = 'slack_approval' | 'auto_approval';
+
+/**
+ * Minimal shape of the Slack approval card, used to recover the draft
+ * when the booking row cannot be found.
+ */
+export interface ApprovalFallbackMessage {
+  blocks?: Array<{
+    text?: {
+      text?: string;
+    };
+    fields?: Array<{
+      text?: string;
+    }>;
+  }>;
+}
+
+interface BookingEmailRecord {
+  id?: string;
+  processing_id: string;
+  email_from: string;
+  customer_name: string | null;
+  company_name: string | null;
+  drafted_email: string | null;
+  email_thread_id?: string | null;
+}
+
+function buildBookingEmailSubject(booking: BookingEmailRecord): string {
+  const companyName = booking.company_name?.trim();
+  const bookingReference = `[${booking.processing_id}]`;
+
+  if (companyName) {
+    return `Your Autonome consultation request for ${companyName} ${bookingReference}`;
+  }
+
+  return `Your Autonome consultation request ${bookingReference}`;
+}
+
+function buildBookingEmailBody(booking: BookingEmailRecord): string {
+  const baseBody = normalizeCustomerFacingEmailCopy(
+    booking.drafted_email?.trim() || '',
+    getConfigSection('tone_of_voice').avoid_words
+  );
+  const footer = `\n\nBooking reference: ${booking.processing_id}\nReply directly to this email to continue scheduling with Autonome.`;
+  return `${baseBody}${footer}`;
+}
+
+function extractFallbackBookingFromSlackMessage(
+  message: ApprovalFallbackMessage | undefined,
+  bookingId: string
+): BookingEmailRecord | null {
+  if (!message?.blocks?.length) {
+    return null;
+  }
+
+  let recipient: string | null = null;
+  let draftedEmail: string | null = null;
+  let customerName: string | null = null;
+  let companyName: string | null = null;
+
+  for (const block of message.blocks) {
+    if (Array.isArray(block.fields)) {
+      for (const field of block.fields) {
+        const text = field?.text || '';
+        const emailMatch = text.match(/\*Email:\*\s+([^\s]+)/);
+        if (emailMatch?.[1]) {
+          recipient = emailMatch[1].trim();
+        }
+
+        const customerMatch = text.match(/\*Customer:\*\s+(.+)/);
+        if (customerMatch?.[1]) {
+          customerName = customerMatch[1].trim();
+        }
+
+        const companyMatch = text.match(/\*Company:\*\s+(.+)/);
+        if (companyMatch?.[1] && companyMatch[1] !== 'Not specified') {
+          companyName = companyMatch[1].trim();
+        }
+      }
+    }
+
+    const blockText = block.text?.text || '';
+    if (blockText.includes('DRAFTED EMAIL RESPONSE:')) {
+      draftedEmail = blockText.replace(/^[\s\S]*DRAFTED EMAIL RESPONSE:\*\n*/u, '').trim();
+    }
+  }
+
+  if (!recipient || !draftedEmail) {
+    return null;
+  }
+
+  return {
+    processing_id: bookingId,
+    email_from: recipient,
+    customer_name: customerName,
+    company_name: companyName,
+    drafted_email: draftedEmail,
+    email_thread_id: null,
+  };
+}
+
+async function resolveBookingEmailRecord(
+  supabase: SupabaseClient,
+  bookingId: string,
+  fallbackMessage?: ApprovalFallbackMessage
+): Promise<BookingEmailRecord> {
+  const { data: bookings, error } = await supabase
+    .from('booking_inquiries')
+    .select('id, processing_id, email_from, customer_name, company_name, drafted_email, email_thread_id, updated_at')
+    .eq('processing_id', bookingId)
+    .order('updated_at', { ascending: false })
+    .limit(5);
+
+  if (error) {
+    throw new Error(`Booking lookup failed for email send: ${error.message}`);
+  }
+
+  if (Array.isArray(bookings) && bookings.length > 0) {
+    const preferredRecord = bookings.find(
+      (record) =>
+        Boolean((record as BookingEmailRecord).email_from)
+        && Boolean((record as BookingEmailRecord).drafted_email?.trim())
+    ) || bookings[0];
+
+    return preferredRecord as BookingEmailRecord;
+  }
+
+  const fallbackBooking = extractFallbackBookingFromSlackMessage(fallbackMessage, bookingId);
+  if (fallbackBooking) {
+    logger.warn(`Using Slack thread fallback email context for booking ${bookingId}`);
+    return fallbackBooking;
+  }
+
+  throw new Error(`Booking not found for email send: ${bookingId}`);
+}
+
+/**
+ * Send the approved drafted email for a booking and mark the booking as sent.
+ * Used by the Slack approve button and by automatic approvals. The send goes through
+ * the outbox, so while the email service is down the email is queued and the booking
+ * stays `approved` until the outbox worker delivers it.
+ */
+export async function sendApprovedBookingEmail(
+  bookingId: string,
+  fallbackMessage?: ApprovalFallbackMessage,
+  source: ApprovedEmailSource = 'slack_approval'
+): Promise<{ fromAddress: string | null; messageId: string | null; queued: boolean }> {
+  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+  if (!supabase) {
+    throw new Error('Database service not available');
+  }
+
+  const booking = await resolveBookingEmailRecord(supabase, bookingId, fallbackMessage);
+
+  if (!booking.drafted_email?.trim()) {
+    throw new Error(`No drafted email content available for booking ${bookingId}`);
+  }
+
+  // Replies reference the thread root first, so inbound thread_id lookups land on this booking
+  const threadToken = booking.email_thread_id?.trim()
+    || buildThreadRootMessageId(booking.processing_id, getMessageIdDomain(getServiceConfig('email').fromAddress));
+
+  const dispatch = await dispatchSideEffect({
+    kind: 'email',
+    context: `${source === 'slack_approval' ? 'slack_approved_booking' : 'auto_approved_booking'}:${bookingId}`,
+    payload: {
+      to: [booking.email_from],
+      subject: buildBookingEmailSubject(booking),
+      text: buildBookingEmailBody(booking),
+      booking_reference: booking.processing_id,
+    },
+  });
+
+  if (!dispatch.delivered && !dispatch.queued) {
+    throw new Error(dispatch.error || `Approved email could not be sent for booking ${bookingId}`);
+  }
+
+  const emailResult = {
+    fromAddress: typeof dispatch.result?.['from_address'] === 'string' ? dispatch.result['from_address'] : null,
+    messageId: typeof dispatch.result?.['message_id'] === 'string' ? dispatch.result['message_id'] : null,
+    queued: !dispatch.delivered,
+  };
+
+  if (emailResult.queued) {
+    logger.warn(`Approved email for booking ${bookingId} queued for retry: ${dispatch.error}`, {
+      outboxId: dispatch.outboxId,
+      recipient: booking.email_from,
+      source,
+    });
+  } else {
+    logger.info(`Approved email accepted by Resend for booking ${bookingId}`, {
+      messageId: emailResult.messageId,
+      recipient: booking.email_from,
+      source,
+    });
+  }
+
+  if (booking.id) {
+    await recordConversationTurn(supabase, {
+      bookingInquiryId: booking.id,
+      threadId: threadToken,
+      direction: 'outbound',
+      content: normalizeCustomerFacingEmailCopy(booking.drafted_email, getConfigSection('tone_of_voice').avoid_words),
+      metadata: { source },
+    });
+  }
+
+  let updateError: { message?: string } | null = null;
+
+  if (booking.id) {
+    const updateResult = await supabase
+      .from('booking_inquiries')
+      .update({
+        status: emailResult.queued ? 'approved' : 'sent',
+        email_thread_id: threadToken,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', booking.id);
+
+    updateError = updateResult.error;
+  }
+
+  if (updateError) {
+    logger.error(`Email sent but failed to update status for booking ${bookingId}:`, updateError);
+  }
+
+  return emailResult;
+}
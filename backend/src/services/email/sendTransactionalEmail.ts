@@ -8,6 +8,8 @@ export interface SendTransactionalEmailOptions {
   subject: string;
   text: string;
   context: string;
+  /** Extra MIME headers, e.g. Message-ID / In-Reply-To / References for threading */
+  headers?: Record<string, string>;
 }
 
 export interface SendTransactionalEmailResult {
@@ -54,6 +56,7 @@ export async function sendTransactionalEmail(
     subject: options.subject,
     text: options.text,
     replyTo: fromAddress,
+    ...(options.headers ? { headers: options.headers } : {}),
   });
 
   if (sendResult.error) {
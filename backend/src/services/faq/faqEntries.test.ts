@@ -0,0 +1,71 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildFaqEmbeddingText, formatFaqContext, validateFaqEntryInput, type FaqEntry } from './faqEntries.js';
+
+const existing: FaqEntry = {
+  id: 'faq-1',
+  question: 'Do you offer fixed-price projects?',
+  answer: 'Yes, after a paid discovery phase.',
+  category: 'pricing',
+  tags: ['pricing'],
+  priority: 1,
+  is_active: true,
+};
+
+describe('validateFaqEntryInput', () => {
+  it('requires a question and an answer on create', () => {
+    expect(validateFaqEntryInput({ question: '  ' })).toEqual({
+      valid: false,
+      errors: ['question is required', 'answer is required'],
+    });
+  });
+
+  it('normalizes tags and applies defaults', () => {
+    const result = validateFaqEntryInput({
+      question: 'What does onboarding cost?',
+      answer: 'Onboarding is included.',
+      tags: [' Pricing', 'pricing', 'Onboarding'],
+    });
+
+    expect(result).toEqual({
+      valid: true,
+      value: {
+        question: 'What does onboarding cost?',
+        answer: 'Onboarding is included.',
+        category: null,
+        tags: ['pricing', 'onboarding'],
+        priority: 0,
+        is_active: true,
+      },
+    });
+  });
+
+  it('keeps existing values on a partial update', () => {
+    const result = validateFaqEntryInput({ is_active: false }, existing);
+
+    expect(result.valid && result.value).toMatchObject({
+      question: existing.question,
+      category: 'pricing',
+      is_active: false,
+    });
+  });
+});
+
+describe('formatFaqContext', () => {
+  it('is empty when nothing matched', () => {
+    expect(formatFaqContext([])).toBe('');
+  });
+
+  it('numbers each retrieved answer', () => {
+    const context = formatFaqContext([{ ...existing, similarity: 0.8 }]);
+
+    expect(context).toContain('[1] Q: Do you offer fixed-price projects?\nA: Yes, after a paid discovery phase.');
+  });
+});
+
+describe('buildFaqEmbeddingText', () => {
+  it('embeds question and answer together', () => {
+    expect(buildFaqEmbeddingText(existing)).toBe(
+      'Q: Do you offer fixed-price projects?\nA: Yes, after a paid discovery phase.'
+    );
+  });
+});
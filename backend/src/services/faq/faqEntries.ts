@@ -0,0 +1,145 @@
+/**
+ * FAQ Entries
+ * Pure helpers for the FAQ knowledge base: validation of admin edits, the text that gets
+ * embedded, and the prompt block built from retrieved answers.
+ */
+
+export const FAQ_REPLY_TYPES = ['booking_chat', 'email_draft', 'inbound_reply'] as const;
+export const MAX_FAQ_QUESTION_LENGTH = 500;
+export const MAX_FAQ_ANSWER_LENGTH = 4000;
+export const MAX_FAQ_TAGS = 10;
+/** Cosine similarity a match must exceed to be used in a reply */
+export const FAQ_MATCH_THRESHOLD = 0.45;
+export const FAQ_MATCH_COUNT = 3;
+
+export type FaqReplyType = (typeof FAQ_REPLY_TYPES)[number];
+
+export interface FaqEntry {
+  id: string;
+  question: string;
+  answer: string;
+  category: string | null;
+  tags: string[];
+  priority: number;
+  is_active: boolean;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export type FaqEntryInput = Omit<FaqEntry, 'id' | 'created_at' | 'updated_at'>;
+
+export interface FaqMatch {
+  id: string;
+  question: string;
+  answer: string;
+  category: string | null;
+  similarity: number;
+}
+
+export type FaqEntryValidationResult =
+  | { valid: true; value: FaqEntryInput }
+  | { valid: false; errors: string[] };
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readText(value: unknown, maxLength: number): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim().slice(0, maxLength);
+  return trimmed || null;
+}
+
+/**
+ * Validate a create (no `existing`) or partial update of an FAQ entry
+ */
+export function validateFaqEntryInput(input: unknown, existing?: FaqEntry): FaqEntryValidationResult {
+  if (!isPlainObject(input)) {
+    return { valid: false, errors: ['Request body must be an object'] };
+  }
+
+  const errors: string[] = [];
+  const question = input['question'] === undefined
+    ? existing?.question ?? null
+    : readText(input['question'], MAX_FAQ_QUESTION_LENGTH);
+  const answer = input['answer'] === undefined
+    ? existing?.answer ?? null
+    : readText(input['answer'], MAX_FAQ_ANSWER_LENGTH);
+
+  if (!question) {
+    errors.push('question is required');
+  }
+
+  if (!answer) {
+    errors.push('answer is required');
+  }
+
+  let tags = existing?.tags ?? [];
+  if (input['tags'] !== undefined) {
+    if (!Array.isArray(input['tags']) || input['tags'].some((tag) => typeof tag !== 'string')) {
+      errors.push('tags must be an array of strings');
+    } else {
+      tags = [...new Set((input['tags'] as string[]).map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+
+      if (tags.length > MAX_FAQ_TAGS) {
+        errors.push(`tags cannot have more than ${MAX_FAQ_TAGS} entries`);
+      }
+    }
+  }
+
+  let priority = existing?.priority ?? 0;
+  if (input['priority'] !== undefined) {
+    if (typeof input['priority'] !== 'number' || !Number.isInteger(input['priority'])) {
+      errors.push('priority must be an integer');
+    } else {
+      priority = input['priority'];
+    }
+  }
+
+  if (input['is_active'] !== undefined && typeof input['is_active'] !== 'boolean') {
+    errors.push('is_active must be a boolean');
+  }
+
+  if (errors.length > 0 || !question || !answer) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    value: {
+      question,
+      answer,
+      category: input['category'] === undefined
+        ? existing?.category ?? null
+        : readText(input['category'], 80),
+      tags,
+      priority,
+      is_active: typeof input['is_active'] === 'boolean' ? input['is_active'] : existing?.is_active ?? true,
+    },
+  };
+}
+
+/**
+ * Text embedded for an entry; question and answer both count towards retrieval
+ */
+export function buildFaqEmbeddingText(entry: Pick<FaqEntry, 'question' | 'answer'>): string {
+  return `Q: ${entry.question}\nA: ${entry.answer}`;
+}
+
+/**
+ * Prompt block with the retrieved answers, or an empty string when nothing matched
+ */
+export function formatFaqContext(matches: FaqMatch[]): string {
+  if (matches.length === 0) {
+    return '';
+  }
+
+  const entries = matches
+    .map((match, index) => `[${index + 1}] Q: ${match.question}\nA: ${match.answer}`)
+    .join('\n\n');
+
+  return `Approved FAQ answers. Use them for any question about our services, pricing or policies, and do not state details they do not cover:\n\n${entries}`;
+}
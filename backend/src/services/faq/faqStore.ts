@@ -0,0 +1,215 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import { serviceManager } from '../serviceManager.js';
+import type { LLMService } from '../llm/LLMService.js';
+import {
+  FAQ_MATCH_COUNT,
+  FAQ_MATCH_THRESHOLD,
+  buildFaqEmbeddingText,
+  formatFaqContext,
+  type FaqEntry,
+  type FaqEntryInput,
+  type FaqMatch,
+  type FaqReplyType,
+} from './faqEntries.js';
+
+/**
+ * FAQ Store
+ * Persists FAQ entries with their embeddings (faq_embeddings), retrieves the closest
+ * answers for a customer message and logs which entries each AI reply used.
+ */
+
+const FAQ_COLUMNS = 'id, question, answer, category, tags, priority, is_active, created_at, updated_at';
+
+export interface FaqRetrieval {
+  matches: FaqMatch[];
+  /** Prompt block for the model; empty when nothing matched */
+  context: string;
+}
+
+const EMPTY_RETRIEVAL: FaqRetrieval = { matches: [], context: '' };
+
+function toFaqEntry(row: Record<string, unknown>): FaqEntry {
+  return {
+    id: String(row['id']),
+    question: String(row['question'] ?? ''),
+    answer: String(row['answer'] ?? ''),
+    category: typeof row['category'] === 'string' ? row['category'] : null,
+    tags: Array.isArray(row['tags']) ? (row['tags'] as string[]) : [],
+    priority: typeof row['priority'] === 'number' ? row['priority'] : 0,
+    is_active: row['is_active'] !== false,
+    ...(typeof row['created_at'] === 'string' ? { created_at: row['created_at'] } : {}),
+    ...(typeof row['updated_at'] === 'string' ? { updated_at: row['updated_at'] } : {}),
+  };
+}
+
+export async function listFaqEntries(
+  supabase: SupabaseClient,
+  options: { includeInactive?: boolean } = {}
+): Promise<FaqEntry[]> {
+  let query = supabase
+    .from('faq_embeddings')
+    .select(FAQ_COLUMNS)
+    .order('priority', { ascending: false })
+    .order('created_at', { ascending: true });
+
+  if (!options.includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load FAQ entries: ${error.message}`);
+  }
+
+  return (data ?? []).map((row) => toFaqEntry(row as Record<string, unknown>));
+}
+
+export async function getFaqEntry(supabase: SupabaseClient, id: string): Promise<FaqEntry | null> {
+  const { data, error } = await supabase
+    .from('faq_embeddings')
+    .select(FAQ_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load FAQ entry ${id}: ${error.message}`);
+  }
+
+  return data ? toFaqEntry(data as Record<string, unknown>) : null;
+}
+
+/**
+ * Create (no id) or update an entry and regenerate its embedding. Without an LLM the
+ * entry is still saved: a new entry is not retrievable until it is saved again, and an
+ * updated one keeps its previous embedding.
+ */
+export async function saveFaqEntry(
+  supabase: SupabaseClient,
+  llm: LLMService | null,
+  input: FaqEntryInput,
+  id?: string
+): Promise<{ entry: FaqEntry; embedded: boolean }> {
+  let embedding: number[] | null = null;
+
+  if (llm) {
+    try {
+      embedding = (await llm.embed([buildFaqEmbeddingText(input)]))[0] ?? null;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      logger.warn(`FAQ embedding failed; saving entry without a new one: ${errorMessage}`);
+    }
+  }
+
+  const record = {
+    ...input,
+    // Never wipe a working embedding because regenerating it failed
+    ...(embedding !== null || !id ? { embedding } : {}),
+    updated_at: new Date().toISOString(),
+  };
+  const { data, error } = id
+    ? await supabase.from('faq_embeddings').update(record).eq('id', id).select(FAQ_COLUMNS).single()
+    : await supabase.from('faq_embeddings').insert(record).select(FAQ_COLUMNS).single();
+
+  if (error || !data) {
+    throw new Error(`Failed to save FAQ entry: ${error?.message ?? 'no row returned'}`);
+  }
+
+  return { entry: toFaqEntry(data as Record<string, unknown>), embedded: embedding !== null };
+}
+
+export async function deleteFaqEntry(supabase: SupabaseClient, id: string): Promise<boolean> {
+  const { data, error } = await supabase
+    .from('faq_embeddings')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete FAQ entry ${id}: ${error.message}`);
+  }
+
+  return (data ?? []).length > 0;
+}
+
+/**
+ * FAQ answers closest to a customer message. Fails open: any error yields no matches,
+ * so replies are still generated without the knowledge base.
+ */
+export async function retrieveFaqContext(query: string): Promise<FaqRetrieval> {
+  if (!query.trim()) {
+    return EMPTY_RETRIEVAL;
+  }
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    const llm = await serviceManager.getService<LLMService>('llm');
+
+    if (!supabase || !llm) {
+      return EMPTY_RETRIEVAL;
+    }
+
+    const [queryEmbedding] = await llm.embed([query]);
+    const { data, error } = await supabase.rpc('match_faq_embeddings', {
+      query_embedding: queryEmbedding,
+      match_threshold: FAQ_MATCH_THRESHOLD,
+      match_count: FAQ_MATCH_COUNT,
+    });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const matches: FaqMatch[] = ((data ?? []) as Array<Record<string, unknown>>).map((row) => ({
+      id: String(row['id']),
+      question: String(row['question'] ?? ''),
+      answer: String(row['answer'] ?? ''),
+      category: typeof row['category'] === 'string' ? row['category'] : null,
+      similarity: Number(row['similarity'] ?? 0),
+    }));
+
+    return { matches, context: formatFaqContext(matches) };
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.warn(`FAQ retrieval failed; continuing without knowledge base: ${errorMessage}`);
+    return EMPTY_RETRIEVAL;
+  }
+}
+
+/**
+ * Audit which FAQ entries an AI reply was grounded on
+ */
+export async function recordFaqRetrieval(entry: {
+  replyType: FaqReplyType;
+  processingId?: string | null;
+  query: string;
+  matches: FaqMatch[];
+}): Promise<void> {
+  if (entry.matches.length === 0) {
+    return;
+  }
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      return;
+    }
+
+    const { error } = await supabase.from('faq_retrieval_log').insert({
+      reply_type: entry.replyType,
+      processing_id: entry.processingId ?? null,
+      faq_ids: entry.matches.map((match) => match.id),
+      similarities: entry.matches.map((match) => match.similarity),
+      query: entry.query.slice(0, 2000),
+    });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.warn(`Failed to record FAQ retrieval for ${entry.replyType}: ${errorMessage}`);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * LLM Service
+ *
+ * Single entry point for chat completions. Wraps the configured provider
+ * (LLM_PROVIDER: openai | openai_compatible | fixture) and applies model, temperature
+ * and max_tokens from system_behavior.ai in the YAML config.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { getServiceConfig } from '../../utils/config.js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import { FixtureProvider, type LLMFixture } from './providers/FixtureProvider.js';
+import { OpenAIProvider } from './providers/OpenAIProvider.js';
+import type { ILLMProvider, LLMChatMessage, LLMProviderName, LLMPurpose } from './providers/ILLMProvider.js';
+
+/** faq_embeddings.embedding is vector(1536) */
+export const EMBEDDING_DIMENSIONS = 1536;
+
+export class LLMService {
+  constructor(private readonly provider: ILLMProvider) {}
+
+  get providerName(): LLMProviderName {
+    return this.provider.name;
+  }
+
+  /**
+   * Run a chat completion and return the trimmed reply text
+   */
+  async complete(purpose: LLMPurpose, messages: LLMChatMessage[]): Promise<string> {
+    const settings = getConfigSection('system_behavior').ai;
+    const result = await this.provider.complete({
+      purpose,
+      messages,
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.max_tokens,
+    });
+
+    logger.debug(`LLM completion (${purpose}) served by ${result.provider}/${result.model}`);
+    return result.content;
+  }
+
+  /**
+   * Embed texts with system_behavior.ai.embedding_model
+   */
+  async embed(input: string[]): Promise<number[][]> {
+    const embeddings = await this.provider.embed({
+      model: getConfigSection('system_behavior').ai.embedding_model,
+      input,
+      dimensions: EMBEDDING_DIMENSIONS,
+    });
+
+    const mismatched = embeddings.find((embedding) => embedding.length !== EMBEDDING_DIMENSIONS);
+    if (mismatched) {
+      throw new Error(
+        `Embedding model returned ${mismatched.length} dimensions; faq_embeddings expects ${EMBEDDING_DIMENSIONS}`
+      );
+    }
+
+    return embeddings;
+  }
+}
+
+function loadFixtures(fixturesPath: string): LLMFixture[] {
+  const candidates = isAbsolute(fixturesPath)
+    ? [fixturesPath]
+    : [join(process.cwd(), fixturesPath), join(process.cwd(), '..', fixturesPath)];
+  const resolvedPath = candidates.find((candidate) => existsSync(candidate));
+
+  if (!resolvedPath) {
+    throw new Error(`LLM fixture file not found. Tried: ${candidates.join(', ')}`);
+  }
+
+  const parsed = JSON.parse(readFileSync(resolvedPath, 'utf8')) as { fixtures?: LLMFixture[] };
+
+  if (!Array.isArray(parsed.fixtures)) {
+    throw new Error(`LLM fixture file ${resolvedPath} has no "fixtures" array`);
+  }
+
+  logger.info(`Loaded ${parsed.fixtures.length} LLM fixtures from ${resolvedPath}`);
+  return parsed.fixtures;
+}
+
+/**
+ * Build the LLM service for the provider selected by LLM_PROVIDER
+ */
+export async function createLLMService(): Promise<LLMService> {
+  const config = getServiceConfig('llm');
+
+  if (config.provider === 'fixture') {
+    return new LLMService(new FixtureProvider(loadFixtures(config.fixturesPath)));
+  }
+
+  const { default: OpenAI } = await import('openai');
+
+  if (config.provider === 'openai_compatible') {
+    return new LLMService(
+      new OpenAIProvider(new OpenAI({ apiKey: config.apiKey || 'not-needed', baseURL: config.baseUrl }), 'openai_compatible')
+    );
+  }
+
+  return new LLMService(new OpenAIProvider(new OpenAI({ apiKey: config.apiKey }), 'openai'));
+}
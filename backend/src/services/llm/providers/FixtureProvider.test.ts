@@ -0,0 +1,72 @@
+import { describe, expect, it } from '@jest/globals';
+import { FixtureProvider, createFixtureEmbedding, selectFixture, type LLMFixture } from './FixtureProvider.js';
+import type { LLMCompletionRequest } from './ILLMProvider.js';
+
+const fixtures: LLMFixture[] = [
+  { purpose: 'customer_analysis', match: 'Enterprise', response: '{"customer_tier":"Enterprise"}' },
+  { purpose: 'customer_analysis', response: '{"customer_tier":"Basic"}' },
+  { purpose: '*', response: 'Generic reply' },
+];
+
+function request(purpose: LLMCompletionRequest['purpose'], content: string): LLMCompletionRequest {
+  return {
+    purpose,
+    messages: [{ role: 'user', content }],
+    model: 'gpt-4o',
+    temperature: 0.3,
+    maxTokens: 500,
+  };
+}
+
+describe('selectFixture', () => {
+  it('prefers the first fixture whose match text appears in the conversation', () => {
+    expect(selectFixture(fixtures, request('customer_analysis', 'We are an enterprise team'))?.response)
+      .toBe('{"customer_tier":"Enterprise"}');
+  });
+
+  it('falls back to the unconditional fixture for the purpose', () => {
+    expect(selectFixture(fixtures, request('customer_analysis', 'Small shop'))?.response)
+      .toBe('{"customer_tier":"Basic"}');
+  });
+
+  it('uses wildcard fixtures for other purposes', () => {
+    expect(selectFixture(fixtures, request('booking_chat', 'Tuesday?'))?.response).toBe('Generic reply');
+  });
+});
+
+describe('FixtureProvider', () => {
+  it('returns the same answer for the same request', async () => {
+    const provider = new FixtureProvider(fixtures);
+    const first = await provider.complete(request('email_draft', 'Hello'));
+    const second = await provider.complete(request('email_draft', 'Hello'));
+
+    expect(first).toEqual({ content: 'Generic reply', model: 'fixture', provider: 'fixture' });
+    expect(second).toEqual(first);
+  });
+
+  it('rejects requests no fixture covers', async () => {
+    const provider = new FixtureProvider(fixtures.slice(0, 2));
+
+    await expect(provider.complete(request('email_draft', 'Hello'))).rejects.toThrow('No LLM fixture');
+  });
+});
+
+describe('createFixtureEmbedding', () => {
+  const cosine = (left: number[], right: number[]): number =>
+    left.reduce((sum, value, index) => sum + value * (right[index] ?? 0), 0);
+
+  it('returns unit vectors of the requested size', () => {
+    const embedding = createFixtureEmbedding('What does a pilot project cost?', 64);
+
+    expect(embedding).toHaveLength(64);
+    expect(cosine(embedding, embedding)).toBeCloseTo(1);
+  });
+
+  it('scores texts with shared words above unrelated ones', () => {
+    const question = createFixtureEmbedding('How much does a pilot project cost?', 1536);
+    const related = createFixtureEmbedding('pilot project cost', 1536);
+    const unrelated = createFixtureEmbedding('Do you integrate with Salesforce?', 1536);
+
+    expect(cosine(question, related)).toBeGreaterThan(cosine(question, unrelated));
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Fixture LLM Provider
+ *
+ * Deterministic provider that answers from a fixture file instead of a model, so the
+ * booking pipeline runs offline and in CI. The first fixture whose purpose matches and
+ * whose `match` text (if any) appears in the conversation wins. Embeddings are hashed
+ * bags of words, so texts sharing vocabulary still land close together.
+ */
+
+import type {
+  ILLMProvider,
+  LLMCompletionRequest,
+  LLMCompletionResult,
+  LLMEmbeddingRequest,
+  LLMPurpose,
+} from './ILLMProvider.js';
+
+export interface LLMFixture {
+  /** Purpose the fixture answers, or '*' for any */
+  purpose: LLMPurpose | '*';
+  /** Case-insensitive text that must appear in one of the messages */
+  match?: string;
+  response: string;
+}
+
+export function selectFixture(fixtures: LLMFixture[], request: LLMCompletionRequest): LLMFixture | null {
+  const conversation = request.messages.map((message) => message.content).join('\n').toLowerCase();
+
+  return fixtures.find((fixture) =>
+    (fixture.purpose === '*' || fixture.purpose === request.purpose)
+    && (!fixture.match || conversation.includes(fixture.match.toLowerCase()))
+  ) ?? null;
+}
+
+/**
+ * Unit-length vector with one bucket per hashed word (FNV-1a)
+ */
+export function createFixtureEmbedding(text: string, dimensions: number): number[] {
+  const vector = new Array<number>(dimensions).fill(0);
+
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) ?? []) {
+    let hash = 0x811c9dc5;
+
+    for (let index = 0; index < word.length; index += 1) {
+      hash = Math.imul(hash ^ word.charCodeAt(index), 0x01000193) >>> 0;
+    }
+
+    vector[hash % dimensions] = (vector[hash % dimensions] ?? 0) + 1;
+  }
+
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map((value) => value / length) : vector;
+}
+
+export class FixtureProvider implements ILLMProvider {
+  public readonly name = 'fixture' as const;
+
+  constructor(private readonly fixtures: LLMFixture[]) {}
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResult> {
+    const fixture = selectFixture(this.fixtures, request);
+
+    if (!fixture) {
+      throw new Error(`No LLM fixture for purpose "${request.purpose}"`);
+    }
+
+    return { content: fixture.response.trim(), model: 'fixture', provider: this.name };
+  }
+
+  async embed(request: LLMEmbeddingRequest): Promise<number[][]> {
+    return request.input.map((text) => createFixtureEmbedding(text, request.dimensions));
+  }
+}
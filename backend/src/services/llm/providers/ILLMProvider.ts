@@ -0,0 +1,56 @@
+/**
+ * LLM Provider Interface
+ *
+ * Defines the contract for chat-completion and embedding backends (OpenAI,
+ * OpenAI-compatible local servers, deterministic fixtures). Callers go through LLMService,
+ * which fills in model, temperature and max_tokens from system_behavior.ai.
+ */
+
+export type LLMProviderName = 'openai' | 'openai_compatible' | 'fixture';
+
+/**
+ * What a completion is for. Fixture files key responses on this.
+ */
+export type LLMPurpose =
+  | 'customer_analysis'
+  | 'email_draft'
+  | 'inbound_reply'
+  | 'booking_chat'
+  | 'email_revision';
+
+export interface LLMChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface LLMCompletionRequest {
+  purpose: LLMPurpose;
+  messages: LLMChatMessage[];
+  model: string;
+  temperature: number;
+  maxTokens: number;
+}
+
+export interface LLMCompletionResult {
+  content: string;
+  model: string;
+  provider: LLMProviderName;
+}
+
+export interface LLMEmbeddingRequest {
+  model: string;
+  input: string[];
+  /** Vector size the caller stores (faq_embeddings uses 1536) */
+  dimensions: number;
+}
+
+export interface ILLMProvider {
+  readonly name: LLMProviderName;
+
+  complete(request: LLMCompletionRequest): Promise<LLMCompletionResult>;
+
+  /**
+   * One embedding per input, in input order
+   */
+  embed(request: LLMEmbeddingRequest): Promise<number[][]>;
+}
@@ -0,0 +1,50 @@
+/**
+ * OpenAI Chat Provider
+ *
+ * Used for the hosted OpenAI API and for OpenAI-compatible local servers (Ollama,
+ * LM Studio, vLLM), which differ only in base URL and API key.
+ */
+
+import type OpenAI from 'openai';
+import type {
+  ILLMProvider,
+  LLMCompletionRequest,
+  LLMCompletionResult,
+  LLMEmbeddingRequest,
+  LLMProviderName,
+} from './ILLMProvider.js';
+
+export class OpenAIProvider implements ILLMProvider {
+  constructor(
+    private readonly client: OpenAI,
+    public readonly name: Extract<LLMProviderName, 'openai' | 'openai_compatible'> = 'openai'
+  ) {}
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResult> {
+    const completion = await this.client.chat.completions.create({
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+    });
+
+    return {
+      content: completion.choices[0]?.message?.content?.trim() || '',
+      model: completion.model || request.model,
+      provider: this.name,
+    };
+  }
+
+  async embed(request: LLMEmbeddingRequest): Promise<number[][]> {
+    const response = await this.client.embeddings.create({
+      model: request.model,
+      input: request.input,
+      // Local servers generally reject `dimensions`; their model decides the size
+      ...(this.name === 'openai' ? { dimensions: request.dimensions } : {}),
+    });
+
+    return [...response.data]
+      .sort((left, right) => left.index - right.index)
+      .map((item) => item.embedding);
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildToneOfVoiceGuidelines, removeAvoidWords } from './toneOfVoice.js';
+import { normalizeCustomerFacingEmailCopy } from '../email/normalizeCustomerFacingEmailCopy.js';
+
+const avoidWords = ['obviously', 'just', 'basically', 'simply'];
+
+describe('buildToneOfVoiceGuidelines', () => {
+  it('describes the configured style, traits and avoid words', () => {
+    const guidelines = buildToneOfVoiceGuidelines({
+      style: 'executive_formal',
+      personality_traits: ['consultative', 'responsive'],
+      avoid_words: ['just', ' '],
+    });
+
+    expect(guidelines).toContain('executive and formal');
+    expect(guidelines).toContain('- Personality: consultative, responsive');
+    expect(guidelines).toContain('- Never use these words: "just"');
+  });
+
+  it('omits the avoid list when none is configured', () => {
+    const guidelines = buildToneOfVoiceGuidelines({
+      style: 'casual_friendly',
+      personality_traits: ['friendly'],
+    });
+
+    expect(guidelines).not.toContain('Never use');
+  });
+});
+
+describe('removeAvoidWords', () => {
+  it('drops filler words mid-sentence without leaving gaps', () => {
+    expect(removeAvoidWords('We can simply move the call to Friday.', avoidWords))
+      .toBe('We can move the call to Friday.');
+    expect(removeAvoidWords('That is, obviously, our best option.', avoidWords))
+      .toBe('That is, our best option.');
+  });
+
+  it('recapitalises sentences that started with an avoid word', () => {
+    expect(removeAvoidWords('Thanks!\n\nBasically, we can just help. Just reply here.', avoidWords))
+      .toBe('Thanks!\n\nWe can help. Reply here.');
+  });
+
+  it('only matches whole words', () => {
+    const text = 'We adjust the plan to what is justified and simplyfied.';
+
+    expect(removeAvoidWords(text, avoidWords)).toBe(text);
+  });
+
+  it('leaves copy untouched without an avoid list', () => {
+    expect(removeAvoidWords('Just checking in.', [])).toBe('Just checking in.');
+  });
+});
+
+describe('normalizeCustomerFacingEmailCopy', () => {
+  it('applies the avoid list after the link and address rewrites', () => {
+    expect(normalizeCustomerFacingEmailCopy('Just book at [insert link here].', avoidWords))
+      .toBe('Book at https://booking.autonome.us/.');
+  });
+});
@@ -0,0 +1,69 @@
+import type { ToneOfVoice } from '../../../../src/config/schema.js';
+
+/**
+ * Tone of Voice
+ * Turns the tone_of_voice YAML section into prompt instructions shared by every
+ * customer-facing AI prompt, and rewrites avoid-listed words out of generated copy.
+ */
+
+export const TONE_STYLE_DESCRIPTIONS: Record<ToneOfVoice['style'], string> = {
+  professional_warm: 'professional and warm: polished and courteous, friendly without being casual',
+  casual_friendly: 'casual and friendly: relaxed and conversational, while staying clear and respectful',
+  executive_formal: 'executive and formal: precise, measured and formal, written for senior decision makers',
+};
+
+/** Marks a removed sentence opener so the next word can be capitalised */
+const SENTENCE_START_MARKER = '\u0000';
+
+export function buildToneOfVoiceGuidelines(tone: ToneOfVoice): string {
+  const lines = [
+    'Tone of voice:',
+    `- Style: ${TONE_STYLE_DESCRIPTIONS[tone.style]}`,
+    `- Personality: ${tone.personality_traits.join(', ')}`,
+  ];
+  const avoidWords = (tone.avoid_words ?? []).map((word) => word.trim()).filter(Boolean);
+
+  if (avoidWords.length > 0) {
+    lines.push(`- Never use these words: ${avoidWords.map((word) => `"${word}"`).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove avoid-listed words (whole words, any case) from generated copy. A removed
+ * sentence opener takes its trailing comma with it and the next word is capitalised,
+ * so "Basically, we can just help." becomes "We can help."
+ */
+export function removeAvoidWords(content: string, avoidWords: readonly string[] = []): string {
+  const words = avoidWords.map((word) => word.trim()).filter(Boolean);
+
+  if (!content || words.length === 0) {
+    return content;
+  }
+
+  const alternation = [...words]
+    .sort((left, right) => right.length - left.length)
+    .map(escapeRegExp)
+    .join('|');
+  const pattern = new RegExp(`(?<![\\w'’-])(?:${alternation})(?![\\w'’-])(?:\\s*,)?[ \\t]*`, 'gi');
+  const rewritten = content.replace(pattern, (_match, offset: number, source: string) => (
+    /(?:^|[.!?]\s+|\n\s*)$/.test(source.slice(0, offset)) ? SENTENCE_START_MARKER : ''
+  ));
+
+  if (rewritten === content) {
+    return content;
+  }
+
+  return rewritten
+    .replace(new RegExp(`${SENTENCE_START_MARKER}+(\\p{Ll})`, 'gu'), (_match, letter: string) => letter.toUpperCase())
+    .replace(new RegExp(SENTENCE_START_MARKER, 'g'), '')
+    .replace(/[ \t]+([,.!?;:])/g, '$1')
+    .replace(/,\s*([,.!?;:])/g, '$1')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/[ \t]+\n/g, '\n');
+}
@@ -1,8 +1,8 @@
-import type OpenAI from 'openai';
 import type { WebClient } from '@slack/web-api';
 import type { SupabaseClient } from '@supabase/supabase-js';
 import type { Resend } from 'resend';
 import { serviceManager } from './serviceManager.js';
+import type { LLMService } from './llm/LLMService.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -10,7 +10,7 @@ import { logger } from '../utils/logger.js';
  */
 export enum ProcessingMode {
   FULL_AI = 'full_ai',     // All services available
-  BASIC_AI = 'basic_ai',   // OpenAI + Slack only
+  BASIC_AI = 'basic_ai',   // LLM + Slack only
   FALLBACK = 'fallback',   // Database + Slack only
   EMERGENCY = 'emergency', // Database only
 }
@@ -19,7 +19,7 @@ export enum ProcessingMode {
  * Service availability status
  */
 interface ServiceAvailability {
-  openai: OpenAI | null;
+  llm: LLMService | null;
   slack: WebClient | null;
   supabase: SupabaseClient | null;
   email: Resend | null;
@@ -30,7 +30,7 @@ interface ServiceAvailability {
  */
 export async function determineProcessingMode(): Promise<ProcessingMode> {
   const services: ServiceAvailability = {
-    openai: null,
+    llm: null,
     slack: null,
     supabase: null,
     email: null,
@@ -41,12 +41,12 @@ export async function determineProcessingMode(): Promise<ProcessingMode> {
     logger.info('Checking service availability...');
 
     try {
-      services.openai = await serviceManager.getService<OpenAI>('openai');
-      logger.info('OpenAI service:', services.openai ? 'available' : 'unavailable');
+      services.llm = await serviceManager.getService<LLMService>('llm');
+      logger.info('LLM service:', services.llm ? `available (${services.llm.providerName})` : 'unavailable');
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Unknown error';
-      logger.warn('OpenAI service initialization failed:', errorMessage);
-      services.openai = null;
+      logger.warn('LLM service initialization failed:', errorMessage);
+      services.llm = null;
     }
 
     try {
@@ -77,12 +77,12 @@ export async function determineProcessingMode(): Promise<ProcessingMode> {
     }
 
     // Determine processing mode based on available services
-    if (services.openai && services.slack && services.email && services.supabase) {
+    if (services.llm && services.slack && services.email && services.supabase) {
       logger.info('All services available - using FULL_AI mode');
       return ProcessingMode.FULL_AI;
     }
 
-    if (services.openai && services.slack && services.supabase) {
+    if (services.llm && services.slack && services.supabase) {
       logger.info('Core AI services available - using BASIC_AI mode');
       return ProcessingMode.BASIC_AI;
     }
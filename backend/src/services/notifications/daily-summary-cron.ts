@@ -0,0 +1,88 @@
+/**
+ * Slack Daily Summary Cron
+ *
+ * Every 5 minutes, posts the daily booking digest to the Slack notifications channel once
+ * slack.notifications.daily_summary_time has passed in the scheduling timezone. Each date is
+ * claimed in slack_daily_summaries, so the digest goes out once across replicas and restarts.
+ */
+
+import cron from 'node-cron';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { dispatchSideEffect, type SideEffectDispatchResult } from '../outbox/outbox.js';
+import { getServiceConfig } from '../../utils/config.js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import { buildDailySummaryMessage, DEFAULT_PENDING_APPROVAL_HOURS, getDueDailySummaryDate } from './dailySummary.js';
+import {
+  claimDailySummary,
+  collectDailySummary,
+  recordDailySummaryOutbox,
+  releaseDailySummary,
+} from './dailySummaryStore.js';
+
+const DEFAULT_DAILY_SUMMARY_TIME = '09:00';
+
+let isSummaryRunInProgress = false;
+
+cron.schedule('*/5 * * * *', async () => {
+  if (isSummaryRunInProgress) {
+    return;
+  }
+
+  isSummaryRunInProgress = true;
+
+  try {
+    const notifications = getConfigSection('slack').notifications;
+
+    if (!notifications.daily_summary) {
+      return;
+    }
+
+    const now = new Date();
+    const timeZone = getConfigSection('scheduling').timezone;
+    const summaryDate = getDueDailySummaryDate(now, notifications.daily_summary_time || DEFAULT_DAILY_SUMMARY_TIME, timeZone);
+
+    if (!summaryDate) {
+      return;
+    }
+
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+    const channelId = notifications.channel_id || getServiceConfig('slack').channelId;
+
+    if (!supabase || !channelId || !(await claimDailySummary(supabase, summaryDate, channelId))) {
+      return;
+    }
+
+    let dispatch: SideEffectDispatchResult;
+
+    try {
+      const summary = await collectDailySummary(supabase, {
+        now,
+        summaryDate,
+        timeZone,
+        pendingApprovalHours: notifications.daily_summary_pending_hours ?? DEFAULT_PENDING_APPROVAL_HOURS,
+      });
+      const message = buildDailySummaryMessage(summary, now);
+
+      dispatch = await dispatchSideEffect({
+        kind: 'slack_message',
+        context: `daily_summary:${summaryDate}`,
+        payload: { channel: channelId, text: message.text, blocks: message.blocks },
+      });
+    } catch (error) {
+      await releaseDailySummary(supabase, summaryDate);
+      throw error;
+    }
+
+    await recordDailySummaryOutbox(supabase, summaryDate, dispatch.outboxId);
+    logger.info(`✓ Cron: Daily summary for ${summaryDate} ${dispatch.delivered ? 'posted' : 'queued'} to ${channelId}`);
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Cron: Failed to post daily summary:', errorMessage);
+  } finally {
+    isSummaryRunInProgress = false;
+  }
+});
+
+logger.info('📊 Slack daily summary initialized: */5 * * * * (every 5 minutes)');
@@ -0,0 +1,106 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildDailySummaryMessage,
+  countInquiriesBy,
+  getDueDailySummaryDate,
+  getLocalDayWindow,
+  type DailySummaryData,
+} from './dailySummary.js';
+
+const TIME_ZONE = 'America/New_York';
+
+function summary(overrides: Partial<DailySummaryData> = {}): DailySummaryData {
+  return {
+    date: '2026-03-10',
+    timeZone: TIME_ZONE,
+    stats: null,
+    inquiries: [],
+    pendingApprovals: [],
+    pendingApprovalHours: 24,
+    meetings: [],
+    failedEmails: [],
+    degradedServices: [],
+    ...overrides,
+  };
+}
+
+describe('getDueDailySummaryDate', () => {
+  it('returns the local date once the summary time has passed', () => {
+    expect(getDueDailySummaryDate(new Date('2026-03-10T13:05:00Z'), '09:00', TIME_ZONE)).toBe('2026-03-10');
+  });
+
+  it('returns null before the summary time and after the catch-up window', () => {
+    expect(getDueDailySummaryDate(new Date('2026-03-10T12:55:00Z'), '09:00', TIME_ZONE)).toBeNull();
+    expect(getDueDailySummaryDate(new Date('2026-03-10T14:00:00Z'), '09:00', TIME_ZONE)).toBeNull();
+  });
+
+  it('uses the local date rather than the UTC date', () => {
+    expect(getDueDailySummaryDate(new Date('2026-03-11T03:30:00Z'), '23:15', TIME_ZONE)).toBe('2026-03-10');
+  });
+});
+
+describe('getLocalDayWindow', () => {
+  it('returns the UTC bounds of yesterday in the scheduling timezone', () => {
+    const window = getLocalDayWindow(new Date('2026-03-10T13:00:00Z'), TIME_ZONE, -1);
+
+    expect(window.start.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-03-10T04:00:00.000Z');
+  });
+});
+
+describe('countInquiriesBy', () => {
+  it('counts by field, treating missing analysis as unscored', () => {
+    const counts = countInquiriesBy([
+      { status: 'approved', ai_analysis: { customer_tier: 'Enterprise' } },
+      { status: 'approved', ai_analysis: { customer_tier: 'SMB' } },
+      { status: 'pending', ai_analysis: { customer_tier: 'Enterprise' } },
+      { status: 'pending', ai_analysis: null },
+    ], 'customer_tier');
+
+    expect(counts).toEqual([['Enterprise', 2], ['SMB', 1], ['Unscored', 1]]);
+  });
+});
+
+describe('buildDailySummaryMessage', () => {
+  it('renders every section, including meeting links and attention items', () => {
+    const now = new Date('2026-03-10T13:05:00Z');
+    const message = buildDailySummaryMessage(summary({
+      inquiries: [{ status: 'approved', ai_analysis: { customer_tier: 'Enterprise', urgency_level: 'high' } }],
+      meetings: [{
+        processing_id: 'booking_1',
+        customer_name: 'Ada',
+        company_name: 'Acme',
+        status: 'confirmed',
+        selected_slot_start: '2026-03-10T15:00:00Z',
+        meeting_link: 'https://meet.example.com/abc',
+      }],
+      pendingApprovals: [{
+        processing_id: 'booking_2',
+        customer_name: 'Grace',
+        company_name: null,
+        status: 'draft_created',
+        updated_at: '2026-03-08T13:05:00Z',
+      }],
+      failedEmails: [{ context: 'approve:booking_3', status: 'dead_letter', attempts: 5, last_error: 'SMTP timeout' }],
+      degradedServices: [{ name: 'calendar', status: 'unhealthy' }],
+    }), now);
+    const body = JSON.stringify(message.blocks);
+
+    expect(message.text).toBe('Daily booking summary for 2026-03-10: 1 new inquiries, 1 meetings today, 3 item(s) need attention');
+    expect(body).toContain('Enterprise 1');
+    expect(body).toContain('high 1');
+    expect(body).toContain('<https://meet.example.com/abc|Join>');
+    expect(body).toContain('draft_created for 2d');
+    expect(body).toContain('approve:booking_3 – dead-lettered: SMTP timeout');
+    expect(body).toContain('calendar: unhealthy');
+  });
+
+  it('reports empty sections plainly', () => {
+    const body = JSON.stringify(buildDailySummaryMessage(summary()).blocks);
+
+    expect(body).toContain("Yesterday's inquiries: 0");
+    expect(body).toContain('No confirmed meetings today.');
+    expect(body).toContain('Nothing waiting longer than 24h.');
+    expect(body).toContain('All services healthy.');
+  });
+});
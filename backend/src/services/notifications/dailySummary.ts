@@ -0,0 +1,191 @@
+/**
+ * Slack Daily Summary
+ *
+ * Builds the digest posted at slack.notifications.daily_summary_time (scheduling timezone):
+ * yesterday's inquiries by tier and urgency, drafts waiting on approval, today's confirmed
+ * meetings, failed emails and degraded services. Data collection lives in dailySummaryStore.ts.
+ */
+
+import type { KnownBlock } from '@slack/web-api';
+import { addDays, getLocalDate, zonedTimeToUtc, type LocalDate } from '../conversation/proposedTimes.js';
+
+/** How long after the configured time a missed digest (e.g. after a restart) is still posted */
+export const DAILY_SUMMARY_CATCH_UP_MINUTES = 60;
+
+export const DEFAULT_PENDING_APPROVAL_HOURS = 24;
+
+const LIST_LIMIT = 10;
+
+export interface BookingStatsRow {
+  total_inquiries: number | string | null;
+  pending_inquiries: number | string | null;
+  approved_inquiries: number | string | null;
+  human_takeover_inquiries: number | string | null;
+  avg_processing_time_hours: number | string | null;
+  approval_rate: number | string | null;
+}
+
+export interface SummaryInquiryRow {
+  status: string | null;
+  ai_analysis: { customer_tier?: string; urgency_level?: string } | null;
+}
+
+export interface SummaryBookingRow {
+  processing_id: string;
+  customer_name: string | null;
+  company_name: string | null;
+  status: string | null;
+  selected_slot_start?: string | null;
+  updated_at?: string | null;
+  meeting_link?: string | null;
+}
+
+export interface SummaryFailedEmail {
+  context: string;
+  status: string;
+  attempts: number;
+  last_error: string | null;
+}
+
+export interface DailySummaryData {
+  date: string;
+  timeZone: string;
+  stats: BookingStatsRow | null;
+  inquiries: SummaryInquiryRow[];
+  pendingApprovals: SummaryBookingRow[];
+  pendingApprovalHours: number;
+  meetings: SummaryBookingRow[];
+  failedEmails: SummaryFailedEmail[];
+  degradedServices: Array<{ name: string; status: string }>;
+}
+
+function formatLocalDate(date: LocalDate): string {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+function getLocalMinutes(now: Date, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+  const read = (type: Intl.DateTimeFormatPartTypes): number => Number(parts.find((part) => part.type === type)?.value);
+
+  return read('hour') * 60 + read('minute');
+}
+
+/**
+ * The local date whose digest is due, or null outside the posting window
+ */
+export function getDueDailySummaryDate(now: Date, summaryTime: string, timeZone: string): string | null {
+  const [hours = 0, minutes = 0] = summaryTime.split(':').map(Number);
+  const elapsed = getLocalMinutes(now, timeZone) - (hours * 60 + minutes);
+
+  return elapsed >= 0 && elapsed < DAILY_SUMMARY_CATCH_UP_MINUTES
+    ? formatLocalDate(getLocalDate(now, timeZone))
+    : null;
+}
+
+/**
+ * UTC bounds of a local calendar day; offsetDays -1 is yesterday
+ */
+export function getLocalDayWindow(now: Date, timeZone: string, offsetDays = 0): { start: Date; end: Date } {
+  const day = addDays(getLocalDate(now, timeZone), offsetDays);
+
+  return {
+    start: zonedTimeToUtc(day, 0, timeZone),
+    end: zonedTimeToUtc(addDays(day, 1), 0, timeZone),
+  };
+}
+
+export function countInquiriesBy(
+  inquiries: SummaryInquiryRow[],
+  field: 'customer_tier' | 'urgency_level'
+): Array<[string, number]> {
+  const counts = new Map<string, number>();
+
+  for (const inquiry of inquiries) {
+    const value = inquiry.ai_analysis?.[field]?.trim() || 'Unscored';
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+
+  return [...counts.entries()].sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]));
+}
+
+function formatTime(value: string | null | undefined, timeZone: string): string {
+  return value
+    ? new Date(value).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' })
+    : 'Time not set';
+}
+
+function formatAge(value: string | null | undefined, now: Date): string {
+  if (!value) {
+    return 'unknown age';
+  }
+
+  const hours = Math.floor((now.getTime() - new Date(value).getTime()) / 3_600_000);
+  return hours >= 48 ? `${Math.floor(hours / 24)}d` : `${hours}h`;
+}
+
+function describeCustomer(booking: SummaryBookingRow): string {
+  const name = booking.customer_name?.trim() || 'Unknown';
+  return booking.company_name?.trim() ? `${name} (${booking.company_name.trim()})` : name;
+}
+
+function listOrNone(lines: string[], none: string): string {
+  if (lines.length === 0) {
+    return none;
+  }
+
+  const shown = lines.slice(0, LIST_LIMIT).join('\n');
+  return lines.length > LIST_LIMIT ? `${shown}\n_…and ${lines.length - LIST_LIMIT} more_` : shown;
+}
+
+export function buildDailySummaryMessage(
+  summary: DailySummaryData,
+  now: Date = new Date()
+): { text: string; blocks: KnownBlock[] } {
+  const tiers = countInquiriesBy(summary.inquiries, 'customer_tier');
+  const urgencies = countInquiriesBy(summary.inquiries, 'urgency_level');
+  const stats = summary.stats;
+  const statsLine = stats
+    ? `\nApproval rate: ${Number(stats.approval_rate ?? 0)}% · Avg. processing: ${Number(stats.avg_processing_time_hours ?? 0)}h · Human takeover: ${Number(stats.human_takeover_inquiries ?? 0)}`
+    : '';
+  const inquiriesText = summary.inquiries.length > 0
+    ? `*Yesterday's inquiries: ${summary.inquiries.length}*${statsLine}\n*By tier:* ${tiers.map(([tier, count]) => `${tier} ${count}`).join(' · ')}\n*By urgency:* ${urgencies.map(([urgency, count]) => `${urgency} ${count}`).join(' · ')}`
+    : `*Yesterday's inquiries: 0*${statsLine}`;
+
+  const meetings = listOrNone(
+    summary.meetings.map((meeting) =>
+      `• ${formatTime(meeting.selected_slot_start, summary.timeZone)} – ${describeCustomer(meeting)} · \`${meeting.processing_id}\`${meeting.meeting_link ? ` · <${meeting.meeting_link}|Join>` : ''}`),
+    'No confirmed meetings today.'
+  );
+  const pending = listOrNone(
+    summary.pendingApprovals.map((booking) =>
+      `• \`${booking.processing_id}\` – ${describeCustomer(booking)} · ${booking.status} for ${formatAge(booking.updated_at, now)}`),
+    `Nothing waiting longer than ${summary.pendingApprovalHours}h.`
+  );
+  const failedEmails = listOrNone(
+    summary.failedEmails.map((email) =>
+      `• ${email.context} – ${email.status === 'dead_letter' ? 'dead-lettered' : `retrying (attempt ${email.attempts})`}${email.last_error ? `: ${email.last_error.slice(0, 140)}` : ''}`),
+    'No failed emails.'
+  );
+  const services = summary.degradedServices.length > 0
+    ? summary.degradedServices.map((service) => `• ${service.name}: ${service.status}`).join('\n')
+    : 'All services healthy.';
+  const needsAttention = summary.pendingApprovals.length + summary.failedEmails.length + summary.degradedServices.length;
+
+  return {
+    text: `Daily booking summary for ${summary.date}: ${summary.inquiries.length} new inquiries, ${summary.meetings.length} meetings today, ${needsAttention} item(s) need attention`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: `📊 Daily booking summary – ${summary.date}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: inquiriesText } },
+      { type: 'divider' },
+      { type: 'section', text: { type: 'mrkdwn', text: `*📅 Today's meetings (${summary.meetings.length})*\n${meetings}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*⏳ Pending approvals older than ${summary.pendingApprovalHours}h (${summary.pendingApprovals.length})*\n${pending}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*📧 Failed emails (${summary.failedEmails.length})*\n${failedEmails}` } },
+      { type: 'section', text: { type: 'mrkdwn', text: `*🩺 Services*\n${services}` } },
+    ],
+  };
+}
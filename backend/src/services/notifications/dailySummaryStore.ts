@@ -0,0 +1,177 @@
+/**
+ * Slack Daily Summary Store
+ *
+ * Collects the digest data from get_booking_stats, booking_inquiries, the outbox, the calendar
+ * and service health, and claims each local date in slack_daily_summaries so only one replica
+ * posts it.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import type { CalendarService } from '../calendar/CalendarService.js';
+import { logger } from '../../utils/logger.js';
+import { PENDING_APPROVAL_STATUSES } from '../approval/draftRevision.js';
+import {
+  getLocalDayWindow,
+  type BookingStatsRow,
+  type DailySummaryData,
+  type SummaryBookingRow,
+  type SummaryFailedEmail,
+  type SummaryInquiryRow,
+} from './dailySummary.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+interface SummaryMeetingRow extends SummaryBookingRow {
+  confirmed_event_id: string | null;
+  assigned_calendar_email: string | null;
+}
+
+/**
+ * Claim the digest for a local date. Returns false when another replica already posted it;
+ * fails open when the table cannot be reached.
+ */
+export async function claimDailySummary(
+  supabase: SupabaseClient,
+  summaryDate: string,
+  channelId: string
+): Promise<boolean> {
+  const { error } = await supabase
+    .from('slack_daily_summaries')
+    .insert({ summary_date: summaryDate, channel_id: channelId });
+
+  if (!error) {
+    return true;
+  }
+
+  if (error.code === UNIQUE_VIOLATION) {
+    return false;
+  }
+
+  logger.warn(`Daily summary claim for ${summaryDate} could not be stored: ${error.message}`);
+  return true;
+}
+
+/**
+ * Release a claim when the digest could not be built, so the next run retries it
+ */
+export async function releaseDailySummary(supabase: SupabaseClient, summaryDate: string): Promise<void> {
+  const { error } = await supabase.from('slack_daily_summaries').delete().eq('summary_date', summaryDate);
+
+  if (error) {
+    logger.warn(`Failed to release daily summary claim for ${summaryDate}: ${error.message}`);
+  }
+}
+
+export async function recordDailySummaryOutbox(
+  supabase: SupabaseClient,
+  summaryDate: string,
+  outboxId: string | null
+): Promise<void> {
+  const { error } = await supabase
+    .from('slack_daily_summaries')
+    .update({ outbox_id: outboxId, posted_at: new Date().toISOString() })
+    .eq('summary_date', summaryDate);
+
+  if (error) {
+    logger.warn(`Failed to record daily summary post for ${summaryDate}: ${error.message}`);
+  }
+}
+
+async function loadBookingStats(supabase: SupabaseClient, start: Date, end: Date): Promise<BookingStatsRow | null> {
+  const { data, error } = await supabase.rpc('get_booking_stats', {
+    start_date: start.toISOString(),
+    end_date: end.toISOString(),
+  });
+
+  if (error) {
+    logger.warn(`get_booking_stats unavailable for the daily summary: ${error.message}`);
+    return null;
+  }
+
+  const row: unknown = Array.isArray(data) ? data[0] : data;
+  return (row ?? null) as BookingStatsRow | null;
+}
+
+async function loadMeetingLinks(meetings: SummaryMeetingRow[]): Promise<SummaryBookingRow[]> {
+  const calendar = await serviceManager.getService<CalendarService>('calendar');
+
+  return Promise.all(meetings.map(async ({ confirmed_event_id, assigned_calendar_email, ...meeting }) => {
+    if (!calendar || !confirmed_event_id) {
+      return meeting;
+    }
+
+    try {
+      const event = await calendar.getEvent(confirmed_event_id, assigned_calendar_email ?? undefined);
+      return event?.meetingLink ? { ...meeting, meeting_link: event.meetingLink } : meeting;
+    } catch (error) {
+      logger.warn(`Meeting link lookup failed for ${meeting.processing_id}:`, error);
+      return meeting;
+    }
+  }));
+}
+
+export async function collectDailySummary(
+  supabase: SupabaseClient,
+  options: { now: Date; summaryDate: string; timeZone: string; pendingApprovalHours: number }
+): Promise<DailySummaryData> {
+  const yesterday = getLocalDayWindow(options.now, options.timeZone, -1);
+  const today = getLocalDayWindow(options.now, options.timeZone);
+  const pendingCutoff = new Date(options.now.getTime() - options.pendingApprovalHours * 3_600_000);
+  const failedEmailSince = new Date(options.now.getTime() - 24 * 3_600_000);
+
+  const [stats, inquiries, pending, meetings, failedEmails, health] = await Promise.all([
+    loadBookingStats(supabase, yesterday.start, yesterday.end),
+    supabase
+      .from('booking_inquiries')
+      .select('status, ai_analysis')
+      .gte('created_at', yesterday.start.toISOString())
+      .lt('created_at', yesterday.end.toISOString()),
+    supabase
+      .from('booking_inquiries')
+      .select('processing_id, customer_name, company_name, status, updated_at')
+      .in('status', PENDING_APPROVAL_STATUSES)
+      .lt('updated_at', pendingCutoff.toISOString())
+      .order('updated_at', { ascending: true })
+      .limit(50),
+    supabase
+      .from('booking_inquiries')
+      .select('processing_id, customer_name, company_name, status, selected_slot_start, confirmed_event_id, assigned_calendar_email')
+      .not('confirmed_event_id', 'is', null)
+      .neq('status', 'cancelled')
+      .gte('selected_slot_start', today.start.toISOString())
+      .lt('selected_slot_start', today.end.toISOString())
+      .order('selected_slot_start', { ascending: true })
+      .limit(50),
+    supabase
+      .from('side_effect_outbox')
+      .select('context, status, attempts, last_error')
+      .eq('kind', 'email')
+      .in('status', ['pending', 'dead_letter'])
+      .gt('attempts', 0)
+      .gte('updated_at', failedEmailSince.toISOString())
+      .order('updated_at', { ascending: false })
+      .limit(50),
+    serviceManager.healthCheck(),
+  ]);
+
+  for (const [label, result] of [['inquiries', inquiries], ['pending approvals', pending], ['meetings', meetings], ['failed emails', failedEmails]] as const) {
+    if (result.error) {
+      throw new Error(`Daily summary ${label} lookup failed: ${result.error.message}`);
+    }
+  }
+
+  return {
+    date: options.summaryDate,
+    timeZone: options.timeZone,
+    stats,
+    inquiries: (inquiries.data ?? []) as SummaryInquiryRow[],
+    pendingApprovals: (pending.data ?? []) as SummaryBookingRow[],
+    pendingApprovalHours: options.pendingApprovalHours,
+    meetings: await loadMeetingLinks((meetings.data ?? []) as SummaryMeetingRow[]),
+    failedEmails: (failedEmails.data ?? []) as SummaryFailedEmail[],
+    degradedServices: Object.entries(health.services)
+      .filter(([, service]) => service.status !== 'healthy' && service.status !== 'not_configured')
+      .map(([name, service]) => ({ name, status: service.status })),
+  };
+}
@@ -3,7 +3,7 @@ import type { SupabaseClient } from '@supabase/supabase-js';
 import type { Resend } from 'resend';
 import { serviceManager } from '../serviceManager.js';
 import type { CalendarService } from '../calendar/CalendarService.js';
-import { sendTransactionalEmail } from '../email/sendTransactionalEmail.js';
+import { dispatchSideEffect } from '../outbox/outbox.js';
 import { logger } from '../../utils/logger.js';
 import {
   getAllMeetingNotificationSettings,
@@ -130,9 +130,13 @@ function hasSentEvent(booking: NotificationBookingRow, key: string): boolean {
   return getNotificationEvents(booking).some((e) => e.key === key);
 }
 
+/**
+ * Send through the outbox so the email threads with the booking conversation and is logged
+ * in email_delivery_log like every other customer email
+ */
 async function sendNotificationEmail(
-  emailService: Resend,
   booking: NotificationBookingRow,
+  type: NotificationEventRecord['type'],
   subjectTemplate: string,
   bodyTemplate: string,
   meetingDate: Date,
@@ -140,19 +144,24 @@ async function sendNotificationEmail(
 ): Promise<void> {
   const subject = applyTemplate(subjectTemplate, booking, meetingDate, timeZone);
   const body = applyTemplate(bodyTemplate, booking, meetingDate, timeZone);
-
-  await sendTransactionalEmail({
-    emailService,
-    to: [booking.email_from],
-    subject,
-    text: body,
-    context: `meeting notification for ${booking.processing_id || booking.id}`,
+  const dispatch = await dispatchSideEffect({
+    kind: 'email',
+    context: `meeting_notification_${type}:${booking.processing_id || booking.id}`,
+    payload: {
+      to: [booking.email_from],
+      subject,
+      text: body,
+      ...(booking.processing_id ? { booking_reference: booking.processing_id } : {}),
+    },
   });
+
+  if (!dispatch.delivered && !dispatch.queued) {
+    throw new Error(dispatch.error || `Meeting notification could not be sent for booking ${booking.processing_id || booking.id}`);
+  }
 }
 
 async function processPreMeetingReminder(
   supabase: SupabaseClient,
-  emailService: Resend,
   booking: NotificationBookingRow,
   settings: MeetingNotificationSettings,
   reminder: PreMeetingReminderConfig,
@@ -171,8 +180,8 @@ async function processPreMeetingReminder(
   }
 
   await sendNotificationEmail(
-    emailService,
     booking,
+    'pre_meeting',
     reminder.subjectTemplate,
     reminder.bodyTemplate,
     meetingDate,
@@ -190,7 +199,6 @@ async function processPreMeetingReminder(
 
 async function processPostMeetingThankYou(
   supabase: SupabaseClient,
-  emailService: Resend,
   booking: NotificationBookingRow,
   settings: MeetingNotificationSettings,
   meetingDate: Date,
@@ -209,8 +217,8 @@ async function processPostMeetingThankYou(
   }
 
   await sendNotificationEmail(
-    emailService,
     booking,
+    'post_meeting',
     postMeeting.subjectTemplate,
     postMeeting.bodyTemplate,
     meetingDate,
@@ -295,12 +303,12 @@ async function processMeetingNotifications(): Promise<void> {
         }
 
         for (const reminder of settings.preMeeting) {
-          if (await processPreMeetingReminder(supabase, emailService, booking, settings, reminder, meetingDate, now)) {
+          if (await processPreMeetingReminder(supabase, booking, settings, reminder, meetingDate, now)) {
             sentCount++;
           }
         }
 
-        if (await processPostMeetingThankYou(supabase, emailService, booking, settings, meetingDate, now)) {
+        if (await processPostMeetingThankYou(supabase, booking, settings, meetingDate, now)) {
           sentCount++;
         }
       }
@@ -0,0 +1,44 @@
+/**
+ * Outbox Worker Cron
+ *
+ * Retries failed emails, Slack posts and calendar writes every minute.
+ */
+
+import cron from 'node-cron';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { logger } from '../../utils/logger.js';
+import { processOutbox } from './outbox.js';
+
+let isOutboxRunInProgress = false;
+
+cron.schedule('* * * * *', async () => {
+  if (isOutboxRunInProgress) {
+    return;
+  }
+
+  isOutboxRunInProgress = true;
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      return;
+    }
+
+    const summary = await processOutbox(supabase);
+
+    if (summary.processed > 0) {
+      logger.info(
+        `✓ Cron: Outbox processed ${summary.processed} item(s): ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.deadLettered} dead-lettered`
+      );
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Cron: Failed to process outbox:', errorMessage);
+  } finally {
+    isOutboxRunInProgress = false;
+  }
+});
+
+logger.info('📤 Outbox worker initialized: * * * * * (every minute)');
@@ -0,0 +1,470 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import type { ChatPostMessageArguments, WebClient } from '@slack/web-api';
+import type { Resend } from 'resend';
+import { serviceManager } from '../serviceManager.js';
+import type { CalendarService } from '../calendar/CalendarService.js';
+import { sendTransactionalEmail } from '../email/sendTransactionalEmail.js';
+import { toMimeThreadHeaders, type EmailThreadHeaders } from '../email/emailThreading.js';
+import { recordEmailDelivery, resolveBookingEmailThread } from '../email/emailThreadStore.js';
+import { getServiceConfig } from '../../utils/config.js';
+import { logger } from '../../utils/logger.js';
+import {
+  DEFAULT_OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_STALE_LOCK_MINUTES,
+  resolveOutboxFailure,
+  type OutboxKind,
+  type OutboxStatus,
+} from './outboxPolicy.js';
+
+/**
+ * Side-Effect Outbox
+ *
+ * Customer emails, Slack posts and calendar writes are recorded in side_effect_outbox
+ * and tried immediately. Failures stay in the table and are retried by the outbox worker
+ * with exponential backoff until they are delivered or dead-lettered.
+ */
+
+export interface EmailOutboxPayload {
+  to: string[];
+  subject: string;
+  text: string;
+  /** Processing id of the booking the email belongs to; threads the message and logs it */
+  booking_reference?: string;
+  /** Set on first dispatch so retries reuse the same Message-ID */
+  thread_headers?: EmailThreadHeaders;
+}
+
+export type SlackOutboxPayload = ChatPostMessageArguments & Record<string, unknown>;
+
+export interface CalendarWriteOutboxPayload {
+  operation: 'cancel_event';
+  event_id: string;
+  calendar_email: string | null;
+}
+
+export type OutboxItemInput =
+  | { kind: 'email'; context: string; payload: EmailOutboxPayload; maxAttempts?: number }
+  | { kind: 'slack_message'; context: string; payload: SlackOutboxPayload; maxAttempts?: number }
+  | { kind: 'calendar_write'; context: string; payload: CalendarWriteOutboxPayload; maxAttempts?: number };
+
+export interface OutboxItemRecord {
+  id: string;
+  kind: OutboxKind;
+  context: string;
+  payload: Record<string, unknown>;
+  status: OutboxStatus;
+  attempts: number;
+  max_attempts: number;
+  next_attempt_at: string | null;
+  locked_at: string | null;
+  last_error: string | null;
+  result: Record<string, unknown> | null;
+  delivered_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SideEffectDispatchResult {
+  delivered: boolean;
+  /** True when delivery failed and the outbox will retry it. */
+  queued: boolean;
+  outboxId: string | null;
+  result: Record<string, unknown> | null;
+  error: string | null;
+}
+
+export interface OutboxRunSummary {
+  processed: number;
+  delivered: number;
+  retrying: number;
+  deadLettered: number;
+}
+
+const OUTBOX_TABLE = 'side_effect_outbox';
+
+function getErrorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function isAlreadyDeletedError(error: unknown): boolean {
+  const message = getErrorMessage(error).toLowerCase();
+  return message.includes('410') || message.includes('has been deleted') || message.includes('not found');
+}
+
+async function deliverSideEffect(
+  kind: OutboxKind,
+  context: string,
+  payload: Record<string, unknown>
+): Promise<Record<string, unknown>> {
+  switch (kind) {
+    case 'email': {
+      const emailService = await serviceManager.getService<Resend>('email');
+
+      if (!emailService) {
+        throw new Error('Email service not available');
+      }
+
+      const email = payload as unknown as EmailOutboxPayload;
+      const sendResult = await sendTransactionalEmail({
+        emailService,
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        context,
+        ...(email.thread_headers ? { headers: toMimeThreadHeaders(email.thread_headers) } : {}),
+      });
+
+      if (email.booking_reference && email.thread_headers) {
+        const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+        if (supabase) {
+          await recordEmailDelivery(supabase, {
+            processingId: email.booking_reference,
+            context,
+            to: email.to,
+            subject: email.subject,
+            providerMessageId: sendResult.messageId,
+            thread: email.thread_headers,
+          });
+        }
+      }
+
+      return {
+        message_id: sendResult.messageId,
+        from_address: sendResult.fromAddress,
+        ...(email.thread_headers ? { thread_message_id: email.thread_headers.message_id } : {}),
+      };
+    }
+
+    case 'slack_message': {
+      const slack = await serviceManager.getService<WebClient>('slack');
+
+      if (!slack) {
+        throw new Error('Slack service not available');
+      }
+
+      const response = await slack.chat.postMessage(payload as SlackOutboxPayload);
+
+      return { channel: response.channel ?? null, ts: response.ts ?? null };
+    }
+
+    case 'calendar_write': {
+      const calendarService = await serviceManager.getService<CalendarService>('calendar');
+
+      if (!calendarService) {
+        throw new Error('Calendar service not available');
+      }
+
+      const write = payload as unknown as CalendarWriteOutboxPayload;
+
+      if (write.operation !== 'cancel_event') {
+        throw new Error(`Unsupported calendar write: ${String(write.operation)}`);
+      }
+
+      try {
+        const { calendarEmail } = await calendarService.cancelConfirmedEvent(write.event_id, write.calendar_email);
+        return { calendar_email: calendarEmail };
+      } catch (error) {
+        // A retry after a timed-out delete finds the event already gone
+        if (isAlreadyDeletedError(error)) {
+          return { calendar_email: write.calendar_email, already_deleted: true };
+        }
+        throw error;
+      }
+    }
+
+    default:
+      throw new Error(`Unknown outbox item kind: ${String(kind)}`);
+  }
+}
+
+async function recordDelivery(
+  supabase: SupabaseClient,
+  item: Pick<OutboxItemRecord, 'id'>,
+  attempts: number,
+  result: Record<string, unknown>
+): Promise<void> {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from(OUTBOX_TABLE)
+    .update({
+      status: 'delivered',
+      attempts,
+      result,
+      last_error: null,
+      locked_at: null,
+      delivered_at: now,
+      updated_at: now,
+    })
+    .eq('id', item.id);
+
+  if (error) {
+    logger.warn(`Outbox item ${item.id} was delivered but could not be marked: ${error.message}`);
+  }
+}
+
+async function recordFailure(
+  supabase: SupabaseClient,
+  item: Pick<OutboxItemRecord, 'id' | 'kind' | 'context' | 'max_attempts'>,
+  attempts: number,
+  errorMessage: string
+): Promise<OutboxStatus> {
+  const transition = resolveOutboxFailure(attempts, item.max_attempts);
+  const { error } = await supabase
+    .from(OUTBOX_TABLE)
+    .update({
+      status: transition.status,
+      attempts,
+      last_error: errorMessage.slice(0, 2000),
+      next_attempt_at: transition.nextAttemptAt?.toISOString() ?? null,
+      locked_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', item.id);
+
+  if (error) {
+    logger.warn(`Outbox item ${item.id} failure could not be recorded: ${error.message}`);
+  }
+
+  if (transition.status === 'dead_letter') {
+    logger.error(`Outbox ${item.kind} dead-lettered after ${attempts} attempt(s) (${item.context}): ${errorMessage}`);
+  } else {
+    logger.warn(
+      `Outbox ${item.kind} attempt ${attempts}/${item.max_attempts} failed (${item.context}), retrying at ${transition.nextAttemptAt.toISOString()}: ${errorMessage}`
+    );
+  }
+
+  return transition.status;
+}
+
+/**
+ * Attempt a claimed item once and record the outcome.
+ */
+async function attemptOutboxItem(supabase: SupabaseClient, item: OutboxItemRecord): Promise<OutboxStatus> {
+  const attempts = item.attempts + 1;
+
+  try {
+    const result = await deliverSideEffect(item.kind, item.context, item.payload);
+    await recordDelivery(supabase, item, attempts, result);
+    return 'delivered';
+  } catch (error) {
+    return recordFailure(supabase, item, attempts, getErrorMessage(error));
+  }
+}
+
+/**
+ * Record a side effect in the outbox and try it right away. When the first attempt fails the
+ * item stays queued for the worker. Without a database the side effect is attempted once and
+ * errors propagate as they did before the outbox existed.
+ */
+export async function dispatchSideEffect(input: OutboxItemInput): Promise<SideEffectDispatchResult> {
+  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+  // Booking emails get their threading headers once, before the first attempt
+  const payload = (input.kind === 'email' && input.payload.booking_reference && !input.payload.thread_headers
+    ? {
+      ...input.payload,
+      thread_headers: await resolveBookingEmailThread(
+        supabase,
+        input.payload.booking_reference,
+        getServiceConfig('email').fromAddress
+      ),
+    }
+    : input.payload) as unknown as Record<string, unknown>;
+  let outboxItem: OutboxItemRecord | null = null;
+
+  if (supabase) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from(OUTBOX_TABLE)
+      .insert({
+        kind: input.kind,
+        context: input.context,
+        payload,
+        status: 'processing',
+        attempts: 0,
+        max_attempts: input.maxAttempts ?? DEFAULT_OUTBOX_MAX_ATTEMPTS,
+        locked_at: now,
+        next_attempt_at: now,
+      })
+      .select('*')
+      .single<OutboxItemRecord>();
+
+    if (error) {
+      logger.warn(`Outbox unavailable, sending ${input.kind} without retries (${input.context}): ${error.message}`);
+    } else {
+      outboxItem = data;
+    }
+  }
+
+  if (!supabase || !outboxItem) {
+    const result = await deliverSideEffect(input.kind, input.context, payload);
+    return { delivered: true, queued: false, outboxId: null, result, error: null };
+  }
+
+  try {
+    const result = await deliverSideEffect(input.kind, input.context, payload);
+    await recordDelivery(supabase, outboxItem, 1, result);
+    return { delivered: true, queued: false, outboxId: outboxItem.id, result, error: null };
+  } catch (error) {
+    const errorMessage = getErrorMessage(error);
+    const status = await recordFailure(supabase, outboxItem, 1, errorMessage);
+
+    return {
+      delivered: false,
+      queued: status === 'pending',
+      outboxId: outboxItem.id,
+      result: null,
+      error: errorMessage,
+    };
+  }
+}
+
+/**
+ * Retry due outbox items. Each item is claimed with a conditional update first,
+ * so several instances can run the worker against the same table.
+ */
+export async function processOutbox(supabase: SupabaseClient, limit = 20): Promise<OutboxRunSummary> {
+  const now = new Date();
+  const staleLockCutoff = new Date(now.getTime() - OUTBOX_STALE_LOCK_MINUTES * 60 * 1000);
+  const summary: OutboxRunSummary = { processed: 0, delivered: 0, retrying: 0, deadLettered: 0 };
+
+  const { data: dueItems, error } = await supabase
+    .from(OUTBOX_TABLE)
+    .select('id, status, locked_at')
+    .or(
+      `and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),` +
+      `and(status.eq.processing,locked_at.lt.${staleLockCutoff.toISOString()})`
+    )
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load outbox items: ${error.message}`);
+  }
+
+  for (const dueItem of (dueItems || []) as Array<Pick<OutboxItemRecord, 'id' | 'status' | 'locked_at'>>) {
+    let claim = supabase
+      .from(OUTBOX_TABLE)
+      .update({ status: 'processing', locked_at: new Date().toISOString() })
+      .eq('id', dueItem.id)
+      .eq('status', dueItem.status);
+
+    if (dueItem.locked_at) {
+      claim = claim.eq('locked_at', dueItem.locked_at);
+    }
+
+    const { data: claimedItem, error: claimError } = await claim
+      .select('*')
+      .maybeSingle<OutboxItemRecord>();
+
+    if (claimError || !claimedItem) {
+      continue;
+    }
+
+    summary.processed += 1;
+    const status = await attemptOutboxItem(supabase, claimedItem);
+
+    if (status === 'delivered') {
+      summary.delivered += 1;
+    } else if (status === 'dead_letter') {
+      summary.deadLettered += 1;
+    } else {
+      summary.retrying += 1;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Requeue a dead-lettered item with a fresh attempt budget and try it immediately.
+ * Returns null when the item does not exist or is not dead-lettered.
+ */
+export async function retryDeadLetter(
+  supabase: SupabaseClient,
+  id: string
+): Promise<OutboxItemRecord | null> {
+  const { data: claimedItem, error } = await supabase
+    .from(OUTBOX_TABLE)
+    .update({
+      status: 'processing',
+      attempts: 0,
+      locked_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', id)
+    .eq('status', 'dead_letter')
+    .select('*')
+    .maybeSingle<OutboxItemRecord>();
+
+  if (error) {
+    throw new Error(`Failed to requeue outbox item: ${error.message}`);
+  }
+
+  if (!claimedItem) {
+    return null;
+  }
+
+  await attemptOutboxItem(supabase, claimedItem);
+
+  const { data: updatedItem } = await supabase
+    .from(OUTBOX_TABLE)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle<OutboxItemRecord>();
+
+  return updatedItem ?? claimedItem;
+}
+
+export interface OutboxSummary {
+  pending: number;
+  processing: number;
+  dead_letter: number;
+  dead_letters: Array<Pick<
+    OutboxItemRecord,
+    'id' | 'kind' | 'context' | 'attempts' | 'last_error' | 'created_at' | 'updated_at'
+  >>;
+}
+
+/**
+ * Queue counts plus the most recent dead letters, for /diagnostics and the admin dashboard.
+ */
+export async function getOutboxSummary(supabase: SupabaseClient, deadLetterLimit = 20): Promise<OutboxSummary> {
+  const countByStatus = async (status: OutboxStatus): Promise<number> => {
+    const { count, error } = await supabase
+      .from(OUTBOX_TABLE)
+      .select('id', { count: 'exact', head: true })
+      .eq('status', status);
+
+    if (error) {
+      throw new Error(`Failed to count ${status} outbox items: ${error.message}`);
+    }
+
+    return count ?? 0;
+  };
+
+  const [pending, processing, deadLetterCount] = await Promise.all([
+    countByStatus('pending'),
+    countByStatus('processing'),
+    countByStatus('dead_letter'),
+  ]);
+
+  const { data: deadLetters, error } = await supabase
+    .from(OUTBOX_TABLE)
+    .select('id, kind, context, attempts, last_error, created_at, updated_at')
+    .eq('status', 'dead_letter')
+    .order('updated_at', { ascending: false })
+    .limit(deadLetterLimit);
+
+  if (error) {
+    throw new Error(`Failed to load dead-lettered outbox items: ${error.message}`);
+  }
+
+  return {
+    pending,
+    processing,
+    dead_letter: deadLetterCount,
+    dead_letters: (deadLetters || []) as OutboxSummary['dead_letters'],
+  };
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  OUTBOX_MAX_DELAY_SECONDS,
+  getOutboxRetryDelaySeconds,
+  resolveOutboxFailure,
+} from './outboxPolicy.js';
+
+describe('getOutboxRetryDelaySeconds', () => {
+  it('doubles the delay after each failed attempt', () => {
+    expect([1, 2, 3, 4].map(getOutboxRetryDelaySeconds)).toEqual([30, 60, 120, 240]);
+  });
+
+  it('caps the delay', () => {
+    expect(getOutboxRetryDelaySeconds(20)).toBe(OUTBOX_MAX_DELAY_SECONDS);
+  });
+});
+
+describe('resolveOutboxFailure', () => {
+  const now = new Date('2026-03-02T15:00:00.000Z');
+
+  it('schedules a retry while attempts remain', () => {
+    expect(resolveOutboxFailure(2, 6, now)).toEqual({
+      status: 'pending',
+      nextAttemptAt: new Date('2026-03-02T15:01:00.000Z'),
+    });
+  });
+
+  it('dead-letters the item once max attempts are used', () => {
+    expect(resolveOutboxFailure(6, 6, now)).toEqual({ status: 'dead_letter', nextAttemptAt: null });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Outbox Retry Policy
+ *
+ * Decides when a failed side effect is tried again and when it is dead-lettered.
+ */
+
+export type OutboxKind = 'email' | 'slack_message' | 'calendar_write';
+export type OutboxStatus = 'pending' | 'processing' | 'delivered' | 'dead_letter';
+
+export const DEFAULT_OUTBOX_MAX_ATTEMPTS = 6;
+export const OUTBOX_BASE_DELAY_SECONDS = 30;
+export const OUTBOX_MAX_DELAY_SECONDS = 60 * 60;
+/** Items stuck in processing longer than this (e.g. the instance died mid-send) are picked up again. */
+export const OUTBOX_STALE_LOCK_MINUTES = 10;
+
+/**
+ * Exponential backoff: 30s, 60s, 120s, ... capped at one hour.
+ * `attempts` is the number of attempts made so far, including the one that just failed.
+ */
+export function getOutboxRetryDelaySeconds(attempts: number): number {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(OUTBOX_MAX_DELAY_SECONDS, OUTBOX_BASE_DELAY_SECONDS * 2 ** exponent);
+}
+
+export type OutboxFailureTransition =
+  | { status: 'pending'; nextAttemptAt: Date }
+  | { status: 'dead_letter'; nextAttemptAt: null };
+
+/**
+ * Where a failed item goes next: back to pending with a backoff, or to the dead-letter queue.
+ */
+export function resolveOutboxFailure(
+  attempts: number,
+  maxAttempts: number,
+  now: Date = new Date()
+): OutboxFailureTransition {
+  if (attempts >= maxAttempts) {
+    return { status: 'dead_letter', nextAttemptAt: null };
+  }
+
+  return {
+    status: 'pending',
+    nextAttemptAt: new Date(now.getTime() + getOutboxRetryDelaySeconds(attempts) * 1000),
+  };
+}
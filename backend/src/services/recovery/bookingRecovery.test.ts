@@ -0,0 +1,68 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  MAX_RECOVERY_ATTEMPTS,
+  createRecoveryState,
+  getStagesToBackfill,
+  isBookingAwaitingRecovery,
+  readRecoveryState,
+} from './bookingRecovery.js';
+
+const now = new Date('2026-03-02T15:00:00.000Z');
+
+describe('readRecoveryState', () => {
+  it('round-trips the state written for a degraded booking', () => {
+    const state = createRecoveryState('fallback', now);
+
+    expect(readRecoveryState({ recovery: state })).toEqual({
+      ...state,
+      last_error: null,
+      completed_at: null,
+    });
+  });
+
+  it('ignores bookings without a recovery block', () => {
+    expect(readRecoveryState({ processing_mode: 'emergency' })).toBeNull();
+    expect(readRecoveryState(null)).toBeNull();
+  });
+});
+
+describe('getStagesToBackfill', () => {
+  it('runs every stage for a fresh emergency booking', () => {
+    expect(
+      getStagesToBackfill({ status: 'pending', metadata: { recovery: createRecoveryState('emergency', now) } })
+    ).toEqual(['ai_analysis', 'email_draft', 'slack_approval']);
+  });
+
+  it('skips stages already on the row or already backfilled', () => {
+    const recovery = {
+      ...createRecoveryState('emergency', now),
+      backfilled: { ai_analysis: now.toISOString() },
+    };
+
+    expect(
+      getStagesToBackfill({ status: 'draft_created', drafted_email: 'Hi', metadata: { recovery } })
+    ).toEqual(['slack_approval']);
+  });
+});
+
+describe('isBookingAwaitingRecovery', () => {
+  const recovery = createRecoveryState('emergency', now);
+
+  it('picks up pending degraded bookings', () => {
+    expect(isBookingAwaitingRecovery({ status: 'pending', metadata: { recovery } })).toBe(true);
+  });
+
+  it('leaves bookings a human already handled', () => {
+    expect(isBookingAwaitingRecovery({ status: 'sent', metadata: { recovery } })).toBe(false);
+    expect(isBookingAwaitingRecovery({ status: 'cancelled', metadata: { recovery } })).toBe(false);
+  });
+
+  it('stops after the attempt budget is used', () => {
+    expect(
+      isBookingAwaitingRecovery({
+        status: 'pending',
+        metadata: { recovery: { ...recovery, attempts: MAX_RECOVERY_ATTEMPTS } },
+      })
+    ).toBe(false);
+  });
+});
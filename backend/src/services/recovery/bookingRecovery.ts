@@ -0,0 +1,96 @@
+/**
+ * Degraded Booking Recovery State
+ *
+ * Bookings stored in EMERGENCY or FALLBACK mode skip AI analysis, the email draft and the
+ * Slack approval request. They carry a `recovery` block in booking_inquiries.metadata so the
+ * recovery job can backfill those stages once the services are healthy again.
+ */
+
+export type DegradedProcessingMode = 'emergency' | 'fallback';
+export type RecoveryStage = 'ai_analysis' | 'email_draft' | 'slack_approval';
+export type RecoveryStatus = 'pending' | 'completed' | 'skipped' | 'failed';
+
+export const RECOVERY_STAGES: readonly RecoveryStage[] = ['ai_analysis', 'email_draft', 'slack_approval'];
+export const MAX_RECOVERY_ATTEMPTS = 5;
+
+export interface BookingRecoveryState {
+  mode: DegradedProcessingMode;
+  status: RecoveryStatus;
+  degraded_at: string;
+  attempts: number;
+  /** Stage → ISO time it was backfilled by the recovery job */
+  backfilled: Partial<Record<RecoveryStage, string>>;
+  last_error?: string | null;
+  completed_at?: string | null;
+}
+
+export interface RecoverableBookingRow {
+  status: string | null;
+  ai_analysis?: unknown;
+  drafted_email?: string | null;
+  metadata?: Record<string, unknown> | null;
+}
+
+export function createRecoveryState(mode: DegradedProcessingMode, now: Date = new Date()): BookingRecoveryState {
+  return { mode, status: 'pending', degraded_at: now.toISOString(), attempts: 0, backfilled: {} };
+}
+
+export function readRecoveryState(metadata: Record<string, unknown> | null | undefined): BookingRecoveryState | null {
+  const recovery = metadata?.['recovery'];
+
+  if (!recovery || typeof recovery !== 'object' || Array.isArray(recovery)) {
+    return null;
+  }
+
+  const state = recovery as Partial<BookingRecoveryState>;
+
+  if ((state.mode !== 'emergency' && state.mode !== 'fallback') || typeof state.status !== 'string') {
+    return null;
+  }
+
+  return {
+    mode: state.mode,
+    status: state.status,
+    degraded_at: typeof state.degraded_at === 'string' ? state.degraded_at : '',
+    attempts: typeof state.attempts === 'number' ? state.attempts : 0,
+    backfilled: state.backfilled && typeof state.backfilled === 'object' ? state.backfilled : {},
+    last_error: state.last_error ?? null,
+    completed_at: state.completed_at ?? null,
+  };
+}
+
+/**
+ * Stages still missing for a degraded booking. Work already on the row (an analysis or draft
+ * from an earlier partial run) is reused, so running recovery twice never repeats a stage.
+ */
+export function getStagesToBackfill(booking: RecoverableBookingRow): RecoveryStage[] {
+  const state = readRecoveryState(booking.metadata);
+
+  return RECOVERY_STAGES.filter((stage) => {
+    if (state?.backfilled[stage]) {
+      return false;
+    }
+
+    if (stage === 'ai_analysis') {
+      return !booking.ai_analysis;
+    }
+
+    if (stage === 'email_draft') {
+      return !booking.drafted_email;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Only bookings nobody has picked up yet are replayed; anything a human already moved on
+ * (drafted by hand, sent, cancelled) is left alone.
+ */
+export function isBookingAwaitingRecovery(booking: RecoverableBookingRow): boolean {
+  const state = readRecoveryState(booking.metadata);
+
+  return state?.status === 'pending'
+    && state.attempts < MAX_RECOVERY_ATTEMPTS
+    && (booking.status === 'pending' || booking.status === 'draft_created');
+}
@@ -0,0 +1,331 @@
+/**
+ * Degraded Booking Recovery
+ *
+ * Replays bookings stored in EMERGENCY or FALLBACK mode through the missing pipeline stages
+ * (AI analysis, email draft, Slack approval) once the LLM, Slack and email report healthy.
+ * Each stage is recorded in metadata.recovery.backfilled as it completes, so a crash or a
+ * second replica never repeats work already done.
+ */
+
+import type { WebClient } from '@slack/web-api';
+import type { Resend } from 'resend';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { logger } from '../../utils/logger.js';
+import {
+  analyzeCustomerInquiry,
+  buildSchedulingInfo,
+  generateEmailDraft,
+  requestDraftApproval,
+  updateDatabaseWithDraft,
+  type BookingData,
+} from '../ai-processing.js';
+import { routeBookingInquiry } from '../routing/routingEngine.js';
+import type { LLMService } from '../llm/LLMService.js';
+import {
+  MAX_RECOVERY_ATTEMPTS,
+  createRecoveryState,
+  getStagesToBackfill,
+  isBookingAwaitingRecovery,
+  readRecoveryState,
+  type BookingRecoveryState,
+  type DegradedProcessingMode,
+  type RecoverableBookingRow,
+} from './bookingRecovery.js';
+import type { AIAnalysis, RoutingDecision } from '../../../../src/types/index.js';
+
+const RECOVERY_SERVICES = ['llm', 'slack', 'email'] as const;
+
+interface DegradedBookingRow extends RecoverableBookingRow {
+  processing_id: string;
+  customer_name: string | null;
+  email_from: string | null;
+  company_name?: string | null;
+  phone_number?: string | null;
+  email_body: string | null;
+}
+
+export interface RecoveryRunSummary {
+  ready: boolean;
+  unhealthyServices: string[];
+  processed: number;
+  completed: number;
+  skipped: number;
+  failed: number;
+}
+
+/**
+ * Flag a booking stored by a degraded processing mode so the recovery job picks it up
+ */
+export async function markBookingForRecovery(
+  supabase: SupabaseClient,
+  processingId: string,
+  mode: DegradedProcessingMode
+): Promise<void> {
+  try {
+    const { data, error } = await supabase
+      .from('booking_inquiries')
+      .select('metadata')
+      .eq('processing_id', processingId)
+      .maybeSingle();
+
+    if (error || !data) {
+      logger.warn(`Could not flag ${processingId} for recovery: ${error?.message ?? 'booking not found'}`);
+      return;
+    }
+
+    const metadata = (data.metadata as Record<string, unknown> | null) ?? {};
+    const { error: updateError } = await supabase
+      .from('booking_inquiries')
+      .update({ metadata: { ...metadata, recovery: createRecoveryState(mode) } })
+      .eq('processing_id', processingId);
+
+    if (updateError) {
+      logger.warn(`Could not flag ${processingId} for recovery: ${updateError.message}`);
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.warn(`Could not flag ${processingId} for recovery: ${errorMessage}`);
+  }
+}
+
+/**
+ * Services the replay needs that are not healthy yet (empty when recovery can run)
+ */
+export async function getUnhealthyRecoveryServices(): Promise<string[]> {
+  const health = await serviceManager.healthCheck();
+
+  return RECOVERY_SERVICES.filter((name) => health.services[name]?.status !== 'healthy');
+}
+
+/**
+ * Replay degraded bookings through the stages they skipped
+ */
+export async function recoverDegradedBookings(
+  supabase: SupabaseClient,
+  limit = 10
+): Promise<RecoveryRunSummary> {
+  const summary: RecoveryRunSummary = {
+    ready: false,
+    unhealthyServices: await getUnhealthyRecoveryServices(),
+    processed: 0,
+    completed: 0,
+    skipped: 0,
+    failed: 0,
+  };
+
+  if (summary.unhealthyServices.length > 0) {
+    return summary;
+  }
+
+  const llm = await serviceManager.getService<LLMService>('llm');
+  const slack = await serviceManager.getService<WebClient>('slack');
+  const email = await serviceManager.getService<Resend>('email');
+
+  if (!llm || !slack || !email) {
+    summary.unhealthyServices = RECOVERY_SERVICES.filter((_name, index) => ![llm, slack, email][index]);
+    return summary;
+  }
+
+  summary.ready = true;
+
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .select('processing_id, status, customer_name, email_from, company_name, phone_number, email_body, ai_analysis, drafted_email, metadata')
+    .eq('metadata->recovery->>status', 'pending')
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load degraded bookings: ${error.message}`);
+  }
+
+  for (const booking of (data ?? []) as DegradedBookingRow[]) {
+    const state = readRecoveryState(booking.metadata);
+
+    if (!state) {
+      continue;
+    }
+
+    if (!isBookingAwaitingRecovery(booking)) {
+      const reason = state.attempts >= MAX_RECOVERY_ATTEMPTS ? 'failed' : 'skipped';
+      await updateRecoveryState(supabase, booking.processing_id, (current) => ({ ...current, status: reason }));
+      summary[reason] += 1;
+      continue;
+    }
+
+    if (!(await claimBooking(supabase, booking, state))) {
+      continue;
+    }
+
+    summary.processed += 1;
+
+    try {
+      await replayBooking(supabase, llm, booking);
+      await updateRecoveryState(supabase, booking.processing_id, (current) => ({
+        ...current,
+        status: 'completed',
+        last_error: null,
+        completed_at: new Date().toISOString(),
+      }));
+      summary.completed += 1;
+      logger.info(`Recovered degraded booking ${booking.processing_id} (${state.mode} mode)`);
+    } catch (replayError) {
+      const errorMessage = replayError instanceof Error ? replayError.message : 'Unknown error';
+      await updateRecoveryState(supabase, booking.processing_id, (current) => ({
+        ...current,
+        status: current.attempts >= MAX_RECOVERY_ATTEMPTS ? 'failed' : 'pending',
+        last_error: errorMessage,
+      }));
+      summary.failed += 1;
+      logger.error(`Recovery failed for degraded booking ${booking.processing_id}: ${errorMessage}`);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Count the attempt with a conditional update so only one replica replays a booking per run
+ */
+async function claimBooking(
+  supabase: SupabaseClient,
+  booking: DegradedBookingRow,
+  state: BookingRecoveryState
+): Promise<boolean> {
+  const metadata = booking.metadata ?? {};
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .update({ metadata: { ...metadata, recovery: { ...state, attempts: state.attempts + 1 } } })
+    .eq('processing_id', booking.processing_id)
+    .eq('metadata->recovery->>status', 'pending')
+    .eq('metadata->recovery->>attempts', String(state.attempts))
+    .select('metadata')
+    .maybeSingle();
+
+  if (error) {
+    logger.warn(`Could not claim degraded booking ${booking.processing_id}: ${error.message}`);
+    return false;
+  }
+
+  if (data) {
+    booking.metadata = data.metadata as Record<string, unknown>;
+  }
+
+  return Boolean(data);
+}
+
+async function replayBooking(
+  supabase: SupabaseClient,
+  llm: LLMService,
+  booking: DegradedBookingRow
+): Promise<void> {
+  const bookingData: BookingData = {
+    name: booking.customer_name || '',
+    email: booking.email_from || '',
+    message: booking.email_body || '',
+    ...(booking.company_name ? { company: booking.company_name } : {}),
+    ...(booking.phone_number ? { phone: booking.phone_number } : {}),
+  };
+  const stages = getStagesToBackfill(booking);
+  let analysis = booking.ai_analysis as AIAnalysis | null | undefined;
+  let draftedEmail = booking.drafted_email ?? null;
+  let routing = (booking.metadata?.['routing'] as RoutingDecision | undefined) ?? null;
+
+  if (stages.includes('ai_analysis') || !analysis) {
+    analysis = await analyzeCustomerInquiry(llm, bookingData);
+    routing = await routeBookingInquiry(supabase, booking.processing_id, analysis, analysis.qualification_score);
+
+    const { error } = await supabase
+      .from('booking_inquiries')
+      .update({
+        ai_analysis: analysis,
+        ...(typeof analysis.qualification_score === 'number'
+          ? { qualification_score: analysis.qualification_score }
+          : {}),
+      })
+      .eq('processing_id', booking.processing_id);
+
+    if (error) {
+      throw new Error(`Failed to store AI analysis: ${error.message}`);
+    }
+
+    await markStageBackfilled(supabase, booking.processing_id, 'ai_analysis');
+  }
+
+  if (stages.includes('email_draft') || !draftedEmail) {
+    const calendarInfo = await buildSchedulingInfo(bookingData, analysis, routing);
+    draftedEmail = await generateEmailDraft(llm, bookingData, analysis, calendarInfo, booking.processing_id);
+    await updateDatabaseWithDraft(supabase, booking.processing_id, analysis, draftedEmail);
+    await markStageBackfilled(supabase, booking.processing_id, 'email_draft');
+  }
+
+  if (stages.includes('slack_approval')) {
+    const { autoSent, slackDispatch } = await requestDraftApproval(supabase, {
+      bookingData,
+      analysis,
+      draftedEmail,
+      requestId: booking.processing_id,
+      routing,
+      trigger: 'degraded_booking_recovery',
+    });
+
+    if (!slackDispatch.delivered && !slackDispatch.queued) {
+      // An auto-sent email already moved the booking on; only the Slack notice is missing
+      if (!autoSent) {
+        throw new Error(slackDispatch.error || 'Slack approval request was not delivered');
+      }
+
+      logger.warn(`Auto-sent recovered booking ${booking.processing_id} but the Slack notice failed: ${slackDispatch.error}`);
+    }
+
+    await markStageBackfilled(supabase, booking.processing_id, 'slack_approval');
+  }
+}
+
+async function markStageBackfilled(
+  supabase: SupabaseClient,
+  processingId: string,
+  stage: keyof BookingRecoveryState['backfilled']
+): Promise<void> {
+  await updateRecoveryState(supabase, processingId, (current) => ({
+    ...current,
+    backfilled: { ...current.backfilled, [stage]: new Date().toISOString() },
+  }));
+}
+
+/**
+ * Read-modify-write of metadata.recovery. Metadata is re-read each time because the
+ * routing engine writes metadata.routing on the same row mid-replay.
+ */
+async function updateRecoveryState(
+  supabase: SupabaseClient,
+  processingId: string,
+  update: (current: BookingRecoveryState) => BookingRecoveryState
+): Promise<void> {
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .select('metadata')
+    .eq('processing_id', processingId)
+    .maybeSingle();
+
+  if (error || !data) {
+    throw new Error(`Failed to load recovery state for ${processingId}: ${error?.message ?? 'booking not found'}`);
+  }
+
+  const metadata = (data.metadata as Record<string, unknown> | null) ?? {};
+  const current = readRecoveryState(metadata);
+
+  if (!current) {
+    return;
+  }
+
+  const { error: updateError } = await supabase
+    .from('booking_inquiries')
+    .update({ metadata: { ...metadata, recovery: update(current) } })
+    .eq('processing_id', processingId);
+
+  if (updateError) {
+    throw new Error(`Failed to update recovery state for ${processingId}: ${updateError.message}`);
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Degraded Booking Recovery Cron
+ *
+ * Every 5 minutes, replays EMERGENCY/FALLBACK bookings through AI analysis, drafting and
+ * Slack approval once the LLM, Slack and email are healthy again.
+ */
+
+import cron from 'node-cron';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { logger } from '../../utils/logger.js';
+import { recoverDegradedBookings } from './degradedBookingRecovery.js';
+
+let isRecoveryRunInProgress = false;
+
+cron.schedule('*/5 * * * *', async () => {
+  if (isRecoveryRunInProgress) {
+    return;
+  }
+
+  isRecoveryRunInProgress = true;
+
+  try {
+    const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+    if (!supabase) {
+      return;
+    }
+
+    const summary = await recoverDegradedBookings(supabase);
+
+    if (summary.processed > 0 || summary.skipped > 0 || summary.failed > 0) {
+      logger.info(
+        `✓ Cron: Booking recovery processed ${summary.processed} booking(s): ${summary.completed} recovered, ${summary.skipped} skipped, ${summary.failed} failed`
+      );
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Cron: Failed to recover degraded bookings:', errorMessage);
+  } finally {
+    isRecoveryRunInProgress = false;
+  }
+});
+
+logger.info('🩹 Degraded booking recovery initialized: */5 * * * * (every 5 minutes)');
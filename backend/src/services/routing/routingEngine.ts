@@ -0,0 +1,140 @@
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import {
+  evaluateRoutingRules,
+  mergeRoutingRules,
+  type LoadedRoutingRule,
+  type RoutingRuleRow,
+} from './routingRules.js';
+import type { AIAnalysis, RoutingDecision } from '../../../../src/types/index.js';
+
+/**
+ * Routing Engine
+ * Runs after AI analysis: loads YAML + database routing rules, picks the winning
+ * rule and applies it to the booking (meeting type, duration, calendar, approval).
+ */
+
+/**
+ * Load active routing rules, falling back to YAML-only when the table is unavailable.
+ */
+export async function loadRoutingRules(supabase: SupabaseClient | null): Promise<LoadedRoutingRule[]> {
+  const yamlRules = getConfigSection('routing_rules');
+
+  if (!supabase) {
+    return mergeRoutingRules(yamlRules, []);
+  }
+
+  const { data, error } = await supabase
+    .from('routing_rules')
+    .select('rule_name, priority, conditions, actions, is_active');
+
+  if (error) {
+    logger.warn(`Routing rules table unavailable, using YAML rules only: ${error.message}`);
+    return mergeRoutingRules(yamlRules, []);
+  }
+
+  return mergeRoutingRules(yamlRules, (data || []) as RoutingRuleRow[]);
+}
+
+export interface RoutingOptions {
+  /** The customer already picked a slot (a selection hold), so its type and calendar stand */
+  slotSelected?: boolean;
+}
+
+/**
+ * Persist the routing decision onto the booking row and record it in metadata.routing.
+ * A booking that already has a selected slot keeps its meeting type, duration and calendar.
+ */
+async function applyRoutingDecision(
+  supabase: SupabaseClient,
+  requestId: string,
+  decision: RoutingDecision | null,
+  options: RoutingOptions
+): Promise<void> {
+  const { data: existing, error: readError } = await supabase
+    .from('booking_inquiries')
+    .select('metadata, selected_slot_start')
+    .eq('processing_id', requestId)
+    .maybeSingle<{ metadata: Record<string, unknown> | null; selected_slot_start: string | null }>();
+
+  if (readError) {
+    logger.warn(`Could not read booking metadata for routing ${requestId}: ${readError.message}`);
+  }
+
+  const metadata = {
+    ...(existing?.metadata || {}),
+    routing: decision ?? { rule_name: null, matched_at: new Date().toISOString() },
+  };
+  const updatePayload: Record<string, unknown> = {
+    metadata,
+    updated_at: new Date().toISOString(),
+  };
+
+  if (decision) {
+    updatePayload['priority_level'] = decision.priority_level;
+
+    if (options.slotSelected || existing?.selected_slot_start) {
+      logger.info(`Booking ${requestId} already has a selected slot; routing keeps its meeting type and calendar`);
+    } else {
+      updatePayload['meeting_type'] = decision.meeting_type;
+      updatePayload['meeting_duration'] = decision.duration_minutes;
+      updatePayload['assigned_calendar_email'] = decision.calendar_email ?? null;
+    }
+  }
+
+  const { error } = await supabase
+    .from('booking_inquiries')
+    .update(updatePayload)
+    .eq('processing_id', requestId);
+
+  if (error) {
+    logger.warn(`Failed to store routing decision for ${requestId}: ${error.message}`);
+  }
+}
+
+/**
+ * Route an analyzed inquiry: load rules, evaluate, and persist the decision.
+ * Routing never blocks a booking; failures are logged and yield no decision.
+ */
+export async function routeBookingInquiry(
+  supabase: SupabaseClient | null,
+  requestId: string,
+  analysis: AIAnalysis,
+  qualificationScore?: number | null,
+  options: RoutingOptions = {}
+): Promise<RoutingDecision | null> {
+  try {
+    const rules = await loadRoutingRules(supabase);
+    const decision = evaluateRoutingRules(
+      rules,
+      {
+        customer_tier: analysis.customer_tier,
+        urgency_level: analysis.urgency_level,
+        qualification_score: qualificationScore,
+      },
+      getConfigSection('calendar').providers
+    );
+
+    if (decision) {
+      logger.info(`Routing rule "${decision.rule_name}" (${decision.rule_source}) matched ${requestId}`, {
+        meetingType: decision.meeting_type,
+        durationMinutes: decision.duration_minutes,
+        calendar: decision.calendar_email || decision.calendar,
+        requireApproval: decision.require_approval,
+      });
+    } else {
+      logger.info(`No routing rule matched ${requestId}`);
+    }
+
+    if (supabase) {
+      await applyRoutingDecision(supabase, requestId, decision, options);
+    }
+
+    return decision;
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error(`Routing failed for ${requestId}: ${errorMessage}`);
+    return null;
+  }
+}
@@ -0,0 +1,147 @@
+import { describe, expect, it } from '@jest/globals';
+import { evaluateRoutingRules, mergeRoutingRules } from './routingRules.js';
+import type { RoutingRule } from '../../../../src/config/schema.js';
+
+const yamlRules: RoutingRule[] = [
+  {
+    name: 'enterprise_fast_track',
+    priority: 100,
+    conditions: { customer_tier: 'Enterprise', urgency_level: ['High', 'Medium'] },
+    actions: {
+      meeting_type: 'strategy',
+      duration: 60,
+      priority: 5,
+      require_approval: true,
+      notify_slack: true,
+      calendar: 'strategy@autonome.test',
+    },
+  },
+  {
+    name: 'professional_standard',
+    priority: 50,
+    conditions: { customer_tier: 'Professional' },
+    actions: { meeting_type: 'consultation', duration: 30, priority: 3, require_approval: true },
+  },
+  {
+    name: 'basic_discovery',
+    priority: 10,
+    conditions: { customer_tier: 'Basic' },
+    actions: { meeting_type: 'discovery', duration: 15, priority: 2, require_approval: false },
+  },
+];
+
+describe('routing engine', () => {
+  it('picks the highest-priority rule whose conditions match', () => {
+    const decision = evaluateRoutingRules(mergeRoutingRules(yamlRules, []), {
+      customer_tier: 'Enterprise',
+      urgency_level: 'High',
+    });
+
+    expect(decision).toMatchObject({
+      rule_name: 'enterprise_fast_track',
+      rule_source: 'yaml',
+      meeting_type: 'strategy',
+      duration_minutes: 60,
+      require_approval: true,
+      calendar_email: 'strategy@autonome.test',
+    });
+  });
+
+  it('maps calendar provider ids to their configured calendar email', () => {
+    const decision = evaluateRoutingRules(
+      mergeRoutingRules(
+        [{ ...yamlRules[2]!, actions: { ...yamlRules[2]!.actions, calendar: 'discovery' } }],
+        []
+      ),
+      { customer_tier: 'Basic', urgency_level: 'Low' },
+      [
+        {
+          id: 'discovery',
+          type: 'google',
+          calendar_id: 'discovery@autonome.test',
+          priority: 50,
+          enabled: true,
+          meeting_types: ['discovery'],
+        },
+      ]
+    );
+
+    expect(decision).toMatchObject({ calendar: 'discovery', calendar_email: 'discovery@autonome.test' });
+  });
+
+  it('returns null when no rule matches', () => {
+    const decision = evaluateRoutingRules(mergeRoutingRules(yamlRules, []), {
+      customer_tier: 'Enterprise',
+      urgency_level: 'Low',
+    });
+
+    expect(decision).toBeNull();
+  });
+
+  it('requires a qualification score above the configured threshold', () => {
+    const rules = mergeRoutingRules(
+      [
+        {
+          name: 'qualified_demo',
+          priority: 200,
+          conditions: { qualification_score_above: 70 },
+          actions: { meeting_type: 'demo', duration: 45, priority: 4, require_approval: false },
+        },
+        ...yamlRules,
+      ],
+      []
+    );
+
+    expect(
+      evaluateRoutingRules(rules, { customer_tier: 'Basic', urgency_level: 'Low', qualification_score: 85 })
+        ?.rule_name
+    ).toBe('qualified_demo');
+    expect(
+      evaluateRoutingRules(rules, { customer_tier: 'Basic', urgency_level: 'Low', qualification_score: 70 })
+        ?.rule_name
+    ).toBe('basic_discovery');
+    expect(
+      evaluateRoutingRules(rules, { customer_tier: 'Basic', urgency_level: 'Low' })?.rule_name
+    ).toBe('basic_discovery');
+  });
+
+  it('lets database rules override or disable YAML rules by name', () => {
+    const rules = mergeRoutingRules(yamlRules, [
+      {
+        rule_name: 'professional_standard',
+        priority: 50,
+        conditions: { customer_tier: 'Professional' },
+        actions: { meeting_type: 'demo', duration: 45, priority: 3, require_approval: false },
+        is_active: true,
+      },
+      {
+        rule_name: 'basic_discovery',
+        priority: 10,
+        conditions: {},
+        actions: {},
+        is_active: false,
+      },
+    ]);
+
+    expect(
+      evaluateRoutingRules(rules, { customer_tier: 'Professional', urgency_level: 'Low' })
+    ).toMatchObject({ rule_source: 'database', meeting_type: 'demo', duration_minutes: 45 });
+    expect(evaluateRoutingRules(rules, { customer_tier: 'Basic', urgency_level: 'Low' })).toBeNull();
+  });
+
+  it('skips database rows that fail schema validation', () => {
+    const rules = mergeRoutingRules(yamlRules, [
+      {
+        rule_name: 'professional_standard',
+        priority: 50,
+        conditions: { customer_tier: 'Professional' },
+        actions: { meeting_type: 'not-a-type', duration: 1 },
+        is_active: true,
+      },
+    ]);
+
+    expect(
+      evaluateRoutingRules(rules, { customer_tier: 'Professional', urgency_level: 'Low' })
+    ).toMatchObject({ rule_source: 'yaml', meeting_type: 'consultation' });
+  });
+});
@@ -0,0 +1,152 @@
+import { logger } from '../../utils/logger.js';
+import { RoutingRulesSchema, type Calendar, type RoutingRule } from '../../../../src/config/schema.js';
+import type {
+  AIAnalysis,
+  RoutingDecision,
+  RoutingRuleSource,
+} from '../../../../src/types/index.js';
+
+/**
+ * Routing Rules
+ * Pure evaluation of the priority-ordered routing_rules (YAML defaults + database overrides)
+ * against the AI analysis of an inquiry.
+ */
+
+export interface LoadedRoutingRule extends RoutingRule {
+  source: RoutingRuleSource;
+}
+
+export interface RoutingContext {
+  customer_tier: AIAnalysis['customer_tier'];
+  urgency_level: AIAnalysis['urgency_level'];
+  qualification_score?: number | null;
+}
+
+export interface RoutingRuleRow {
+  rule_name: string;
+  priority: number | null;
+  conditions: unknown;
+  actions: unknown;
+  is_active: boolean | null;
+}
+
+type CalendarProviderConfig = Calendar['providers'][number];
+
+const routingRuleSchema = RoutingRulesSchema.element;
+
+/**
+ * Merge YAML and database rules by name. A database row replaces the YAML rule
+ * with the same name, and an inactive database row switches that rule off.
+ */
+export function mergeRoutingRules(
+  yamlRules: RoutingRule[],
+  databaseRows: RoutingRuleRow[]
+): LoadedRoutingRule[] {
+  const rulesByName = new Map<string, LoadedRoutingRule>();
+
+  for (const rule of yamlRules) {
+    rulesByName.set(rule.name, { ...rule, source: 'yaml' });
+  }
+
+  for (const row of databaseRows) {
+    if (row.is_active === false) {
+      rulesByName.delete(row.rule_name);
+      continue;
+    }
+
+    const parsed = routingRuleSchema.safeParse({
+      name: row.rule_name,
+      priority: row.priority ?? 0,
+      conditions: row.conditions,
+      actions: row.actions,
+    });
+
+    if (!parsed.success) {
+      logger.warn(`Ignoring invalid routing rule "${row.rule_name}" from database:`, parsed.error.errors);
+      continue;
+    }
+
+    rulesByName.set(parsed.data.name, { ...parsed.data, source: 'database' });
+  }
+
+  return Array.from(rulesByName.values()).sort((a, b) => b.priority - a.priority);
+}
+
+function matchesRoutingRule(rule: RoutingRule, context: RoutingContext): boolean {
+  const { conditions } = rule;
+
+  if (conditions.customer_tier && conditions.customer_tier !== context.customer_tier) {
+    return false;
+  }
+
+  if (conditions.urgency_level && !conditions.urgency_level.includes(context.urgency_level)) {
+    return false;
+  }
+
+  if (typeof conditions.qualification_score_above === 'number') {
+    if (
+      typeof context.qualification_score !== 'number'
+      || context.qualification_score <= conditions.qualification_score_above
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Resolve a rule's `calendar` action to a calendar email. Provider ids from the
+ * YAML calendar section map to their calendar_id; `primary` keeps the booking calendar.
+ */
+function resolveRoutingCalendarEmail(
+  calendar: string | undefined,
+  calendarProviders: CalendarProviderConfig[]
+): string | undefined {
+  if (!calendar) {
+    return undefined;
+  }
+
+  if (calendar.includes('@')) {
+    return calendar;
+  }
+
+  const provider = calendarProviders.find(
+    (candidate) => candidate.id === calendar && candidate.enabled
+  );
+
+  return provider?.calendar_id.includes('@') ? provider.calendar_id : undefined;
+}
+
+/**
+ * Pick the highest-priority rule whose conditions match the analysis.
+ */
+export function evaluateRoutingRules(
+  rules: LoadedRoutingRule[],
+  context: RoutingContext,
+  calendarProviders: CalendarProviderConfig[] = []
+): RoutingDecision | null {
+  const winningRule = [...rules]
+    .sort((a, b) => b.priority - a.priority)
+    .find((rule) => matchesRoutingRule(rule, context));
+
+  if (!winningRule) {
+    return null;
+  }
+
+  const calendarEmail = resolveRoutingCalendarEmail(winningRule.actions.calendar, calendarProviders);
+
+  return {
+    rule_name: winningRule.name,
+    rule_source: winningRule.source,
+    rule_priority: winningRule.priority,
+    meeting_type: winningRule.actions.meeting_type,
+    duration_minutes: winningRule.actions.duration,
+    priority_level: winningRule.actions.priority,
+    require_approval: winningRule.actions.require_approval,
+    notify_slack: winningRule.actions.notify_slack ?? true,
+    ...(winningRule.actions.calendar ? { calendar: winningRule.actions.calendar } : {}),
+    ...(calendarEmail ? { calendar_email: calendarEmail } : {}),
+    matched_at: new Date().toISOString(),
+  };
+}
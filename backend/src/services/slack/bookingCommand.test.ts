@@ -0,0 +1,70 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildMeetingListResponse,
+  getMeetingWindow,
+  normalizeBookingReference,
+  parseBookingCommand,
+} from './bookingCommand.js';
+
+describe('parseBookingCommand', () => {
+  it('parses each subcommand', () => {
+    expect(parseBookingCommand('status booking_123')).toEqual({ name: 'status', query: 'booking_123' });
+    expect(parseBookingCommand('STATUS <mailto:jane@acme.com|jane@acme.com>')).toEqual({ name: 'status', query: 'jane@acme.com' });
+    expect(parseBookingCommand('today')).toEqual({ name: 'today' });
+    expect(parseBookingCommand(' week ')).toEqual({ name: 'week' });
+    expect(parseBookingCommand('pending')).toEqual({ name: 'pending' });
+    expect(parseBookingCommand('release-hold 6f1c')).toEqual({ name: 'release-hold', holdId: '6f1c' });
+    expect(parseBookingCommand('resend [booking_123]')).toEqual({ name: 'resend', reference: 'booking_123' });
+  });
+
+  it('falls back to help with a usage hint', () => {
+    expect(parseBookingCommand('')).toEqual({ name: 'help' });
+    expect(parseBookingCommand('status')).toEqual({ name: 'help', error: 'Usage: `/booking status <ref|email>`' });
+    expect(parseBookingCommand('cancel booking_1')).toEqual({ name: 'help', error: 'Unknown subcommand `cancel`.' });
+  });
+});
+
+describe('normalizeBookingReference', () => {
+  it('unwraps Slack links and subject tags', () => {
+    expect(normalizeBookingReference('[booking_42]')).toBe('booking_42');
+    expect(normalizeBookingReference('<mailto:a@b.co|a@b.co>')).toBe('a@b.co');
+  });
+});
+
+describe('getMeetingWindow', () => {
+  const now = new Date('2026-10-19T03:30:00Z');
+
+  it('covers the local calendar day in the scheduling timezone', () => {
+    const window = getMeetingWindow('today', now, 'America/New_York');
+
+    expect(window.start.toISOString()).toBe('2026-10-18T04:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-10-19T04:00:00.000Z');
+  });
+
+  it('covers seven local days for week, across the DST change', () => {
+    const window = getMeetingWindow('week', new Date('2026-10-29T15:00:00Z'), 'America/New_York');
+
+    expect(window.start.toISOString()).toBe('2026-10-29T04:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-11-05T05:00:00.000Z');
+  });
+});
+
+describe('buildMeetingListResponse', () => {
+  it('lists meetings in the scheduling timezone', () => {
+    const response = buildMeetingListResponse('today', [{
+      processing_id: 'booking_1',
+      customer_name: 'Jane Doe',
+      company_name: 'Acme',
+      email_from: 'jane@acme.com',
+      status: 'sent',
+      selected_slot_start: '2026-10-19T18:30:00Z',
+    }], 'America/New_York');
+
+    expect(response.text).toBe("Today's confirmed meetings: 1");
+    expect(response.blocks[1].text.text).toBe('• *Mon, Oct 19, 2:30 PM EDT* – Jane Doe (Acme) · `booking_1`');
+  });
+
+  it('says when there is nothing scheduled', () => {
+    expect(buildMeetingListResponse('week', [], 'UTC').text).toBe('*Confirmed meetings in the next 7 days*\nNo confirmed meetings.');
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * /booking Slash Command
+ *
+ * Parses `/booking <subcommand>` text and renders the Block Kit responses. Data access lives
+ * in bookingCommandHandler.ts.
+ *
+ *   /booking status <ref|email>   booking details, selected slot and active holds
+ *   /booking today | week         upcoming confirmed meetings
+ *   /booking pending              drafts awaiting approval
+ *   /booking release-hold <id>    release a provisional hold (hold id or booking ref)
+ *   /booking resend <ref>         resend the latest email sent for a booking
+ */
+import type { KnownBlock } from '@slack/web-api';
+import { addDays, getLocalDate, zonedTimeToUtc } from '../conversation/proposedTimes.js';
+import { slackTextToPlainText } from '../conversation/humanTakeover.js';
+
+export type BookingCommand =
+  | { name: 'status'; query: string }
+  | { name: 'today' }
+  | { name: 'week' }
+  | { name: 'pending' }
+  | { name: 'release-hold'; holdId: string }
+  | { name: 'resend'; reference: string }
+  | { name: 'help'; error?: string };
+
+export interface BookingCommandRecord {
+  id?: string;
+  processing_id: string;
+  customer_name: string | null;
+  company_name: string | null;
+  email_from: string | null;
+  status: string | null;
+  conversation_stage?: string | null;
+  meeting_type?: string | null;
+  selected_slot_start?: string | null;
+  selected_slot_end?: string | null;
+  assigned_calendar_email?: string | null;
+  confirmed_event_id?: string | null;
+  provisional_hold_id?: string | null;
+  created_at?: string | null;
+  updated_at?: string | null;
+}
+
+export interface BookingCommandHold {
+  id: string;
+  calendar_email: string;
+  slot_start: string;
+  slot_end: string;
+  expires_at: string;
+  status: string;
+}
+
+export interface BookingCommandResponse {
+  text: string;
+  blocks: KnownBlock[];
+}
+
+/** Rows listed per response; Slack rejects messages over 50 blocks */
+export const BOOKING_COMMAND_LIST_LIMIT = 20;
+
+const USAGE = [
+  '`/booking status <ref|email>` – booking details and holds',
+  '`/booking today` / `/booking week` – upcoming confirmed meetings',
+  '`/booking pending` – drafts awaiting approval',
+  '`/booking release-hold <hold id|ref>` – release a provisional hold',
+  '`/booking resend <ref>` – resend the latest email for a booking',
+].join('\n');
+
+/**
+ * A booking reference or email from command input: Slack mailto links and `[booking_...]`
+ * subject tags are unwrapped
+ */
+export function normalizeBookingReference(value: string): string {
+  return slackTextToPlainText(value).replace(/^\[(.+)\]$/, '$1').trim();
+}
+
+export function parseBookingCommand(text: string | undefined): BookingCommand {
+  const [subcommand = '', ...args] = (text ?? '').trim().split(/\s+/).filter(Boolean);
+  const argument = normalizeBookingReference(args.join(' '));
+
+  switch (subcommand.toLowerCase()) {
+    case 'status':
+      return argument ? { name: 'status', query: argument } : { name: 'help', error: 'Usage: `/booking status <ref|email>`' };
+    case 'today':
+      return { name: 'today' };
+    case 'week':
+      return { name: 'week' };
+    case 'pending':
+      return { name: 'pending' };
+    case 'release-hold':
+      return argument ? { name: 'release-hold', holdId: argument } : { name: 'help', error: 'Usage: `/booking release-hold <hold id|ref>`' };
+    case 'resend':
+      return argument ? { name: 'resend', reference: argument } : { name: 'help', error: 'Usage: `/booking resend <ref>`' };
+    case '':
+    case 'help':
+      return { name: 'help' };
+    default:
+      return { name: 'help', error: `Unknown subcommand \`${subcommand}\`.` };
+  }
+}
+
+/**
+ * UTC bounds of today, or of the seven days starting today, in the scheduling timezone
+ */
+export function getMeetingWindow(range: 'today' | 'week', now: Date, timeZone: string): { start: Date; end: Date } {
+  const today = getLocalDate(now, timeZone);
+
+  return {
+    start: zonedTimeToUtc(today, 0, timeZone),
+    end: zonedTimeToUtc(addDays(today, range === 'today' ? 1 : 7), 0, timeZone),
+  };
+}
+
+export function formatCommandDate(value: string | null | undefined, timeZone: string): string {
+  if (!value) {
+    return 'Not set';
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+
+  return date.toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  });
+}
+
+function describeCustomer(booking: BookingCommandRecord): string {
+  const name = booking.customer_name?.trim() || 'Unknown';
+  return booking.company_name?.trim() ? `${name} (${booking.company_name.trim()})` : name;
+}
+
+function buildMoreNotShownBlocks(total: number): KnownBlock[] {
+  return total > BOOKING_COMMAND_LIST_LIMIT
+    ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `${total - BOOKING_COMMAND_LIST_LIMIT} more not shown` }] }]
+    : [];
+}
+
+export function buildBookingCommandHelp(error?: string): BookingCommandResponse {
+  const blocks: KnownBlock[] = error
+    ? [{ type: 'section', text: { type: 'mrkdwn', text: `:warning: ${error}` } }]
+    : [];
+
+  blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*/booking commands*\n${USAGE}` } });
+
+  return {
+    text: error ? `${error} Available /booking commands are listed below.` : 'Available /booking commands',
+    blocks,
+  };
+}
+
+export function buildBookingCommandMessage(text: string): BookingCommandResponse {
+  return {
+    text,
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }],
+  };
+}
+
+export function buildBookingStatusResponse(
+  bookings: BookingCommandRecord[],
+  holdsByBooking: Record<string, BookingCommandHold[]>,
+  timeZone: string
+): BookingCommandResponse {
+  const blocks: KnownBlock[] = [];
+
+  for (const booking of bookings.slice(0, 5)) {
+    const holds = holdsByBooking[booking.processing_id] ?? [];
+
+    if (blocks.length > 0) {
+      blocks.push({ type: 'divider' });
+    }
+
+    blocks.push(
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*Booking ${booking.processing_id}*\n${describeCustomer(booking)} · ${booking.email_from || 'No email'}` },
+        fields: [
+          { type: 'mrkdwn', text: `*Status:*\n${booking.status || 'unknown'}` },
+          { type: 'mrkdwn', text: `*Conversation:*\n${booking.conversation_stage || 'initial'}` },
+          { type: 'mrkdwn', text: `*Meeting:*\n${booking.selected_slot_start ? formatCommandDate(booking.selected_slot_start, timeZone) : 'Not scheduled'}` },
+          { type: 'mrkdwn', text: `*Calendar:*\n${booking.confirmed_event_id ? `Confirmed on ${booking.assigned_calendar_email || 'booking calendar'}` : 'No calendar event'}` },
+          { type: 'mrkdwn', text: `*Meeting type:*\n${booking.meeting_type || 'Default'}` },
+          { type: 'mrkdwn', text: `*Last update:*\n${formatCommandDate(booking.updated_at, timeZone)}` },
+        ],
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: holds.length > 0
+              ? `*Active holds:* ${holds.map((hold) => `\`${hold.id}\` ${formatCommandDate(hold.slot_start, timeZone)} (expires ${formatCommandDate(hold.expires_at, timeZone)})`).join(', ')}`
+              : 'No active holds',
+          },
+        ],
+      }
+    );
+  }
+
+  const more = bookings.length > 5 ? ` Showing the 5 most recently updated of ${bookings.length}.` : '';
+
+  return {
+    text: bookings.length === 1
+      ? `Booking ${bookings[0]?.processing_id}: ${bookings[0]?.status || 'unknown'}`
+      : `${bookings.length} bookings found.${more}`,
+    blocks,
+  };
+}
+
+export function buildMeetingListResponse(
+  range: 'today' | 'week',
+  bookings: BookingCommandRecord[],
+  timeZone: string
+): BookingCommandResponse {
+  const title = range === 'today' ? "Today's confirmed meetings" : 'Confirmed meetings in the next 7 days';
+
+  if (bookings.length === 0) {
+    return buildBookingCommandMessage(`*${title}*\nNo confirmed meetings.`);
+  }
+
+  const lines = bookings
+    .slice(0, BOOKING_COMMAND_LIST_LIMIT)
+    .map((booking) => `• *${formatCommandDate(booking.selected_slot_start, timeZone)}* – ${describeCustomer(booking)} · \`${booking.processing_id}\``);
+
+  return {
+    text: `${title}: ${bookings.length}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      ...buildMoreNotShownBlocks(bookings.length),
+    ],
+  };
+}
+
+export function buildPendingApprovalsResponse(
+  bookings: BookingCommandRecord[],
+  timeZone: string
+): BookingCommandResponse {
+  if (bookings.length === 0) {
+    return buildBookingCommandMessage('*Drafts awaiting approval*\nNothing is waiting for approval.');
+  }
+
+  const lines = bookings
+    .slice(0, BOOKING_COMMAND_LIST_LIMIT)
+    .map((booking) => `• \`${booking.processing_id}\` – ${describeCustomer(booking)} · ${booking.status} since ${formatCommandDate(booking.updated_at, timeZone)}`);
+
+  return {
+    text: `Drafts awaiting approval: ${bookings.length}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: 'Drafts awaiting approval' } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      ...buildMoreNotShownBlocks(bookings.length),
+    ],
+  };
+}
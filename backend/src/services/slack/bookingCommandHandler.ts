@@ -0,0 +1,283 @@
+/**
+ * /booking Slash Command Handler
+ *
+ * Runs a parsed /booking command against booking_inquiries, provisional_holds and the outbox.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import type { CalendarService } from '../calendar/CalendarService.js';
+import { dispatchSideEffect, type EmailOutboxPayload } from '../outbox/outbox.js';
+import { logger } from '../../utils/logger.js';
+import { getConfigSection } from '../../../../src/config/loader.js';
+import { PENDING_APPROVAL_STATUSES } from '../approval/draftRevision.js';
+import {
+  BOOKING_COMMAND_LIST_LIMIT,
+  buildBookingCommandHelp,
+  buildBookingCommandMessage,
+  buildBookingStatusResponse,
+  buildMeetingListResponse,
+  buildPendingApprovalsResponse,
+  getMeetingWindow,
+  type BookingCommand,
+  type BookingCommandHold,
+  type BookingCommandRecord,
+  type BookingCommandResponse,
+} from './bookingCommand.js';
+
+const BOOKING_COMMAND_COLUMNS =
+  'id, processing_id, customer_name, company_name, email_from, status, conversation_stage, meeting_type, selected_slot_start, selected_slot_end, assigned_calendar_email, confirmed_event_id, provisional_hold_id, created_at, updated_at';
+
+export interface BookingCommandActor {
+  userId: string | null;
+  userName: string | null;
+}
+
+function escapeLikePattern(value: string): string {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+async function findBookings(supabase: SupabaseClient, query: string): Promise<BookingCommandRecord[]> {
+  let request = supabase.from('booking_inquiries').select(BOOKING_COMMAND_COLUMNS);
+
+  request = query.includes('@')
+    ? request.ilike('email_from', escapeLikePattern(query))
+    : request.eq('processing_id', query);
+
+  const { data, error } = await request.order('updated_at', { ascending: false }).limit(10);
+
+  if (error) {
+    throw new Error(`Booking lookup failed: ${error.message}`);
+  }
+
+  return (data ?? []) as BookingCommandRecord[];
+}
+
+async function loadActiveHolds(
+  supabase: SupabaseClient,
+  bookings: BookingCommandRecord[]
+): Promise<Record<string, BookingCommandHold[]>> {
+  const bookingIds = bookings.map((booking) => booking.id).filter((id): id is string => Boolean(id));
+  const holdIds = bookings.map((booking) => booking.provisional_hold_id).filter((id): id is string => Boolean(id));
+  const filters = [
+    ...(bookingIds.length > 0 ? [`booking_inquiry_id.in.(${bookingIds.join(',')})`] : []),
+    ...(holdIds.length > 0 ? [`id.in.(${holdIds.join(',')})`] : []),
+  ];
+
+  if (filters.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase
+    .from('provisional_holds')
+    .select('id, booking_inquiry_id, calendar_email, slot_start, slot_end, expires_at, status')
+    .eq('status', 'active')
+    .or(filters.join(','))
+    .order('slot_start', { ascending: true });
+
+  if (error) {
+    logger.warn(`Hold lookup for /booking status failed: ${error.message}`);
+    return {};
+  }
+
+  const holdsByBooking: Record<string, BookingCommandHold[]> = {};
+
+  for (const hold of (data ?? []) as Array<BookingCommandHold & { booking_inquiry_id: string | null }>) {
+    const booking = bookings.find((candidate) =>
+      (hold.booking_inquiry_id && candidate.id === hold.booking_inquiry_id) || candidate.provisional_hold_id === hold.id);
+
+    if (booking) {
+      (holdsByBooking[booking.processing_id] ??= []).push(hold);
+    }
+  }
+
+  return holdsByBooking;
+}
+
+async function runStatus(supabase: SupabaseClient, query: string, timeZone: string): Promise<BookingCommandResponse> {
+  const bookings = await findBookings(supabase, query);
+
+  if (bookings.length === 0) {
+    return buildBookingCommandMessage(`No booking found for \`${query}\`.`);
+  }
+
+  return buildBookingStatusResponse(bookings, await loadActiveHolds(supabase, bookings), timeZone);
+}
+
+async function runMeetingList(
+  supabase: SupabaseClient,
+  range: 'today' | 'week',
+  timeZone: string
+): Promise<BookingCommandResponse> {
+  const window = getMeetingWindow(range, new Date(), timeZone);
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .select(BOOKING_COMMAND_COLUMNS)
+    .not('confirmed_event_id', 'is', null)
+    .neq('status', 'cancelled')
+    .gte('selected_slot_start', window.start.toISOString())
+    .lt('selected_slot_start', window.end.toISOString())
+    .order('selected_slot_start', { ascending: true })
+    .limit(BOOKING_COMMAND_LIST_LIMIT + 1);
+
+  if (error) {
+    throw new Error(`Meeting lookup failed: ${error.message}`);
+  }
+
+  return buildMeetingListResponse(range, (data ?? []) as BookingCommandRecord[], timeZone);
+}
+
+async function runPending(supabase: SupabaseClient, timeZone: string): Promise<BookingCommandResponse> {
+  const { data, error } = await supabase
+    .from('booking_inquiries')
+    .select(BOOKING_COMMAND_COLUMNS)
+    .in('status', PENDING_APPROVAL_STATUSES)
+    .order('updated_at', { ascending: true })
+    .limit(BOOKING_COMMAND_LIST_LIMIT + 1);
+
+  if (error) {
+    throw new Error(`Pending approval lookup failed: ${error.message}`);
+  }
+
+  return buildPendingApprovalsResponse((data ?? []) as BookingCommandRecord[], timeZone);
+}
+
+/**
+ * Hold ids to release: the hold itself, or a booking's selected hold and active holds
+ */
+/**
+ * Active provisional_holds rows for a booking reference, a hold id or a calendar provider's
+ * hold id. Unknown, released and confirmed holds resolve to nothing.
+ */
+async function resolveHoldIds(supabase: SupabaseClient, holdIdOrReference: string): Promise<string[]> {
+  if (!holdIdOrReference.startsWith('booking_')) {
+    const { data, error } = await supabase
+      .from('provisional_holds')
+      .select('id')
+      .eq('status', 'active')
+      .eq(holdIdOrReference.includes(':') ? 'metadata->>provider_hold_id' : 'id', holdIdOrReference)
+      .limit(1);
+
+    if (error) {
+      logger.warn(`Hold lookup for /booking release-hold ${holdIdOrReference} failed: ${error.message}`);
+      return [];
+    }
+
+    return ((data ?? []) as Array<{ id: string }>).map((hold) => hold.id);
+  }
+
+  const [booking] = await findBookings(supabase, holdIdOrReference);
+
+  if (!booking) {
+    return [];
+  }
+
+  const holds = await loadActiveHolds(supabase, [booking]);
+  return [...new Set((holds[booking.processing_id] ?? []).map((hold) => hold.id))];
+}
+
+async function runReleaseHold(
+  supabase: SupabaseClient,
+  holdIdOrReference: string,
+  actor: BookingCommandActor
+): Promise<BookingCommandResponse> {
+  const calendar = await serviceManager.getService<CalendarService>('calendar');
+
+  if (!calendar) {
+    return buildBookingCommandMessage(':warning: Calendar service is not available, so the hold was not released.');
+  }
+
+  const holdIds = await resolveHoldIds(supabase, holdIdOrReference);
+
+  if (holdIds.length === 0) {
+    return buildBookingCommandMessage(`No active hold found for \`${holdIdOrReference}\`.`);
+  }
+
+  for (const holdId of holdIds) {
+    await calendar.releaseProvisionalHolds(holdId);
+  }
+
+  logger.info(`Provisional hold(s) released from Slack by ${actor.userName || actor.userId || 'unknown user'}`, {
+    target: holdIdOrReference,
+    holdIds,
+  });
+
+  return buildBookingCommandMessage(`:unlock: Released ${holdIds.length === 1 ? 'hold' : `${holdIds.length} holds`} ${holdIds.map((id) => `\`${id}\``).join(', ')}.`);
+}
+
+async function runResend(
+  supabase: SupabaseClient,
+  reference: string,
+  actor: BookingCommandActor
+): Promise<BookingCommandResponse> {
+  const { data: latest, error } = await supabase
+    .from('side_effect_outbox')
+    .select('id, context, payload, created_at')
+    .eq('kind', 'email')
+    .eq('payload->>booking_reference', reference)
+    .in('status', ['delivered', 'dead_letter'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle<{ id: string; context: string; payload: EmailOutboxPayload; created_at: string }>();
+
+  if (error) {
+    throw new Error(`Email lookup failed: ${error.message}`);
+  }
+
+  if (!latest) {
+    return buildBookingCommandMessage(`No sent email found for \`${reference}\`.`);
+  }
+
+  // A resend is a new message in the same thread, so it gets fresh threading headers
+  const { thread_headers: _previousThreadHeaders, ...payload } = latest.payload;
+  const dispatch = await dispatchSideEffect({
+    kind: 'email',
+    context: `slack_resend:${reference}`,
+    payload: { ...payload, booking_reference: reference },
+  });
+
+  if (!dispatch.delivered && !dispatch.queued) {
+    throw new Error(dispatch.error || `Email for ${reference} could not be resent`);
+  }
+
+  logger.info(`Email for booking ${reference} resent from Slack by ${actor.userName || actor.userId || 'unknown user'}`, {
+    originalOutboxId: latest.id,
+    originalContext: latest.context,
+    outboxId: dispatch.outboxId,
+  });
+
+  return buildBookingCommandMessage(dispatch.delivered
+    ? `:envelope: Resent "${payload.subject}" to ${payload.to.join(', ')}.`
+    : `:envelope: Email service is unavailable. The resend of "${payload.subject}" is queued and will go out once it recovers.`);
+}
+
+export async function runBookingCommand(
+  command: BookingCommand,
+  actor: BookingCommandActor
+): Promise<BookingCommandResponse> {
+  if (command.name === 'help') {
+    return buildBookingCommandHelp(command.error);
+  }
+
+  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+  if (!supabase) {
+    return buildBookingCommandMessage(':warning: Database service is not available.');
+  }
+
+  const timeZone = getConfigSection('scheduling').timezone;
+
+  switch (command.name) {
+    case 'status':
+      return runStatus(supabase, command.query, timeZone);
+    case 'today':
+    case 'week':
+      return runMeetingList(supabase, command.name, timeZone);
+    case 'pending':
+      return runPending(supabase, timeZone);
+    case 'release-hold':
+      return runReleaseHold(supabase, command.holdId, actor);
+    case 'resend':
+      return runResend(supabase, command.reference, actor);
+  }
+}
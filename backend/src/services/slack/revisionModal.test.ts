@@ -0,0 +1,90 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  buildRevisedDraftBlocks,
+  buildRevisionModal,
+  canEditInModal,
+  parseRevisionModalSubmission,
+  REVISION_DECISION_BLOCK_ID,
+  REVISION_DRAFT_BLOCK_ID,
+  REVISION_INSTRUCTIONS_BLOCK_ID,
+  REVISION_MODAL_CALLBACK_ID,
+  SLACK_TEXT_INPUT_MAX_LENGTH,
+  type RevisionModalView,
+} from './revisionModal.js';
+
+const context = { processingId: 'booking_123', channelId: 'C0123456789', threadTs: '1700000000.000100' };
+
+function submission(values: { draft?: string; decision?: string; instructions?: string }): RevisionModalView {
+  return {
+    callback_id: REVISION_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify(context),
+    state: {
+      values: {
+        [REVISION_DRAFT_BLOCK_ID]: { draft: { value: values.draft ?? null } },
+        [REVISION_DECISION_BLOCK_ID]: { decision: { selected_option: values.decision ? { value: values.decision } : null } },
+        [REVISION_INSTRUCTIONS_BLOCK_ID]: { instructions: { value: values.instructions ?? null } },
+      },
+    },
+  };
+}
+
+describe('buildRevisionModal', () => {
+  it('prefills the current draft and carries the booking context', () => {
+    const view = buildRevisionModal(
+      { processing_id: 'booking_123', customer_name: 'Ada', company_name: 'Acme', drafted_email: '  Hi Ada,\nThanks!  ' },
+      context
+    );
+
+    expect(view.callback_id).toBe(REVISION_MODAL_CALLBACK_ID);
+    expect(JSON.parse(view.private_metadata ?? '')).toEqual(context);
+    expect(JSON.stringify(view.blocks)).toContain('"initial_value":"Hi Ada,\\nThanks!"');
+  });
+
+  it('only fits drafts within the Slack input limit', () => {
+    expect(canEditInModal('x'.repeat(SLACK_TEXT_INPUT_MAX_LENGTH))).toBe(true);
+    expect(canEditInModal('x'.repeat(SLACK_TEXT_INPUT_MAX_LENGTH + 1))).toBe(false);
+  });
+});
+
+describe('parseRevisionModalSubmission', () => {
+  it('returns the edited draft for approval', () => {
+    expect(parseRevisionModalSubmission(submission({ draft: ' Hi Ada ', decision: 'approve' }))).toEqual({
+      ok: true,
+      context,
+      decision: 'approve',
+      draft: 'Hi Ada',
+      instructions: null,
+    });
+  });
+
+  it('requires instructions for an AI rewrite', () => {
+    expect(parseRevisionModalSubmission(submission({ draft: 'Hi Ada', decision: 'ai_rewrite' }))).toEqual({
+      ok: false,
+      errors: { [REVISION_INSTRUCTIONS_BLOCK_ID]: 'Tell the AI what to change.' },
+    });
+    expect(parseRevisionModalSubmission(submission({ draft: 'Hi Ada', decision: 'ai_rewrite', instructions: 'Make it shorter' })))
+      .toMatchObject({ ok: true, decision: 'ai_rewrite', instructions: 'Make it shorter' });
+  });
+
+  it('rejects an empty draft, a missing decision and lost context', () => {
+    const result = parseRevisionModalSubmission({ ...submission({}), private_metadata: 'not json' });
+
+    expect(result.ok).toBe(false);
+    expect(Object.keys(result.ok ? {} : result.errors).sort()).toEqual([REVISION_DECISION_BLOCK_ID, REVISION_DRAFT_BLOCK_ID]);
+  });
+});
+
+describe('buildRevisedDraftBlocks', () => {
+  it('shows the feedback, the diff summary and the next round of buttons', () => {
+    const blocks = buildRevisedDraftBlocks('booking_123', 'Hi Ada', {
+      feedback: 'Make it shorter',
+      diff: { added: 1, removed: 2, diff: '' },
+    });
+    const body = JSON.stringify(blocks);
+
+    expect(body).toContain('*Applied Feedback:* \\"Make it shorter\\"');
+    expect(body).toContain('Changes: +1 / −2 lines');
+    expect(blocks.at(-1).elements.map((element: { action_id: string }) => element.action_id))
+      .toEqual(['approve_email', 'revise_email', 'human_takeover']);
+  });
+});
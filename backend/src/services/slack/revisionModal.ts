@@ -0,0 +1,217 @@
+/**
+ * Slack Revision Modal
+ *
+ * The "Revise" button opens a modal with the current drafted email. Reviewers either edit
+ * the draft and approve it, or send instructions for an AI rewrite of their edited version.
+ */
+
+import type { KnownBlock, ViewsOpenArguments } from '@slack/web-api';
+import type { DraftDiff } from '../approval/draftDiff.js';
+
+export const REVISION_MODAL_CALLBACK_ID = 'revise_email_modal';
+
+export const REVISION_DRAFT_BLOCK_ID = 'revision_draft';
+export const REVISION_DECISION_BLOCK_ID = 'revision_decision';
+export const REVISION_INSTRUCTIONS_BLOCK_ID = 'revision_instructions';
+
+const DRAFT_ACTION_ID = 'draft';
+const DECISION_ACTION_ID = 'decision';
+const INSTRUCTIONS_ACTION_ID = 'instructions';
+
+/** Slack's limit for plain_text_input values; longer drafts are revised in the thread instead */
+export const SLACK_TEXT_INPUT_MAX_LENGTH = 3000;
+
+const MIN_INSTRUCTIONS_LENGTH = 5;
+
+export type RevisionDecision = 'approve' | 'ai_rewrite';
+
+export interface RevisionModalBooking {
+  processing_id: string;
+  customer_name: string | null;
+  company_name: string | null;
+  drafted_email: string | null;
+}
+
+/** Where the approval card lives, carried through the modal in private_metadata */
+export interface RevisionModalContext {
+  processingId: string;
+  channelId: string;
+  threadTs: string | null;
+}
+
+export interface RevisionModalView {
+  callback_id?: string;
+  private_metadata?: string;
+  state?: {
+    values?: Record<string, Record<string, {
+      value?: string | null;
+      selected_option?: { value?: string } | null;
+    }>>;
+  };
+}
+
+export type RevisionModalSubmission =
+  | { ok: true; context: RevisionModalContext; decision: RevisionDecision; draft: string; instructions: string | null }
+  | { ok: false; errors: Record<string, string> };
+
+export function canEditInModal(draft: string | null | undefined): boolean {
+  return (draft ?? '').length <= SLACK_TEXT_INPUT_MAX_LENGTH;
+}
+
+export function buildRevisionModal(
+  booking: RevisionModalBooking,
+  context: RevisionModalContext
+): ViewsOpenArguments['view'] {
+  const customer = [booking.customer_name?.trim(), booking.company_name?.trim()].filter(Boolean).join(' · ');
+
+  return {
+    type: 'modal',
+    callback_id: REVISION_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify(context),
+    title: { type: 'plain_text', text: 'Revise email' },
+    submit: { type: 'plain_text', text: 'Submit' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `${customer ? `*${customer}* · ` : ''}\`${booking.processing_id}\`` }],
+      },
+      {
+        type: 'input',
+        block_id: REVISION_DRAFT_BLOCK_ID,
+        label: { type: 'plain_text', text: 'Drafted email' },
+        element: {
+          type: 'plain_text_input',
+          action_id: DRAFT_ACTION_ID,
+          multiline: true,
+          max_length: SLACK_TEXT_INPUT_MAX_LENGTH,
+          initial_value: booking.drafted_email?.trim() ?? '',
+        },
+      },
+      {
+        type: 'input',
+        block_id: REVISION_DECISION_BLOCK_ID,
+        label: { type: 'plain_text', text: 'What should happen?' },
+        element: {
+          type: 'radio_buttons',
+          action_id: DECISION_ACTION_ID,
+          options: [
+            { text: { type: 'plain_text', text: '✅ Approve and send this draft' }, value: 'approve' },
+            { text: { type: 'plain_text', text: '🤖 Rewrite it with AI using my instructions' }, value: 'ai_rewrite' },
+          ],
+        },
+      },
+      {
+        type: 'input',
+        block_id: REVISION_INSTRUCTIONS_BLOCK_ID,
+        optional: true,
+        label: { type: 'plain_text', text: 'Instructions for the AI rewrite' },
+        hint: { type: 'plain_text', text: 'The AI rewrites the draft above, including your edits.' },
+        element: {
+          type: 'plain_text_input',
+          action_id: INSTRUCTIONS_ACTION_ID,
+          multiline: true,
+          placeholder: { type: 'plain_text', text: 'e.g. Shorter, and offer a Thursday afternoon slot' },
+        },
+      },
+    ],
+  };
+}
+
+function parseContext(privateMetadata: string | undefined): RevisionModalContext | null {
+  try {
+    const parsed = JSON.parse(privateMetadata ?? '') as Partial<RevisionModalContext>;
+
+    return typeof parsed.processingId === 'string' && typeof parsed.channelId === 'string'
+      ? { processingId: parsed.processingId, channelId: parsed.channelId, threadTs: parsed.threadTs ?? null }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a view_submission. Validation errors are keyed by block_id, as Slack expects for
+ * response_action "errors".
+ */
+export function parseRevisionModalSubmission(view: RevisionModalView): RevisionModalSubmission {
+  const values = view.state?.values ?? {};
+  const draft = values[REVISION_DRAFT_BLOCK_ID]?.[DRAFT_ACTION_ID]?.value?.trim() ?? '';
+  const decision = values[REVISION_DECISION_BLOCK_ID]?.[DECISION_ACTION_ID]?.selected_option?.value;
+  const instructions = values[REVISION_INSTRUCTIONS_BLOCK_ID]?.[INSTRUCTIONS_ACTION_ID]?.value?.trim() || null;
+  const context = parseContext(view.private_metadata);
+  const hasDecision = decision === 'approve' || decision === 'ai_rewrite';
+  const errors: Record<string, string> = {};
+
+  if (!draft) {
+    errors[REVISION_DRAFT_BLOCK_ID] = 'The draft cannot be empty.';
+  }
+
+  if (!hasDecision) {
+    errors[REVISION_DECISION_BLOCK_ID] = 'Choose whether to approve the draft or rewrite it with AI.';
+  } else if (decision === 'ai_rewrite' && (instructions?.length ?? 0) < MIN_INSTRUCTIONS_LENGTH) {
+    errors[REVISION_INSTRUCTIONS_BLOCK_ID] = 'Tell the AI what to change.';
+  }
+
+  if (!context) {
+    errors[REVISION_DRAFT_BLOCK_ID] = 'This dialog lost track of its booking. Close it and press Revise again.';
+  }
+
+  if (!context || !hasDecision || Object.keys(errors).length > 0) {
+    return { ok: false, errors };
+  }
+
+  return { ok: true, context, decision, draft, instructions };
+}
+
+/**
+ * Thread message for a revised draft, with the approval buttons for the next round
+ */
+export function buildRevisedDraftBlocks(
+  bookingId: string,
+  draft: string,
+  revision: { feedback: string | null; diff: DraftDiff | null }
+): KnownBlock[] {
+  const heading = revision.feedback
+    ? `📝 *Email Revised Based on Your Feedback*\n\n*Applied Feedback:* "${revision.feedback}"\n\n*Revised Draft Email:*`
+    : '📝 *Email Revised*\n\n*Revised Draft Email:*';
+  const blocks: KnownBlock[] = [
+    { type: 'section', text: { type: 'mrkdwn', text: heading } },
+    { type: 'section', text: { type: 'mrkdwn', text: `\`\`\`${draft}\`\`\`` } },
+  ];
+
+  if (revision.diff) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Changes: +${revision.diff.added} / −${revision.diff.removed} lines` }],
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '✅ Approve Revised Email' },
+        style: 'primary',
+        action_id: 'approve_email',
+        value: bookingId,
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '📝 Revise Again' },
+        action_id: 'revise_email',
+        value: bookingId,
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: '👤 Human Takeover' },
+        style: 'danger',
+        action_id: 'human_takeover',
+        value: bookingId,
+      },
+    ],
+  });
+
+  return blocks;
+}
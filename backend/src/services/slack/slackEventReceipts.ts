@@ -0,0 +1,47 @@
+/**
+ * Slack Event Receipts
+ *
+ * Claims Events API event_ids in slack_event_receipts so a redelivered event is processed by
+ * one replica only. Fails open: when the table cannot be reached the event is processed.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { logger } from '../../utils/logger.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Claim an event for processing. Returns false when an earlier delivery already claimed it.
+ */
+export async function claimSlackEvent(
+  supabase: SupabaseClient,
+  event: { eventId: string; eventType?: string; retryNum: number }
+): Promise<boolean> {
+  const { error } = await supabase.from('slack_event_receipts').insert({
+    event_id: event.eventId,
+    event_type: event.eventType ?? null,
+    retry_num: event.retryNum,
+  });
+
+  if (!error) {
+    return true;
+  }
+
+  if (error.code === UNIQUE_VIOLATION) {
+    return false;
+  }
+
+  logger.warn(`Slack event receipt for ${event.eventId} could not be stored: ${error.message}`);
+  return true;
+}
+
+/**
+ * Release a claim after processing failed so Slack's next retry is processed
+ */
+export async function releaseSlackEvent(supabase: SupabaseClient, eventId: string): Promise<void> {
+  const { error } = await supabase.from('slack_event_receipts').delete().eq('event_id', eventId);
+
+  if (error) {
+    logger.warn(`Failed to release Slack event receipt ${eventId}: ${error.message}`);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Slack Request Middleware
+ *
+ * Shared by every Slack-facing route. Verifies the v0 request signature against the raw body
+ * captured by the JSON/urlencoded parsers whenever a signing secret is configured; without one,
+ * production rejects the request and other environments let it through with a warning.
+ * Events API retries (X-Slack-Retry-Num) of an event that was already accepted are acknowledged
+ * and dropped.
+ */
+
+import type { Request, Response, NextFunction } from 'express';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { serviceManager } from '../serviceManager.js';
+import { getServiceConfig } from '../../utils/config.js';
+import { logger } from '../../utils/logger.js';
+import { assertValidSlackSignature, parseSlackRetryNum, SlackSignatureError } from './slackSignature.js';
+import { claimSlackEvent, releaseSlackEvent } from './slackEventReceipts.js';
+
+interface SlackRequest extends Request {
+  rawBody?: string;
+}
+
+function firstHeader(value: string | string[] | undefined): string | undefined {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export function isSlackSignatureVerificationEnabled(): boolean {
+  return Boolean(getServiceConfig('slack').signingSecret);
+}
+
+async function dropRedeliveredEvent(req: SlackRequest, res: Response): Promise<boolean> {
+  const body = req.body as { type?: string; event_id?: string; event?: { type?: string } } | undefined;
+
+  if (body?.type !== 'event_callback' || !body.event_id) {
+    return false;
+  }
+
+  const supabase = await serviceManager.getService<SupabaseClient>('supabase');
+
+  if (!supabase) {
+    return false;
+  }
+
+  const eventId = body.event_id;
+  const retryNum = parseSlackRetryNum(req.headers['x-slack-retry-num']);
+  const claimed = await claimSlackEvent(supabase, {
+    eventId,
+    ...(body.event?.type ? { eventType: body.event.type } : {}),
+    retryNum,
+  });
+
+  if (!claimed) {
+    logger.info(`Dropping redelivered Slack event ${eventId}`, {
+      retry_num: retryNum,
+      retry_reason: firstHeader(req.headers['x-slack-retry-reason']) ?? null,
+    });
+    res.json({ status: 'ok', duplicate: true });
+    return true;
+  }
+
+  // Let Slack's next retry through when this delivery fails
+  res.on('finish', () => {
+    if (res.statusCode >= 500) {
+      void releaseSlackEvent(supabase, eventId);
+    }
+  });
+
+  return false;
+}
+
+export async function verifySlackRequest(req: SlackRequest, res: Response, next: NextFunction): Promise<void> {
+  try {
+    const { signingSecret } = getServiceConfig('slack');
+
+    if (signingSecret) {
+      assertValidSlackSignature(signingSecret, {
+        signature: firstHeader(req.headers['x-slack-signature']),
+        timestamp: firstHeader(req.headers['x-slack-request-timestamp']),
+        rawBody: req.rawBody ?? '',
+      });
+    } else if (process.env['NODE_ENV'] === 'production') {
+      logger.error(`Rejected Slack request to ${req.path}: SLACK_SIGNING_SECRET is not configured`);
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    } else {
+      logger.warn(`Slack signature verification skipped for ${req.path}: SLACK_SIGNING_SECRET is not configured`);
+    }
+
+    if (await dropRedeliveredEvent(req, res)) {
+      return;
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof SlackSignatureError) {
+      logger.warn(`Rejected Slack request to ${req.path}: ${error.message}`);
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    logger.error('Slack request verification error:', errorMessage);
+    res.status(500).json({ error: 'Failed to verify Slack request' });
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  assertValidSlackSignature,
+  computeSlackSignature,
+  parseSlackRetryNum,
+  SlackSignatureError,
+} from './slackSignature.js';
+
+const secret = '8f742231b10e8888abcd99yyyzzz85a5';
+const now = new Date('2026-10-19T15:00:00Z');
+const timestamp = String(Math.floor(now.getTime() / 1000));
+const rawBody = 'payload=%7B%22type%22%3A%22block_actions%22%7D';
+
+describe('assertValidSlackSignature', () => {
+  it('accepts a fresh request signed with the secret', () => {
+    expect(() => assertValidSlackSignature(secret, {
+      signature: computeSlackSignature(secret, timestamp, rawBody),
+      timestamp,
+      rawBody,
+    }, now)).not.toThrow();
+  });
+
+  it('rejects unsigned, tampered and wrongly signed requests', () => {
+    const signature = computeSlackSignature(secret, timestamp, rawBody);
+
+    expect(() => assertValidSlackSignature(secret, { signature: undefined, timestamp, rawBody }, now))
+      .toThrow(SlackSignatureError);
+    expect(() => assertValidSlackSignature(secret, { signature, timestamp, rawBody: `${rawBody}x` }, now))
+      .toThrow('Invalid Slack signature');
+    expect(() => assertValidSlackSignature(secret, {
+      signature: computeSlackSignature('other-secret', timestamp, rawBody),
+      timestamp,
+      rawBody,
+    }, now)).toThrow('Invalid Slack signature');
+  });
+
+  it('rejects replays outside the five minute window', () => {
+    const stale = String(Number(timestamp) - 301);
+
+    expect(() => assertValidSlackSignature(secret, {
+      signature: computeSlackSignature(secret, stale, rawBody),
+      timestamp: stale,
+      rawBody,
+    }, now)).toThrow('outside the allowed window');
+  });
+});
+
+describe('parseSlackRetryNum', () => {
+  it('reads the retry attempt', () => {
+    expect(parseSlackRetryNum(undefined)).toBe(0);
+    expect(parseSlackRetryNum('2')).toBe(2);
+    expect(parseSlackRetryNum(['1'])).toBe(1);
+    expect(parseSlackRetryNum('abc')).toBe(0);
+  });
+});
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+
+/**
+ * Slack Request Signatures
+ * v0 signing scheme: HMAC-SHA256 of `v0:{X-Slack-Request-Timestamp}:{raw body}` with the app's
+ * signing secret, sent as `X-Slack-Signature: v0=<hex>`.
+ */
+
+/** How far X-Slack-Request-Timestamp may drift from now before the request is treated as a replay */
+export const SLACK_REQUEST_TOLERANCE_SECONDS = 5 * 60;
+
+export class SlackSignatureError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SlackSignatureError';
+  }
+}
+
+export interface SlackSignedRequest {
+  signature: string | undefined;
+  timestamp: string | undefined;
+  rawBody: string;
+}
+
+export function computeSlackSignature(signingSecret: string, timestamp: string, rawBody: string): string {
+  return `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Throw SlackSignatureError unless the request carries a fresh, valid v0 signature
+ */
+export function assertValidSlackSignature(
+  signingSecret: string,
+  request: SlackSignedRequest,
+  now: Date = new Date(),
+  toleranceSeconds = SLACK_REQUEST_TOLERANCE_SECONDS
+): void {
+  if (!request.signature || !request.timestamp) {
+    throw new SlackSignatureError('Missing Slack signature or timestamp headers');
+  }
+
+  const seconds = Number(request.timestamp);
+
+  if (!/^\d+$/.test(request.timestamp) || !Number.isFinite(seconds)) {
+    throw new SlackSignatureError('Invalid Slack request timestamp');
+  }
+
+  if (Math.abs(now.getTime() / 1000 - seconds) > toleranceSeconds) {
+    throw new SlackSignatureError('Slack request timestamp is outside the allowed window');
+  }
+
+  const expected = Buffer.from(computeSlackSignature(signingSecret, request.timestamp, request.rawBody));
+  const received = Buffer.from(request.signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new SlackSignatureError('Invalid Slack signature');
+  }
+}
+
+/**
+ * Delivery attempt from X-Slack-Retry-Num; 0 for the first attempt
+ */
+export function parseSlackRetryNum(value: string | string[] | undefined): number {
+  const retryNum = Number(Array.isArray(value) ? value[0] : value);
+  return Number.isInteger(retryNum) && retryNum > 0 ? retryNum : 0;
+}
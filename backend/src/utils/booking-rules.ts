@@ -1,10 +1,23 @@
 import { getConfigSection } from '../../../src/config/loader.js';
+import { logger } from './logger.js';
+import type { MeetingTypeDefinition } from '../services/booking/meetingTypes.js';
+import type { CalendarService } from '../services/calendar/CalendarService.js';
 
 /**
  * Booking Rules Utility
  * Centralizes scheduling logic and configuration for consistency
  */
 
+const ALTERNATIVE_SLOT_COUNT = 3;
+const ALTERNATIVE_SLOT_SEARCH_HOURS = 72;
+
+export interface AlternativeSlot {
+    start: string;
+    end: string;
+    duration_minutes: number;
+    meeting_type: string;
+}
+
 /**
  * Get core scheduling configuration
  */
@@ -14,52 +27,84 @@ export function getSchedulingConfig() {
     const tavus = getConfigSection('tavus');
 
     return {
-        durations: [15, 30, 45],
-        defaultDuration: 30,
+        defaultDuration: scheduling.meeting_durations.consultation,
         slotIntervalMinutes: scheduling.slot_interval_minutes || 60,
         minLeadTimeMinutes: scheduling.min_lead_time_minutes || 30,
         maxSlots: scheduling.max_slots || 12,
-        qaBookingWindowHours: scheduling.booking_window_hours || 48,
         defaultBookingWindowDays: calendar.constraints.max_booking_window_days || 60,
         isTavusEnabled: tavus && tavus.enabled === true,
     };
 }
 
 /**
- * Get the booking window height (in hours) for a specific duration
+ * Get the booking window (in hours) for a meeting type
  */
-export function getBookingWindowHours(durationMinutes: number): number {
+export function getBookingWindowHours(meetingType: Pick<MeetingTypeDefinition, 'booking_window_hours'>): number {
     const config = getSchedulingConfig();
+    const calendarWindowHours = config.defaultBookingWindowDays * 24;
 
-    // Rule: 48-hour window is specific to 15-min Q&A
-    if (durationMinutes === 15) {
-        return config.qaBookingWindowHours;
+    // A meeting type can narrow the window but never extend past the calendar constraint
+    if (meetingType.booking_window_hours) {
+        return Math.min(meetingType.booking_window_hours, calendarWindowHours);
     }
 
-    // Otherwise use the default calendar constraint (converted to hours)
-    return config.defaultBookingWindowDays * 24;
+    return calendarWindowHours;
 }
 
 /**
- * Validate requested duration against allowed values and Tavus status
+ * Find the open slots closest to a slot that can no longer be booked,
+ * so conflict responses can offer the visitor something to pick instead
  */
-export function validateDuration(durationMinutes: number): { valid: boolean; error?: string } {
-    const config = getSchedulingConfig();
+export async function findAlternativeSlots(
+    calendarService: CalendarService,
+    meetingType: MeetingTypeDefinition,
+    unavailableSlot: { start: Date; end: Date },
+    earliestStart: Date,
+    calendarEmailOverride?: string
+): Promise<AlternativeSlot[]> {
+    try {
+        const config = getSchedulingConfig();
+        const hourMs = 60 * 60 * 1000;
+        const startDate = new Date(Math.max(
+            earliestStart.getTime(),
+            unavailableSlot.start.getTime() - 24 * hourMs
+        ));
+        const endDate = new Date(Math.min(
+            unavailableSlot.start.getTime() + ALTERNATIVE_SLOT_SEARCH_HOURS * hourMs,
+            Date.now() + getBookingWindowHours(meetingType) * hourMs
+        ));
 
-    if (!config.durations.includes(durationMinutes)) {
-        return {
-            valid: false,
-            error: `Invalid duration. Allowed values: ${config.durations.join(', ')} minutes.`,
-        };
-    }
+        if (endDate <= startDate) {
+            return [];
+        }
 
-    // Tavus specific rule: 15 minute calls require Tavus to be enabled
-    if (durationMinutes === 15 && !config.isTavusEnabled) {
-        return {
-            valid: false,
-            error: '15-minute Q&A sessions are currently unavailable (Requires Tavus integration).',
-        };
-    }
+        const slots = await calendarService.getAvailableSlots({
+            startDate,
+            endDate,
+            durationMinutes: meetingType.duration_minutes,
+            bufferBeforeMinutes: meetingType.buffer_before_minutes,
+            bufferAfterMinutes: meetingType.buffer_after_minutes,
+            slotIntervalMinutes: config.slotIntervalMinutes,
+            calendarEmailOverride,
+        });
 
-    return { valid: true };
+        return slots
+            // Cached availability may still list the slot that was just taken
+            .filter((slot) => slot.start >= unavailableSlot.end || slot.end <= unavailableSlot.start)
+            .sort((a, b) =>
+                Math.abs(a.start.getTime() - unavailableSlot.start.getTime())
+                - Math.abs(b.start.getTime() - unavailableSlot.start.getTime())
+            )
+            .slice(0, ALTERNATIVE_SLOT_COUNT)
+            .sort((a, b) => a.start.getTime() - b.start.getTime())
+            .map((slot) => ({
+                start: slot.start.toISOString(),
+                end: slot.end.toISOString(),
+                duration_minutes: meetingType.duration_minutes,
+                meeting_type: meetingType.slug,
+            }));
+    } catch (error) {
+        logger.warn('Failed to find alternative slots:', error instanceof Error ? error.message : error);
+        return [];
+    }
 }
@@ -13,7 +13,8 @@ const __dirname = dirname(__filename);
  */
 
 // Service types
-export type ServiceName = 'supabase' | 'openai' | 'slack' | 'email' | 'calendar' | 'tavus';
+export type ServiceName = 'supabase' | 'llm' | 'slack' | 'email' | 'calendar' | 'tavus';
+export type LLMProviderSetting = 'openai' | 'openai_compatible' | 'fixture';
 
 // Configuration interfaces
 export interface SupabaseConfig {
@@ -21,9 +22,13 @@ export interface SupabaseConfig {
   serviceKey: string;
 }
 
-export interface OpenAIConfig {
+export interface LLMConfig {
+  provider: LLMProviderSetting;
   apiKey: string;
-  model: string;
+  /** Base URL of an OpenAI-compatible server (openai_compatible only) */
+  baseUrl?: string;
+  /** Fixture file for the deterministic provider (fixture only) */
+  fixturesPath: string;
 }
 
 export interface SlackConfig {
@@ -52,7 +57,7 @@ export interface TavusConfig {
 
 export type ServiceConfig =
   | SupabaseConfig
-  | OpenAIConfig
+  | LLMConfig
   | SlackConfig
   | EmailConfig
   | CalendarConfig
@@ -98,10 +103,21 @@ for (const envPath of envPaths) {
 // Critical environment variables (app won't start without these)
 const CRITICAL_ENV_VARS: string[] = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'];
 
+// LLM variables depend on the selected provider; the fixture provider needs none
+const LLM_PROVIDER_ENV_VARS: Record<LLMProviderSetting, string[]> = {
+  openai: ['OPENAI_API_KEY'],
+  openai_compatible: ['LLM_BASE_URL'],
+  fixture: [],
+};
+
+function getLLMProviderSetting(): LLMProviderSetting {
+  const provider = process.env['LLM_PROVIDER'];
+  return provider === 'openai_compatible' || provider === 'fixture' ? provider : 'openai';
+}
+
 // Optional service environment variables (graceful degradation)
-const OPTIONAL_SERVICE_ENV_VARS: Record<ServiceName, string[]> = {
+const OPTIONAL_SERVICE_ENV_VARS: Record<Exclude<ServiceName, 'llm'>, string[]> = {
   supabase: ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'],
-  openai: ['OPENAI_API_KEY'],
   slack: ['SLACK_BOT_TOKEN', 'SLACK_SIGNING_SECRET'],
   email: ['RESEND_API_KEY'],
   calendar: ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET'],
@@ -128,12 +144,11 @@ export function validateEnvironment(): EnvironmentValidation {
   }
 
   // Check optional service variables
-  for (const [serviceName, envVars] of Object.entries(OPTIONAL_SERVICE_ENV_VARS)) {
-    const hasAllVars = envVars.every((varName) => process.env[varName]);
-    if (hasAllVars) {
-      validation.availableServices.push(serviceName as ServiceName);
+  for (const serviceName of [...Object.keys(OPTIONAL_SERVICE_ENV_VARS), 'llm'] as ServiceName[]) {
+    if (isServiceConfigured(serviceName)) {
+      validation.availableServices.push(serviceName);
     } else {
-      validation.unavailableServices.push(serviceName as ServiceName);
+      validation.unavailableServices.push(serviceName);
     }
   }
 
@@ -144,7 +159,9 @@ export function validateEnvironment(): EnvironmentValidation {
  * Check if a specific service is configured
  */
 export function isServiceConfigured(serviceName: ServiceName): boolean {
-  const envVars = OPTIONAL_SERVICE_ENV_VARS[serviceName];
+  const envVars = serviceName === 'llm'
+    ? LLM_PROVIDER_ENV_VARS[getLLMProviderSetting()]
+    : OPTIONAL_SERVICE_ENV_VARS[serviceName];
   if (!envVars) return false;
   return envVars.every((varName) => process.env[varName]);
 }
@@ -153,7 +170,7 @@ export function isServiceConfigured(serviceName: ServiceName): boolean {
  * Get configuration for a specific service
  */
 export function getServiceConfig(serviceName: 'supabase'): SupabaseConfig;
-export function getServiceConfig(serviceName: 'openai'): OpenAIConfig;
+export function getServiceConfig(serviceName: 'llm'): LLMConfig;
 export function getServiceConfig(serviceName: 'slack'): SlackConfig;
 export function getServiceConfig(serviceName: 'email'): EmailConfig;
 export function getServiceConfig(serviceName: 'calendar'): CalendarConfig;
@@ -164,9 +181,13 @@ export function getServiceConfig(serviceName: ServiceName): ServiceConfig {
       url: process.env['SUPABASE_URL'] || '',
       serviceKey: process.env['SUPABASE_SERVICE_KEY'] || '',
     },
-    openai: {
-      apiKey: process.env['OPENAI_API_KEY'] || '',
-      model: process.env['OPENAI_MODEL'] || 'gpt-4o',
+    llm: {
+      provider: getLLMProviderSetting(),
+      apiKey: getLLMProviderSetting() === 'openai'
+        ? process.env['OPENAI_API_KEY'] || ''
+        : process.env['LLM_API_KEY'] || '',
+      baseUrl: process.env['LLM_BASE_URL'],
+      fixturesPath: process.env['LLM_FIXTURES_PATH'] || 'config/llm-fixtures.json',
     },
     slack: {
       botToken: process.env['SLACK_BOT_TOKEN'] || '',
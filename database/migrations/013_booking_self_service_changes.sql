@@ -0,0 +1,22 @@
+-- Allow customers to reschedule or cancel confirmed bookings from signed email links.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'booking_inquiries_status_check'
+      AND conrelid = 'booking_inquiries'::regclass
+  ) THEN
+    ALTER TABLE booking_inquiries DROP CONSTRAINT booking_inquiries_status_check;
+    ALTER TABLE booking_inquiries ADD CONSTRAINT booking_inquiries_status_check
+      CHECK (status IN (
+        'pending', 'processing', 'draft_created', 'approved', 'revised',
+        'human_takeover', 'sent', 'failed', 'rescheduled', 'cancelled'
+      ));
+  END IF;
+END $$;
+
+ALTER TABLE booking_inquiries
+  ADD COLUMN IF NOT EXISTS thread_ts TEXT,
+  ADD COLUMN IF NOT EXISTS channel_id TEXT;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,45 @@
+-- Record automatic approval decisions (autopilot / conditional approval modes).
+CREATE TABLE IF NOT EXISTS approval_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  inquiry_id UUID REFERENCES booking_inquiries(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  actor_slack_id TEXT,
+  actor_name TEXT,
+  feedback TEXT,
+  previous_draft TEXT,
+  new_draft TEXT,
+  timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  metadata JSONB DEFAULT '{}',
+  processing_time_ms INTEGER
+);
+
+ALTER TABLE approval_audit_log
+  ADD COLUMN IF NOT EXISTS processing_id TEXT;
+
+ALTER TABLE approval_audit_log DROP CONSTRAINT IF EXISTS approval_audit_log_action_check;
+ALTER TABLE approval_audit_log ADD CONSTRAINT approval_audit_log_action_check
+  CHECK (action IN (
+    'approved', 'revised', 'human_takeover', 'cancelled', 'escalated',
+    'auto_approved', 'approval_requested'
+  ));
+
+ALTER TABLE approval_audit_log ENABLE ROW LEVEL SECURITY;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_policies
+    WHERE tablename = 'approval_audit_log'
+      AND policyname = 'Service can manage all approval logs'
+  ) THEN
+    CREATE POLICY "Service can manage all approval logs"
+      ON approval_audit_log FOR ALL
+      USING (auth.role() = 'service_role');
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_approval_audit_inquiry ON approval_audit_log(inquiry_id);
+CREATE INDEX IF NOT EXISTS idx_approval_audit_timestamp ON approval_audit_log(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_approval_audit_processing_id ON approval_audit_log(processing_id);
+
+NOTIFY pgrst, 'reload schema';
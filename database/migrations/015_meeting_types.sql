@@ -0,0 +1,38 @@
+-- Bookable meeting types. Rows override the scheduling.meeting_durations defaults by slug.
+CREATE TABLE IF NOT EXISTS meeting_types (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    slug TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    name TEXT NOT NULL,
+    description TEXT,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes BETWEEN 5 AND 480),
+    buffer_before_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_before_minutes BETWEEN 0 AND 240),
+    buffer_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_after_minutes BETWEEN 0 AND 240),
+    minimum_notice_minutes INTEGER CHECK (minimum_notice_minutes BETWEEN 0 AND 20160),
+    booking_window_hours INTEGER CHECK (booking_window_hours BETWEEN 1 AND 8760),
+    calendar_email TEXT,
+    location_kind TEXT NOT NULL DEFAULT 'google_meet' CHECK (location_kind IN ('google_meet', 'phone', 'in_person', 'custom')),
+    location_details TEXT,
+    intake_questions JSONB NOT NULL DEFAULT '[]',
+    requires_tavus BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 100,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE meeting_types ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service account access
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'meeting_types' AND policyname = 'Service can manage all meeting types') THEN
+        CREATE POLICY "Service can manage all meeting types"
+            ON meeting_types FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_meeting_types_active ON meeting_types(is_active, sort_order);
+
+NOTIFY pgrst, 'reload schema';
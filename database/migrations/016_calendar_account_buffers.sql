@@ -0,0 +1,9 @@
+-- Per-calendar buffers kept free before and after every meeting on that calendar.
+-- NULL means the calendar adds nothing beyond the meeting type's own buffers.
+ALTER TABLE calendar_accounts
+  ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER
+    CHECK (buffer_before_minutes BETWEEN 0 AND 240),
+  ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER
+    CHECK (buffer_after_minutes BETWEEN 0 AND 240);
+
+NOTIFY pgrst, 'reload schema';
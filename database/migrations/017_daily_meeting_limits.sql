@@ -0,0 +1,24 @@
+-- Daily meeting caps edited from the admin availability tab.
+-- NULL falls back to calendar.constraints in the YAML config.
+CREATE TABLE IF NOT EXISTS daily_meeting_limits (
+    user_email TEXT PRIMARY KEY,
+    max_meetings_per_day INTEGER CHECK (max_meetings_per_day BETWEEN 1 AND 50),
+    max_meeting_minutes_per_day INTEGER CHECK (max_meeting_minutes_per_day BETWEEN 15 AND 1440),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE daily_meeting_limits ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service account access
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'daily_meeting_limits' AND policyname = 'Service can manage all daily meeting limits') THEN
+        CREATE POLICY "Service can manage all daily meeting limits"
+            ON daily_meeting_limits FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+END $$;
+
+NOTIFY pgrst, 'reload schema';
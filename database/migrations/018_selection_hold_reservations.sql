@@ -0,0 +1,61 @@
+-- Atomic slot reservation for customer selection holds.
+-- Reservations are serialized per calendar with a transaction-scoped advisory lock, so two
+-- visitors picking the same slot at the same moment cannot both get an active hold.
+-- Expired holds that the cleanup job has not swept yet do not block a new reservation.
+CREATE OR REPLACE FUNCTION reserve_selection_hold(
+    p_calendar_email TEXT,
+    p_calendar_account_id UUID,
+    p_slot_start TIMESTAMPTZ,
+    p_slot_end TIMESTAMPTZ,
+    p_expires_at TIMESTAMPTZ,
+    p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (id UUID, expires_at TIMESTAMPTZ)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF p_slot_end <= p_slot_start THEN
+        RAISE EXCEPTION 'slot_end must be after slot_start' USING ERRCODE = 'check_violation';
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('provisional_holds:' || lower(p_calendar_email)));
+
+    IF EXISTS (
+        SELECT 1
+        FROM provisional_holds existing
+        WHERE lower(existing.calendar_email) = lower(p_calendar_email)
+          AND existing.status = 'active'
+          AND existing.expires_at > NOW()
+          AND existing.slot_start < p_slot_end
+          AND existing.slot_end > p_slot_start
+    ) THEN
+        RAISE EXCEPTION 'Selected slot is already held on %', p_calendar_email
+            USING ERRCODE = 'exclusion_violation';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO provisional_holds (
+        booking_inquiry_id,
+        calendar_account_id,
+        calendar_email,
+        slot_start,
+        slot_end,
+        expires_at,
+        status,
+        metadata
+    )
+    VALUES (
+        NULL,
+        p_calendar_account_id,
+        p_calendar_email,
+        p_slot_start,
+        p_slot_end,
+        p_expires_at,
+        'active',
+        COALESCE(p_metadata, '{}'::jsonb)
+    )
+    RETURNING provisional_holds.id, provisional_holds.expires_at;
+END;
+$$;
+
+NOTIFY pgrst, 'reload schema';
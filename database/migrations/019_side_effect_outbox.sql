@@ -0,0 +1,45 @@
+-- Durable outbox for customer emails, Slack posts and calendar writes.
+-- Failed deliveries are retried with exponential backoff by the outbox worker and
+-- dead-lettered after max_attempts; admins can requeue dead letters from the dashboard.
+CREATE TABLE IF NOT EXISTS side_effect_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind TEXT NOT NULL CHECK (kind IN ('email', 'slack_message', 'calendar_write')),
+    context TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'delivered', 'dead_letter')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6 CHECK (max_attempts BETWEEN 1 AND 20),
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    result JSONB,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Worker scan for due items
+CREATE INDEX IF NOT EXISTS idx_side_effect_outbox_due
+    ON side_effect_outbox(next_attempt_at)
+    WHERE status = 'pending';
+
+-- Dead letters shown in diagnostics and the admin dashboard
+CREATE INDEX IF NOT EXISTS idx_side_effect_outbox_dead_letter
+    ON side_effect_outbox(updated_at DESC)
+    WHERE status = 'dead_letter';
+
+-- Enable Row Level Security
+ALTER TABLE side_effect_outbox ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service account access
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'side_effect_outbox' AND policyname = 'Service can manage all outbox items') THEN
+        CREATE POLICY "Service can manage all outbox items"
+            ON side_effect_outbox FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+END $$;
+
+NOTIFY pgrst, 'reload schema';
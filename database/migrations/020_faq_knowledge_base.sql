@@ -0,0 +1,85 @@
+-- FAQ knowledge base for the booking concierge chat and email drafts.
+-- faq_embeddings and match_faq_embeddings ship in schema.sql; this makes sure they exist
+-- and adds faq_retrieval_log, which records the FAQ entries used for each AI reply.
+CREATE EXTENSION IF NOT EXISTS vector WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS faq_embeddings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    category TEXT,
+    tags TEXT[],
+    embedding vector(1536), -- OpenAI embedding dimension
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT TRUE,
+    priority INTEGER DEFAULT 0
+);
+
+CREATE OR REPLACE FUNCTION match_faq_embeddings(
+    query_embedding vector(1536),
+    match_threshold float DEFAULT 0.7,
+    match_count int DEFAULT 5
+)
+RETURNS TABLE (
+    id uuid,
+    question text,
+    answer text,
+    category text,
+    tags text[],
+    similarity float
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        faq_embeddings.id,
+        faq_embeddings.question,
+        faq_embeddings.answer,
+        faq_embeddings.category,
+        faq_embeddings.tags,
+        1 - (faq_embeddings.embedding <=> query_embedding) as similarity
+    FROM faq_embeddings
+    WHERE
+        faq_embeddings.is_active = TRUE
+        AND 1 - (faq_embeddings.embedding <=> query_embedding) > match_threshold
+    ORDER BY faq_embeddings.embedding <=> query_embedding ASC
+    LIMIT LEAST(match_count, 20);
+$$;
+
+CREATE TABLE IF NOT EXISTS faq_retrieval_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reply_type TEXT NOT NULL CHECK (reply_type IN ('booking_chat', 'email_draft', 'inbound_reply')),
+    processing_id TEXT,
+    faq_ids UUID[] NOT NULL DEFAULT '{}',
+    similarities DOUBLE PRECISION[] NOT NULL DEFAULT '{}',
+    query TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_faq_retrieval_log_processing_id
+    ON faq_retrieval_log(processing_id)
+    WHERE processing_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_faq_retrieval_log_created_at ON faq_retrieval_log(created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE faq_embeddings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE faq_retrieval_log ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service account access
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'faq_embeddings' AND policyname = 'Service can manage all faq embeddings') THEN
+        CREATE POLICY "Service can manage all faq embeddings"
+            ON faq_embeddings FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'faq_retrieval_log' AND policyname = 'Service can manage all faq retrievals') THEN
+        CREATE POLICY "Service can manage all faq retrievals"
+            ON faq_retrieval_log FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+END $$;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,17 @@
+-- Email conversation state machine: the timeout job scans active threads by their last
+-- outbound message, and booking_inquiries mirrors each thread's stage and turn count.
+ALTER TABLE email_conversations
+  ADD COLUMN IF NOT EXISTS context JSONB DEFAULT '{}';
+
+ALTER TABLE booking_inquiries
+  ADD COLUMN IF NOT EXISTS conversation_turns INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS conversation_stage TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_email_conversations_active_outbound
+  ON email_conversations(last_outbound_at)
+  WHERE conversation_stage IN ('initial', 'gathering_info', 'proposing_slots', 'confirming');
+
+CREATE INDEX IF NOT EXISTS idx_email_conversations_inquiry
+  ON email_conversations(booking_inquiry_id);
+
+NOTIFY pgrst, 'reload schema';
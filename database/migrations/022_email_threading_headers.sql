@@ -0,0 +1,18 @@
+-- Outbound email threading: every booking email carries a Message-ID, In-Reply-To and
+-- References derived from the booking, and inbound replies are matched back through them.
+ALTER TABLE email_delivery_log
+  ADD COLUMN IF NOT EXISTS processing_id TEXT,
+  ADD COLUMN IF NOT EXISTS context TEXT,
+  ADD COLUMN IF NOT EXISTS message_id TEXT,
+  ADD COLUMN IF NOT EXISTS in_reply_to TEXT,
+  ADD COLUMN IF NOT EXISTS thread_references TEXT[] DEFAULT '{}';
+
+-- Inbound matching by In-Reply-To / References; outbox retries upsert on it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_delivery_message_id
+  ON email_delivery_log(message_id);
+
+-- Thread history when building the next message's References
+CREATE INDEX IF NOT EXISTS idx_email_delivery_processing
+  ON email_delivery_log(processing_id, sent_at DESC);
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,24 @@
+-- Slack Events API deliveries already accepted, keyed by event_id. Slack redelivers an event
+-- (with X-Slack-Retry-Num) when the first attempt is not acknowledged within 3 seconds; the
+-- first replica to insert the event_id processes it and later deliveries are dropped.
+CREATE TABLE IF NOT EXISTS slack_event_receipts (
+    event_id TEXT PRIMARY KEY,
+    event_type TEXT,
+    retry_num INTEGER NOT NULL DEFAULT 0,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE slack_event_receipts ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service account access
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'slack_event_receipts' AND policyname = 'Service can manage all Slack event receipts') THEN
+        CREATE POLICY "Service can manage all Slack event receipts"
+            ON slack_event_receipts FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+END $$;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,23 @@
+-- One Slack daily summary per local date. Every replica checks whether the digest is due;
+-- the first to insert the date posts it.
+CREATE TABLE IF NOT EXISTS slack_daily_summaries (
+    summary_date DATE PRIMARY KEY,
+    channel_id TEXT,
+    outbox_id UUID,
+    posted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE slack_daily_summaries ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies for service account access
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'slack_daily_summaries' AND policyname = 'Service can manage all Slack daily summaries') THEN
+        CREATE POLICY "Service can manage all Slack daily summaries"
+            ON slack_daily_summaries FOR ALL
+            USING (auth.role() = 'service_role');
+    END IF;
+END $$;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,19 @@
+-- Reviewer revision rounds per booking, capped by slack.interaction.max_revision_rounds.
+-- Once the cap is reached the next revision request escalates the booking to human takeover.
+ALTER TABLE booking_inquiries
+  ADD COLUMN IF NOT EXISTS revision_rounds INTEGER NOT NULL DEFAULT 0;
+
+-- A reviewer clicking Revise is logged as revision_requested; 'revised' is only written
+-- when a new draft version is saved
+ALTER TABLE approval_audit_log DROP CONSTRAINT IF EXISTS approval_audit_log_action_check;
+ALTER TABLE approval_audit_log ADD CONSTRAINT approval_audit_log_action_check
+  CHECK (action IN (
+    'approved', 'revision_requested', 'revised', 'human_takeover', 'cancelled', 'escalated',
+    'auto_approved', 'approval_requested'
+  ));
+
+-- Audit history for one booking, for the admin booking view
+CREATE INDEX IF NOT EXISTS idx_approval_audit_processing_timestamp
+  ON approval_audit_log(processing_id, timestamp DESC);
+
+NOTIFY pgrst, 'reload schema';
@@ -16,7 +16,7 @@ CREATE TABLE IF NOT EXISTS booking_inquiries (
     inquiry_type TEXT DEFAULT 'strategy_call',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'draft_created', 'approved', 'revised', 'human_takeover', 'sent', 'failed')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'draft_created', 'approved', 'revised', 'human_takeover', 'sent', 'failed', 'rescheduled', 'cancelled')),
     draft_response TEXT,
     final_response TEXT,
     slack_message_ts TEXT,
@@ -46,7 +46,8 @@ CREATE TABLE IF NOT EXISTS faq_embeddings (
 CREATE TABLE IF NOT EXISTS approval_audit_log (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     inquiry_id UUID REFERENCES booking_inquiries(id) ON DELETE CASCADE,
-    action TEXT NOT NULL CHECK (action IN ('approved', 'revised', 'human_takeover', 'cancelled', 'escalated')),
+    processing_id TEXT,
+    action TEXT NOT NULL CHECK (action IN ('approved', 'revision_requested', 'revised', 'human_takeover', 'cancelled', 'escalated', 'auto_approved', 'approval_requested')),
     actor_slack_id TEXT,
     actor_name TEXT,
     feedback TEXT,
@@ -164,6 +165,7 @@ CREATE INDEX IF NOT EXISTS idx_faq_embeddings_category ON faq_embeddings(categor
 CREATE INDEX IF NOT EXISTS idx_faq_embeddings_active ON faq_embeddings(is_active, priority DESC);
 
 CREATE INDEX IF NOT EXISTS idx_approval_audit_inquiry ON approval_audit_log(inquiry_id);
+CREATE INDEX IF NOT EXISTS idx_approval_audit_processing_id ON approval_audit_log(processing_id);
 CREATE INDEX IF NOT EXISTS idx_approval_audit_timestamp ON approval_audit_log(timestamp DESC);
 
 CREATE INDEX IF NOT EXISTS idx_calendar_availability_time ON calendar_availability(start_time, end_time);
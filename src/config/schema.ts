@@ -101,6 +101,7 @@ export const CalendarSchema = z.object({
   providers: z.array(CalendarProviderSchema).max(7), // Up to 7 calendars
   constraints: z.object({
     max_meetings_per_day: z.number().int().min(1),
+    max_meeting_minutes_per_day: z.number().int().min(15).optional(),
     min_advance_notice_hours: z.number().int().min(0),
     max_booking_window_days: z.number().int().min(1),
     blackout_dates: z.array(z.string().regex(/^\d{4}-\d{2}-\d{2}$/)).optional(),
@@ -135,6 +136,7 @@ export const SlackSchema = z.object({
     mention_on_high_priority: z.boolean(),
     daily_summary: z.boolean(),
     daily_summary_time: z.string().regex(/^\d{2}:\d{2}$/).optional(),
+    daily_summary_pending_hours: z.number().int().min(1).max(168).optional(),
   }),
   interaction: z.object({
     revision_enabled: z.boolean(),
@@ -178,6 +180,7 @@ export const SystemBehaviorSchema = z.object({
   conversation: z.object({
     max_turns: z.number().int().min(1).max(20),
     timeout_minutes: z.number().int().min(5),
+    nudge_on_timeout: z.boolean().default(false),
     require_all_fields: z.boolean(),
     allow_skip_fields: z.array(z.string()),
   }),
@@ -185,6 +188,7 @@ export const SystemBehaviorSchema = z.object({
     model: z.string(),
     temperature: z.number().min(0).max(2),
     max_tokens: z.number().int().min(100),
+    embedding_model: z.string().default('text-embedding-3-small'),
     customer_analysis_enabled: z.boolean(),
   }),
   logging: z.object({
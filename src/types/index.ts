@@ -14,6 +14,8 @@ export type BookingStatus =
   | 'human_takeover'
   | 'sent'
   | 'failed'
+  | 'rescheduled'
+  | 'cancelled'
   | 'email_approved'
   | 'email_revision_requested'
   | 'human_takeover_requested';
@@ -30,6 +32,7 @@ export interface AIAnalysis {
   key_needs_summary: string;
   company_size?: string;
   industry?: string;
+  qualification_score?: number;
 }
 
 export interface BookingInquiry {
@@ -114,6 +117,7 @@ export interface CalendarConstraints {
   buffer_before?: number;
   buffer_after?: number;
   max_meetings_per_day?: number;
+  max_meeting_minutes_per_day?: number;
 }
 
 export interface WorkingHours {
@@ -203,6 +207,22 @@ export interface RoutingActions {
   calendar?: string;
 }
 
+export type RoutingRuleSource = 'yaml' | 'database';
+
+export interface RoutingDecision {
+  rule_name: string;
+  rule_source: RoutingRuleSource;
+  rule_priority: number;
+  meeting_type: MeetingType;
+  duration_minutes: number;
+  priority_level: number;
+  require_approval: boolean;
+  notify_slack: boolean;
+  calendar?: string;
+  calendar_email?: string;
+  matched_at: string;
+}
+
 // === EMAIL CONVERSATION ===
 
 export type ConversationStage =
@@ -317,12 +337,25 @@ export interface APIResponse<T = unknown> {
 
 export interface BookingResponse extends APIResponse<BookingInquiry> {
   ai_analysis?: AIAnalysis;
+  routing?: RoutingDecision | null;
+  meeting_type?: MeetingType;
+  meeting_duration?: number;
   drafted_email?: string;
   slack_notification?: {
     sent: boolean;
+    /** Delivery failed and the outbox will retry it */
+    queued?: boolean;
     interactive: boolean;
     type: string;
   };
+  approval?: {
+    mode: 'required' | 'autopilot' | 'conditional';
+    requires_approval: boolean;
+    reason: string;
+    auto_sent: boolean;
+    /** Email service was down; the customer email waits in the outbox */
+    email_queued?: boolean;
+  };
 }
 
 // === UTILITY TYPES ===